@@ -10,15 +10,17 @@
  * - /systems, /maintenance, /documents, /propertyDocuments
  * - /subscriptions, /subscription-products, /invitations
  * - /engagement, /analytics, /predict
+ * - /calendar-feeds (ICS feed at /calendar-feeds/:token.ics is token-authenticated)
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const compression = require('compression');
 const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const { NotFoundError } = require("./expressError");
-const { authenticateJWT, ensureLoggedIn } = require("./middleware/auth");
+const { authenticateJWT, ensureApiKeyScope, ensureLoggedIn } = require("./middleware/auth");
 
 const authRoutes = require("./routes/auth");
 const mfaRoutes = require("./routes/mfa");
@@ -49,6 +51,7 @@ const inspectionChecklistRoutes = require("./routes/inspectionChecklist");
 const aiRoutes = require("./routes/ai");
 const webhookRoutes = require("./routes/webhooks");
 const billingRoutes = require("./routes/billing");
+const calendarFeedsRoutes = require("./routes/calendarFeeds");
 
 const app = express();
 
@@ -61,23 +64,33 @@ const corsOptions = {
       'https://homeops-frontend2-production.up.railway.app'
     ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: true,
   optionsSuccessStatus: 204
 };
 app.use(cors(corsOptions));
 
+// Request id for logs and audit entries; a well-formed incoming X-Request-Id is kept
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 app.use(compression());
 app.use(cookieParser());
 
 // Webhooks MUST use raw body for Stripe signature verification - mount before express.json
 app.use("/webhooks", express.raw({ type: "application/json" }), webhookRoutes);
 
-app.use(express.json());
-
-// Public contractor report routes — mounted before authenticateJWT so no token is needed
+// Public contractor report routes — mounted before authenticateJWT so no token is needed.
+// Own body parser with a larger limit for drawn signatures (PNG data URLs).
 const contractorReportRoutes = require("./routes/contractorReport");
-app.use("/contractor-report", contractorReportRoutes);
+app.use("/contractor-report", express.json({ limit: "1mb" }), contractorReportRoutes);
+
+app.use(express.json());
 
 app.get('/', (req, res) => {
   res.json({
@@ -92,6 +105,7 @@ app.get('/health', (req, res) => {
 });
 
 app.use(authenticateJWT);
+app.use(ensureApiKeyScope);
 
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -137,6 +151,7 @@ app.use("/inspection-analysis", inspectionAnalysisRoutes);
 app.use("/", inspectionChecklistRoutes);
 app.use("/ai", aiRoutes);
 app.use("/billing", billingRoutes);
+app.use("/calendar-feeds", calendarFeedsRoutes);
 
 app.use(function (req, res, next) {
   throw new NotFoundError();
@@ -147,6 +162,7 @@ app.use(function (err, req, res, next) {
 
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
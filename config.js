@@ -77,6 +77,8 @@ module.exports = {
   GOOGLE_REDIRECT_URI_SIGNUP,
   APP_WEB_ORIGIN,
   AUTH_SUCCESS_REDIRECT,
+  // Block invitations from users who have not verified their email
+  REQUIRE_VERIFIED_EMAIL_FOR_INVITES: process.env.REQUIRE_VERIFIED_EMAIL_FOR_INVITES === "true",
   // S3 config;
   AWS_REGION: process.env.AWS_REGION || "us-east-2",
   AWS_S3_BUCKET: process.env.AWS_S3_BUCKET,
@@ -88,5 +90,10 @@ module.exports = {
   STRIPE_SUCCESS_URL: process.env.STRIPE_SUCCESS_URL || (process.env.APP_BASE_URL ? `${process.env.APP_BASE_URL}/#/billing/success` : null),
   STRIPE_CANCEL_URL: process.env.STRIPE_CANCEL_URL || (process.env.APP_BASE_URL ? `${process.env.APP_BASE_URL}/#/onboarding` : null),
   APP_BASE_URL: process.env.APP_BASE_URL || process.env.APP_WEB_ORIGIN || "http://localhost:5173",
+  // Public URL of this API (used in links to API-served resources such as calendar feeds)
+  API_BASE_URL: process.env.API_BASE_URL || null,
   BILLING_MOCK_MODE: process.env.BILLING_MOCK_MODE === "true",
+  // WebAuthn relying party: RP ID defaults to the app host, origins (comma-separated) to the app origin
+  WEBAUTHN_RP_ID: process.env.WEBAUTHN_RP_ID || null,
+  WEBAUTHN_ORIGINS: process.env.WEBAUTHN_ORIGINS || null,
 };
\ No newline at end of file
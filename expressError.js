@@ -3,7 +3,8 @@
  *
  * Custom error types with HTTP status codes for API error handling.
  * ExpressError (base), NotFoundError (404), UnauthorizedError (401),
- * BadRequestError (400), ForbiddenError (403).
+ * BadRequestError (400), ForbiddenError (403), ConflictError (409),
+ * TooManyRequestsError (429).
  */
 
 class ExpressError extends Error {
@@ -46,6 +47,22 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 409 CONFLICT error. */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict") {
+    super(message, 409);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error. retryAfter (seconds) is sent as the Retry-After header. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
 
 module.exports = {
   ExpressError,
@@ -53,4 +70,6 @@ module.exports = {
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -0,0 +1,44 @@
+"use strict";
+
+/**
+ * API Key Scopes
+ *
+ * Scopes are "<resource>:<read|write>"; write also grants read. A request made
+ * with an API key needs the scope for the route it hits, decided by the mount
+ * path and HTTP method. Routes not listed here cannot be called with an API key.
+ *
+ * Exports: API_KEY_SCOPES, requiredScope, hasScope
+ */
+
+const RESOURCE_BY_MOUNT = {
+  properties: "properties",
+  systems: "properties",
+  maintenance: "maintenance",
+  "maintenance-events": "maintenance",
+  documents: "documents",
+  propertyDocuments: "documents",
+};
+
+const API_KEY_SCOPES = [...new Set(Object.values(RESOURCE_BY_MOUNT))]
+  .flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/** Scope needed for a request, or null if the route is not available to API keys. */
+function requiredScope(req) {
+  const mount = (req.path || "").split("/")[1];
+  const resource = RESOURCE_BY_MOUNT[mount];
+  if (!resource) return null;
+  return `${resource}:${READ_METHODS.includes(req.method) ? "read" : "write"}`;
+}
+
+function hasScope(scopes, scope) {
+  const [resource, access] = scope.split(":");
+  return scopes.includes(scope) || (access === "read" && scopes.includes(`${resource}:write`));
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  requiredScope,
+  hasScope,
+};
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ * Recurrence Helper
+ *
+ * Date math for recurring maintenance events. A series is described by the
+ * event's scheduled_date (anchor), recurrence_type, recurrence_interval_value /
+ * recurrence_interval_unit (for "custom") and an optional recurrence_end_date.
+ * Occurrences are always computed from the anchor (anchor + n * interval) so
+ * month-end dates do not drift (Jan 31 → Feb 28 → Mar 31).
+ *
+ * All dates are YYYY-MM-DD strings.
+ *
+ * Exports: getRecurrenceRule, isRecurring, addInterval, addDays, toDateKey,
+ *          expandOccurrenceDates, isOccurrenceDate, nextOpenOccurrence
+ */
+
+const PRESET_RULES = {
+  quarterly: { unit: "months", value: 3 },
+  "semi-annually": { unit: "months", value: 6 },
+  annually: { unit: "months", value: 12 },
+};
+
+/** Safety cap for open-ended iteration (e.g. a daily series over many years). */
+const MAX_ITERATIONS = 5000;
+
+/** Normalize a Date or date-ish string to YYYY-MM-DD. Dates use local calendar fields (node-pg DATE parsing). */
+function toDateKey(d) {
+  if (d == null || d === "") return null;
+  if (d instanceof Date) {
+    const y = d.getFullYear();
+    const m = String(d.getMonth() + 1).padStart(2, "0");
+    const day = String(d.getDate()).padStart(2, "0");
+    return `${y}-${m}-${day}`;
+  }
+  return String(d).slice(0, 10);
+}
+
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function addMonths(dateKey, months) {
+  const [y, m, day] = dateKey.split("-").map(Number);
+  const target = new Date(Date.UTC(y, m - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/** Recurrence rule { unit: 'days'|'weeks'|'months', value } for an event, or null for one-time events. */
+function getRecurrenceRule(event) {
+  const type = event?.recurrence_type;
+  if (!type || type === "one-time") return null;
+  if (PRESET_RULES[type]) return PRESET_RULES[type];
+  if (type === "custom") {
+    const value = parseInt(event.recurrence_interval_value, 10);
+    const unit = event.recurrence_interval_unit;
+    if (value > 0 && ["days", "weeks", "months"].includes(unit)) return { unit, value };
+  }
+  return null;
+}
+
+function isRecurring(event) {
+  return getRecurrenceRule(event) !== null;
+}
+
+/** The nth occurrence after anchor (n = 0 is the anchor itself). */
+function addInterval(anchor, rule, n) {
+  if (rule.unit === "months") return addMonths(anchor, rule.value * n);
+  if (rule.unit === "weeks") return addDays(anchor, rule.value * 7 * n);
+  return addDays(anchor, rule.value * n);
+}
+
+/**
+ * Occurrence dates of an event between start and end (inclusive).
+ * One-time events yield their scheduled_date when it falls in range.
+ * @param {Object} event - maintenance_events row (scheduled_date, recurrence_*, recurrence_end_date)
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function expandOccurrenceDates(event, start, end) {
+  const anchor = toDateKey(event.scheduled_date);
+  if (!anchor) return [];
+  const rule = getRecurrenceRule(event);
+  if (!rule) return anchor >= start && anchor <= end ? [anchor] : [];
+
+  const until = toDateKey(event.recurrence_end_date);
+  const last = until && until < end ? until : end;
+  const dates = [];
+
+  // Jump close to the window start instead of walking from the anchor
+  let n = 0;
+  if (start > anchor) {
+    const daysBetween = Math.floor((new Date(`${start}T00:00:00Z`) - new Date(`${anchor}T00:00:00Z`)) / 86400000);
+    const approxDays = rule.unit === "months" ? rule.value * 31 : rule.unit === "weeks" ? rule.value * 7 : rule.value;
+    n = Math.max(0, Math.floor(daysBetween / approxDays) - 1);
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS; i++, n++) {
+    const date = addInterval(anchor, rule, n);
+    if (date > last) break;
+    if (date >= start) dates.push(date);
+  }
+  return dates;
+}
+
+/** True when date is one of the event's (original, unmodified) occurrence dates. */
+function isOccurrenceDate(event, date) {
+  const key = toDateKey(date);
+  if (!key) return false;
+  return expandOccurrenceDates(event, key, key).length === 1;
+}
+
+/**
+ * First occurrence of the series whose date is not in doneDates (completed/skipped).
+ * One-time events return their scheduled_date unless it is done.
+ * @param {Object} event
+ * @param {Set<string>} doneDates - YYYY-MM-DD keys of finished occurrences
+ * @returns {string|null} null when every occurrence up to recurrence_end_date is done
+ */
+function nextOpenOccurrence(event, doneDates) {
+  const anchor = toDateKey(event.scheduled_date);
+  if (!anchor) return null;
+  const rule = getRecurrenceRule(event);
+  if (!rule) return doneDates.has(anchor) ? null : anchor;
+
+  const until = toDateKey(event.recurrence_end_date);
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    const date = addInterval(anchor, rule, n);
+    if (until && date > until) return null;
+    if (!doneDates.has(date)) return date;
+  }
+  return null;
+}
+
+module.exports = {
+  getRecurrenceRule,
+  isRecurring,
+  addInterval,
+  addDays,
+  toDateKey,
+  expandOccurrenceDates,
+  isOccurrenceDate,
+  nextOpenOccurrence,
+};
@@ -6,10 +6,13 @@
  * Creates signed JWTs for authentication. Two token types:
  * - Access token: short-lived (15m), carries user identity for API calls
  * - Refresh token: long-lived (7d), used only to obtain new access tokens
+ * Both carry the session id (sid) when issued for a user session. Access tokens
+ * may carry extra claims from account security policies (sexp, mfaSetupDue).
  *
  * Exports: createAccessToken, createRefreshToken, createToken (alias)
  */
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 
@@ -17,17 +20,18 @@ const ACCESS_TOKEN_EXPIRY = "15m";
 const REFRESH_TOKEN_EXPIRY = "7d";
 const REFRESH_TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
 
-function createAccessToken(user) {
+function createAccessToken(user, sessionId = null, claims = {}) {
   return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
+    { id: user.id, email: user.email, role: user.role, ...(sessionId && { sid: sessionId }), ...claims },
     SECRET_KEY,
     { expiresIn: ACCESS_TOKEN_EXPIRY }
   );
 }
 
-function createRefreshToken(user) {
+/** jti keeps tokens unique when several are issued in the same second. */
+function createRefreshToken(user, sessionId = null) {
   return jwt.sign(
-    { id: user.id, type: "refresh" },
+    { id: user.id, type: "refresh", ...(sessionId && { sid: sessionId }), jti: crypto.randomUUID() },
     SECRET_KEY,
     { expiresIn: REFRESH_TOKEN_EXPIRY }
   );
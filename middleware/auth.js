@@ -1,29 +1,77 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, REQUIRE_VERIFIED_EMAIL_FOR_INVITES } = require("../config");
 const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const Account = require("../models/account");
 const User = require("../models/user");
+const ApiKey = require("../models/apiKey");
+const { requiredScope, hasScope } = require("../helpers/apiKeyScopes");
 const db = require("../db");
 
-/** Verify Bearer token, set res.locals.user (optional). Ignores invalid tokens. */
-function authenticateJWT(req, res, next) {
+/** Verify Bearer token (JWT or API key), set res.locals.user (optional). Ignores invalid tokens.
+ * API key requests get { id, email, role, accountId, apiKeyId, scopes } for the key's user.
+ */
+async function authenticateJWT(req, res, next) {
   const authHeader = req.headers?.authorization;
-  if (authHeader) {
-    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+  if (!authHeader) return next();
+  const token = authHeader.replace(/^[Bb]earer /, "").trim();
+
+  if (ApiKey.looksLikeKey(token)) {
     try {
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const key = await ApiKey.findActiveByKey(token, { ip: req.ip });
+      if (key) {
+        res.locals.user = {
+          id: key.userId,
+          email: key.email,
+          role: key.role,
+          accountId: key.accountId,
+          apiKeyId: key.id,
+          scopes: key.scopes,
+        };
+      }
     } catch (err) {
-      /* ignore invalid tokens */
+      return next(err);
     }
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, SECRET_KEY);
+    // Refresh tokens and MFA tickets carry a type; only access tokens authenticate requests
+    if (!payload.type) res.locals.user = payload;
+  } catch (err) {
+    /* ignore invalid tokens */
   }
   return next();
 }
 
+/** Platform admins skip property and account checks; never when calling with an API key. */
+function isPlatformAdmin(user) {
+  return (user?.role === "super_admin" || user?.role === "admin") && !user.apiKeyId;
+}
+
+/** API keys are bound to one account: reject any other account id. No-op for session users. */
+function ensureApiKeyAccount(user, accountId) {
+  if (user?.apiKeyId && String(accountId) !== String(user.accountId)) {
+    throw new ForbiddenError("This API key does not have access to this account.");
+  }
+}
+
+/** Limit API key requests to the routes their scopes allow (see helpers/apiKeyScopes). */
+function ensureApiKeyScope(req, res, next) {
+  const user = res.locals.user;
+  if (!user?.apiKeyId) return next();
+  const scope = requiredScope(req);
+  if (!scope) throw new ForbiddenError("This endpoint cannot be used with an API key.");
+  if (!hasScope(user.scopes || [], scope)) throw new ForbiddenError(`API key is missing the ${scope} scope.`);
+  return next();
+}
+
 /** Require super_admin role. Re-fetches user from DB if JWT role is stale. */
 async function ensureSuperAdmin(req, res, next) {
   try {
+    if (res.locals.user?.apiKeyId) throw new UnauthorizedError();
     if (res.locals.user?.role === "super_admin") return next();
     const userId = res.locals.user?.id;
     if (!userId) throw new UnauthorizedError();
@@ -40,15 +88,46 @@ async function ensureSuperAdmin(req, res, next) {
 
 /** Require super_admin or admin role. */
 function ensurePlatformAdmin(req, res, next) {
-  const role = res.locals.user?.role;
-  if (role === 'super_admin' || role === 'admin') return next();
+  if (isPlatformAdmin(res.locals.user)) return next();
   throw new UnauthorizedError();
 }
 
-/** Require authenticated user (res.locals.user.email must exist). */
+/** Paths a member past their MFA setup deadline can still use (to enroll and refresh tokens). */
+const MFA_SETUP_PATHS = /^\/(auth|mfa)(\/|$)/;
+
+/** Require authenticated user (res.locals.user.email must exist).
+ * Enforces account security policy claims: sexp (maximum session age) and
+ * mfaSetupDue (after the deadline only /auth and /mfa are reachable).
+ */
 function ensureLoggedIn(req, res, next) {
-  if (res.locals.user?.email) return next();
-  throw new UnauthorizedError();
+  const user = res.locals.user;
+  if (!user?.email) throw new UnauthorizedError();
+  if (user.sexp && user.sexp * 1000 <= Date.now()) {
+    throw new UnauthorizedError("Session has expired. Please sign in again.");
+  }
+  if (user.mfaSetupDue && new Date(user.mfaSetupDue) <= new Date()
+    && !MFA_SETUP_PATHS.test(req.originalUrl || "")) {
+    throw new ForbiddenError("Your organization requires multi-factor authentication. Set it up to continue.");
+  }
+  return next();
+}
+
+/** Require a verified email address when REQUIRE_VERIFIED_EMAIL_FOR_INVITES is on (e.g. before sending invitations).
+ * Platform admins are exempt; API key requests are checked against the key's user.
+ */
+async function ensureEmailVerified(req, res, next) {
+  try {
+    if (!REQUIRE_VERIFIED_EMAIL_FOR_INVITES || isPlatformAdmin(res.locals.user)) return next();
+    const userId = res.locals.user?.id;
+    if (!userId) throw new UnauthorizedError();
+    const user = await User.getById(userId);
+    if (!user?.emailVerified) {
+      throw new ForbiddenError("Verify your email address before sending invitations.");
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
 }
 
 /** Require current user matches params.email. */
@@ -58,7 +137,10 @@ async function ensureCorrectUser(req, res, next) {
   throw new UnauthorizedError();
 }
 
-/** Require property_users membership or admin. Options: scope, param, fromBody. */
+/** Require property_users membership or admin. Options: scope, param, fromBody.
+ * With scope "user", API key requests pass for the key's own user; routes must then
+ * limit results to the key's account (res.locals.user.accountId).
+ */
 function ensurePropertyAccess(options = {}) {
   const scope = options.scope === "user" ? "user" : "property";
   const param = options.param ?? (scope === "user" ? "userId" : "uid");
@@ -67,7 +149,7 @@ function ensurePropertyAccess(options = {}) {
     return function _ensurePropertyAccessByUser(req, res, next) {
       const user = res.locals.user;
       if (!user?.id) throw new UnauthorizedError();
-      if (user.role === "super_admin" || user.role === "admin") return next();
+      if (isPlatformAdmin(user)) return next();
       if (String(user.id) === String(req.params[param])) return next();
       throw new ForbiddenError("You may only access properties for your own user.");
     };
@@ -79,7 +161,7 @@ function ensurePropertyAccess(options = {}) {
     try {
       const user = res.locals.user;
       if (!user?.id) throw new UnauthorizedError();
-      if (user.role === "super_admin" || user.role === "admin") return next();
+      if (isPlatformAdmin(user)) return next();
 
       const raw = (fromBody && req.body && req.body[fromBody] != null)
         ? req.body[fromBody]
@@ -102,6 +184,15 @@ function ensurePropertyAccess(options = {}) {
         [propertyId, user.id],
       );
 
+      if (user.apiKeyId) {
+        const inAccount = result.rows.length > 0 && (await db.query(
+          `SELECT 1 FROM properties WHERE id = $1 AND account_id = $2`,
+          [propertyId, user.accountId],
+        )).rows.length > 0;
+        if (inAccount) return next();
+        throw new ForbiddenError("This API key does not have access to this property.");
+      }
+
       if (result.rows.length > 0) return next();
 
       // Allow access if user has a pending invitation to this property (invitee email matches)
@@ -126,7 +217,7 @@ function ensurePropertyOwner(paramName = "propertyId") {
     try {
       const user = res.locals.user;
       if (!user?.id) throw new UnauthorizedError();
-      if (user.role === "super_admin") return next();
+      if (user.role === "super_admin" && !user.apiKeyId) return next();
 
       const raw = req.params[paramName];
       if (!raw) throw new ForbiddenError("Property identifier missing.");
@@ -152,15 +243,53 @@ function ensurePropertyOwner(paramName = "propertyId") {
   };
 }
 
-/** Require account_users membership for the account in params. */
+/**
+ * Require the owner role in an account, or platform admin. Not available to API keys.
+ * Options: param (default "id"); fromProperty: param is a property id or uid and the
+ * property's account is checked (the numeric id is left in res.locals.propertyId).
+ */
+function ensureAccountOwner({ param = "id", fromProperty = false } = {}) {
+  return async function _ensureAccountOwner(req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user?.id) throw new UnauthorizedError();
+      if (user.apiKeyId) throw new ForbiddenError("This endpoint cannot be used with an API key.");
+
+      const raw = req.params[param];
+      if (!raw) throw new ForbiddenError("Identifier missing.");
+      let accountId = raw;
+      if (fromProperty) {
+        const byUid = /^[0-9A-Z]{26}$/i.test(raw);
+        if (!byUid && !/^\d+$/.test(String(raw))) throw new ForbiddenError("Property not found.");
+        const propRes = await db.query(
+          `SELECT id, account_id FROM properties WHERE ${byUid ? "property_uid" : "id"} = $1`,
+          [raw],
+        );
+        if (propRes.rows.length === 0) throw new ForbiddenError("Property not found.");
+        res.locals.propertyId = propRes.rows[0].id;
+        accountId = propRes.rows[0].account_id;
+      }
+
+      if (isPlatformAdmin(user)) return next();
+      const role = accountId ? await Account.getUserRole(user.id, accountId) : null;
+      if (role === "owner") return next();
+      throw new ForbiddenError("Only account owners can perform this action.");
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Require account_users membership for the account in params (API keys: the key's account only). */
 function ensureUserCanAccessAccountByParam(paramName = "accountId") {
   return async function _ensureUserCanAccessAccountByParam(req, res, next) {
     try {
       const userId = res.locals.user?.id;
       if (!userId) throw new UnauthorizedError("Authentication required.");
-      if (res.locals.user.role === "super_admin" || res.locals.user.role === "admin") return next();
+      if (isPlatformAdmin(res.locals.user)) return next();
       const accountId = req.params[paramName];
       if (!accountId) throw new UnauthorizedError("Account identifier required.");
+      ensureApiKeyAccount(res.locals.user, accountId);
       const isAuthorized = await Account.isUserLinkedToAccount(userId, accountId);
       if (!isAuthorized) throw new UnauthorizedError("Not authorized to access this account.");
       return next();
@@ -170,15 +299,16 @@ function ensureUserCanAccessAccountByParam(paramName = "accountId") {
   };
 }
 
-/** Require account_users membership for the account in req.body. Used for POST routes. */
+/** Require account_users membership for the account in req.body (API keys: the key's account only). Used for POST routes. */
 function ensureUserCanAccessAccountFromBody(bodyKey = "account_id") {
   return async function _ensureUserCanAccessAccountFromBody(req, res, next) {
     try {
       const userId = res.locals.user?.id;
       if (!userId) throw new UnauthorizedError("Authentication required.");
-      if (res.locals.user.role === "super_admin" || res.locals.user.role === "admin") return next();
+      if (isPlatformAdmin(res.locals.user)) return next();
       const accountId = req.body?.[bodyKey];
       if (!accountId) throw new UnauthorizedError("Account identifier required.");
+      ensureApiKeyAccount(res.locals.user, accountId);
       const isAuthorized = await Account.isUserLinkedToAccount(userId, accountId);
       if (!isAuthorized) throw new UnauthorizedError("Not authorized to access this account.");
       return next();
@@ -193,7 +323,7 @@ function ensureAgentOrSelf(paramName = "agentId") {
   return function _ensureAgentOrSelf(req, res, next) {
     const user = res.locals.user;
     if (!user?.id) throw new UnauthorizedError("Authentication required.");
-    if (user.role === "super_admin" || user.role === "admin") return next();
+    if (isPlatformAdmin(user)) return next();
     if (String(user.id) === String(req.params[paramName])) return next();
     throw new ForbiddenError("You may only access your own profile.");
   };
@@ -205,7 +335,7 @@ function ensureCanViewUser(paramName = "email") {
     try {
       const user = res.locals.user;
       if (!user?.id) throw new UnauthorizedError("Authentication required.");
-      if (user.role === "super_admin" || user.role === "admin") return next();
+      if (isPlatformAdmin(user)) return next();
       const targetUser = await User.get(req.params[paramName]);
       if (!targetUser?.id) throw new ForbiddenError("User not found.");
       const shared = await db.query(
@@ -233,13 +363,16 @@ function ensureAdminOrSuperAdmin(req, res, next) {
 
 module.exports = {
   authenticateJWT,
+  ensureApiKeyScope,
   ensureLoggedIn,
+  ensureEmailVerified,
   ensureCorrectUser,
   ensureSuperAdmin,
   ensurePlatformAdmin,
   ensureAdminOrSuperAdmin,
   ensurePropertyAccess,
   ensurePropertyOwner,
+  ensureAccountOwner,
   ensureUserCanAccessAccountByParam,
   ensureUserCanAccessAccountFromBody,
   ensureAgentOrSelf,
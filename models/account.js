@@ -10,6 +10,12 @@
  * - create / get / getAll / getUserAccounts: CRUD for accounts
  * - addUserToAccount / removeUserFromAccount: Manage account membership
  * - linkNewUserToAccount: Create account and assign owner in one step
+ * - transferOwnership: Make another user the primary owner (owner_user_id)
+ *
+ * Accounts may have several owners (account_users role 'owner'); owner_user_id
+ * is the primary one. Membership changes never leave an account without an
+ * owner: demoting or removing the primary owner hands owner_user_id to another
+ * owner, and removing the last owner is refused.
  */
 
 const db = require("../db");
@@ -21,6 +27,33 @@ const { sqlForPartialUpdate } = require("../helpers/sql");
 const { generateAccountUrl } = require("../services/accountService");
 const { isAccountLinkedToUser } = require("../helpers/accountUsers");
 
+/** Before userId stops being an owner: move owner_user_id to another owner, or refuse if none is left. */
+async function ensureOwnerRemains(accountId, userId) {
+  const result = await db.query(
+    `SELECT a.owner_user_id AS "ownerUserId",
+            (SELECT role FROM account_users WHERE account_id = a.id AND user_id = $2) AS role,
+            (SELECT user_id FROM account_users
+             WHERE account_id = a.id AND role = 'owner' AND user_id <> $2
+             ORDER BY created_at LIMIT 1) AS "nextOwnerId"
+     FROM accounts a WHERE a.id = $1`,
+    [accountId, userId]
+  );
+  const account = result.rows[0];
+  if (!account) throw new NotFoundError(`No account with id: ${accountId}`);
+
+  const isPrimary = account.ownerUserId === Number(userId);
+  if (account.role !== "owner" && !isPrimary) return;
+  if (!account.nextOwnerId) {
+    throw new BadRequestError("An account must keep at least one owner. Transfer ownership first.");
+  }
+  if (isPrimary) {
+    await db.query(
+      `UPDATE accounts SET owner_user_id = $2, updated_at = NOW() WHERE id = $1`,
+      [accountId, account.nextOwnerId]
+    );
+  }
+}
+
 class Account {
 
   /** Create a new account.
@@ -190,6 +223,7 @@ class Account {
    *
    * If the account has no users yet, role is forced to 'owner'.
    * Uses upsert: if the user is already in the account, updates their role.
+   * Demoting an owner goes through the last-owner check.
    *
    * Data: { userId, accountId, role }
    *
@@ -200,6 +234,8 @@ class Account {
 
     if (!isLinked) {
       role = 'owner';
+    } else if (role !== 'owner') {
+      await ensureOwnerRemains(accountId, userId);
     }
 
     try {
@@ -243,6 +279,15 @@ class Account {
     }
   }
 
+  /** Returns the user's account_users role in the account, or null if not a member. */
+  static async getUserRole(userId, accountId) {
+    const result = await db.query(
+      `SELECT role FROM account_users WHERE user_id = $1 AND account_id = $2`,
+      [userId, accountId]
+    );
+    return result.rows[0]?.role || null;
+  }
+
   /** Create a new account and link a user as owner.
    *
    * Data: { name, userId }
@@ -263,8 +308,11 @@ class Account {
   /** Remove a user from an account.
    *
    * Data: { userId, accountId }
+   *
+   * Throws BadRequestError if the user is the account's last owner.
    */
   static async removeUserFromAccount({ userId, accountId }) {
+    await ensureOwnerRemains(accountId, userId);
     try {
       const result = await db.query(
         `DELETE FROM account_users
@@ -277,6 +325,53 @@ class Account {
       throw err;
     }
   }
+
+  /** Make toUserId the primary owner (owner_user_id and role 'owner').
+   *
+   * The previous primary owner's membership becomes previousOwnerRole
+   * ('owner' keeps them as a co-owner; 'remove' drops their membership).
+   * Fails if fromUserId is no longer the primary owner.
+   *
+   * Returns the updated account.
+   */
+  static async transferOwnership({ accountId, fromUserId, toUserId, previousOwnerRole = 'admin' }) {
+    await db.query("BEGIN");
+    try {
+      const result = await db.query(
+        `UPDATE accounts SET owner_user_id = $3, updated_at = NOW()
+         WHERE id = $1 AND owner_user_id = $2
+         RETURNING id,
+                   name,
+                   url,
+                   owner_user_id AS "ownerUserId",
+                   created_at AS "createdAt",
+                   updated_at AS "updatedAt"`,
+        [accountId, fromUserId, toUserId]
+      );
+      const account = result.rows[0];
+      if (!account) throw new BadRequestError("The account's owner has changed since this transfer was requested.");
+
+      await db.query(
+        `INSERT INTO account_users (account_id, user_id, role)
+         VALUES ($1, $2, 'owner')
+         ON CONFLICT (account_id, user_id) DO UPDATE SET role = 'owner', updated_at = NOW()`,
+        [accountId, toUserId]
+      );
+      if (previousOwnerRole === 'remove') {
+        await db.query(`DELETE FROM account_users WHERE account_id = $1 AND user_id = $2`, [accountId, fromUserId]);
+      } else {
+        await db.query(
+          `UPDATE account_users SET role = $3, updated_at = NOW() WHERE account_id = $1 AND user_id = $2`,
+          [accountId, fromUserId, previousOwnerRole]
+        );
+      }
+      await db.query("COMMIT");
+      return account;
+    } catch (err) {
+      await db.query("ROLLBACK");
+      throw err;
+    }
+  }
 }
 
 module.exports = Account;
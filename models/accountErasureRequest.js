@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * AccountErasureRequest Model
+ *
+ * A user's request to delete their account and personal data. The request
+ * waits out a cooling-off period (scheduled_for) during which the user can
+ * cancel; the privacy worker then runs the erasure and stores a summary.
+ *
+ * Key operations:
+ * - create / findOpen / cancel
+ * - claimDue: Claim a pending request whose cooling-off has ended
+ * - markCompleted / markFailed
+ */
+
+const db = require("../db");
+
+const COLUMNS = `r.id, r.user_id AS "userId", r.status, r.reason, r.scheduled_for AS "scheduledFor",
+  r.cancelled_at AS "cancelledAt", r.completed_at AS "completedAt", r.error_message AS "errorMessage",
+  r.summary, r.created_at AS "createdAt", r.updated_at AS "updatedAt"`;
+
+class AccountErasureRequest {
+
+  static async create({ userId, reason = null, scheduledFor }) {
+    const result = await db.query(
+      `INSERT INTO account_erasure_requests AS r (user_id, reason, scheduled_for)
+       VALUES ($1, $2, $3)
+       RETURNING ${COLUMNS}`,
+      [userId, reason, scheduledFor]
+    );
+    return result.rows[0];
+  }
+
+  /** The user's pending or processing request, if any. */
+  static async findOpen(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM account_erasure_requests r
+       WHERE r.user_id = $1 AND r.status IN ('pending', 'processing')`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Cancel a pending request. Returns null once processing has started. */
+  static async cancel(userId) {
+    const result = await db.query(
+      `UPDATE account_erasure_requests r
+       SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+       WHERE r.user_id = $1 AND r.status = 'pending'
+       RETURNING ${COLUMNS}`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async claimDue() {
+    const result = await db.query(
+      `UPDATE account_erasure_requests r
+       SET status = 'processing', updated_at = NOW()
+       WHERE r.id = (
+         SELECT id FROM account_erasure_requests
+         WHERE status = 'pending' AND scheduled_for <= NOW()
+         ORDER BY scheduled_for
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${COLUMNS}`
+    );
+    return result.rows[0] || null;
+  }
+
+  static async markCompleted(id, summary) {
+    await db.query(
+      `UPDATE account_erasure_requests
+       SET status = 'completed', completed_at = NOW(), summary = $2, error_message = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [id, JSON.stringify(summary)]
+    );
+  }
+
+  /** A failed erasure goes back to pending and is retried an hour later. */
+  static async markFailed(id, error) {
+    await db.query(
+      `UPDATE account_erasure_requests
+       SET status = 'pending', error_message = $2, scheduled_for = NOW() + INTERVAL '1 hour', updated_at = NOW()
+       WHERE id = $1`,
+      [id, error]
+    );
+  }
+}
+
+module.exports = AccountErasureRequest;
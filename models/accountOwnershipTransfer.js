@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * AccountOwnershipTransfer Model
+ *
+ * Requests by an account's primary owner to hand the account to another user.
+ * The recipient confirms with an emailed single-use link; only the SHA-256
+ * hash of the token is stored. A pending transfer past expires_at is treated
+ * as expired.
+ *
+ * Key operations:
+ * - create: Issue a transfer (returns the raw token once)
+ * - findPendingByToken / listForAccount
+ * - cancelPending: Cancel the account's pending transfer (a newer one replaces it)
+ * - cancel / respond: Close a pending transfer
+ */
+
+const db = require("../db");
+const crypto = require("crypto");
+const { NotFoundError } = require("../expressError");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+const COLUMNS = `t.id, t.account_id AS "accountId", t.from_user_id AS "fromUserId", t.to_user_id AS "toUserId",
+  t.previous_owner_role AS "previousOwnerRole",
+  CASE WHEN t.status = 'pending' AND t.expires_at <= NOW() THEN 'expired' ELSE t.status END AS status,
+  t.expires_at AS "expiresAt", t.responded_at AS "respondedAt", t.created_at AS "createdAt"`;
+
+const DETAIL_COLUMNS = `${COLUMNS}, a.name AS "accountName", fu.name AS "fromUserName", fu.email AS "fromUserEmail",
+  tu.name AS "toUserName", tu.email AS "toUserEmail"`;
+
+const DETAIL_FROM = `account_ownership_transfers t
+  JOIN accounts a ON a.id = t.account_id
+  LEFT JOIN users fu ON fu.id = t.from_user_id
+  JOIN users tu ON tu.id = t.to_user_id`;
+
+class AccountOwnershipTransfer {
+
+  /** @returns {Promise<Object>} the transfer plus the raw token */
+  static async create({ accountId, fromUserId, toUserId, previousOwnerRole, expiresAt }) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const result = await db.query(
+      `INSERT INTO account_ownership_transfers AS t
+         (account_id, from_user_id, to_user_id, previous_owner_role, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${COLUMNS}`,
+      [accountId, fromUserId, toUserId, previousOwnerRole, hashToken(token), expiresAt]
+    );
+    return { ...result.rows[0], token };
+  }
+
+  static async findPendingByToken(rawToken) {
+    const result = await db.query(
+      `SELECT ${DETAIL_COLUMNS} FROM ${DETAIL_FROM}
+       WHERE t.token_hash = $1 AND t.status = 'pending' AND t.expires_at > NOW()`,
+      [hashToken(rawToken)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async listForAccount(accountId, { limit = 20 } = {}) {
+    const result = await db.query(
+      `SELECT ${DETAIL_COLUMNS} FROM ${DETAIL_FROM}
+       WHERE t.account_id = $1
+       ORDER BY t.created_at DESC
+       LIMIT $2`,
+      [accountId, limit]
+    );
+    return result.rows;
+  }
+
+  static async cancelPending(accountId) {
+    await db.query(
+      `UPDATE account_ownership_transfers
+       SET status = 'cancelled', responded_at = NOW(), updated_at = NOW()
+       WHERE account_id = $1 AND status = 'pending'`,
+      [accountId]
+    );
+  }
+
+  static async cancel(id, accountId) {
+    const result = await db.query(
+      `UPDATE account_ownership_transfers t
+       SET status = 'cancelled', responded_at = NOW(), updated_at = NOW()
+       WHERE t.id = $1 AND t.account_id = $2 AND t.status = 'pending'
+       RETURNING ${COLUMNS}`,
+      [id, accountId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No pending ownership transfer: ${id}`);
+    return result.rows[0];
+  }
+
+  /** Accept or decline. Returns false if the transfer is no longer pending (a concurrent response). */
+  static async respond(id, status) {
+    const result = await db.query(
+      `UPDATE account_ownership_transfers
+       SET status = $2, responded_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending' AND expires_at > NOW()`,
+      [id, status]
+    );
+    return result.rowCount === 1;
+  }
+}
+
+module.exports = AccountOwnershipTransfer;
@@ -0,0 +1,103 @@
+"use strict";
+
+/**
+ * AccountSecurityPolicy Model
+ *
+ * Per-account sign-in rules: required MFA (with a grace period for members
+ * who have not set it up), maximum session age, allowed sign-in methods and
+ * password strength. Accounts without a row use the platform defaults.
+ *
+ * Key operations:
+ * - find / get: The account's saved policy (get falls back to defaults)
+ * - upsert: Save settings; turning require_mfa on starts the grace period
+ * - listForUser: Saved policies of every account the user belongs to
+ */
+
+const db = require("../db");
+
+const COLUMNS = `p.account_id AS "accountId", p.require_mfa AS "requireMfa",
+  p.mfa_grace_days AS "mfaGraceDays", p.mfa_required_since AS "mfaRequiredSince",
+  p.max_session_hours AS "maxSessionHours", p.allowed_auth_methods AS "allowedAuthMethods",
+  p.password_min_length AS "passwordMinLength", p.password_require_mixed_case AS "passwordRequireMixedCase",
+  p.password_require_number AS "passwordRequireNumber", p.password_require_symbol AS "passwordRequireSymbol",
+  p.updated_by AS "updatedBy", p.updated_at AS "updatedAt"`;
+
+/** Settings of an account that never saved a policy. */
+function defaultPolicy(accountId) {
+  return {
+    accountId: Number(accountId),
+    requireMfa: false,
+    mfaGraceDays: 7,
+    mfaRequiredSince: null,
+    maxSessionHours: null,
+    allowedAuthMethods: ["password", "google", "passkey"],
+    passwordMinLength: 8,
+    passwordRequireMixedCase: false,
+    passwordRequireNumber: false,
+    passwordRequireSymbol: false,
+    updatedBy: null,
+    updatedAt: null,
+  };
+}
+
+class AccountSecurityPolicy {
+
+  static async find(accountId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM account_security_policies p WHERE p.account_id = $1`,
+      [accountId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async get(accountId) {
+    return (await this.find(accountId)) || defaultPolicy(accountId);
+  }
+
+  /** Save a policy. data uses the camelCase keys of get(); omitted keys keep their value. */
+  static async upsert(accountId, data, updatedBy = null) {
+    const p = { ...(await this.get(accountId)), ...data };
+    const result = await db.query(
+      `INSERT INTO account_security_policies AS p
+         (account_id, require_mfa, mfa_grace_days, mfa_required_since, max_session_hours,
+          allowed_auth_methods, password_min_length, password_require_mixed_case,
+          password_require_number, password_require_symbol, updated_by)
+       VALUES ($1, $2, $3, CASE WHEN $2 THEN NOW() END, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (account_id) DO UPDATE SET
+         require_mfa = EXCLUDED.require_mfa,
+         mfa_grace_days = EXCLUDED.mfa_grace_days,
+         mfa_required_since = CASE
+           WHEN NOT EXCLUDED.require_mfa THEN NULL
+           ELSE COALESCE(p.mfa_required_since, NOW())
+         END,
+         max_session_hours = EXCLUDED.max_session_hours,
+         allowed_auth_methods = EXCLUDED.allowed_auth_methods,
+         password_min_length = EXCLUDED.password_min_length,
+         password_require_mixed_case = EXCLUDED.password_require_mixed_case,
+         password_require_number = EXCLUDED.password_require_number,
+         password_require_symbol = EXCLUDED.password_require_symbol,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING ${COLUMNS}`,
+      [
+        accountId, p.requireMfa, p.mfaGraceDays, p.maxSessionHours, p.allowedAuthMethods,
+        p.passwordMinLength, p.passwordRequireMixedCase, p.passwordRequireNumber,
+        p.passwordRequireSymbol, updatedBy,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  static async listForUser(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM account_security_policies p
+       JOIN account_users au ON au.account_id = p.account_id
+       WHERE au.user_id = $1`,
+      [userId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = AccountSecurityPolicy;
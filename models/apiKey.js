@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * ApiKey Model
+ *
+ * Account-scoped API keys for integrations. A key acts as the user who created
+ * it, limited to its scopes and to the account's properties. Keys look like
+ * "hops_<prefix>_<secret>"; the prefix identifies the key in listings and logs,
+ * only a hash of the full key is stored, and the raw key is returned only by
+ * create and rotate.
+ *
+ * Key operations:
+ * - create / rotate: Issue a key (rotate replaces the secret, old key stops working)
+ * - listForAccount: Keys of an account (no secrets)
+ * - findActiveByKey: Resolve a raw key for a request and record its use
+ * - revoke: Disable a key
+ */
+
+const db = require("../db");
+const crypto = require("crypto");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { API_KEY_SCOPES } = require("../helpers/apiKeyScopes");
+
+const KEY_PREFIX = "hops_";
+const KEY_RE = /^hops_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+const COLUMNS = `k.id, k.account_id AS "accountId", k.user_id AS "userId", k.name,
+  k.key_prefix AS "keyPrefix", k.scopes, k.expires_at AS "expiresAt",
+  k.last_used_at AS "lastUsedAt", k.last_used_ip AS "lastUsedIp",
+  k.rotated_at AS "rotatedAt", k.revoked_at AS "revokedAt", k.created_at AS "createdAt"`;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateKey() {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(6).toString("hex")}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new BadRequestError("At least one scope is required");
+  }
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) {
+    throw new BadRequestError(`Unknown scopes: ${unknown.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`);
+  }
+  return [...new Set(scopes)];
+}
+
+class ApiKey {
+
+  /** Whether a bearer credential is an API key rather than a JWT. */
+  static looksLikeKey(token) {
+    return typeof token === "string" && token.startsWith(KEY_PREFIX);
+  }
+
+  static async create({ accountId, userId, name, scopes, expiresAt = null }) {
+    const { key, prefix, hash } = generateKey();
+    const result = await db.query(
+      `INSERT INTO api_keys AS k (account_id, user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${COLUMNS}`,
+      [accountId, userId, name, prefix, hash, validateScopes(scopes), expiresAt]
+    );
+    return { ...result.rows[0], key };
+  }
+
+  static async listForAccount(accountId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM api_keys k
+       WHERE k.account_id = $1 AND k.revoked_at IS NULL
+       ORDER BY k.created_at DESC`,
+      [accountId]
+    );
+    return result.rows;
+  }
+
+  /** Replace a key's secret. Name, scopes and expiry are kept. */
+  static async rotate(id, accountId) {
+    const { key, prefix, hash } = generateKey();
+    const result = await db.query(
+      `UPDATE api_keys k
+       SET key_prefix = $3, key_hash = $4, rotated_at = NOW()
+       WHERE k.id = $1 AND k.account_id = $2 AND k.revoked_at IS NULL
+       RETURNING ${COLUMNS}`,
+      [id, accountId, prefix, hash]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+    return { ...result.rows[0], key };
+  }
+
+  static async revoke(id, accountId) {
+    const result = await db.query(
+      `UPDATE api_keys
+       SET revoked_at = NOW()
+       WHERE id = $1 AND account_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, accountId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /**
+   * Active key for a raw secret, with the user it acts as, or null.
+   * The user must be active and still a member of the key's account.
+   * Records the use (at most once a minute per key).
+   */
+  static async findActiveByKey(key, { ip = null } = {}) {
+    const match = KEY_RE.exec(key || "");
+    if (!match) return null;
+    const result = await db.query(
+      `SELECT ${COLUMNS}, k.key_hash, u.email, u.role
+       FROM api_keys k
+       JOIN users u ON u.id = k.user_id AND u.is_active = true
+       JOIN account_users au ON au.account_id = k.account_id AND au.user_id = k.user_id
+       WHERE k.key_prefix = $1 AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+      [`${KEY_PREFIX}${match[1]}`]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const expected = Buffer.from(row.key_hash, "hex");
+    if (!crypto.timingSafeEqual(expected, Buffer.from(hashKey(key), "hex"))) return null;
+
+    db.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [row.id, ip]
+    ).catch(() => {});
+
+    const { key_hash, ...apiKey } = row;
+    return apiKey;
+  }
+}
+
+module.exports = ApiKey;
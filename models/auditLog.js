@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * AuditLog Model
+ *
+ * Append-only trail of changes to accounts, properties and their records:
+ * actor (user and, for API key requests, the key), action, entity, a
+ * field-level diff, IP address and request id. The table rejects UPDATE and
+ * DELETE (trigger), so there is no edit or remove here; the one exception is
+ * redactUser, for account erasure.
+ *
+ * Key operations:
+ * - record: Append an entry (account_id falls back to the property's account)
+ * - list: Entries for an account or property, newest first, with filters and an id cursor
+ * - redactUser: Strip an erased user's personal data from existing entries
+ */
+
+const db = require("../db");
+
+const COLUMNS = `l.id, l.account_id AS "accountId", l.property_id AS "propertyId",
+  l.actor_user_id AS "actorUserId", u.name AS "actorName", u.email AS "actorEmail",
+  l.actor_api_key_id AS "actorApiKeyId", l.action, l.entity_type AS "entityType",
+  l.entity_id AS "entityId", l.changes, l.metadata, l.ip_address AS "ipAddress",
+  l.request_id AS "requestId", l.created_at AS "createdAt"`;
+
+const MAX_LIMIT = 10000;
+
+class AuditLog {
+
+  static async record({
+    accountId = null, propertyId = null, actorUserId = null, actorApiKeyId = null,
+    action, entityType, entityId = null, changes = null, metadata = null,
+    ipAddress = null, requestId = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO audit_log
+         (account_id, property_id, actor_user_id, actor_api_key_id, action, entity_type,
+          entity_id, changes, metadata, ip_address, request_id)
+       VALUES (COALESCE($1, (SELECT account_id FROM properties WHERE id = $2)),
+               $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id`,
+      [
+        accountId, propertyId, actorUserId, actorApiKeyId, action, entityType,
+        entityId == null ? null : String(entityId),
+        changes ? JSON.stringify(changes) : null,
+        metadata ? JSON.stringify(metadata) : null,
+        ipAddress, requestId,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Entries for an account or a property, newest first.
+   * Filters: action (exact, or prefix with a trailing "*"), entityType, actorUserId,
+   * from / to (timestamps), before (id cursor from the previous page), limit.
+   */
+  static async list({ accountId, propertyId, action, entityType, actorUserId, from, to, before, limit = 100 }) {
+    const where = [];
+    const values = [];
+    const add = (sql, value) => {
+      values.push(value);
+      where.push(sql.replace("?", `$${values.length}`));
+    };
+
+    if (accountId != null) add("l.account_id = ?", accountId);
+    if (propertyId != null) add("l.property_id = ?", propertyId);
+    if (action) {
+      if (action.endsWith("*")) add("l.action LIKE ?", `${action.slice(0, -1).replace(/[\\%_]/g, "\\$&")}%`);
+      else add("l.action = ?", action);
+    }
+    if (entityType) add("l.entity_type = ?", entityType);
+    if (actorUserId) add("l.actor_user_id = ?", actorUserId);
+    if (from) add("l.created_at >= ?", from);
+    if (to) add("l.created_at <= ?", to);
+    if (before) add("l.id < ?", before);
+
+    values.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LIMIT));
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM audit_log l
+       LEFT JOIN users u ON u.id = l.actor_user_id
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY l.id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Redact an erased user from the log (audit_log_redact_user): clears their IP address and
+   * actor id, drops diffs of accounts deleted with them, and replaces their personal values
+   * wherever they appear as a value in a diff. Run inside the erasure transaction.
+   * @param {number} userId
+   * @param {Object} opts - { values: string[] (email, name, phone, ...), accountIds: number[] }
+   */
+  static async redactUser(userId, { values = [], accountIds = [] } = {}) {
+    await db.query(
+      `SELECT audit_log_redact_user($1, $2::text[], $3::int[])`,
+      [userId, values.filter(Boolean).map(String), accountIds]
+    );
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * AuthFailure Model
+ *
+ * Failed sign-in, MFA and password-reset attempts, kept in the database so
+ * brute-force limits survive restarts and are shared by every instance.
+ * Emails are stored lower-cased.
+ *
+ * Key operations:
+ * - record: Log a failed attempt
+ * - statsForEmail / statsForIp: Failures in a window (count, first and last attempt)
+ * - clearForEmail: Forget an email's failures after a successful sign-in
+ * - cleanupOlderThan: Drop old rows
+ */
+
+const db = require("../db");
+
+class AuthFailure {
+
+  static async record({ scope, email = null, ipAddress = null }) {
+    await db.query(
+      `INSERT INTO auth_failures (scope, email, ip_address) VALUES ($1, $2, $3)`,
+      [scope, email, ipAddress]
+    );
+  }
+
+  /** @returns {Promise<{ count: number, firstAt: Date|null, lastAt: Date|null }>} */
+  static async statsForEmail(email, since) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count, MIN(created_at) AS "firstAt", MAX(created_at) AS "lastAt"
+       FROM auth_failures
+       WHERE email = $1 AND created_at > $2`,
+      [email, since]
+    );
+    return result.rows[0];
+  }
+
+  /** @returns {Promise<{ count: number, firstAt: Date|null, lastAt: Date|null }>} */
+  static async statsForIp(ipAddress, since) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count, MIN(created_at) AS "firstAt", MAX(created_at) AS "lastAt"
+       FROM auth_failures
+       WHERE ip_address = $1 AND created_at > $2`,
+      [ipAddress, since]
+    );
+    return result.rows[0];
+  }
+
+  static async clearForEmail(email) {
+    await db.query(`DELETE FROM auth_failures WHERE email = $1`, [email]);
+  }
+
+  static async cleanupOlderThan(days = 7) {
+    await db.query(
+      `DELETE FROM auth_failures WHERE created_at < NOW() - ($1 || ' days')::interval`,
+      [String(days)]
+    );
+  }
+}
+
+module.exports = AuthFailure;
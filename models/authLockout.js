@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * AuthLockout Model
+ *
+ * Temporary sign-in lockouts after repeated failures. A lockout is keyed by
+ * the lower-cased email (user_id is set when the email belongs to a user) and
+ * ends at locked_until, through the emailed unlock link, or by a platform admin.
+ *
+ * Key operations:
+ * - create: Start a lockout (stores the unlock token hash)
+ * - findActive: The email's current lockout, if any
+ * - recentForEmail: Lockouts started since a time (count and latest start)
+ * - unlockByTokenHash / unlock: End a lockout early
+ * - listActive: Current lockouts for the admin view
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `l.id, l.email, l.user_id AS "userId", l.failed_attempts AS "failedAttempts",
+  l.locked_until AS "lockedUntil", l.last_ip_address AS "lastIpAddress",
+  l.unlocked_at AS "unlockedAt", l.unlocked_by AS "unlockedBy", l.unlock_method AS "unlockMethod",
+  l.created_at AS "createdAt"`;
+
+class AuthLockout {
+
+  static async create({ email, userId = null, failedAttempts, lockedUntil, unlockTokenHash = null, lastIpAddress = null }) {
+    const result = await db.query(
+      `INSERT INTO auth_lockouts AS l
+         (email, user_id, failed_attempts, locked_until, unlock_token_hash, last_ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${COLUMNS}`,
+      [email, userId, failedAttempts, lockedUntil, unlockTokenHash, lastIpAddress]
+    );
+    return result.rows[0];
+  }
+
+  static async findActive(email) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM auth_lockouts l
+       WHERE l.email = $1 AND l.unlocked_at IS NULL AND l.locked_until > NOW()
+       ORDER BY l.locked_until DESC
+       LIMIT 1`,
+      [email]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** @returns {Promise<{ count: number, lastCreatedAt: Date|null }>} */
+  static async recentForEmail(email, since) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count, MAX(created_at) AS "lastCreatedAt"
+       FROM auth_lockouts
+       WHERE email = $1 AND created_at > $2`,
+      [email, since]
+    );
+    return result.rows[0];
+  }
+
+  /** End the lockout an unlock link belongs to. Returns null for unknown, used or expired links. */
+  static async unlockByTokenHash(tokenHash) {
+    const result = await db.query(
+      `UPDATE auth_lockouts l
+       SET unlocked_at = NOW(), unlock_method = 'email', unlock_token_hash = NULL
+       WHERE l.unlock_token_hash = $1 AND l.unlocked_at IS NULL AND l.locked_until > NOW()
+       RETURNING ${COLUMNS}`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async unlock(id, { unlockedBy = null } = {}) {
+    const result = await db.query(
+      `UPDATE auth_lockouts l
+       SET unlocked_at = NOW(), unlocked_by = $2, unlock_method = 'admin', unlock_token_hash = NULL
+       WHERE l.id = $1 AND l.unlocked_at IS NULL AND l.locked_until > NOW()
+       RETURNING ${COLUMNS}`,
+      [id, unlockedBy]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No active lockout: ${id}`);
+    return result.rows[0];
+  }
+
+  /** Active lockouts, newest first, with the user's name when the email belongs to a user. */
+  static async listActive({ limit = 100 } = {}) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}, u.name AS "userName"
+       FROM auth_lockouts l
+       LEFT JOIN users u ON u.id = l.user_id
+       WHERE l.unlocked_at IS NULL AND l.locked_until > NOW()
+       ORDER BY l.created_at DESC
+       LIMIT $1`,
+      [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = AuthLockout;
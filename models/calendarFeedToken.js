@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * CalendarFeedToken Model
+ *
+ * Secret tokens that authenticate subscribable ICS calendar feeds. A token
+ * belongs to a user and optionally narrows the feed to one property. Tokens
+ * are hashed before storage; the raw token is returned only by create.
+ *
+ * Key operations:
+ * - create: Generate a token (returns the raw token once)
+ * - listForUser: Active feeds for a user (no secrets)
+ * - findActiveByToken: Resolve a raw token for a feed request
+ * - revoke: Disable a feed
+ */
+
+const db = require("../db");
+const crypto = require("crypto");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `t.id, t.user_id AS "userId", t.property_id AS "propertyId",
+  t.label, t.last_accessed_at AS "lastAccessedAt", t.created_at AS "createdAt"`;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class CalendarFeedToken {
+
+  static async create({ userId, propertyId = null, label = null }) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const result = await db.query(
+      `INSERT INTO calendar_feed_tokens AS t (user_id, property_id, token_hash, label)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${COLUMNS}`,
+      [userId, propertyId, hashToken(token), label]
+    );
+    return { ...result.rows[0], token };
+  }
+
+  static async listForUser(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}, p.property_uid AS "propertyUid", p.property_name AS "propertyName"
+       FROM calendar_feed_tokens t
+       LEFT JOIN properties p ON p.id = t.property_id
+       WHERE t.user_id = $1 AND t.revoked_at IS NULL
+       ORDER BY t.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /** Active token for a raw secret (owner must still be active), or null. Records the access. */
+  static async findActiveByToken(token) {
+    if (!token) return null;
+    const result = await db.query(
+      `UPDATE calendar_feed_tokens t
+       SET last_accessed_at = NOW()
+       FROM users u
+       WHERE u.id = t.user_id AND u.is_active = true
+         AND t.token_hash = $1 AND t.revoked_at IS NULL
+       RETURNING ${COLUMNS}`,
+      [hashToken(token)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async revoke(id, userId) {
+    const result = await db.query(
+      `UPDATE calendar_feed_tokens
+       SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No calendar feed: ${id}`);
+  }
+}
+
+module.exports = CalendarFeedToken;
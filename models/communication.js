@@ -7,14 +7,16 @@ const BARE_COLS = `id, account_id AS "accountId", template_id AS "templateId",
   subject, content, image_key AS "imageKey", recipient_mode AS "recipientMode",
   recipient_ids AS "recipientIds", delivery_channel AS "deliveryChannel",
   status, scheduled_at AS "scheduledAt", sent_at AS "sentAt",
-  recipient_count AS "recipientCount", created_by AS "createdBy",
+  recipient_count AS "recipientCount", retry_count AS "retryCount",
+  failure_reason AS "failureReason", created_by AS "createdBy",
   created_at AS "createdAt", updated_at AS "updatedAt"`;
 
 const COLS = `c.id, c.account_id AS "accountId", c.template_id AS "templateId",
   c.subject, c.content, c.image_key AS "imageKey", c.recipient_mode AS "recipientMode",
   c.recipient_ids AS "recipientIds", c.delivery_channel AS "deliveryChannel",
   c.status, c.scheduled_at AS "scheduledAt", c.sent_at AS "sentAt",
-  c.recipient_count AS "recipientCount", c.created_by AS "createdBy",
+  c.recipient_count AS "recipientCount", c.retry_count AS "retryCount",
+  c.failure_reason AS "failureReason", c.created_by AS "createdBy",
   c.created_at AS "createdAt", c.updated_at AS "updatedAt"`;
 
 class Communication {
@@ -108,6 +110,8 @@ class Communication {
       scheduled_at: "scheduled_at",
       sent_at: "sent_at",
       recipient_count: "recipient_count",
+      retry_count: "retry_count",
+      failure_reason: "failure_reason",
     };
 
     const sets = [];
@@ -158,6 +162,83 @@ class Communication {
     return result.rows;
   }
 
+  /** Atomically claim due scheduled communications for sending.
+   * Uses FOR UPDATE SKIP LOCKED so concurrent workers (multiple instances) never
+   * claim the same row. Rows stuck in 'sending' longer than staleMinutes (worker
+   * crashed mid-send) are reclaimed.
+   */
+  static async claimDueScheduled({ limit = 10, staleMinutes = 15 } = {}) {
+    const result = await db.query(
+      `UPDATE communications
+       SET status = 'sending', claimed_at = NOW(), updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM communications
+         WHERE (status = 'scheduled' AND scheduled_at <= NOW())
+            OR (status = 'sending' AND claimed_at < NOW() - ($2 || ' minutes')::interval)
+         ORDER BY scheduled_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${BARE_COLS}`,
+      [limit, String(staleMinutes)]
+    );
+    return result.rows;
+  }
+
+  /** Claim one communication for an immediate send. Returns null when it is already
+   * sent (fully or partially) or another send holds it (a 'sending' claim older than
+   * staleMinutes is taken over).
+   */
+  static async claimForSend(id, { staleMinutes = 15 } = {}) {
+    const result = await db.query(
+      `UPDATE communications
+       SET status = 'sending', claimed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+         AND (status NOT IN ('sent', 'partially_sent', 'sending')
+              OR (status = 'sending' AND claimed_at < NOW() - ($2 || ' minutes')::interval))
+       RETURNING ${BARE_COLS}`,
+      [id, String(staleMinutes)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Record the outcome of a send: status is 'sent', 'partially_sent' (some deliveries
+   * failed) or 'failed' (none delivered); failureReason summarizes the failures.
+   */
+  static async markSent(id, { recipientCount, status = "sent", failureReason = null }) {
+    const result = await db.query(
+      `UPDATE communications
+       SET status = $3, sent_at = CASE WHEN $3 = 'failed' THEN sent_at ELSE NOW() END,
+           recipient_count = $2, failure_reason = $4, claimed_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${BARE_COLS}`,
+      [id, recipientCount, status, failureReason ? String(failureReason).slice(0, 1000) : null]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`Communication not found: ${id}`);
+    return result.rows[0];
+  }
+
+  /** Record a failed send attempt. Re-schedules with exponential backoff until
+   * maxRetries attempts have failed, then marks the communication 'failed'.
+   */
+  static async markAttemptFailed(id, { reason, maxRetries = 3, backoffSeconds = 60 }) {
+    const result = await db.query(
+      `UPDATE communications
+       SET retry_count = retry_count + 1,
+           failure_reason = $2,
+           status = CASE WHEN retry_count + 1 >= $3 THEN 'failed' ELSE 'scheduled' END,
+           scheduled_at = CASE WHEN retry_count + 1 >= $3 THEN scheduled_at
+                               ELSE NOW() + ($4 * POWER(2, retry_count)) * INTERVAL '1 second' END,
+           claimed_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${BARE_COLS}`,
+      [id, reason ? String(reason).slice(0, 1000) : null, maxRetries, backoffSeconds]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`Communication not found: ${id}`);
+    return result.rows[0];
+  }
+
   /** List communications sent to the given user (for Discover feed). */
   static async listForRecipient(userId, filters = {}) {
     const { limit = 50 } = filters;
@@ -167,7 +248,7 @@ class Communication {
        FROM communications c
        INNER JOIN comm_recipients cr ON cr.communication_id = c.id AND cr.user_id = $1
        LEFT JOIN users u ON u.id = c.created_by
-       WHERE c.status = 'sent'
+       WHERE c.status IN ('sent', 'partially_sent')
        ORDER BY c.sent_at DESC NULLS LAST
        LIMIT $2`,
       [userId, limit]
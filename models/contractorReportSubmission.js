@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * ContractorReportSubmission Model
+ *
+ * A contractor's submitted report, held as a proposed revision of the
+ * maintenance record until someone on the property reviews it. Only one
+ * submission per record can be pending review at a time.
+ *
+ * Key operations:
+ * - create: Store a submission (replaces any pending one for the record)
+ * - getPendingForRecord / getLatestForToken / listForRecord
+ * - review: Mark a pending submission accepted or returned
+ * - supersedePending: Drop the pending submission when a new contractor link is sent
+ */
+
+const db = require("../db");
+
+const COLUMNS = `s.id, s.token_id AS "tokenId", s.maintenance_record_id AS "maintenanceRecordId",
+  s.property_id AS "propertyId", s.proposed, s.status, s.reviewer_edits AS "reviewerEdits",
+  s.review_comments AS "reviewComments", s.reviewed_by AS "reviewedBy", s.reviewed_at AS "reviewedAt",
+  s.created_at AS "createdAt"`;
+
+class ContractorReportSubmission {
+
+  static async create({ tokenId, maintenanceRecordId, propertyId, proposed }) {
+    await this.supersedePending(maintenanceRecordId);
+    const result = await db.query(
+      `INSERT INTO contractor_report_submissions AS s (token_id, maintenance_record_id, property_id, proposed)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${COLUMNS}`,
+      [tokenId, maintenanceRecordId, propertyId, JSON.stringify(proposed)]
+    );
+    return result.rows[0];
+  }
+
+  static async getPendingForRecord(maintenanceRecordId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM contractor_report_submissions s
+       WHERE s.maintenance_record_id = $1 AND s.status = 'pending_review'`,
+      [maintenanceRecordId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Most recent submission made through a token (used to prefill a returned report). */
+  static async getLatestForToken(tokenId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM contractor_report_submissions s
+       WHERE s.token_id = $1
+       ORDER BY s.created_at DESC, s.id DESC
+       LIMIT 1`,
+      [tokenId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async listForRecord(maintenanceRecordId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}, u.name AS "reviewedByName"
+       FROM contractor_report_submissions s
+       LEFT JOIN users u ON u.id = s.reviewed_by
+       WHERE s.maintenance_record_id = $1
+       ORDER BY s.created_at DESC, s.id DESC`,
+      [maintenanceRecordId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Close a pending submission. Returns null if it was already reviewed.
+   * @param {number} id
+   * @param {Object} opts - { status: 'accepted'|'returned', reviewedBy, edits?, comments? }
+   */
+  static async review(id, { status, reviewedBy, edits = null, comments = null }) {
+    const result = await db.query(
+      `UPDATE contractor_report_submissions s
+       SET status = $2, reviewed_by = $3, reviewer_edits = $4, review_comments = $5,
+           reviewed_at = NOW(), updated_at = NOW()
+       WHERE s.id = $1 AND s.status = 'pending_review'
+       RETURNING ${COLUMNS}`,
+      [id, status, reviewedBy ?? null, edits ? JSON.stringify(edits) : null, comments]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async supersedePending(maintenanceRecordId) {
+    const result = await db.query(
+      `UPDATE contractor_report_submissions
+       SET status = 'superseded', updated_at = NOW()
+       WHERE maintenance_record_id = $1 AND status = 'pending_review'`,
+      [maintenanceRecordId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = ContractorReportSubmission;
@@ -10,9 +10,13 @@
  * Key operations:
  * - create: Generate a token entry for a maintenance record
  * - validateToken: Verify a raw token and return associated data
- * - markCompleted: Mark token as used after contractor submits
+ * - markCompleted: Mark token as used after contractor submits (with their signature, if given)
  * - getByRecordId: Find active token for a maintenance record
  * - revoke: Cancel a pending token
+ * - reopen: Re-activate a completed token (new link) when its report is sent back for changes
+ * - recordOpen: Count a view of the report form
+ * - listDueForReminder / claimReminder: Reminder emails before expiry
+ * - expirePending: Mark pending tokens past their expiry as expired
  */
 
 const db = require("../db");
@@ -21,15 +25,21 @@ const { BadRequestError, NotFoundError, UnauthorizedError } = require("../expres
 
 class ContractorReportToken {
 
-  static async create({ maintenanceRecordId, propertyId, contractorEmail, contractorName, tokenHash, expiresAt, createdBy }) {
+  static async create({
+    maintenanceRecordId, propertyId, contractorEmail, contractorName, tokenHash, tokenEncrypted, expiresAt, createdBy, reissuedFromId,
+  }) {
     const result = await db.query(
       `INSERT INTO contractor_report_tokens
-        (maintenance_record_id, property_id, contractor_email, contractor_name, token_hash, expires_at, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+        (maintenance_record_id, property_id, contractor_email, contractor_name, token_hash, token_encrypted,
+         expires_at, created_by, reissued_from_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING id, maintenance_record_id AS "maintenanceRecordId", property_id AS "propertyId",
                  contractor_email AS "contractorEmail", contractor_name AS "contractorName",
-                 status, expires_at AS "expiresAt", created_at AS "createdAt"`,
-      [maintenanceRecordId, propertyId, contractorEmail, contractorName || null, tokenHash, expiresAt, createdBy || null]
+                 status, expires_at AS "expiresAt", reissued_from_id AS "reissuedFromId", created_at AS "createdAt"`,
+      [
+        maintenanceRecordId, propertyId, contractorEmail, contractorName || null, tokenHash, tokenEncrypted || null,
+        expiresAt, createdBy || null, reissuedFromId || null,
+      ]
     );
     return result.rows[0];
   }
@@ -67,13 +77,24 @@ class ContractorReportToken {
     return record;
   }
 
-  static async markCompleted(id) {
+  /** signature: { signerName, signatureType: 'typed'|'drawn', signatureKey, ipAddress, userAgent } */
+  static async markCompleted(id, signature = null) {
     const result = await db.query(
       `UPDATE contractor_report_tokens
-       SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+       SET status = 'completed', completed_at = NOW(), updated_at = NOW(),
+           signer_name = $2, signature_type = $3, signature_key = $4,
+           signed_at = CASE WHEN $2::text IS NULL THEN NULL ELSE NOW() END,
+           signed_ip = $5, signed_user_agent = $6
        WHERE id = $1 AND status = 'pending'
-       RETURNING id, maintenance_record_id AS "maintenanceRecordId"`,
-      [id]
+       RETURNING id, maintenance_record_id AS "maintenanceRecordId", signed_at AS "signedAt"`,
+      [
+        id,
+        signature?.signerName ?? null,
+        signature?.signatureType ?? null,
+        signature?.signatureKey ?? null,
+        signature?.ipAddress ?? null,
+        signature?.userAgent ?? null,
+      ]
     );
     if (!result.rows[0]) throw new NotFoundError(`No pending token: ${id}`);
     return result.rows[0];
@@ -92,7 +113,11 @@ class ContractorReportToken {
               contractor_name AS "contractorName",
               status, expires_at AS "expiresAt",
               completed_at AS "completedAt",
-              created_at AS "createdAt"
+              signer_name AS "signerName", signature_type AS "signatureType",
+              signature_key AS "signatureKey", signed_at AS "signedAt", signed_ip AS "signedIp",
+              open_count AS "openCount", first_opened_at AS "firstOpenedAt", last_opened_at AS "lastOpenedAt",
+              reminder_count AS "reminderCount", last_reminded_at AS "lastRemindedAt",
+              reissued_from_id AS "reissuedFromId", created_at AS "createdAt"
        FROM contractor_report_tokens
        WHERE ${clauses.join(" AND ")}
        ORDER BY created_at DESC`,
@@ -111,6 +136,71 @@ class ContractorReportToken {
     return { revoked: id };
   }
 
+  /** Make a completed token usable again under a new hash, so the contractor can revise their report. */
+  static async reopen(id, { tokenHash, tokenEncrypted, expiresAt }) {
+    const result = await db.query(
+      `UPDATE contractor_report_tokens
+       SET status = 'pending', token_hash = $2, token_encrypted = $4, expires_at = $3, completed_at = NULL,
+           reminder_count = 0, last_reminded_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'completed'
+       RETURNING id, maintenance_record_id AS "maintenanceRecordId", property_id AS "propertyId",
+                 contractor_email AS "contractorEmail", contractor_name AS "contractorName",
+                 status, expires_at AS "expiresAt"`,
+      [id, tokenHash, expiresAt, tokenEncrypted || null]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No completed token: ${id}`);
+    return result.rows[0];
+  }
+
+  /** Count a load of the report form. */
+  static async recordOpen(id) {
+    await db.query(
+      `UPDATE contractor_report_tokens
+       SET open_count = open_count + 1, first_opened_at = COALESCE(first_opened_at, NOW()), last_opened_at = NOW()
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /**
+   * Pending tokens expiring within withinHours that have had fewer than maxReminders
+   * reminders, with what the reminder email needs.
+   */
+  static async listDueForReminder({ withinHours, maxReminders, limit = 100 }) {
+    const result = await db.query(
+      `SELECT crt.id, crt.maintenance_record_id AS "maintenanceRecordId", crt.property_id AS "propertyId",
+              crt.contractor_email AS "contractorEmail", crt.contractor_name AS "contractorName",
+              crt.token_encrypted AS "tokenEncrypted", crt.expires_at AS "expiresAt",
+              crt.reminder_count AS "reminderCount", crt.open_count AS "openCount",
+              pm.system_key AS "systemKey",
+              p.address AS "propertyAddress", p.city AS "propertyCity", p.state AS "propertyState"
+       FROM contractor_report_tokens crt
+       JOIN property_maintenance pm ON pm.id = crt.maintenance_record_id
+       JOIN properties p ON p.id = crt.property_id
+       WHERE crt.status = 'pending'
+         AND crt.token_encrypted IS NOT NULL
+         AND crt.reminder_count < $2
+         AND crt.expires_at > NOW()
+         AND crt.expires_at <= NOW() + make_interval(hours => $1)
+       ORDER BY crt.expires_at
+       LIMIT $3`,
+      [withinHours, maxReminders, limit]
+    );
+    return result.rows;
+  }
+
+  /** Record that reminder number `count` went out. Returns false if another worker got there first. */
+  static async claimReminder(id, { previousCount, count }) {
+    const result = await db.query(
+      `UPDATE contractor_report_tokens
+       SET reminder_count = $3, last_reminded_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND reminder_count = $2 AND status = 'pending'
+       RETURNING id`,
+      [id, previousCount, count]
+    );
+    return result.rows.length > 0;
+  }
+
   static async expirePending() {
     const result = await db.query(
       `UPDATE contractor_report_tokens SET status = 'expired', updated_at = NOW()
@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * ContractorReportUpload Model
+ *
+ * Files a contractor uploads through a report link: before/after photos,
+ * invoices and other attachments. Rows are created when the upload URL is
+ * issued (status pending) and marked attached once the report is submitted
+ * and the file is saved as a property document.
+ *
+ * Key operations:
+ * - create / listForToken / countForToken
+ * - remove: Delete a pending upload
+ * - markAttached: Link an upload to its property document
+ * - moveToToken: Carry pending uploads over to a re-issued link
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `u.id, u.token_id AS "tokenId", u.maintenance_record_id AS "maintenanceRecordId",
+  u.property_id AS "propertyId", u.category, u.file_name AS "fileName", u.content_type AS "contentType",
+  u.s3_key AS "s3Key", u.size_bytes AS "sizeBytes", u.status, u.property_document_id AS "propertyDocumentId",
+  u.created_at AS "createdAt"`;
+
+class ContractorReportUpload {
+
+  static async create({ tokenId, maintenanceRecordId, propertyId, category, fileName, contentType, s3Key, sizeBytes }) {
+    const result = await db.query(
+      `INSERT INTO contractor_report_uploads AS u
+         (token_id, maintenance_record_id, property_id, category, file_name, content_type, s3_key, size_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${COLUMNS}`,
+      [tokenId, maintenanceRecordId, propertyId, category, fileName, contentType, s3Key, sizeBytes ?? null]
+    );
+    return result.rows[0];
+  }
+
+  static async listForToken(tokenId, { status } = {}) {
+    const values = [tokenId];
+    let statusClause = "";
+    if (status) {
+      values.push(status);
+      statusClause = `AND u.status = $2`;
+    }
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM contractor_report_uploads u
+       WHERE u.token_id = $1 ${statusClause}
+       ORDER BY u.created_at, u.id`,
+      values
+    );
+    return result.rows;
+  }
+
+  static async countForToken(tokenId) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count FROM contractor_report_uploads WHERE token_id = $1`,
+      [tokenId]
+    );
+    return result.rows[0].count;
+  }
+
+  /** Delete a pending upload; returns it so the caller can remove the S3 object. */
+  static async remove(id, tokenId) {
+    const result = await db.query(
+      `DELETE FROM contractor_report_uploads u
+       WHERE u.id = $1 AND u.token_id = $2 AND u.status = 'pending'
+       RETURNING ${COLUMNS}`,
+      [id, tokenId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No pending upload: ${id}`);
+    return result.rows[0];
+  }
+
+  static async markAttached(id, { propertyDocumentId, sizeBytes }) {
+    await db.query(
+      `UPDATE contractor_report_uploads
+       SET status = 'attached', property_document_id = $2, size_bytes = COALESCE($3, size_bytes), updated_at = NOW()
+       WHERE id = $1`,
+      [id, propertyDocumentId, sizeBytes ?? null]
+    );
+  }
+
+  static async moveToToken(fromTokenId, toTokenId) {
+    const result = await db.query(
+      `UPDATE contractor_report_uploads SET token_id = $2, updated_at = NOW()
+       WHERE token_id = $1 AND status = 'pending'`,
+      [fromTokenId, toTokenId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = ContractorReportUpload;
@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * DataExportJob Model
+ *
+ * A user's request for a copy of their personal data. Jobs are queued rows
+ * picked up by the privacy worker, which uploads a ZIP archive to S3 and
+ * records its key; the archive is deleted again at expires_at.
+ *
+ * Key operations:
+ * - create / get / listForUser
+ * - claimNext: Claim a queued (or stale processing) job (FOR UPDATE SKIP LOCKED)
+ * - markCompleted / markFailed
+ * - listExpired / markExpired: Archives past their download window
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `j.id, j.user_id AS "userId", j.status, j.s3_key AS "s3Key",
+  j.size_bytes AS "sizeBytes", j.file_count AS "fileCount", j.error_message AS "errorMessage",
+  j.attempts, j.expires_at AS "expiresAt", j.finished_at AS "finishedAt",
+  j.created_at AS "createdAt", j.updated_at AS "updatedAt"`;
+
+class DataExportJob {
+
+  static async create(userId) {
+    const result = await db.query(
+      `INSERT INTO data_export_jobs AS j (user_id) VALUES ($1) RETURNING ${COLUMNS}`,
+      [userId]
+    );
+    return result.rows[0];
+  }
+
+  static async get(id, userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM data_export_jobs j WHERE j.id = $1 AND j.user_id = $2`,
+      [id, userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No data export: ${id}`);
+    return result.rows[0];
+  }
+
+  static async listForUser(userId, { limit = 20 } = {}) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM data_export_jobs j
+       WHERE j.user_id = $1
+       ORDER BY j.created_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows;
+  }
+
+  /** The user's queued or processing job, if any. */
+  static async findOpen(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM data_export_jobs j
+       WHERE j.user_id = $1 AND j.status IN ('queued', 'processing')
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Claim the oldest queued job, or one left 'processing' by a worker that stopped over staleMinutes ago. */
+  static async claimNext({ staleMinutes = 30 } = {}) {
+    const result = await db.query(
+      `UPDATE data_export_jobs j
+       SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+       WHERE j.id = (
+         SELECT id FROM data_export_jobs
+         WHERE status = 'queued'
+            OR (status = 'processing' AND locked_at < NOW() - ($1 || ' minutes')::interval)
+         ORDER BY created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${COLUMNS}`,
+      [String(staleMinutes)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async markCompleted(id, { s3Key, sizeBytes, fileCount, expiresAt }) {
+    await db.query(
+      `UPDATE data_export_jobs
+       SET status = 'completed', s3_key = $2, size_bytes = $3, file_count = $4, expires_at = $5,
+           error_message = NULL, locked_at = NULL, finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [id, s3Key, sizeBytes, fileCount, expiresAt]
+    );
+  }
+
+  /** Record a failed attempt: back to 'queued' until maxAttempts, then 'failed'. */
+  static async markFailed(id, { error, maxAttempts }) {
+    const result = await db.query(
+      `UPDATE data_export_jobs
+       SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'queued' END,
+           finished_at = CASE WHEN attempts >= $3 THEN NOW() ELSE finished_at END,
+           error_message = $2, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING status`,
+      [id, error, maxAttempts]
+    );
+    return result.rows[0]?.status;
+  }
+
+  static async listExpired({ limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM data_export_jobs j
+       WHERE j.status = 'completed' AND j.expires_at <= NOW()
+       ORDER BY j.expires_at
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  static async markExpired(id) {
+    await db.query(
+      `UPDATE data_export_jobs SET status = 'expired', s3_key = NULL, updated_at = NOW() WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /** S3 keys of every stored archive for a user (for erasure). */
+  static async archiveKeysForUser(userId) {
+    const result = await db.query(
+      `SELECT s3_key FROM data_export_jobs WHERE user_id = $1 AND s3_key IS NOT NULL`,
+      [userId]
+    );
+    return result.rows.map((r) => r.s3_key);
+  }
+}
+
+module.exports = DataExportJob;
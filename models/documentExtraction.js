@@ -0,0 +1,243 @@
+"use strict";
+
+/**
+ * DocumentExtraction Model
+ *
+ * Structured metadata read from a property document: its class (warranty,
+ * invoice, permit, ...) in `document_extractions` and typed fields in
+ * `document_extraction_fields`. Extraction rows double as a work queue for
+ * the extraction worker (claimed with FOR UPDATE SKIP LOCKED).
+ *
+ * Key operations:
+ * - enqueue: Queue a document (re-queues an existing extraction)
+ * - claimDue / saveResult / markSkipped / markAttemptFailed: Worker lifecycle
+ * - getByDocumentId / listFields / listFieldsForProperty: Retrieve extractions and fields
+ * - setField / setDocumentClass / markReviewed: Record a user's confirmations and corrections
+ */
+
+const db = require("../db");
+
+const COLUMNS = `e.id, e.document_id AS "documentId", e.property_id AS "propertyId", e.status,
+  e.document_class AS "documentClass", e.class_confidence::float AS "classConfidence", e.summary,
+  e.model, e.attempts, e.error_message AS "errorMessage", e.run_after AS "runAfter",
+  e.reviewed_by AS "reviewedBy", e.reviewed_at AS "reviewedAt", e.warranty_event_id AS "warrantyEventId",
+  e.created_at AS "createdAt", e.updated_at AS "updatedAt"`;
+
+const FIELD_COLUMNS = `f.id, f.extraction_id AS "extractionId", f.document_id AS "documentId",
+  f.property_id AS "propertyId", f.field_key AS "fieldKey", f.value_type AS "valueType",
+  f.value_text AS "value", to_char(f.value_date, 'YYYY-MM-DD') AS "valueDate",
+  f.value_number::float AS "valueNumber", f.extracted_value AS "extractedValue",
+  f.confidence::float AS confidence, f.source_snippet AS "sourceSnippet", f.status,
+  f.confirmed_by AS "confirmedBy", f.confirmed_at AS "confirmedAt", f.updated_at AS "updatedAt"`;
+
+class DocumentExtraction {
+
+  /** Queue a document for extraction; an existing extraction is reset to queued (fields are kept). */
+  static async enqueue(documentId, propertyId) {
+    const result = await db.query(
+      `INSERT INTO document_extractions AS e (document_id, property_id)
+       VALUES ($1, $2)
+       ON CONFLICT (document_id) DO UPDATE
+         SET status = 'queued', attempts = 0, error_message = NULL, run_after = NOW(),
+             locked_at = NULL, updated_at = NOW()
+       RETURNING ${COLUMNS}`,
+      [documentId, propertyId]
+    );
+    return result.rows[0];
+  }
+
+  /** Claim due extractions for processing. Rows stuck in 'processing' longer than staleMinutes are reclaimed. */
+  static async claimDue({ limit = 5, staleMinutes = 15 } = {}) {
+    const result = await db.query(
+      `UPDATE document_extractions e
+       SET status = 'processing', attempts = e.attempts + 1, locked_at = NOW(), updated_at = NOW()
+       WHERE e.id IN (
+         SELECT id FROM document_extractions
+         WHERE (status = 'queued' AND run_after <= NOW())
+            OR (status = 'processing' AND locked_at < NOW() - ($2 || ' minutes')::interval)
+         ORDER BY run_after
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${COLUMNS}`,
+      [limit, String(staleMinutes)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store the class and fields read from a document and mark the extraction completed.
+   * Fields a user already confirmed or rejected are left alone; suggestions the model
+   * no longer returns are dropped.
+   * @param {number} id
+   * @param {Object} result - { documentClass, classConfidence, summary, model, fields: [{ fieldKey, valueType, valueText, valueDate, valueNumber, confidence, sourceSnippet }] }
+   */
+  static async saveResult(id, { documentClass, classConfidence, summary, model, fields }) {
+    await db.query("BEGIN");
+    try {
+      const result = await db.query(
+        `UPDATE document_extractions e
+         SET status = 'completed', document_class = $2, class_confidence = $3, summary = $4, model = $5,
+             error_message = NULL, locked_at = NULL, updated_at = NOW()
+         WHERE e.id = $1
+         RETURNING ${COLUMNS}`,
+        [id, documentClass, classConfidence, summary, model]
+      );
+      const extraction = result.rows[0];
+
+      await db.query(
+        `DELETE FROM document_extraction_fields
+         WHERE extraction_id = $1 AND status = 'suggested' AND NOT (field_key = ANY($2::text[]))`,
+        [id, fields.map((f) => f.fieldKey)]
+      );
+      for (const field of fields) {
+        await db.query(
+          `INSERT INTO document_extraction_fields AS f
+             (extraction_id, document_id, property_id, field_key, value_type,
+              value_text, value_date, value_number, extracted_value, confidence, source_snippet)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $6, $9, $10)
+           ON CONFLICT (extraction_id, field_key) DO UPDATE
+             SET value_type = EXCLUDED.value_type, value_text = EXCLUDED.value_text,
+                 value_date = EXCLUDED.value_date, value_number = EXCLUDED.value_number,
+                 extracted_value = EXCLUDED.extracted_value, confidence = EXCLUDED.confidence,
+                 source_snippet = EXCLUDED.source_snippet, updated_at = NOW()
+             WHERE f.status = 'suggested'`,
+          [
+            id, extraction.documentId, extraction.propertyId, field.fieldKey, field.valueType,
+            field.valueText, field.valueDate, field.valueNumber, field.confidence, field.sourceSnippet,
+          ]
+        );
+      }
+      await db.query("COMMIT");
+      return extraction;
+    } catch (err) {
+      await db.query("ROLLBACK");
+      throw err;
+    }
+  }
+
+  static async markSkipped(id, reason) {
+    await db.query(
+      `UPDATE document_extractions
+       SET status = 'skipped', error_message = $2, locked_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [id, reason]
+    );
+  }
+
+  /** Re-queue after a failed attempt (backoff grows with attempts), or fail once maxAttempts is reached. */
+  static async markAttemptFailed(id, { reason, maxAttempts, backoffMinutes }) {
+    const result = await db.query(
+      `UPDATE document_extractions e
+       SET status = CASE WHEN e.attempts >= $3 THEN 'failed' ELSE 'queued' END,
+           run_after = NOW() + make_interval(mins => e.attempts * $4::int),
+           error_message = $2, locked_at = NULL, updated_at = NOW()
+       WHERE e.id = $1
+       RETURNING ${COLUMNS}`,
+      [id, reason, maxAttempts, backoffMinutes]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async getByDocumentId(documentId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM document_extractions e WHERE e.document_id = $1`,
+      [documentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async listFields(extractionId) {
+    const result = await db.query(
+      `SELECT ${FIELD_COLUMNS} FROM document_extraction_fields f
+       WHERE f.extraction_id = $1
+       ORDER BY f.field_key`,
+      [extractionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Fields extracted from a property's current documents, newest document first.
+   * @param {number} propertyId
+   * @param {Object} filters - { fieldKey?, status?, documentClass?, systemKey? }
+   */
+  static async listFieldsForProperty(propertyId, { fieldKey, status, documentClass, systemKey } = {}) {
+    const values = [propertyId];
+    const clauses = ["f.property_id = $1", "d.is_current"];
+    if (fieldKey) {
+      values.push(fieldKey);
+      clauses.push(`f.field_key = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      clauses.push(`f.status = $${values.length}`);
+    }
+    if (documentClass) {
+      values.push(documentClass);
+      clauses.push(`e.document_class = $${values.length}`);
+    }
+    if (systemKey) {
+      values.push(systemKey);
+      clauses.push(`d.system_key = $${values.length}`);
+    }
+    const result = await db.query(
+      `SELECT ${FIELD_COLUMNS}, e.document_class AS "documentClass",
+              d.document_name AS "documentName", d.system_key AS "systemKey"
+       FROM document_extraction_fields f
+       JOIN document_extractions e ON e.id = f.extraction_id
+       JOIN property_documents d ON d.id = f.document_id
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY d.document_date DESC, d.id DESC, f.field_key`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Confirm (with the given value) or reject a field; a field the model missed is added.
+   * @param {Object} extraction
+   * @param {Object} field - { fieldKey, valueType, valueText, valueDate, valueNumber, status: 'confirmed'|'rejected', userId }
+   */
+  static async setField(extraction, { fieldKey, valueType, valueText = null, valueDate = null, valueNumber = null, status, userId }) {
+    const result = await db.query(
+      `INSERT INTO document_extraction_fields AS f
+         (extraction_id, document_id, property_id, field_key, value_type,
+          value_text, value_date, value_number, status, confirmed_by, confirmed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       ON CONFLICT (extraction_id, field_key) DO UPDATE
+         SET value_type = EXCLUDED.value_type,
+             value_text = CASE WHEN EXCLUDED.status = 'confirmed' THEN EXCLUDED.value_text ELSE f.value_text END,
+             value_date = CASE WHEN EXCLUDED.status = 'confirmed' THEN EXCLUDED.value_date ELSE f.value_date END,
+             value_number = CASE WHEN EXCLUDED.status = 'confirmed' THEN EXCLUDED.value_number ELSE f.value_number END,
+             status = EXCLUDED.status, confirmed_by = EXCLUDED.confirmed_by, confirmed_at = NOW(), updated_at = NOW()
+       RETURNING ${FIELD_COLUMNS}`,
+      [
+        extraction.id, extraction.documentId, extraction.propertyId, fieldKey, valueType,
+        valueText, valueDate, valueNumber, status, userId ?? null,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  static async setDocumentClass(id, documentClass) {
+    await db.query(
+      `UPDATE document_extractions SET document_class = $2, updated_at = NOW() WHERE id = $1`,
+      [id, documentClass]
+    );
+  }
+
+  static async markReviewed(id, { userId, warrantyEventId }) {
+    const result = await db.query(
+      `UPDATE document_extractions e
+       SET reviewed_by = $2, reviewed_at = NOW(),
+           warranty_event_id = COALESCE($3, e.warranty_event_id), updated_at = NOW()
+       WHERE e.id = $1
+       RETURNING ${COLUMNS}`,
+      [id, userId ?? null, warrantyEventId ?? null]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = DocumentExtraction;
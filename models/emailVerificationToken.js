@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * EmailVerificationToken Model
+ *
+ * Single-use, expiring links that prove a user controls an email address:
+ * purpose "verify" confirms the current address, "change" confirms a new
+ * address before it replaces the current one. Only the SHA-256 hash of the
+ * token is stored.
+ *
+ * Key operations:
+ * - create: Issue a token (returns the raw token once)
+ * - findValid: Unused, unexpired token by raw value
+ * - markUsed / invalidatePending
+ * - recentStats: Tokens issued to a user since a time (resend throttling)
+ */
+
+const db = require("../db");
+const crypto = require("crypto");
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class EmailVerificationToken {
+
+  /** @returns {Promise<{ id: number, token: string, expiresAt: Date }>} */
+  static async create({ userId, email, purpose, expiresAt }) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const result = await db.query(
+      `INSERT INTO email_verification_tokens (user_id, email, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, expires_at AS "expiresAt"`,
+      [userId, email, purpose, hashToken(token), expiresAt]
+    );
+    return { ...result.rows[0], token };
+  }
+
+  static async findValid(rawToken) {
+    const result = await db.query(
+      `SELECT id, user_id AS "userId", email, purpose, expires_at AS "expiresAt"
+       FROM email_verification_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(rawToken)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Returns false if the token was already used (a concurrent request). */
+  static async markUsed(id) {
+    const result = await db.query(
+      `UPDATE email_verification_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL`,
+      [id]
+    );
+    return result.rowCount === 1;
+  }
+
+  /** Expire a user's unused tokens for a purpose (a newer one replaces them), or for every purpose. */
+  static async invalidatePending(userId, purpose = null) {
+    await db.query(
+      `UPDATE email_verification_tokens SET expires_at = NOW()
+       WHERE user_id = $1 AND ($2::text IS NULL OR purpose = $2)
+         AND used_at IS NULL AND expires_at > NOW()`,
+      [userId, purpose]
+    );
+  }
+
+  /** @returns {Promise<{ count: number, lastAt: Date|null }>} */
+  static async recentStats(userId, since) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count, MAX(created_at) AS "lastAt"
+       FROM email_verification_tokens
+       WHERE user_id = $1 AND created_at > $2`,
+      [userId, since]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = EmailVerificationToken;
@@ -3,20 +3,25 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 
+const JOB_COLS = `id, property_id, user_id, s3_key, file_name, mime_type,
+                  status, progress, error_message, attempts, max_attempts, run_after,
+                  locked_by, locked_at, heartbeat_at, finished_at, created_at, updated_at`;
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
 class InspectionAnalysisJob {
   /** Create a new analysis job. */
   static async create(data) {
-    const { property_id, user_id, s3_key, file_name, mime_type } = data;
+    const { property_id, user_id, s3_key, file_name, mime_type, max_attempts } = data;
     if (!property_id || !user_id || !s3_key) {
       throw new BadRequestError("property_id, user_id, and s3_key are required");
     }
     const result = await db.query(
       `INSERT INTO inspection_analysis_jobs
-         (property_id, user_id, s3_key, file_name, mime_type, status)
-       VALUES ($1, $2, $3, $4, $5, 'queued')
-       RETURNING id, property_id, user_id, s3_key, file_name, mime_type,
-                 status, progress, error_message, created_at, updated_at`,
-      [property_id, user_id, s3_key, file_name || null, mime_type || null]
+         (property_id, user_id, s3_key, file_name, mime_type, status, max_attempts)
+       VALUES ($1, $2, $3, $4, $5, 'queued', COALESCE($6, 3))
+       RETURNING ${JOB_COLS}`,
+      [property_id, user_id, s3_key, file_name || null, mime_type || null, max_attempts || null]
     );
     return result.rows[0];
   }
@@ -24,8 +29,7 @@ class InspectionAnalysisJob {
   /** Get job by id. */
   static async get(id) {
     const result = await db.query(
-      `SELECT id, property_id, user_id, s3_key, file_name, mime_type,
-              status, progress, error_message, created_at, updated_at
+      `SELECT ${JOB_COLS}
        FROM inspection_analysis_jobs
        WHERE id = $1`,
       [id]
@@ -35,21 +39,145 @@ class InspectionAnalysisJob {
     return job;
   }
 
-  /** Update job status. */
+  /** Update job status. A cancelled job is left untouched and returned as-is.
+   * Terminal statuses release the worker lock.
+   */
   static async updateStatus(id, { status, progress, error_message }) {
     const result = await db.query(
       `UPDATE inspection_analysis_jobs
        SET status = COALESCE($2, status),
            progress = COALESCE($3, progress),
            error_message = COALESCE($4, error_message),
+           finished_at = CASE WHEN $2 = ANY($5::text[]) THEN NOW() ELSE finished_at END,
+           locked_by = CASE WHEN $2 = ANY($5::text[]) THEN NULL ELSE locked_by END,
            updated_at = NOW()
-       WHERE id = $1
-       RETURNING id, property_id, user_id, s3_key, status, progress, error_message, created_at, updated_at`,
-      [id, status, progress, error_message]
+       WHERE id = $1 AND status <> 'cancelled'
+       RETURNING ${JOB_COLS}`,
+      [id, status, progress, error_message, TERMINAL_STATUSES]
     );
-    const job = result.rows[0];
-    if (!job) throw new NotFoundError(`No analysis job with id: ${id}`);
-    return job;
+    return result.rows[0] || InspectionAnalysisJob.get(id);
+  }
+
+  static async isCancelled(id) {
+    const job = await InspectionAnalysisJob.get(id);
+    return job.status === "cancelled";
+  }
+
+  /** Atomically claim queued jobs that are due for a worker.
+   * FOR UPDATE SKIP LOCKED keeps concurrent workers (multiple instances) from
+   * claiming the same job.
+   */
+  static async claimNext({ limit = 1, workerId }) {
+    const result = await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET status = 'processing',
+           attempts = attempts + 1,
+           locked_by = $2,
+           locked_at = NOW(),
+           heartbeat_at = NOW(),
+           error_message = NULL,
+           progress = 'Starting...',
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM inspection_analysis_jobs
+         WHERE status = 'queued' AND run_after <= NOW()
+         ORDER BY run_after, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${JOB_COLS}`,
+      [limit, workerId]
+    );
+    return result.rows;
+  }
+
+  /** Record that the worker holding the job is still alive. */
+  static async heartbeat(id, workerId) {
+    await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET heartbeat_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+      [id, workerId]
+    );
+  }
+
+  /** Record a failed attempt. Re-queues with exponential backoff until max_attempts
+   * attempts have failed, then marks the job 'failed'.
+   */
+  static async markAttemptFailed(id, { reason, backoffSeconds = 30 }) {
+    const result = await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+           run_after = CASE WHEN attempts >= max_attempts THEN run_after
+                            ELSE NOW() + LEAST(900, $3 * POWER(2, attempts - 1)) * INTERVAL '1 second' END,
+           progress = CASE WHEN attempts >= max_attempts THEN progress ELSE 'Waiting to retry...' END,
+           finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+           error_message = $2,
+           locked_by = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'processing'
+       RETURNING ${JOB_COLS}`,
+      [id, reason, backoffSeconds]
+    );
+    return result.rows[0] || InspectionAnalysisJob.get(id);
+  }
+
+  /** Recover 'processing' jobs whose worker stopped sending heartbeats (crash, deploy).
+   * They are re-queued, or failed if they have used all their attempts.
+   * @returns {Promise<Array>} recovered jobs
+   */
+  static async recoverStale({ staleSeconds = 300 } = {}) {
+    const result = await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+           error_message = CASE WHEN attempts >= max_attempts
+                                THEN 'Analysis stopped unexpectedly. Please try again.'
+                                ELSE error_message END,
+           finished_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+           run_after = NOW(),
+           locked_by = NULL,
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM inspection_analysis_jobs
+         WHERE status = 'processing'
+           AND COALESCE(heartbeat_at, updated_at) < NOW() - ($1 || ' seconds')::interval
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${JOB_COLS}`,
+      [String(staleSeconds)]
+    );
+    return result.rows;
+  }
+
+  /** Cancel a queued or processing job. A running analysis stops at its next checkpoint. */
+  static async cancel(id) {
+    const result = await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET status = 'cancelled', progress = 'Cancelled', locked_by = NULL,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'processing')
+       RETURNING ${JOB_COLS}`,
+      [id]
+    );
+    if (result.rows[0]) return result.rows[0];
+    const job = await InspectionAnalysisJob.get(id);
+    throw new BadRequestError(`Cannot cancel a job that is ${job.status}`);
+  }
+
+  /** Put a failed or cancelled job back on the queue with a fresh set of attempts. */
+  static async requeue(id) {
+    const result = await db.query(
+      `UPDATE inspection_analysis_jobs
+       SET status = 'queued', attempts = 0, run_after = NOW(), progress = NULL,
+           error_message = NULL, locked_by = NULL, locked_at = NULL,
+           heartbeat_at = NULL, finished_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'cancelled')
+       RETURNING ${JOB_COLS}`,
+      [id]
+    );
+    if (result.rows[0]) return result.rows[0];
+    const job = await InspectionAnalysisJob.get(id);
+    throw new BadRequestError(`Only failed or cancelled jobs can be re-run (job is ${job.status})`);
   }
 
   /** Get latest result for a property (if any). */
@@ -18,6 +18,8 @@ class InspectionAnalysisResult {
       maintenance_suggestions,
       summary,
       citations,
+      extractor,
+      page_map,
     } = data;
 
     if (!job_id || !property_id || !condition_rating) {
@@ -28,11 +30,11 @@ class InspectionAnalysisResult {
       `INSERT INTO inspection_analysis_results
          (job_id, property_id, condition_rating, condition_confidence, condition_rationale,
           systems_detected, needs_attention, suggested_systems_to_add, maintenance_suggestions,
-          summary, citations)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          summary, citations, extractor, page_map)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING id, job_id, property_id, condition_rating, condition_confidence, condition_rationale,
                  systems_detected, needs_attention, suggested_systems_to_add, maintenance_suggestions,
-                 summary, citations, created_at`,
+                 summary, citations, extractor, page_map, created_at`,
       [
         job_id,
         property_id,
@@ -45,6 +47,8 @@ class InspectionAnalysisResult {
         JSON.stringify(maintenance_suggestions || []),
         summary ?? null,
         JSON.stringify(citations || []),
+        extractor ?? null,
+        JSON.stringify(page_map || []),
       ]
     );
     return result.rows[0];
@@ -55,7 +59,7 @@ class InspectionAnalysisResult {
     const result = await db.query(
       `SELECT id, job_id, property_id, condition_rating, condition_confidence, condition_rationale,
               systems_detected, needs_attention, suggested_systems_to_add, maintenance_suggestions,
-              summary, citations, created_at
+              summary, citations, extractor, page_map, created_at
        FROM inspection_analysis_results
        WHERE job_id = $1`,
       [jobId]
@@ -69,7 +73,7 @@ class InspectionAnalysisResult {
       `SELECT r.id, r.job_id, r.property_id, r.condition_rating, r.condition_confidence,
               r.condition_rationale, r.systems_detected, r.needs_attention,
               r.suggested_systems_to_add, r.maintenance_suggestions, r.summary, r.citations,
-              r.created_at
+              r.extractor, r.page_map, r.created_at
        FROM inspection_analysis_results r
        WHERE r.property_id = $1
        ORDER BY r.created_at DESC
@@ -84,7 +88,7 @@ class InspectionAnalysisResult {
     const result = await db.query(
       `SELECT id, job_id, property_id, condition_rating, condition_confidence, condition_rationale,
               systems_detected, needs_attention, suggested_systems_to_add, maintenance_suggestions,
-              summary, citations, created_at
+              summary, citations, extractor, page_map, created_at
        FROM inspection_analysis_results
        WHERE id = $1`,
       [id]
@@ -3,17 +3,55 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const recurrence = require("../helpers/recurrence");
+const MaintenanceEventException = require("./maintenanceEventException");
 
 const COLUMNS = `
   id, property_id, system_key, system_name,
   contractor_id, contractor_source, contractor_name,
   scheduled_date, scheduled_time,
   recurrence_type, recurrence_interval_value, recurrence_interval_unit,
+  recurrence_end_date, next_occurrence_date, series_parent_id,
   alert_timing, alert_custom_days, email_reminder,
   message_enabled, message_body,
   status, timezone, checklist_item_id, created_by,
   created_at, updated_at`;
 
+/** Fields that change which dates belong to a series. */
+const SCHEDULE_FIELDS = [
+  "scheduled_date", "recurrence_type", "recurrence_interval_value",
+  "recurrence_interval_unit", "recurrence_end_date",
+];
+
+/** Fields whose change re-keys a series' occurrences (recurrence_end_date only trims it). */
+const PATTERN_FIELDS = [
+  "scheduled_date", "recurrence_type", "recurrence_interval_value", "recurrence_interval_unit",
+];
+
+/** Apply an occurrence's exception (if any) on top of the series row. */
+function buildOccurrence(event, occurrenceDate, exception) {
+  let status = event.status;
+  if (exception && exception.status !== "modified") status = exception.status;
+  return {
+    ...event,
+    ...(exception?.overrides || {}),
+    occurrence_date: occurrenceDate,
+    scheduled_date: exception?.override_date || occurrenceDate,
+    scheduled_time: exception?.override_time ?? event.scheduled_time,
+    status,
+    is_recurring: recurrence.isRecurring(event),
+    is_exception: Boolean(exception),
+    occurrence_notes: exception?.notes ?? null,
+    completed_at: exception?.completed_at ?? null,
+  };
+}
+
+function compareOccurrences(a, b) {
+  return a.scheduled_date.localeCompare(b.scheduled_date)
+    || String(a.scheduled_time || "99").localeCompare(String(b.scheduled_time || "99"))
+    || a.id - b.id;
+}
+
 class MaintenanceEvent {
 
   static async create(data) {
@@ -22,6 +60,7 @@ class MaintenanceEvent {
       contractor_id = null, contractor_source = null, contractor_name = null,
       scheduled_date, scheduled_time = null,
       recurrence_type = "one-time", recurrence_interval_value = null, recurrence_interval_unit = null,
+      recurrence_end_date = null, series_parent_id = null,
       alert_timing = "3d", alert_custom_days = null, email_reminder = false,
       message_enabled = false, message_body = null,
       status = "scheduled", timezone = null, checklist_item_id = null, created_by = null,
@@ -33,16 +72,18 @@ class MaintenanceEvent {
           contractor_id, contractor_source, contractor_name,
           scheduled_date, scheduled_time,
           recurrence_type, recurrence_interval_value, recurrence_interval_unit,
+          recurrence_end_date, next_occurrence_date, series_parent_id,
           alert_timing, alert_custom_days, email_reminder,
           message_enabled, message_body,
           status, timezone, checklist_item_id, created_by)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$7,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)
        RETURNING ${COLUMNS}`,
       [
         property_id, system_key, system_name || null,
         contractor_id, contractor_source, contractor_name,
         scheduled_date, scheduled_time,
         recurrence_type, recurrence_interval_value, recurrence_interval_unit,
+        recurrence_end_date, series_parent_id,
         alert_timing, alert_custom_days, email_reminder,
         message_enabled, message_body,
         status, timezone, checklist_item_id, created_by,
@@ -85,6 +126,7 @@ class MaintenanceEvent {
       recurrence_type: "recurrence_type",
       recurrence_interval_value: "recurrence_interval_value",
       recurrence_interval_unit: "recurrence_interval_unit",
+      recurrence_end_date: "recurrence_end_date",
       alert_timing: "alert_timing",
       alert_custom_days: "alert_custom_days",
       email_reminder: "email_reminder",
@@ -106,9 +148,234 @@ class MaintenanceEvent {
     );
     const event = result.rows[0];
     if (!event) throw new NotFoundError(`No maintenance event: ${id}`);
+
+    if (SCHEDULE_FIELDS.some((f) => data[f] !== undefined)) {
+      await MaintenanceEvent.pruneStaleExceptions(event);
+      return MaintenanceEvent.refreshNextOccurrence(id);
+    }
+    return event;
+  }
+
+  /** Drop exceptions that no longer match an occurrence after a schedule change.
+   * Completed exceptions are kept as history.
+   */
+  static async pruneStaleExceptions(event) {
+    const exceptions = await MaintenanceEventException.listForEvents([event.id]);
+    for (const x of exceptions) {
+      if (x.status !== "completed" && !recurrence.isOccurrenceDate(event, x.occurrence_date)) {
+        await MaintenanceEventException.remove(event.id, x.occurrence_date);
+      }
+    }
+  }
+
+  /** Recompute next_occurrence_date from the series and its completed/skipped exceptions.
+   * A recurring series with no open occurrence left becomes 'completed'; a completed
+   * series that regains one (restore, extended end date) goes back to 'scheduled'.
+   */
+  static async refreshNextOccurrence(id) {
+    const event = await MaintenanceEvent.getById(id);
+    const exceptions = await MaintenanceEventException.listForEvents([id]);
+    const done = new Set(exceptions.filter((x) => x.status !== "modified").map((x) => x.occurrence_date));
+    const next = recurrence.nextOpenOccurrence(event, done);
+
+    let status = event.status;
+    if (recurrence.isRecurring(event)) {
+      if (!next && status === "scheduled") status = "completed";
+      else if (next && status === "completed") status = "scheduled";
+    }
+
+    const result = await db.query(
+      `UPDATE maintenance_events
+       SET next_occurrence_date = $1, status = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING ${COLUMNS}`,
+      [next, status, id],
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Expand events into occurrences between startDate and endDate (YYYY-MM-DD, inclusive).
+   * Each occurrence is the event row with exceptions applied, plus occurrence_date (the
+   * original date that keys the occurrence), is_recurring and is_exception. scheduled_date
+   * is the effective date, so occurrences moved into or out of the window are handled.
+   * Skipped occurrences are omitted unless includeSkipped is set.
+   */
+  static async expandOccurrences(events, startDate, endDate, { includeSkipped = false } = {}) {
+    const exceptions = await MaintenanceEventException.listForEvents(events.map((e) => e.id));
+    const byEvent = new Map();
+    for (const x of exceptions) {
+      if (!byEvent.has(x.event_id)) byEvent.set(x.event_id, new Map());
+      byEvent.get(x.event_id).set(x.occurrence_date, x);
+    }
+
+    const occurrences = [];
+    for (const event of events) {
+      const eventExceptions = byEvent.get(event.id) || new Map();
+      const dates = new Set(recurrence.expandOccurrenceDates(event, startDate, endDate));
+      for (const x of eventExceptions.values()) {
+        if (x.override_date && x.override_date >= startDate && x.override_date <= endDate
+          && recurrence.isOccurrenceDate(event, x.occurrence_date)) {
+          dates.add(x.occurrence_date);
+        }
+      }
+      for (const date of dates) {
+        const occurrence = buildOccurrence(event, date, eventExceptions.get(date));
+        if (occurrence.scheduled_date < startDate || occurrence.scheduled_date > endDate) continue;
+        if (occurrence.status === "skipped" && !includeSkipped) continue;
+        occurrences.push(occurrence);
+      }
+    }
+    return occurrences.sort(compareOccurrences);
+  }
+
+  /** Occurrences of one event in a date range, including skipped ones. */
+  static async getOccurrences(id, startDate, endDate) {
+    const event = await MaintenanceEvent.getById(id);
+    return MaintenanceEvent.expandOccurrences([event], startDate, endDate, { includeSkipped: true });
+  }
+
+  static async getOccurrenceEvent(id, occurrenceDate) {
+    const event = await MaintenanceEvent.getById(id);
+    if (!recurrence.isOccurrenceDate(event, occurrenceDate)) {
+      throw new BadRequestError(`${occurrenceDate} is not an occurrence of maintenance event ${id}`);
+    }
     return event;
   }
 
+  /** Mark one occurrence completed and advance the series. */
+  static async completeOccurrence(id, occurrenceDate, { userId = null, notes } = {}) {
+    await MaintenanceEvent.getOccurrenceEvent(id, occurrenceDate);
+    await MaintenanceEventException.upsert(id, occurrenceDate, {
+      status: "completed",
+      completed_at: new Date(),
+      completed_by: userId,
+      created_by: userId,
+      notes,
+    });
+    return MaintenanceEvent.refreshNextOccurrence(id);
+  }
+
+  /** Skip one occurrence without ending the series. */
+  static async skipOccurrence(id, occurrenceDate, { userId = null, notes } = {}) {
+    await MaintenanceEvent.getOccurrenceEvent(id, occurrenceDate);
+    await MaintenanceEventException.upsert(id, occurrenceDate, {
+      status: "skipped",
+      created_by: userId,
+      notes,
+    });
+    return MaintenanceEvent.refreshNextOccurrence(id);
+  }
+
+  /** Undo a completion/skip. Per-occurrence modifications are kept. */
+  static async restoreOccurrence(id, occurrenceDate) {
+    const exception = await MaintenanceEventException.get(id, occurrenceDate);
+    if (!exception) throw new NotFoundError(`No exception for event ${id} on ${occurrenceDate}`);
+
+    const hasOverrides = exception.override_date || exception.override_time
+      || Object.keys(exception.overrides || {}).length > 0;
+    if (hasOverrides) {
+      await MaintenanceEventException.upsert(id, occurrenceDate, {
+        status: "modified", completed_at: null, completed_by: null,
+      });
+    } else {
+      await MaintenanceEventException.remove(id, occurrenceDate);
+    }
+    return MaintenanceEvent.refreshNextOccurrence(id);
+  }
+
+  /** Edit a single occurrence: date/time become override_date/override_time, details go to overrides. */
+  static async updateOccurrence(id, occurrenceDate, data, { userId = null } = {}) {
+    await MaintenanceEvent.getOccurrenceEvent(id, occurrenceDate);
+    const overrides = {};
+    for (const field of MaintenanceEventException.OVERRIDABLE_FIELDS) {
+      if (data[field] !== undefined) overrides[field] = data[field];
+    }
+    const exception = await MaintenanceEventException.upsert(id, occurrenceDate, {
+      override_date: data.scheduled_date,
+      override_time: data.scheduled_time,
+      overrides,
+      notes: data.notes,
+      created_by: userId,
+    });
+    const effectiveDate = exception.override_date || occurrenceDate;
+    const occurrences = await MaintenanceEvent.expandOccurrences(
+      [await MaintenanceEvent.getById(id)], effectiveDate, effectiveDate, { includeSkipped: true },
+    );
+    return occurrences.find((o) => o.occurrence_date === occurrenceDate) || null;
+  }
+
+  /**
+   * "This and following" edit: end the series the day before occurrenceDate and start a
+   * new series there with the changes applied (series_parent_id links it to the root).
+   * Exceptions from occurrenceDate on move to the new series when its occurrence dates are
+   * unchanged, otherwise they are dropped. Editing from the first occurrence updates the
+   * whole series instead.
+   * @returns {{ event: Object, newEvent: Object|null }}
+   */
+  static async splitSeries(id, occurrenceDate, data, { userId = null } = {}) {
+    const event = await MaintenanceEvent.getOccurrenceEvent(id, occurrenceDate);
+    if (!recurrence.isRecurring(event)) {
+      throw new BadRequestError("Only recurring events can be split");
+    }
+    if (occurrenceDate === recurrence.toDateKey(event.scheduled_date)) {
+      return { event: await MaintenanceEvent.update(id, data), newEvent: null };
+    }
+
+    const newAnchor = data.scheduled_date || occurrenceDate;
+    const patternChanged = newAnchor !== occurrenceDate
+      || PATTERN_FIELDS.some((f) => data[f] !== undefined && f !== "scheduled_date" && data[f] !== event[f]);
+
+    const {
+      id: _id, created_at, updated_at, next_occurrence_date, created_by, ...seriesFields
+    } = event;
+
+    let newEvent;
+    await db.query("BEGIN");
+    try {
+      await db.query(
+        `UPDATE maintenance_events SET recurrence_end_date = $1, updated_at = NOW() WHERE id = $2`,
+        [recurrence.addDays(occurrenceDate, -1), id],
+      );
+      newEvent = await MaintenanceEvent.create({
+        ...seriesFields,
+        ...data,
+        scheduled_date: newAnchor,
+        series_parent_id: event.series_parent_id || event.id,
+        created_by: userId ?? created_by,
+      });
+      if (patternChanged) {
+        await MaintenanceEventException.deleteFrom(id, occurrenceDate);
+      } else {
+        await MaintenanceEventException.reassignFrom(id, newEvent.id, occurrenceDate);
+      }
+      await db.query("COMMIT");
+    } catch (err) {
+      await db.query("ROLLBACK");
+      throw err;
+    }
+
+    return {
+      event: await MaintenanceEvent.refreshNextOccurrence(id),
+      newEvent: await MaintenanceEvent.refreshNextOccurrence(newEvent.id),
+    };
+  }
+
+  /** "This and following" delete: end the series before occurrenceDate (or delete it from the first occurrence). */
+  static async truncateSeries(id, occurrenceDate) {
+    const event = await MaintenanceEvent.getOccurrenceEvent(id, occurrenceDate);
+    if (occurrenceDate === recurrence.toDateKey(event.scheduled_date)) {
+      await MaintenanceEvent.delete(id);
+      return null;
+    }
+    await db.query(
+      `UPDATE maintenance_events SET recurrence_end_date = $1, updated_at = NOW() WHERE id = $2`,
+      [recurrence.addDays(occurrenceDate, -1), id],
+    );
+    await MaintenanceEventException.deleteFrom(id, occurrenceDate);
+    return MaintenanceEvent.refreshNextOccurrence(id);
+  }
+
   static async delete(id) {
     const result = await db.query(
       `DELETE FROM maintenance_events WHERE id = $1 RETURNING id`,
@@ -117,26 +384,88 @@ class MaintenanceEvent {
     if (!result.rows[0]) throw new NotFoundError(`No maintenance event: ${id}`);
   }
 
+  /** Get scheduled occurrences whose reminder window may be open.
+   * Recurring series are expanded with their exceptions applied: occurrence_date keys the
+   * occurrence and scheduled_date is its effective date. The window is widened by a day on
+   * each side so the dispatcher can apply the event's own timezone; callers must still
+   * check the exact lead time.
+   */
+  static async getReminderCandidates() {
+    const result = await db.query(
+      `SELECT me.id, me.property_id, me.system_key, me.system_name,
+              me.contractor_name, me.scheduled_date, me.scheduled_time,
+              me.recurrence_type, me.recurrence_interval_value, me.recurrence_interval_unit,
+              me.recurrence_end_date, me.status,
+              me.alert_timing, me.alert_custom_days, me.email_reminder,
+              me.message_enabled, me.message_body, me.timezone,
+              p.account_id, p.property_uid, p.property_name, p.address, p.city, p.state,
+              lead.days AS lead_days,
+              to_char(CURRENT_DATE, 'YYYY-MM-DD') AS today
+       FROM maintenance_events me
+       JOIN properties p ON p.id = me.property_id
+       CROSS JOIN LATERAL (
+         SELECT CASE me.alert_timing
+                  WHEN '1d' THEN 1
+                  WHEN '3d' THEN 3
+                  WHEN '1w' THEN 7
+                  WHEN '2w' THEN 14
+                  WHEN 'custom' THEN COALESCE(me.alert_custom_days, 3)
+                  ELSE 3
+                END AS days
+       ) lead
+       WHERE me.status = 'scheduled'
+         AND (
+           (COALESCE(me.recurrence_type, 'one-time') = 'one-time' AND me.scheduled_date >= CURRENT_DATE - 1)
+           OR (COALESCE(me.recurrence_type, 'one-time') <> 'one-time'
+               AND (me.recurrence_end_date IS NULL OR me.recurrence_end_date >= CURRENT_DATE - 1))
+           OR EXISTS (SELECT 1 FROM maintenance_event_exceptions mx
+                      WHERE mx.event_id = me.id AND mx.override_date >= CURRENT_DATE - 1)
+         )
+         AND me.scheduled_date - lead.days <= CURRENT_DATE + 1
+       ORDER BY me.scheduled_date ASC, me.id ASC`,
+    );
+    if (result.rows.length === 0) return [];
+
+    const today = result.rows[0].today;
+    const maxLead = Math.max(...result.rows.map((r) => r.lead_days));
+    const occurrences = await MaintenanceEvent.expandOccurrences(
+      result.rows, recurrence.addDays(today, -1), recurrence.addDays(today, maxLead + 1),
+    );
+    return occurrences.filter((o) =>
+      o.status === "scheduled" && recurrence.addDays(o.scheduled_date, -o.lead_days) <= recurrence.addDays(today, 1));
+  }
+
   /** Get upcoming maintenance events for a user (across all their properties).
-   * Returns events with scheduled_date >= today and status = 'scheduled'.
-   * Also includes property_systems with next_service_date >= today as inspection reminders.
+   * Returns scheduled occurrences dated today or later (recurring series expanded over the
+   * next year). Also includes property_systems with next_service_date >= today as inspection reminders.
    */
-  static async getUpcomingForUser(userId) {
+  static async getUpcomingForUser(userId, { accountId } = {}) {
     const today = new Date().toISOString().slice(0, 10);
 
-    const eventsResult = await db.query(
+    const seriesResult = await db.query(
       `SELECT me.id, me.property_id, me.system_key, me.system_name,
               me.scheduled_date, me.scheduled_time, me.status,
+              me.recurrence_type, me.recurrence_interval_value, me.recurrence_interval_unit,
+              me.recurrence_end_date,
               p.property_uid, p.property_name, p.address, p.city, p.state
        FROM maintenance_events me
        JOIN properties p ON p.id = me.property_id
        JOIN property_users pu ON pu.property_id = me.property_id
-       WHERE pu.user_id = $1
-         AND me.scheduled_date >= $2
+       WHERE pu.user_id = $1 AND ($3::int IS NULL OR p.account_id = $3)
          AND me.status = 'scheduled'
-       ORDER BY me.scheduled_date ASC, me.scheduled_time ASC NULLS LAST`,
-      [userId, today],
+         AND (
+           (COALESCE(me.recurrence_type, 'one-time') = 'one-time' AND me.scheduled_date >= $2)
+           OR (COALESCE(me.recurrence_type, 'one-time') <> 'one-time'
+               AND (me.recurrence_end_date IS NULL OR me.recurrence_end_date >= $2))
+           OR EXISTS (SELECT 1 FROM maintenance_event_exceptions mx
+                      WHERE mx.event_id = me.id AND mx.override_date >= $2)
+         )`,
+      [userId, today, accountId ?? null],
     );
+    const eventsResult = {
+      rows: (await MaintenanceEvent.expandOccurrences(seriesResult.rows, today, recurrence.addDays(today, 365)))
+        .filter((o) => o.status === "scheduled"),
+    };
 
     const systemsResult = await db.query(
       `SELECT ps.id, ps.property_id, ps.system_key, ps.next_service_date,
@@ -144,11 +473,11 @@ class MaintenanceEvent {
        FROM property_systems ps
        JOIN properties p ON p.id = ps.property_id
        JOIN property_users pu ON pu.property_id = ps.property_id
-       WHERE pu.user_id = $1
+       WHERE pu.user_id = $1 AND ($3::int IS NULL OR p.account_id = $3)
          AND ps.next_service_date >= $2
          AND ps.next_service_date IS NOT NULL
        ORDER BY ps.next_service_date ASC`,
-      [userId, today],
+      [userId, today, accountId ?? null],
     );
 
     const SYSTEM_LABELS = {
@@ -184,6 +513,8 @@ class MaintenanceEvent {
       scheduledDate: r.scheduled_date,
       scheduledTime: r.scheduled_time,
       status: r.status,
+      occurrenceDate: r.occurrence_date,
+      isRecurring: r.is_recurring,
     }));
 
     const maintenanceKeys = new Set(
@@ -218,20 +549,29 @@ class MaintenanceEvent {
    * scheduledAt, dueAt, professionalId, professionalName, daysUntilDue, isOverdue.
    * - Reminders: overdue + upcoming (inspection/due, not yet booked)
    * - Scheduled work: maintenance events with status scheduled/confirmed
+   * Recurring series contribute their next open occurrence (with its exception applied).
    */
-  static async getUnifiedEventsForUser(userId) {
+  static async getUnifiedEventsForUser(userId, { accountId } = {}) {
     const today = new Date().toISOString().slice(0, 10);
 
     const eventsResult = await db.query(
-      `SELECT me.id, me.property_id, me.system_key, me.system_name,
-              me.contractor_id, me.contractor_name, me.scheduled_date, me.scheduled_time, me.status,
+      `SELECT me.id, me.property_id, me.system_key,
+              COALESCE(mx.overrides->>'system_name', me.system_name) AS system_name,
+              me.contractor_id,
+              COALESCE(mx.overrides->>'contractor_name', me.contractor_name) AS contractor_name,
+              COALESCE(mx.override_date, me.next_occurrence_date, me.scheduled_date) AS scheduled_date,
+              COALESCE(mx.override_time, me.scheduled_time) AS scheduled_time,
+              to_char(COALESCE(me.next_occurrence_date, me.scheduled_date), 'YYYY-MM-DD') AS occurrence_date,
+              me.status, me.recurrence_type, me.recurrence_interval_value, me.recurrence_interval_unit,
               p.property_uid, p.property_name, p.address, p.city, p.state
        FROM maintenance_events me
        JOIN properties p ON p.id = me.property_id
        JOIN property_users pu ON pu.property_id = me.property_id
-       WHERE pu.user_id = $1
-       ORDER BY me.scheduled_date ASC, me.scheduled_time ASC NULLS LAST`,
-      [userId],
+       LEFT JOIN maintenance_event_exceptions mx
+         ON mx.event_id = me.id AND mx.occurrence_date = me.next_occurrence_date
+       WHERE pu.user_id = $1 AND ($2::int IS NULL OR p.account_id = $2)
+       ORDER BY scheduled_date ASC, scheduled_time ASC NULLS LAST`,
+      [userId, accountId ?? null],
     );
 
     const systemsResult = await db.query(
@@ -240,10 +580,10 @@ class MaintenanceEvent {
        FROM property_systems ps
        JOIN properties p ON p.id = ps.property_id
        JOIN property_users pu ON pu.property_id = ps.property_id
-       WHERE pu.user_id = $1
+       WHERE pu.user_id = $1 AND ($2::int IS NULL OR p.account_id = $2)
          AND ps.next_service_date IS NOT NULL
        ORDER BY ps.next_service_date ASC`,
-      [userId],
+      [userId, accountId ?? null],
     );
 
     const SYSTEM_LABELS = {
@@ -289,6 +629,8 @@ class MaintenanceEvent {
         daysUntilDue,
         isOverdue,
         isBooked: ["scheduled", "confirmed"].includes((r.status || "").toLowerCase()),
+        occurrenceDate: r.occurrence_date,
+        isRecurring: recurrence.isRecurring(r),
       };
     });
 
@@ -338,24 +680,75 @@ class MaintenanceEvent {
     };
   }
 
+  /** Series rows (not expanded) and inspection due dates for ICS export.
+   * Limited to properties the user belongs to (userId null skips the membership check, for
+   * callers that already verified access); optionally to one property or one event.
+   * @returns {{ events: Object[], exceptions: Object[], inspections: Object[] }}
+   */
+  static async getCalendarFeed({ userId = null, propertyId = null, eventId = null }) {
+    const eventsResult = await db.query(
+      `SELECT me.id, me.property_id, me.system_key, me.system_name,
+              me.contractor_name, me.message_enabled, me.message_body,
+              to_char(me.scheduled_date, 'YYYY-MM-DD') AS scheduled_date, me.scheduled_time,
+              me.recurrence_type, me.recurrence_interval_value, me.recurrence_interval_unit,
+              to_char(me.recurrence_end_date, 'YYYY-MM-DD') AS recurrence_end_date,
+              me.alert_timing, me.alert_custom_days, me.status, me.timezone, me.updated_at,
+              p.property_uid, p.property_name, p.address, p.city, p.state
+       FROM maintenance_events me
+       JOIN properties p ON p.id = me.property_id
+       WHERE ($1::int IS NULL OR EXISTS (
+               SELECT 1 FROM property_users pu WHERE pu.property_id = me.property_id AND pu.user_id = $1))
+         AND ($2::int IS NULL OR me.property_id = $2)
+         AND ($3::int IS NULL OR me.id = $3)
+       ORDER BY me.scheduled_date ASC, me.id ASC`,
+      [userId, propertyId, eventId],
+    );
+    const exceptions = await MaintenanceEventException.listForEvents(eventsResult.rows.map((e) => e.id));
+    if (eventId) return { events: eventsResult.rows, exceptions, inspections: [] };
+
+    const systemsResult = await db.query(
+      `SELECT ps.property_id, ps.system_key,
+              to_char(ps.next_service_date, 'YYYY-MM-DD') AS next_service_date,
+              p.property_uid, p.property_name, p.address, p.city, p.state
+       FROM property_systems ps
+       JOIN properties p ON p.id = ps.property_id
+       WHERE ps.next_service_date IS NOT NULL
+         AND ($1::int IS NULL OR EXISTS (
+               SELECT 1 FROM property_users pu WHERE pu.property_id = ps.property_id AND pu.user_id = $1))
+         AND ($2::int IS NULL OR ps.property_id = $2)
+       ORDER BY ps.next_service_date ASC`,
+      [userId, propertyId],
+    );
+    return { events: eventsResult.rows, exceptions, inspections: systemsResult.rows };
+  }
+
   /** Get calendar events (maintenance + inspections) for a user in a date range.
    * Used by the Calendar page to display all scheduled events in a month.
+   * Recurring series are expanded into one entry per occurrence in the range.
    */
-  static async getCalendarEventsForUser(userId, startDate, endDate) {
-    const eventsResult = await db.query(
+  static async getCalendarEventsForUser(userId, startDate, endDate, { accountId } = {}) {
+    const seriesResult = await db.query(
       `SELECT me.id, me.property_id, me.system_key, me.system_name,
               me.contractor_name, me.message_body, me.recurrence_type,
-              me.scheduled_date, me.scheduled_time, me.status,
+              me.recurrence_interval_value, me.recurrence_interval_unit, me.recurrence_end_date,
+              me.series_parent_id, me.scheduled_date, me.scheduled_time, me.status,
               p.property_uid, p.property_name, p.address, p.city, p.state
        FROM maintenance_events me
        JOIN properties p ON p.id = me.property_id
        JOIN property_users pu ON pu.property_id = me.property_id
-       WHERE pu.user_id = $1
-         AND me.scheduled_date >= $2
-         AND me.scheduled_date <= $3
-       ORDER BY me.scheduled_date ASC, me.scheduled_time ASC NULLS LAST`,
-      [userId, startDate, endDate],
+       WHERE pu.user_id = $1 AND ($4::int IS NULL OR p.account_id = $4)
+         AND (
+           (COALESCE(me.recurrence_type, 'one-time') = 'one-time' AND me.scheduled_date BETWEEN $2 AND $3)
+           OR (COALESCE(me.recurrence_type, 'one-time') <> 'one-time' AND me.scheduled_date <= $3
+               AND (me.recurrence_end_date IS NULL OR me.recurrence_end_date >= $2))
+           OR EXISTS (SELECT 1 FROM maintenance_event_exceptions mx
+                      WHERE mx.event_id = me.id AND mx.override_date BETWEEN $2 AND $3)
+         )`,
+      [userId, startDate, endDate, accountId ?? null],
     );
+    const eventsResult = {
+      rows: await MaintenanceEvent.expandOccurrences(seriesResult.rows, startDate, endDate),
+    };
 
     const systemsResult = await db.query(
       `SELECT ps.id, ps.property_id, ps.system_key, ps.next_service_date,
@@ -363,12 +756,12 @@ class MaintenanceEvent {
        FROM property_systems ps
        JOIN properties p ON p.id = ps.property_id
        JOIN property_users pu ON pu.property_id = ps.property_id
-       WHERE pu.user_id = $1
+       WHERE pu.user_id = $1 AND ($4::int IS NULL OR p.account_id = $4)
          AND ps.next_service_date >= $2
          AND ps.next_service_date <= $3
          AND ps.next_service_date IS NOT NULL
        ORDER BY ps.next_service_date ASC`,
-      [userId, startDate, endDate],
+      [userId, startDate, endDate, accountId ?? null],
     );
 
     const SYSTEM_LABELS = {
@@ -407,6 +800,11 @@ class MaintenanceEvent {
       scheduledTime: r.scheduled_time,
       status: r.status,
       recurrenceType: r.recurrence_type,
+      occurrenceDate: r.occurrence_date,
+      occurrenceKey: `${r.id}-${r.occurrence_date}`,
+      isRecurring: r.is_recurring,
+      isException: r.is_exception,
+      seriesId: r.series_parent_id || r.id,
     }));
 
     const maintenanceKeys = new Set(
@@ -430,6 +828,11 @@ class MaintenanceEvent {
         scheduledTime: null,
         status: "due",
         recurrenceType: null,
+        occurrenceDate: null,
+        occurrenceKey: null,
+        isRecurring: false,
+        isException: false,
+        seriesId: null,
       }));
 
     return [...maintenanceEvents, ...inspectionEvents].sort(
@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * MaintenanceEventException Model
+ *
+ * Per-occurrence exceptions for recurring maintenance events. Rows are keyed
+ * by (event_id, occurrence_date) where occurrence_date is the occurrence's
+ * original date in the series:
+ * - completed / skipped: the occurrence is done or will not happen
+ * - modified: the occurrence keeps its place in the series but overrides
+ *   date, time or details (override_date, override_time, overrides)
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `id, event_id,
+  to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date,
+  status,
+  to_char(override_date, 'YYYY-MM-DD') AS override_date,
+  override_time, overrides, notes, completed_at, completed_by,
+  created_by, created_at, updated_at`;
+
+/** Detail fields a single occurrence may override (stored in the overrides JSONB). */
+const OVERRIDABLE_FIELDS = [
+  "system_name", "contractor_id", "contractor_source", "contractor_name",
+  "message_enabled", "message_body", "email_reminder",
+];
+
+class MaintenanceEventException {
+
+  static async listForEvents(eventIds) {
+    if (!eventIds?.length) return [];
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM maintenance_event_exceptions
+       WHERE event_id = ANY($1::int[])
+       ORDER BY occurrence_date ASC`,
+      [eventIds],
+    );
+    return result.rows;
+  }
+
+  static async get(eventId, occurrenceDate) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM maintenance_event_exceptions
+       WHERE event_id = $1 AND occurrence_date = $2`,
+      [eventId, occurrenceDate],
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Create or update the exception for one occurrence. Only provided keys are changed. */
+  static async upsert(eventId, occurrenceDate, data) {
+    const {
+      status, override_date, override_time, overrides, notes,
+      completed_at, completed_by, created_by = null,
+    } = data;
+
+    const result = await db.query(
+      `INSERT INTO maintenance_event_exceptions
+         (event_id, occurrence_date, status, override_date, override_time, overrides,
+          notes, completed_at, completed_by, created_by)
+       VALUES ($1, $2, COALESCE($3, 'modified'), $4, $5, COALESCE($6::jsonb, '{}'::jsonb), $7, $8, $9, $10)
+       ON CONFLICT (event_id, occurrence_date) DO UPDATE SET
+         status = COALESCE($3, maintenance_event_exceptions.status),
+         override_date = CASE WHEN $11 THEN EXCLUDED.override_date ELSE maintenance_event_exceptions.override_date END,
+         override_time = CASE WHEN $12 THEN EXCLUDED.override_time ELSE maintenance_event_exceptions.override_time END,
+         overrides = maintenance_event_exceptions.overrides || COALESCE($6::jsonb, '{}'::jsonb),
+         notes = COALESCE($7, maintenance_event_exceptions.notes),
+         completed_at = CASE WHEN $13 THEN EXCLUDED.completed_at ELSE maintenance_event_exceptions.completed_at END,
+         completed_by = CASE WHEN $13 THEN EXCLUDED.completed_by ELSE maintenance_event_exceptions.completed_by END,
+         updated_at = NOW()
+       RETURNING ${COLUMNS}`,
+      [
+        eventId, occurrenceDate, status || null,
+        override_date ?? null, override_time ?? null,
+        overrides ? JSON.stringify(overrides) : null,
+        notes ?? null, completed_at ?? null, completed_by ?? null, created_by,
+        override_date !== undefined, override_time !== undefined, completed_at !== undefined,
+      ],
+    );
+    return result.rows[0];
+  }
+
+  /** Remove an occurrence's exception (restores it to the series defaults). */
+  static async remove(eventId, occurrenceDate) {
+    const result = await db.query(
+      `DELETE FROM maintenance_event_exceptions
+       WHERE event_id = $1 AND occurrence_date = $2
+       RETURNING id`,
+      [eventId, occurrenceDate],
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No exception for event ${eventId} on ${occurrenceDate}`);
+  }
+
+  /** Move exceptions on/after fromDate to another event (series split). */
+  static async reassignFrom(fromEventId, toEventId, fromDate) {
+    await db.query(
+      `UPDATE maintenance_event_exceptions
+       SET event_id = $2, updated_at = NOW()
+       WHERE event_id = $1 AND occurrence_date >= $3`,
+      [fromEventId, toEventId, fromDate],
+    );
+  }
+
+  /** Drop exceptions on/after fromDate (series rescheduled, old keys no longer apply). */
+  static async deleteFrom(eventId, fromDate) {
+    await db.query(
+      `DELETE FROM maintenance_event_exceptions
+       WHERE event_id = $1 AND occurrence_date >= $2`,
+      [eventId, fromDate],
+    );
+  }
+}
+
+MaintenanceEventException.OVERRIDABLE_FIELDS = OVERRIDABLE_FIELDS;
+
+module.exports = MaintenanceEventException;
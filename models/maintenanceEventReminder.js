@@ -0,0 +1,91 @@
+"use strict";
+
+/**
+ * MaintenanceEventReminder Model
+ *
+ * Delivery log for maintenance event reminders. One row per
+ * (event, occurrence date, user, channel); the unique key is also the
+ * dispatcher's claim, so a reminder is sent at most once even when several
+ * server instances run the dispatcher at the same time.
+ *
+ * Key operations:
+ * - claim: Reserve a delivery slot (or re-claim a failed or abandoned one for retry)
+ * - markSent / markFailed: Record the delivery outcome
+ * - listForEvent: Delivery history for an event
+ */
+
+const db = require("../db");
+
+const MAX_ATTEMPTS = 3;
+/** A claim still 'pending' after this long was abandoned (dispatcher crashed mid-send). */
+const STALE_PENDING_MINUTES = 30;
+
+const COLUMNS = `id, event_id AS "eventId",
+  to_char(occurrence_date, 'YYYY-MM-DD') AS "occurrenceDate",
+  user_id AS "userId", channel, status, attempts,
+  error_message AS "errorMessage", notification_id AS "notificationId",
+  sent_at AS "sentAt", created_at AS "createdAt", updated_at AS "updatedAt"`;
+
+class MaintenanceEventReminder {
+
+  /** Claim a reminder delivery. Returns the row when this caller should send it,
+   * or null when it was already sent, is in flight, or has exhausted its retries.
+   * A 'pending' claim older than STALE_PENDING_MINUTES counts as a failed attempt.
+   */
+  static async claim({ eventId, occurrenceDate, userId, channel }) {
+    const result = await db.query(
+      `INSERT INTO maintenance_event_reminders (event_id, occurrence_date, user_id, channel)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id, occurrence_date, user_id, channel) DO UPDATE
+         SET status = 'pending',
+             attempts = maintenance_event_reminders.attempts + 1,
+             updated_at = NOW()
+         WHERE maintenance_event_reminders.attempts < $5
+           AND (maintenance_event_reminders.status = 'failed'
+                OR (maintenance_event_reminders.status = 'pending'
+                    AND maintenance_event_reminders.updated_at < NOW() - ($6 || ' minutes')::interval))
+       RETURNING ${COLUMNS}`,
+      [eventId, occurrenceDate, userId, channel, MAX_ATTEMPTS, String(STALE_PENDING_MINUTES)],
+    );
+    return result.rows[0] || null;
+  }
+
+  static async markSent(id, { notificationId = null } = {}) {
+    await db.query(
+      `UPDATE maintenance_event_reminders
+       SET status = 'sent', sent_at = NOW(), error_message = NULL,
+           notification_id = COALESCE($2, notification_id), updated_at = NOW()
+       WHERE id = $1`,
+      [id, notificationId],
+    );
+  }
+
+  static async markFailed(id, errorMessage) {
+    await db.query(
+      `UPDATE maintenance_event_reminders
+       SET status = 'failed', error_message = $2, updated_at = NOW()
+       WHERE id = $1`,
+      [id, errorMessage ? String(errorMessage).slice(0, 1000) : null],
+    );
+  }
+
+  /** Delivery history for an event, newest first, with recipient name/email. */
+  static async listForEvent(eventId) {
+    const result = await db.query(
+      `SELECT r.id, r.event_id AS "eventId",
+              to_char(r.occurrence_date, 'YYYY-MM-DD') AS "occurrenceDate",
+              r.user_id AS "userId", u.name AS "userName", u.email AS "userEmail",
+              r.channel, r.status, r.attempts, r.error_message AS "errorMessage",
+              r.notification_id AS "notificationId", r.sent_at AS "sentAt",
+              r.created_at AS "createdAt", r.updated_at AS "updatedAt"
+       FROM maintenance_event_reminders r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.event_id = $1
+       ORDER BY r.occurrence_date DESC, r.created_at DESC`,
+      [eventId],
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MaintenanceEventReminder;
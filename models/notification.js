@@ -6,12 +6,14 @@ const { NotFoundError } = require("../expressError");
 class Notification {
   /** Create a notification for a user */
   static async create(data) {
-    const { userId, type = "resource_sent", resourceId, title, invitationId } = data;
+    const { userId, type = "resource_sent", resourceId, title, invitationId, maintenanceEventId, maintenanceRecordId } = data;
     const result = await db.query(
-      `INSERT INTO notifications (user_id, type, resource_id, title, invitation_id)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, user_id AS "userId", type, resource_id AS "resourceId", title, invitation_id AS "invitationId", read_at AS "readAt", created_at AS "createdAt"`,
-      [userId, type, resourceId || null, title || null, invitationId || null]
+      `INSERT INTO notifications (user_id, type, resource_id, title, invitation_id, maintenance_event_id, maintenance_record_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, user_id AS "userId", type, resource_id AS "resourceId", title, invitation_id AS "invitationId",
+                 maintenance_event_id AS "maintenanceEventId", maintenance_record_id AS "maintenanceRecordId",
+                 read_at AS "readAt", created_at AS "createdAt"`,
+      [userId, type, resourceId || null, title || null, invitationId || null, maintenanceEventId || null, maintenanceRecordId || null]
     );
     return result.rows[0];
   }
@@ -36,14 +38,20 @@ class Notification {
   /** List notifications for a user (unread first, then by date) */
   static async listForUser(userId, { limit = 20 } = {}) {
     const result = await db.query(
-      `SELECT n.id, n.user_id AS "userId", n.type, n.resource_id AS "resourceId", n.title, n.invitation_id AS "invitationId", n.read_at AS "readAt", n.created_at AS "createdAt",
+      `SELECT n.id, n.user_id AS "userId", n.type, n.resource_id AS "resourceId", n.title, n.invitation_id AS "invitationId",
+              n.maintenance_event_id AS "maintenanceEventId", n.maintenance_record_id AS "maintenanceRecordId",
+              n.read_at AS "readAt", n.created_at AS "createdAt",
               r.subject AS "resourceSubject", r.type AS "resourceType",
-              p.property_uid AS "propertyUid", a.url AS "accountUrl"
+              COALESCE(p.property_uid, mep.property_uid, mrp.property_uid) AS "propertyUid", a.url AS "accountUrl"
        FROM notifications n
        LEFT JOIN resources r ON r.id = n.resource_id
        LEFT JOIN invitations i ON i.id = n.invitation_id AND n.type = 'property_invitation'
        LEFT JOIN properties p ON p.id = i.property_id
        LEFT JOIN accounts a ON a.id = i.account_id
+       LEFT JOIN maintenance_events me ON me.id = n.maintenance_event_id
+       LEFT JOIN properties mep ON mep.id = me.property_id
+       LEFT JOIN property_maintenance pm ON pm.id = n.maintenance_record_id
+       LEFT JOIN properties mrp ON mrp.id = pm.property_id
        WHERE n.user_id = $1
        ORDER BY n.read_at IS NULL DESC, n.created_at DESC
        LIMIT $2`,
@@ -23,6 +23,9 @@ const VALID_EVENT_TYPES = [
   "mfa_disabled",
   "mfa_success",
   "mfa_failure",
+  "passkey_added",
+  "passkey_removed",
+  "passkey_login",
   "page_view",
   "property_created",
   "property_updated",
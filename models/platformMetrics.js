@@ -353,7 +353,7 @@ class PlatformMetrics {
           SELECT COUNT(*)::int FROM invitations i WHERE i.inviter_user_id = u.id
         ), 0) AS "invitationsSent",
         COALESCE((
-          SELECT COUNT(*)::int FROM communications c WHERE c.created_by = u.id AND c.status = 'sent'
+          SELECT COUNT(*)::int FROM communications c WHERE c.created_by = u.id AND c.status IN ('sent', 'partially_sent')
         ), 0) AS "communicationsSent",
         COALESCE((
           SELECT COUNT(*)::int
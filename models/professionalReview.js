@@ -13,15 +13,18 @@ const { BadRequestError, ForbiddenError, NotFoundError } = require("../expressEr
 class ProfessionalReview {
   /**
    * Check if user is eligible to review a professional:
-   * - Has at least one maintenance_event with status='completed', contractor_source='professional',
-   *   contractor_id=professionalId, and user has access to the property.
+   * - Has at least one maintenance_event with status='completed' (or a completed occurrence of a
+   *   recurring event), contractor_source='professional', contractor_id=professionalId, and user
+   *   has access to the property.
    */
   static async checkEligibility(userId, professionalId) {
     const result = await db.query(
       `SELECT 1
        FROM maintenance_events me
        JOIN property_users pu ON pu.property_id = me.property_id AND pu.user_id = $1
-       WHERE me.status = 'completed'
+       WHERE (me.status = 'completed'
+              OR EXISTS (SELECT 1 FROM maintenance_event_exceptions mx
+                         WHERE mx.event_id = me.id AND mx.status = 'completed'))
          AND me.contractor_source = 'professional'
          AND me.contractor_id = $2
        LIMIT 1`,
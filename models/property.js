@@ -8,7 +8,7 @@
  * multi-user access via property_users.
  *
  * Key operations:
- * - create / get / getAll: CRUD for properties
+ * - create / get / getById / getAll: CRUD for properties
  * - getPropertiesByAccountId / getPropertiesByUserId: Filter by account or user
  * - addUserToProperty / updatePropertyUsers: Manage property team access
  * - getPropertyTeam / getAgentByAccountId: Retrieve team/agent data
@@ -129,6 +129,17 @@ class Property {
     }
   }
 
+  /* Get property by internal id */
+  static async getById(id) {
+    const result = await db.query(
+      `SELECT * FROM properties WHERE id = $1`,
+      [id]
+    );
+    const property = result.rows[0];
+    if (!property) throw new NotFoundError(`No property: ${id}`);
+    return property;
+  }
+
   /* Get agents/admins for an account */
   static async getAgentByAccountId(accountId) {
     const result = await db.query(
@@ -162,7 +173,7 @@ class Property {
   }
 
   /* Get properties by users's id */
-  static async getPropertiesByUserId(userId) {
+  static async getPropertiesByUserId(userId, { accountId } = {}) {
     const result = await db.query(
       `SELECT p.*,
         (SELECT u.name FROM property_users pu_owner
@@ -172,8 +183,8 @@ class Property {
          LIMIT 1) AS owner_user_name
        FROM properties p
        JOIN property_users pu ON p.id = pu.property_id
-       WHERE pu.user_id = $1`,
-      [userId]
+       WHERE pu.user_id = $1 AND ($2::int IS NULL OR p.account_id = $2)`,
+      [userId, accountId ?? null]
     );
     return result.rows;
   }
@@ -4,27 +4,50 @@
  * PropertyDocument Model
  *
  * Manages property documents in the `property_documents` table. Stores metadata
- * for documents (S3 keys, names, dates) linked to properties and systems.
+ * for documents (S3 keys, names, dates) linked to properties and systems, and
+ * optionally to the maintenance record they came with (contractor reports).
+ *
+ * A document can have several versions (a revised warranty, a corrected
+ * report). Versions share version_group_id and exactly one is current;
+ * listings show current versions unless asked for superseded ones.
  *
  * Key operations:
  * - create: Add document metadata
- * - get / getByPropertyId: Retrieve document(s)
- * - remove: Delete document record
+ * - createVersion: Upload a new version; the previous one is superseded
+ * - get / getByPropertyId / getByMaintenanceRecordId / getVersions: Retrieve document(s)
+ * - remove: Delete document record (deleting the current version restores the previous one)
  */
 
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 
+const COLUMNS = `id,
+  property_id,
+  maintenance_record_id,
+  document_name,
+  document_date,
+  document_key,
+  document_type,
+  system_key,
+  COALESCE(version_group_id, id) AS version_group_id,
+  version_number,
+  is_current,
+  version_note,
+  superseded_at,
+  created_at,
+  updated_at`;
+
 class PropertyDocument {
   /** Create a new property document.
    *
    * Data should include:
    *   { property_id, document_name, document_date, document_key, document_type, system_key }
+   * and optionally maintenance_record_id.
    *
    * Returns the created document row.
    */
   static async create(data) {
-    const { property_id, document_name, document_date, document_key, document_type, system_key } = data;
+    const { property_id, document_name, document_date, document_key, document_type, system_key, maintenance_record_id = null } = data;
 
     if (!property_id || !document_name || !document_date || !document_key || !document_type || !system_key) {
       throw new BadRequestError("property_id, document_name, document_date, document_key, document_type, and system_key are required");
@@ -38,18 +61,11 @@ class PropertyDocument {
           document_date,
           document_key,
           document_type,
-          system_key)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id,
-                  property_id,
-                  document_name,
-                  document_date,
-                  document_key,
-                  document_type,
-                  system_key,
-                  created_at,
-                  updated_at`,
-        [property_id, document_name, document_date, document_key, document_type, system_key]
+          system_key,
+          maintenance_record_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${COLUMNS}`,
+        [property_id, document_name, document_date, document_key, document_type, system_key, maintenance_record_id]
       );
       return result.rows[0];
     } catch (err) {
@@ -64,15 +80,7 @@ class PropertyDocument {
    */
   static async get(id) {
     const result = await db.query(
-      `SELECT id,
-              property_id,
-              document_name,
-              document_date,
-              document_key,
-              document_type,
-              system_key,
-              created_at,
-              updated_at
+      `SELECT ${COLUMNS}
        FROM property_documents
        WHERE id = $1`,
       [id]
@@ -86,44 +94,148 @@ class PropertyDocument {
 
   /** Get all property documents for a property.
    *
-   * Returns array of document rows.
+   * Returns array of document rows: current versions only unless includeSuperseded.
    */
-  static async getByPropertyId(propertyId) {
+  static async getByPropertyId(propertyId, { includeSuperseded = false } = {}) {
     const result = await db.query(
-      `SELECT id,
-              property_id,
-              document_name,
-              document_date,
-              document_key,
-              document_type,
-              system_key,
-              created_at,
-              updated_at
+      `SELECT ${COLUMNS}
        FROM property_documents
-       WHERE property_id = $1
-       ORDER BY document_date DESC, document_name`,
+       WHERE property_id = $1 ${includeSuperseded ? "" : "AND is_current"}
+       ORDER BY document_date DESC, document_name, version_number DESC`,
       [propertyId]
     );
     return result.rows;
   }
 
+  /** Get the documents attached to a maintenance record. */
+  static async getByMaintenanceRecordId(maintenanceRecordId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM property_documents
+       WHERE maintenance_record_id = $1 AND is_current
+       ORDER BY created_at, id`,
+      [maintenanceRecordId]
+    );
+    return result.rows;
+  }
+
+  /** All versions of the document with this id, newest first. */
+  static async getVersions(id) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM property_documents
+       WHERE COALESCE(version_group_id, id) = (SELECT COALESCE(version_group_id, id) FROM property_documents WHERE id = $1)
+       ORDER BY version_number DESC`,
+      [id]
+    );
+    if (!result.rows.length) throw new NotFoundError(`No property document with id: ${id}`);
+    return result.rows;
+  }
+
+  /** Add a new version of a document; it becomes current and the previous current version is superseded.
+   *
+   * Data: { document_key, document_date, document_name?, document_type?, version_note? }
+   * (name and type default to the previous version's). Property, system and maintenance
+   * record are inherited.
+   *
+   * Returns { document, previous } (the new row and the version it replaced).
+   */
+  static async createVersion(id, data) {
+    const { document_key, document_date, document_name, document_type, version_note = null } = data;
+    if (!document_key || !document_date) {
+      throw new BadRequestError("document_key and document_date are required");
+    }
+
+    await db.query("BEGIN");
+    try {
+      const prevRes = await db.query(
+        `SELECT ${COLUMNS}
+         FROM property_documents
+         WHERE is_current
+           AND COALESCE(version_group_id, id) = (SELECT COALESCE(version_group_id, id) FROM property_documents WHERE id = $1)
+         FOR UPDATE`,
+        [id]
+      );
+      const previous = prevRes.rows[0];
+      if (!previous) throw new NotFoundError(`No property document with id: ${id}`);
+
+      const groupId = previous.version_group_id;
+      const versionRes = await db.query(
+        `SELECT MAX(version_number)::int AS max FROM property_documents WHERE COALESCE(version_group_id, id) = $1`,
+        [groupId]
+      );
+      await db.query(
+        `UPDATE property_documents
+         SET version_group_id = $1, is_current = false, superseded_at = NOW(), updated_at = NOW()
+         WHERE id = $2`,
+        [groupId, previous.id]
+      );
+      const result = await db.query(
+        `INSERT INTO property_documents (
+          property_id,
+          maintenance_record_id,
+          document_name,
+          document_date,
+          document_key,
+          document_type,
+          system_key,
+          version_group_id,
+          version_number,
+          version_note)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${COLUMNS}`,
+        [
+          previous.property_id,
+          previous.maintenance_record_id,
+          document_name || previous.document_name,
+          document_date,
+          document_key,
+          document_type || previous.document_type,
+          previous.system_key,
+          groupId,
+          versionRes.rows[0].max + 1,
+          version_note,
+        ]
+      );
+      await db.query("COMMIT");
+      return { document: result.rows[0], previous: { ...previous, is_current: false } };
+    } catch (err) {
+      await db.query("ROLLBACK");
+      throw err;
+    }
+  }
+
   /** Delete a property document by id.
    *
-   * Returns { deleted: id }.
+   * Deleting the current version makes the newest remaining version current.
+   * Returns { deleted: id, restored: row|null }.
    * Throws NotFoundError if not found.
    */
   static async remove(id) {
     const result = await db.query(
       `DELETE FROM property_documents
        WHERE id = $1
-       RETURNING id`,
+       RETURNING id, version_group_id, is_current`,
       [id]
     );
 
     const document = result.rows[0];
     if (!document) throw new NotFoundError(`No property document with id: ${id}`);
 
-    return { deleted: id };
+    let restored = null;
+    if (document.is_current && document.version_group_id) {
+      const restoredRes = await db.query(
+        `UPDATE property_documents
+         SET is_current = true, superseded_at = NULL, updated_at = NOW()
+         WHERE id = (SELECT id FROM property_documents WHERE version_group_id = $1
+                     ORDER BY version_number DESC LIMIT 1)
+         RETURNING ${COLUMNS}`,
+        [document.version_group_id]
+      );
+      restored = restoredRes.rows[0] || null;
+    }
+
+    return { deleted: id, restored };
   }
 }
 
@@ -0,0 +1,76 @@
+"use strict";
+
+/**
+ * PropertyScore Model
+ *
+ * Persists the Home Performance Score: the latest score on properties.hps_score
+ * and each distinct result (score + per-system breakdown) in property_score_history.
+ *
+ * Key operations:
+ * - save: Store a newly computed score
+ * - getLatest: Latest score with its breakdown
+ * - getHistory: Score over time
+ */
+
+const db = require("../db");
+
+class PropertyScore {
+
+  /** Store a computed score. A new history row is only written when the result changed. */
+  static async save(propertyId, { score, breakdown, triggerSource = null }) {
+    await db.query(
+      `UPDATE properties SET hps_score = $1, hps_score_updated_at = NOW() WHERE id = $2`,
+      [score, propertyId]
+    );
+
+    const latest = await PropertyScore.getLatest(propertyId);
+    const breakdownJson = JSON.stringify(breakdown);
+    if (latest && latest.score === score && JSON.stringify(latest.breakdown) === breakdownJson) {
+      const result = await db.query(
+        `UPDATE property_score_history
+         SET computed_at = NOW()
+         WHERE id = $1
+         RETURNING id, property_id AS "propertyId", score, breakdown,
+                   trigger_source AS "triggerSource", computed_at AS "computedAt"`,
+        [latest.id]
+      );
+      return result.rows[0];
+    }
+
+    const result = await db.query(
+      `INSERT INTO property_score_history (property_id, score, breakdown, trigger_source)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, property_id AS "propertyId", score, breakdown,
+                 trigger_source AS "triggerSource", computed_at AS "computedAt"`,
+      [propertyId, score, breakdownJson, triggerSource]
+    );
+    return result.rows[0];
+  }
+
+  static async getLatest(propertyId) {
+    const result = await db.query(
+      `SELECT id, property_id AS "propertyId", score, breakdown,
+              trigger_source AS "triggerSource", computed_at AS "computedAt"
+       FROM property_score_history
+       WHERE property_id = $1
+       ORDER BY computed_at DESC, id DESC
+       LIMIT 1`,
+      [propertyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async getHistory(propertyId, { limit = 30 } = {}) {
+    const result = await db.query(
+      `SELECT score, trigger_source AS "triggerSource", computed_at AS "computedAt"
+       FROM property_score_history
+       WHERE property_id = $1
+       ORDER BY computed_at DESC, id DESC
+       LIMIT $2`,
+      [propertyId, Math.min(Math.max(parseInt(limit, 10) || 30, 1), 365)]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = PropertyScore;
@@ -8,24 +8,36 @@ class RefreshToken {
     return crypto.createHash("sha256").update(token).digest("hex");
   }
 
-  static async store({ userId, tokenHash, expiresAt }) {
+  static async store({ userId, sessionId, tokenHash, expiresAt }) {
     await db.query(
-      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
-       VALUES ($1, $2, $3)`,
-      [userId, tokenHash, expiresAt]
+      `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, sessionId, tokenHash, expiresAt]
     );
   }
 
+  /** Unexpired token by hash, including already-rotated ones (used_at set) and its session's state. */
   static async findByHash(tokenHash) {
     const result = await db.query(
-      `SELECT id, user_id, token_hash, expires_at
-       FROM refresh_tokens
-       WHERE token_hash = $1 AND expires_at > NOW()`,
+      `SELECT t.id, t.user_id, t.session_id, t.token_hash, t.expires_at, t.used_at,
+              s.revoked_at AS session_revoked_at, s.created_at AS session_created_at
+       FROM refresh_tokens t
+       JOIN user_sessions s ON s.id = t.session_id
+       WHERE t.token_hash = $1 AND t.expires_at > NOW()`,
       [tokenHash]
     );
     return result.rows[0] || null;
   }
 
+  /** Mark a token as rotated. Returns false if it was already used (a concurrent replay). */
+  static async markUsed(id) {
+    const result = await db.query(
+      `UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL`,
+      [id]
+    );
+    return result.rowCount === 1;
+  }
+
   static async deleteByHash(tokenHash) {
     await db.query(
       `DELETE FROM refresh_tokens WHERE token_hash = $1`,
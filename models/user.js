@@ -12,6 +12,7 @@
  * - get / getByAccountId / getUsersBySharedAccounts: Retrieve user(s)
  * - update / remove: Modify or delete user records
  * - changePassword / activateFromInvitation: Account lifecycle operations
+ * - markEmailVerified / changeEmail: Email verification and address changes
  */
 
 const db = require("../db");
@@ -164,7 +165,7 @@ class User {
       `SELECT id, email, name, phone, role, contact_id AS "contact",
               is_active AS "isActive", image, auth_provider AS "authProvider",
               google_sub AS "googleSub", avatar_url AS "avatarUrl",
-              email_verified AS "emailVerified",
+              email_verified AS "emailVerified", mfa_enabled AS "mfaEnabled",
               subscription_tier AS "subscriptionTier",
               onboarding_completed AS "onboardingCompleted"
        FROM users WHERE google_sub = $1`,
@@ -180,7 +181,7 @@ class User {
       `SELECT id, email, name, phone, role, contact_id AS "contact",
               is_active AS "isActive", image, auth_provider AS "authProvider",
               google_sub AS "googleSub", avatar_url AS "avatarUrl",
-              email_verified AS "emailVerified",
+              email_verified AS "emailVerified", mfa_enabled AS "mfaEnabled",
               subscription_tier AS "subscriptionTier",
               onboarding_completed AS "onboardingCompleted"
        FROM users WHERE email = $1`,
@@ -540,6 +541,55 @@ class User {
     );
   }
 
+  /** Check a user's current password. Users without one (Google-only) return null. */
+  static async verifyPassword(userId, password) {
+    const result = await db.query(
+      `SELECT password_hash AS "passwordHash" FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user with id: ${userId}`);
+    if (!user.passwordHash) return null;
+    return bcrypt.compare(String(password || ""), user.passwordHash);
+  }
+
+  /** Mark the user's email as verified. Local (password) accounts still pending registration
+   * are activated; accounts an admin deactivated, or that were erased, stay inactive.
+   */
+  static async markEmailVerified(userId) {
+    const result = await db.query(
+      `UPDATE users
+       SET email_verified = true,
+           is_active = CASE WHEN password_hash IS NOT NULL AND deactivated_at IS NULL AND erased_at IS NULL
+                            THEN true ELSE is_active END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, email, email_verified AS "emailVerified", is_active AS "isActive"`,
+      [userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user with id: ${userId}`);
+    return result.rows[0];
+  }
+
+  /** Switch to a new, already verified email address. */
+  static async changeEmail(userId, newEmail) {
+    const duplicateCheck = await db.query(
+      `SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2`,
+      [newEmail, userId]
+    );
+    if (duplicateCheck.rows.length > 0) {
+      throw new BadRequestError("That email address is already in use");
+    }
+    const result = await db.query(
+      `UPDATE users SET email = $1, email_verified = true, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, email, name, email_verified AS "emailVerified"`,
+      [newEmail, userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user with id: ${userId}`);
+    return result.rows[0];
+  }
+
   /* ----- Invitation functions ----- */
 
   /* Activate user from invitation */
@@ -568,12 +618,12 @@ class User {
     }
   }
 
-  /* Activate Signup User */
+  /* Activate Signup User (also lifts an admin deactivation) */
   static async activateUser(userId) {
     try {
       const result = await db.query(
         `UPDATE users
-      SET is_active = true
+      SET is_active = true, deactivated_at = NULL
       WHERE id = $1
       RETURNING id, email, name, phone, role, contact_id AS "contact", is_active AS "isActive"`,
         [userId]
@@ -584,6 +634,20 @@ class User {
     }
   }
 
+  /** Deactivate a user (admin action). Only activateUser brings them back. */
+  static async deactivateUser(userId) {
+    const result = await db.query(
+      `UPDATE users
+       SET is_active = false, deactivated_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, email, name, phone, role, contact_id AS "contact", is_active AS "isActive",
+                 deactivated_at AS "deactivatedAt"`,
+      [userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user with id: ${userId}`);
+    return result.rows[0];
+  }
+
   /* ----- MFA functions ----- */
 
   /** Get decrypted TOTP secret for a user. Internal use only. */
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * UserSession Model
+ *
+ * A signed-in device. Each session owns a family of refresh tokens: signing in
+ * creates the session, every refresh rotates the token inside it, and revoking
+ * the session invalidates the whole family.
+ *
+ * Key operations:
+ * - create: Start a session for a sign-in
+ * - touch: Record a refresh (last use, device details, new expiry)
+ * - listActiveForUser: Sessions that can still be refreshed
+ * - revoke / revokeAllForUser: Sign out one device, or every device
+ */
+
+const db = require("../db");
+
+const COLUMNS = `s.id, s.user_id AS "userId", s.user_agent AS "userAgent", s.ip_address AS "ipAddress",
+  s.created_at AS "createdAt", s.last_used_at AS "lastUsedAt", s.expires_at AS "expiresAt",
+  s.revoked_at AS "revokedAt", s.revoked_reason AS "revokedReason"`;
+
+class UserSession {
+
+  static async create({ userId, userAgent = null, ipAddress = null, expiresAt }) {
+    const result = await db.query(
+      `INSERT INTO user_sessions AS s (user_id, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${COLUMNS}`,
+      [userId, userAgent, ipAddress, expiresAt]
+    );
+    return result.rows[0];
+  }
+
+  static async touch(id, { userAgent, ipAddress, expiresAt }) {
+    await db.query(
+      `UPDATE user_sessions
+       SET last_used_at = NOW(),
+           user_agent = COALESCE($2, user_agent),
+           ip_address = COALESCE($3, ip_address),
+           expires_at = $4
+       WHERE id = $1`,
+      [id, userAgent || null, ipAddress || null, expiresAt]
+    );
+  }
+
+  static async listActiveForUser(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM user_sessions s
+       WHERE s.user_id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       ORDER BY s.last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /** Revoke a session. Pass userId to only match the user's own session. Returns the session or null. */
+  static async revoke(id, { userId = null, reason = "signed_out" } = {}) {
+    const result = await db.query(
+      `UPDATE user_sessions s
+       SET revoked_at = NOW(), revoked_reason = $3
+       WHERE s.id = $1 AND ($2::int IS NULL OR s.user_id = $2) AND s.revoked_at IS NULL
+       RETURNING ${COLUMNS}`,
+      [id, userId, reason]
+    );
+    return result.rows[0] || null;
+  }
+
+  /** Revoke every active session of a user, optionally keeping one. Returns the number revoked. */
+  static async revokeAllForUser(userId, { exceptId = null, reason = "signed_out_everywhere" } = {}) {
+    const result = await db.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = $3
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+      [userId, exceptId, reason]
+    );
+    return result.rowCount;
+  }
+
+  /** Delete sessions that expired or were revoked more than a week ago (their tokens cascade). */
+  static async cleanupExpired() {
+    await db.query(
+      `DELETE FROM user_sessions
+       WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL '7 days'`
+    );
+  }
+}
+
+module.exports = UserSession;
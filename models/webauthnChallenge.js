@@ -0,0 +1,42 @@
+"use strict";
+
+/**
+ * WebAuthn Challenge Model
+ *
+ * Server-side, single-use challenges for WebAuthn ceremonies. The client gets
+ * the challenge id with the options and sends it back with the response.
+ *
+ * Key operations:
+ * - create: Store a challenge (expired rows are pruned on the way)
+ * - consume: Fetch and delete a challenge for the expected purpose and user
+ */
+
+const db = require("../db");
+
+class WebauthnChallenge {
+
+  static async create({ userId = null, purpose, challenge, ttlSeconds }) {
+    await db.query(`DELETE FROM webauthn_challenges WHERE expires_at < NOW()`);
+    const result = await db.query(
+      `INSERT INTO webauthn_challenges (user_id, purpose, challenge, expires_at)
+       VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')
+       RETURNING id`,
+      [userId, purpose, challenge, ttlSeconds]
+    );
+    return result.rows[0].id;
+  }
+
+  /** Delete and return the challenge string, or null if unknown, expired or for another purpose/user. */
+  static async consume(id, { purpose, userId = null }) {
+    if (!/^[0-9a-f-]{36}$/i.test(String(id || ""))) return null;
+    const result = await db.query(
+      `DELETE FROM webauthn_challenges
+       WHERE id = $1 AND purpose = $2 AND user_id IS NOT DISTINCT FROM $3 AND expires_at > NOW()
+       RETURNING challenge`,
+      [id, purpose, userId]
+    );
+    return result.rows[0]?.challenge || null;
+  }
+}
+
+module.exports = WebauthnChallenge;
@@ -0,0 +1,100 @@
+"use strict";
+
+/**
+ * WebAuthn Credential Model
+ *
+ * Passkeys / security keys registered by a user. Used as a second factor after
+ * password sign-in and for passwordless sign-in. credential_id is the
+ * base64url credential ID; public_key is the COSE public key.
+ *
+ * Key operations:
+ * - create / listForUser / rename / remove
+ * - findByCredentialId: Look up a credential from an assertion (includes the public key)
+ * - recordUse: Store the new signature counter after a successful assertion
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `c.id, c.name, c.transports, c.device_type AS "deviceType", c.backed_up AS "backedUp",
+  c.last_used_at AS "lastUsedAt", c.created_at AS "createdAt"`;
+
+class WebauthnCredential {
+
+  static async create({ userId, credentialId, publicKey, counter, transports = [], deviceType = null, backedUp = false, name }) {
+    const result = await db.query(
+      `INSERT INTO webauthn_credentials AS c
+         (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${COLUMNS}`,
+      [userId, credentialId, Buffer.from(publicKey), counter, transports, deviceType, backedUp, name]
+    );
+    return result.rows[0];
+  }
+
+  static async listForUser(userId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM webauthn_credentials c WHERE c.user_id = $1 ORDER BY c.created_at`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  static async countForUser(userId) {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS count FROM webauthn_credentials WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows[0].count;
+  }
+
+  /** Credential IDs and transports of a user, for allow/exclude lists. */
+  static async descriptorsForUser(userId) {
+    const result = await db.query(
+      `SELECT credential_id AS id, transports FROM webauthn_credentials WHERE user_id = $1`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /** Credential with user_id, public_key and counter, or null. */
+  static async findByCredentialId(credentialId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}, c.user_id AS "userId", c.credential_id AS "credentialId",
+              c.public_key AS "publicKey", c.counter
+       FROM webauthn_credentials c
+       WHERE c.credential_id = $1`,
+      [credentialId]
+    );
+    const row = result.rows[0];
+    return row ? { ...row, counter: Number(row.counter) } : null;
+  }
+
+  static async recordUse(id, counter) {
+    await db.query(
+      `UPDATE webauthn_credentials SET counter = $2, last_used_at = NOW() WHERE id = $1`,
+      [id, counter]
+    );
+  }
+
+  static async rename(id, userId, name) {
+    const result = await db.query(
+      `UPDATE webauthn_credentials c SET name = $3
+       WHERE c.id = $1 AND c.user_id = $2
+       RETURNING ${COLUMNS}`,
+      [id, userId, name]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No passkey: ${id}`);
+    return result.rows[0];
+  }
+
+  static async remove(id, userId) {
+    const result = await db.query(
+      `DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2 RETURNING id`,
+      [id, userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No passkey: ${id}`);
+  }
+}
+
+module.exports = WebauthnCredential;
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * WebhookDelivery Model
+ *
+ * One event sent to one webhook endpoint, with its attempt history. Rows are
+ * the delivery queue (status pending, due at next_attempt_at) and the delivery
+ * log shown to account admins.
+ *
+ * Key operations:
+ * - enqueueForEvent: One pending delivery per subscribed, enabled endpoint
+ * - claimDue: Claim due deliveries for a worker (FOR UPDATE SKIP LOCKED)
+ * - markSucceeded / markAttemptFailed: Record an attempt (failures back off, then fail)
+ * - listForEndpoint / replay
+ */
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `d.id, d.endpoint_id AS "endpointId", d.event_id AS "eventId", d.event_type AS "eventType",
+  d.payload, d.status, d.attempts, d.next_attempt_at AS "nextAttemptAt",
+  d.last_attempt_at AS "lastAttemptAt", d.response_status AS "responseStatus",
+  d.response_body AS "responseBody", d.error, d.replay_of AS "replayOf",
+  d.delivered_at AS "deliveredAt", d.created_at AS "createdAt"`;
+
+class WebhookDelivery {
+
+  /** Queue an event for every enabled endpoint of the account subscribed to its type.
+   * @returns {Promise<number>} deliveries created
+   */
+  static async enqueueForEvent(accountId, event) {
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+       SELECT id, $2, $3, $4
+       FROM webhook_endpoints
+       WHERE account_id = $1 AND disabled_at IS NULL
+         AND (cardinality(events) = 0 OR $3 = ANY(events))`,
+      [accountId, event.id, event.type, JSON.stringify(event)]
+    );
+    return result.rowCount;
+  }
+
+  /** Claim due deliveries, plus 'sending' ones whose worker stopped (claimed over staleMinutes ago).
+   * Rows include the endpoint's url, secret and disabled_at.
+   */
+  static async claimDue({ limit = 20, staleMinutes = 10 } = {}) {
+    const result = await db.query(
+      `WITH claimed AS (
+         UPDATE webhook_deliveries
+         SET status = 'sending', claimed_at = NOW()
+         WHERE id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE (status = 'pending' AND next_attempt_at <= NOW())
+              OR (status = 'sending' AND claimed_at < NOW() - ($2 || ' minutes')::interval)
+           ORDER BY next_attempt_at, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *
+       )
+       SELECT c.id, c.endpoint_id, c.event_id, c.event_type, c.payload, c.attempts,
+              e.url, e.secret, e.disabled_at
+       FROM claimed c
+       JOIN webhook_endpoints e ON e.id = c.endpoint_id`,
+      [limit, String(staleMinutes)]
+    );
+    return result.rows;
+  }
+
+  static async markSucceeded(id, { responseStatus, responseBody }) {
+    await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'succeeded', attempts = attempts + 1, last_attempt_at = NOW(), delivered_at = NOW(),
+           response_status = $2, response_body = $3, error = NULL, claimed_at = NULL
+       WHERE id = $1`,
+      [id, responseStatus, responseBody]
+    );
+  }
+
+  /** Record a failed attempt: retry with exponential backoff (capped at 6 hours) until
+   * maxAttempts, then 'failed'. final forces 'failed' (e.g. endpoint disabled).
+   */
+  static async markAttemptFailed(id, { responseStatus = null, responseBody = null, error, maxAttempts, final = false, backoffSeconds = 30 }) {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET attempts = attempts + 1,
+           status = CASE WHEN $6 OR attempts + 1 >= $5 THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = CASE WHEN $6 OR attempts + 1 >= $5 THEN next_attempt_at
+                                  ELSE NOW() + LEAST(21600, $7 * POWER(2, attempts)) * INTERVAL '1 second' END,
+           last_attempt_at = NOW(), response_status = $2, response_body = $3, error = $4, claimed_at = NULL
+       WHERE id = $1
+       RETURNING status`,
+      [id, responseStatus, responseBody, error, maxAttempts, final, backoffSeconds]
+    );
+    return result.rows[0]?.status;
+  }
+
+  static async listForEndpoint(endpointId, { status, limit = 50 } = {}) {
+    const result = await db.query(
+      `SELECT ${COLUMNS}
+       FROM webhook_deliveries d
+       WHERE d.endpoint_id = $1 AND ($2::text IS NULL OR d.status = $2)
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $3`,
+      [endpointId, status || null, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+    );
+    return result.rows;
+  }
+
+  /** Queue a delivery's event again (same event id) as a new delivery. */
+  static async replay(id, endpointId) {
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries AS d (endpoint_id, event_id, event_type, payload, replay_of)
+       SELECT endpoint_id, event_id, event_type, payload, id
+       FROM webhook_deliveries
+       WHERE id = $1 AND endpoint_id = $2
+       RETURNING ${COLUMNS}`,
+      [id, endpointId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No webhook delivery: ${id}`);
+    return result.rows[0];
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,131 @@
+"use strict";
+
+/**
+ * WebhookEndpoint Model
+ *
+ * An account's subscription to outbound webhook events: target URL, signing
+ * secret and event filter (empty = every event). The secret is kept in plain
+ * text because deliveries are signed with it; it is returned only by create
+ * and rotateSecret.
+ *
+ * Key operations:
+ * - create / update / remove / listForAccount
+ * - rotateSecret: Issue a new signing secret
+ * - recordSuccess / recordFailure: Track consecutive failures; recordFailure
+ *   disables the endpoint once the threshold is reached
+ */
+
+const db = require("../db");
+const crypto = require("crypto");
+const { NotFoundError } = require("../expressError");
+
+const COLUMNS = `w.id, w.account_id AS "accountId", w.url, w.events, w.description,
+  w.consecutive_failures AS "consecutiveFailures", w.disabled_at AS "disabledAt",
+  w.disabled_reason AS "disabledReason", w.created_by AS "createdBy",
+  w.created_at AS "createdAt", w.updated_at AS "updatedAt"`;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+class WebhookEndpoint {
+
+  static async create({ accountId, url, events = [], description = null, createdBy = null }) {
+    const secret = generateSecret();
+    const result = await db.query(
+      `INSERT INTO webhook_endpoints AS w (account_id, url, secret, events, description, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${COLUMNS}`,
+      [accountId, url, secret, events, description, createdBy]
+    );
+    return { ...result.rows[0], secret };
+  }
+
+  static async get(id, accountId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM webhook_endpoints w WHERE w.id = $1 AND w.account_id = $2`,
+      [id, accountId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No webhook: ${id}`);
+    return result.rows[0];
+  }
+
+  static async listForAccount(accountId) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM webhook_endpoints w WHERE w.account_id = $1 ORDER BY w.created_at DESC`,
+      [accountId]
+    );
+    return result.rows;
+  }
+
+  /** Update url / events / description. enabled: true re-enables a disabled endpoint, false disables it. */
+  static async update(id, accountId, { url, events, description, enabled }) {
+    const result = await db.query(
+      `UPDATE webhook_endpoints w
+       SET url = COALESCE($3, url),
+           events = COALESCE($4, events),
+           description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+           disabled_at = CASE WHEN $7::boolean IS TRUE THEN NULL
+                              WHEN $7::boolean IS FALSE THEN COALESCE(disabled_at, NOW())
+                              ELSE disabled_at END,
+           disabled_reason = CASE WHEN $7::boolean IS TRUE THEN NULL
+                                  WHEN $7::boolean IS FALSE THEN COALESCE(disabled_reason, 'Disabled by user')
+                                  ELSE disabled_reason END,
+           consecutive_failures = CASE WHEN $7::boolean IS TRUE THEN 0 ELSE consecutive_failures END,
+           updated_at = NOW()
+       WHERE w.id = $1 AND w.account_id = $2
+       RETURNING ${COLUMNS}`,
+      [id, accountId, url ?? null, events ?? null, description !== undefined, description ?? null, enabled ?? null]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No webhook: ${id}`);
+    return result.rows[0];
+  }
+
+  static async rotateSecret(id, accountId) {
+    const secret = generateSecret();
+    const result = await db.query(
+      `UPDATE webhook_endpoints w SET secret = $3, updated_at = NOW()
+       WHERE w.id = $1 AND w.account_id = $2
+       RETURNING ${COLUMNS}`,
+      [id, accountId, secret]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No webhook: ${id}`);
+    return { ...result.rows[0], secret };
+  }
+
+  static async remove(id, accountId) {
+    const result = await db.query(
+      `DELETE FROM webhook_endpoints WHERE id = $1 AND account_id = $2 RETURNING id`,
+      [id, accountId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No webhook: ${id}`);
+  }
+
+  static async recordSuccess(id) {
+    await db.query(
+      `UPDATE webhook_endpoints SET consecutive_failures = 0 WHERE id = $1 AND consecutive_failures <> 0`,
+      [id]
+    );
+  }
+
+  /** Count a failed attempt; disables the endpoint at disableAfter consecutive failures.
+   * @returns {Promise<boolean>} true if this failure disabled the endpoint
+   */
+  static async recordFailure(id, { disableAfter }) {
+    const result = await db.query(
+      `UPDATE webhook_endpoints
+       SET consecutive_failures = consecutive_failures + 1,
+           disabled_at = CASE WHEN disabled_at IS NULL AND consecutive_failures + 1 >= $2::int THEN NOW() ELSE disabled_at END,
+           disabled_reason = CASE WHEN disabled_at IS NULL AND consecutive_failures + 1 >= $2::int
+                                  THEN 'Disabled after ' || $2::int || ' consecutive failed delivery attempts'
+                                  ELSE disabled_reason END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING disabled_at, (disabled_at IS NOT NULL AND consecutive_failures = $2::int) AS just_disabled`,
+      [id, disableAfter]
+    );
+    return !!result.rows[0]?.just_disabled;
+  }
+}
+
+module.exports = WebhookEndpoint;
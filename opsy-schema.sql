@@ -44,6 +44,8 @@ CREATE TABLE users (
     mfa_enrolled_at TIMESTAMPTZ,
     subscription_tier VARCHAR(50),
     onboarding_completed BOOLEAN DEFAULT true,
+    deactivated_at TIMESTAMPTZ,
+    erased_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -70,19 +72,223 @@ CREATE TABLE account_users (
 CREATE INDEX idx_account_users_user_id ON account_users(user_id);
 CREATE INDEX idx_account_users_account_id ON account_users(account_id);
 
+-- ============================================================
+-- API Keys (account-scoped credentials for integrations)
+-- Only a hash is stored; key_prefix identifies the key ("hops_<12 hex>").
+-- ============================================================
+
+CREATE TABLE api_keys (
+    id SERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip TEXT,
+    rotated_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_api_keys_account_id ON api_keys(account_id);
+
+-- ============================================================
+-- Outbound Webhooks (account subscriptions and their delivery log)
+-- events is the event filter; an empty array subscribes to every event.
+-- ============================================================
+
+CREATE TABLE webhook_endpoints (
+    id SERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    disabled_at TIMESTAMPTZ,
+    disabled_reason TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_endpoints_account_id ON webhook_endpoints(account_id);
+
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id TEXT NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    claimed_at TIMESTAMPTZ,
+    last_attempt_at TIMESTAMPTZ,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- ============================================================
+-- Account Security Policies
+-- A user in several accounts gets the strictest combination of their policies.
+-- ============================================================
+
+CREATE TABLE account_security_policies (
+    account_id INTEGER PRIMARY KEY REFERENCES accounts(id) ON DELETE CASCADE,
+    require_mfa BOOLEAN NOT NULL DEFAULT false,
+    mfa_grace_days INTEGER NOT NULL DEFAULT 7 CHECK (mfa_grace_days BETWEEN 0 AND 90),
+    mfa_required_since TIMESTAMPTZ,
+    max_session_hours INTEGER CHECK (max_session_hours BETWEEN 1 AND 8760),
+    allowed_auth_methods TEXT[] NOT NULL DEFAULT '{password,google,passkey}',
+    password_min_length INTEGER NOT NULL DEFAULT 8 CHECK (password_min_length BETWEEN 4 AND 128),
+    password_require_mixed_case BOOLEAN NOT NULL DEFAULT false,
+    password_require_number BOOLEAN NOT NULL DEFAULT false,
+    password_require_symbol BOOLEAN NOT NULL DEFAULT false,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- Account Ownership Transfers
+-- The primary owner (accounts.owner_user_id) hands the account to another user,
+-- who confirms with an emailed link. At most one pending transfer per account.
+-- ============================================================
+
+CREATE TABLE account_ownership_transfers (
+    id SERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    from_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    to_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    previous_owner_role VARCHAR(20) NOT NULL DEFAULT 'admin'
+        CHECK (previous_owner_role IN ('owner', 'admin', 'member', 'view_only', 'remove')),
+    token_hash TEXT NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_account_ownership_transfers_pending ON account_ownership_transfers(account_id) WHERE status = 'pending';
+CREATE INDEX idx_account_ownership_transfers_to_user ON account_ownership_transfers(to_user_id, status);
+
+-- ============================================================
+-- Audit Log (append-only record of who changed what)
+-- No foreign keys: entries outlive the users, properties and accounts they mention.
+-- The only sanctioned change is erasure redaction (audit_log_redact_user).
+-- ============================================================
+
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    account_id INTEGER,
+    property_id INTEGER,
+    actor_user_id INTEGER,
+    actor_api_key_id INTEGER,
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id TEXT,
+    changes JSONB,
+    metadata JSONB,
+    ip_address TEXT,
+    request_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_account ON audit_log(account_id, created_at DESC);
+CREATE INDEX idx_audit_log_property ON audit_log(property_id, created_at DESC);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND current_setting('homeops.audit_redaction', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+-- Erasure redaction. Entries are kept (action, entity, time), but for the erased user:
+-- their IP address and actor id are cleared, entries of accounts deleted with them lose
+-- their diffs, and their personal values (exact JSON string matches of p_values, e.g.
+-- email, name, phone) are replaced with "[redacted]" in every diff.
+CREATE FUNCTION audit_log_redact_user(p_user_id INTEGER, p_values TEXT[], p_account_ids INTEGER[])
+RETURNS void AS $$
+DECLARE
+    v TEXT;
+    needle TEXT;
+BEGIN
+    PERFORM set_config('homeops.audit_redaction', 'on', true);
+
+    UPDATE audit_log SET actor_user_id = NULL, ip_address = NULL WHERE actor_user_id = p_user_id;
+    UPDATE audit_log SET changes = NULL, metadata = NULL, ip_address = NULL
+    WHERE account_id = ANY(p_account_ids);
+
+    FOREACH v IN ARRAY p_values LOOP
+        CONTINUE WHEN v IS NULL OR btrim(v) = '';
+        needle := to_jsonb(v)::text;
+        UPDATE audit_log
+        SET changes = replace(changes::text, needle, '"[redacted]"')::jsonb,
+            metadata = replace(metadata::text, needle, '"[redacted]"')::jsonb
+        WHERE strpos(changes::text, needle) > 0 OR strpos(metadata::text, needle) > 0;
+    END LOOP;
+
+    PERFORM set_config('homeops.audit_redaction', 'off', true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- User Sessions (one per sign-in on a device)
+-- A session is a refresh-token family: every rotation stays in the same session.
+-- ============================================================
+
+CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_sessions_user_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
 -- ============================================================
 -- Refresh Tokens (for access/refresh token rotation)
+-- Rotated tokens are kept (used_at set) until they expire so a replay is detected.
 -- ============================================================
 
 CREATE TABLE refresh_tokens (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
     token_hash TEXT NOT NULL UNIQUE,
     expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
 CREATE INDEX idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
 
 -- ============================================================
@@ -103,6 +309,102 @@ CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)
 CREATE INDEX idx_password_reset_tokens_token_hash ON password_reset_tokens(token_hash);
 CREATE INDEX idx_password_reset_tokens_expires_at ON password_reset_tokens(expires_at);
 
+-- ============================================================
+-- Email verification (confirm a user's address, or a new address before an email change)
+-- ============================================================
+
+CREATE TABLE email_verification_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'change')),
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens(user_id, created_at DESC);
+
+-- ============================================================
+-- Personal data export and erasure (GDPR / CCPA)
+-- Export archives live in S3 until expires_at. Erasure runs after a cooling-off
+-- period (scheduled_for) and anonymizes the users row instead of deleting it.
+-- ============================================================
+
+CREATE TABLE data_export_jobs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'expired')),
+    s3_key VARCHAR(512),
+    size_bytes BIGINT,
+    file_count INTEGER,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    locked_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_data_export_jobs_user ON data_export_jobs(user_id, created_at DESC);
+CREATE INDEX idx_data_export_jobs_queued ON data_export_jobs(created_at) WHERE status = 'queued';
+
+CREATE TABLE account_erasure_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'completed', 'cancelled', 'failed')),
+    reason TEXT,
+    scheduled_for TIMESTAMPTZ NOT NULL,
+    cancelled_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    error_message TEXT,
+    summary JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_account_erasure_requests_open ON account_erasure_requests(user_id)
+    WHERE status IN ('pending', 'processing');
+CREATE INDEX idx_account_erasure_requests_due ON account_erasure_requests(scheduled_for) WHERE status = 'pending';
+
+-- ============================================================
+-- Failed sign-in tracking (brute-force protection)
+-- email is lower-cased and recorded whether or not an account exists, so
+-- lockouts do not reveal which emails are registered.
+-- ============================================================
+
+CREATE TABLE auth_failures (
+    id BIGSERIAL PRIMARY KEY,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('token', 'mfa', 'reset_password')),
+    email VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_auth_failures_email ON auth_failures(email, created_at);
+CREATE INDEX idx_auth_failures_ip ON auth_failures(ip_address, created_at);
+
+CREATE TABLE auth_lockouts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    failed_attempts INTEGER NOT NULL,
+    locked_until TIMESTAMPTZ NOT NULL,
+    unlock_token_hash TEXT UNIQUE,
+    last_ip_address VARCHAR(45),
+    unlocked_at TIMESTAMPTZ,
+    unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    unlock_method VARCHAR(20) CHECK (unlock_method IN ('email', 'admin')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_auth_lockouts_email ON auth_lockouts(email, created_at DESC);
+CREATE INDEX idx_auth_lockouts_active ON auth_lockouts(locked_until) WHERE unlocked_at IS NULL;
+
 -- ============================================================
 -- API Usage (per-user AI token tracking for tier limits)
 -- ============================================================
@@ -121,7 +423,7 @@ CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON user_api_usage(created_at
 CREATE INDEX IF NOT EXISTS idx_api_usage_user_month ON user_api_usage(user_id, created_at);
 
 -- ============================================================
--- MFA (TOTP + Backup Codes)
+-- MFA (TOTP, Backup Codes, WebAuthn)
 -- ============================================================
 
 CREATE TABLE mfa_backup_codes (
@@ -143,6 +445,33 @@ CREATE TABLE mfa_enrollment_temp (
 CREATE INDEX idx_mfa_enrollment_temp_user_id ON mfa_enrollment_temp(user_id);
 CREATE INDEX idx_mfa_enrollment_temp_expires_at ON mfa_enrollment_temp(expires_at);
 
+-- WebAuthn / passkeys: second factor and passwordless sign-in
+CREATE TABLE webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT NOT NULL UNIQUE,
+    public_key BYTEA NOT NULL,
+    counter BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[] NOT NULL DEFAULT '{}',
+    device_type VARCHAR(20),
+    backed_up BOOLEAN NOT NULL DEFAULT false,
+    name VARCHAR(100) NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+
+-- Single-use ceremony challenges (user_id is NULL for passwordless sign-in)
+CREATE TABLE webauthn_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('registration', 'mfa', 'login')),
+    challenge TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX idx_webauthn_challenges_expires_at ON webauthn_challenges(expires_at);
+
 -- ============================================================
 -- Contacts
 -- ============================================================
@@ -212,6 +541,7 @@ CREATE TABLE properties (
     property_name VARCHAR(255),
     main_photo TEXT,
     hps_score INTEGER,
+    hps_score_updated_at TIMESTAMPTZ,
     tax_id VARCHAR(255),
     county VARCHAR(255),
     address TEXT,
@@ -296,6 +626,19 @@ CREATE TABLE property_users (
 
 CREATE INDEX idx_property_users_user_id ON property_users(user_id);
 
+-- Home Performance Score history. properties.hps_score holds the latest score;
+-- breakdown holds the per-system scores and the factors that produced them.
+CREATE TABLE property_score_history (
+    id SERIAL PRIMARY KEY,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    score INTEGER,
+    breakdown JSONB NOT NULL DEFAULT '{}',
+    trigger_source VARCHAR(50),
+    computed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_property_score_history_property ON property_score_history(property_id, computed_at DESC);
+
 -- ============================================================
 -- Property Systems, Maintenance, Documents
 -- ============================================================
@@ -320,7 +663,7 @@ CREATE TABLE property_maintenance (
     next_service_date TIMESTAMPTZ,
     data JSONB DEFAULT '{}',
     status VARCHAR(50) DEFAULT 'pending',
-    record_status VARCHAR(50),  -- draft, user_completed, contractor_pending, contractor_completed
+    record_status VARCHAR(50),  -- draft, user_completed, contractor_pending, contractor_review, contractor_completed
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -337,6 +680,22 @@ CREATE TABLE contractor_report_tokens (
     status VARCHAR(30) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'expired', 'revoked')),
     expires_at TIMESTAMPTZ NOT NULL,
     completed_at TIMESTAMPTZ,
+    -- Contractor sign-off captured on submit: typed name, or a drawn signature image in S3
+    signer_name VARCHAR(255),
+    signature_type VARCHAR(10) CHECK (signature_type IN ('typed', 'drawn')),
+    signature_key VARCHAR(512),
+    signed_at TIMESTAMPTZ,
+    signed_ip TEXT,
+    signed_user_agent TEXT,
+    -- Raw token encrypted (helpers/encryption) so reminders can resend the same link
+    token_encrypted TEXT,
+    reminder_count INTEGER NOT NULL DEFAULT 0,
+    last_reminded_at TIMESTAMPTZ,
+    -- Link opens (GET of the report form), so the homeowner can see whether it was ever viewed
+    open_count INTEGER NOT NULL DEFAULT 0,
+    first_opened_at TIMESTAMPTZ,
+    last_opened_at TIMESTAMPTZ,
+    reissued_from_id INTEGER REFERENCES contractor_report_tokens(id) ON DELETE SET NULL,
     created_by INTEGER REFERENCES users(id),
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -344,19 +703,77 @@ CREATE TABLE contractor_report_tokens (
 
 CREATE INDEX idx_contractor_report_tokens_hash ON contractor_report_tokens(token_hash);
 CREATE INDEX idx_contractor_report_tokens_record ON contractor_report_tokens(maintenance_record_id);
+CREATE INDEX idx_contractor_report_tokens_pending_expiry ON contractor_report_tokens(expires_at) WHERE status = 'pending';
 
 CREATE TABLE property_documents (
     id SERIAL PRIMARY KEY,
     property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    maintenance_record_id INTEGER REFERENCES property_maintenance(id) ON DELETE SET NULL,
     document_name VARCHAR(255) NOT NULL,
     document_date DATE NOT NULL,
     document_key VARCHAR(512) NOT NULL,
     document_type VARCHAR(255) NOT NULL,
     system_key VARCHAR(50) NOT NULL,
+    -- Versions of one logical document share version_group_id (the first version's id;
+    -- NULL while a document has a single version). Only the current version is listed,
+    -- searched (document_chunks) and fed to AI reanalysis.
+    version_group_id INTEGER,
+    version_number INTEGER NOT NULL DEFAULT 1,
+    is_current BOOLEAN NOT NULL DEFAULT true,
+    version_note VARCHAR(500),
+    superseded_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+CREATE INDEX idx_property_documents_version_group ON property_documents(version_group_id) WHERE version_group_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_property_documents_current_version
+    ON property_documents(version_group_id) WHERE is_current AND version_group_id IS NOT NULL;
+CREATE INDEX idx_property_documents_maintenance_record ON property_documents(maintenance_record_id) WHERE maintenance_record_id IS NOT NULL;
+
+-- Files a contractor uploads through a report link (presigned PUT to S3).
+-- On submit, uploaded files become property_documents linked to the maintenance record.
+CREATE TABLE contractor_report_uploads (
+    id SERIAL PRIMARY KEY,
+    token_id INTEGER NOT NULL REFERENCES contractor_report_tokens(id) ON DELETE CASCADE,
+    maintenance_record_id INTEGER NOT NULL REFERENCES property_maintenance(id) ON DELETE CASCADE,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('before_photo', 'after_photo', 'invoice', 'other')),
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    s3_key VARCHAR(512) NOT NULL UNIQUE,
+    size_bytes BIGINT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'attached')),
+    property_document_id INTEGER REFERENCES property_documents(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_contractor_report_uploads_token ON contractor_report_uploads(token_id);
+
+-- Contractor submissions held for homeowner review. The maintenance record is not
+-- changed until a reviewer accepts (optionally editing first); sending a submission
+-- back re-opens its token so the contractor can revise it.
+CREATE TABLE contractor_report_submissions (
+    id SERIAL PRIMARY KEY,
+    token_id INTEGER NOT NULL REFERENCES contractor_report_tokens(id) ON DELETE CASCADE,
+    maintenance_record_id INTEGER NOT NULL REFERENCES property_maintenance(id) ON DELETE CASCADE,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    proposed JSONB NOT NULL,  -- { completed_at, next_service_date, status, data }
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_review'
+        CHECK (status IN ('pending_review', 'accepted', 'returned', 'superseded')),
+    reviewer_edits JSONB,
+    review_comments TEXT,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_contractor_report_submissions_pending
+    ON contractor_report_submissions(maintenance_record_id) WHERE status = 'pending_review';
+CREATE INDEX idx_contractor_report_submissions_token ON contractor_report_submissions(token_id);
+
 -- Document chunks with embeddings for RAG over property documents
 CREATE TABLE document_chunks (
     id SERIAL PRIMARY KEY,
@@ -367,6 +784,8 @@ CREATE TABLE document_chunks (
     document_type VARCHAR(255),
     chunk_index INTEGER NOT NULL,
     content TEXT NOT NULL,
+    page_number INTEGER,               -- source page; NULL for unpaginated formats (DOCX, TXT)
+    extractor VARCHAR(50),
     embedding vector(1536),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -694,6 +1113,11 @@ CREATE TABLE maintenance_events (
     recurrence_type VARCHAR(20) DEFAULT 'one-time',
     recurrence_interval_value INTEGER,
     recurrence_interval_unit VARCHAR(10),
+    recurrence_end_date DATE,
+    -- Earliest occurrence not yet completed/skipped (NULL once a series is finished)
+    next_occurrence_date DATE,
+    -- Set on the new series created by a "this and following" edit; points at the original series
+    series_parent_id INTEGER REFERENCES maintenance_events(id) ON DELETE SET NULL,
     alert_timing VARCHAR(10) DEFAULT '3d',
     alert_custom_days INTEGER,
     email_reminder BOOLEAN DEFAULT false,
@@ -710,6 +1134,124 @@ CREATE TABLE maintenance_events (
 CREATE INDEX idx_maintenance_events_property ON maintenance_events(property_id);
 CREATE INDEX idx_maintenance_events_date ON maintenance_events(scheduled_date);
 CREATE INDEX idx_maintenance_events_status ON maintenance_events(status);
+CREATE INDEX idx_maintenance_events_next_occurrence ON maintenance_events(next_occurrence_date);
+
+-- Per-occurrence exceptions for recurring events, keyed by the occurrence's original date.
+-- completed/skipped mark a single occurrence; modified carries overrides for that occurrence only.
+CREATE TABLE maintenance_event_exceptions (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES maintenance_events(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'skipped', 'modified')),
+    override_date DATE,
+    override_time TIME,
+    overrides JSONB DEFAULT '{}',
+    notes TEXT,
+    completed_at TIMESTAMPTZ,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(event_id, occurrence_date)
+);
+
+CREATE INDEX idx_maintenance_event_exceptions_event ON maintenance_event_exceptions(event_id);
+CREATE INDEX idx_maintenance_event_exceptions_override ON maintenance_event_exceptions(override_date) WHERE override_date IS NOT NULL;
+
+-- Reminder deliveries for maintenance events (one row per occurrence/channel/user).
+-- The unique key doubles as the dispatcher's claim so reminders are never duplicated.
+CREATE TABLE maintenance_event_reminders (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES maintenance_events(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error_message TEXT,
+    notification_id INTEGER,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(event_id, occurrence_date, user_id, channel)
+);
+
+CREATE INDEX idx_maintenance_event_reminders_event ON maintenance_event_reminders(event_id);
+
+-- Secret tokens for subscribable ICS calendar feeds (per user, optionally limited to one property).
+-- Tokens are hashed before storage; the raw token is only shown when the feed is created.
+CREATE TABLE calendar_feed_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    label VARCHAR(100),
+    last_accessed_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_calendar_feed_tokens_user ON calendar_feed_tokens(user_id);
+
+-- ============================================================
+-- Document Extraction (typed fields read from uploaded documents)
+-- ============================================================
+
+-- One row per property document: its class (warranty, invoice, permit, ...) and the
+-- state of the background extraction. Queued on upload and claimed by the worker.
+CREATE TABLE document_extractions (
+    id SERIAL PRIMARY KEY,
+    document_id INTEGER NOT NULL UNIQUE REFERENCES property_documents(id) ON DELETE CASCADE,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'skipped')),
+    document_class VARCHAR(30)
+        CHECK (document_class IN ('warranty', 'invoice', 'receipt', 'permit', 'manual', 'inspection_report', 'other')),
+    class_confidence NUMERIC(4, 2),
+    summary TEXT,
+    model VARCHAR(100),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,                             -- failure reason, or why the document was skipped
+    run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- not claimed before this time (retry backoff)
+    locked_at TIMESTAMPTZ,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    -- Maintenance event created from a confirmed warranty expiry (kept in step on re-confirm)
+    warranty_event_id INTEGER REFERENCES maintenance_events(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_document_extractions_property ON document_extractions(property_id);
+CREATE INDEX idx_document_extractions_claim ON document_extractions(run_after) WHERE status = 'queued';
+
+-- Extracted fields, one row per field key. value_text always holds the value; value_date /
+-- value_number hold typed copies for querying. extracted_value is what the model read (NULL
+-- for fields a user added), so corrections stay visible. Only confirmed fields are applied
+-- to property_systems.data and warranty events.
+CREATE TABLE document_extraction_fields (
+    id SERIAL PRIMARY KEY,
+    extraction_id INTEGER NOT NULL REFERENCES document_extractions(id) ON DELETE CASCADE,
+    document_id INTEGER NOT NULL REFERENCES property_documents(id) ON DELETE CASCADE,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    field_key VARCHAR(50) NOT NULL,
+    value_type VARCHAR(10) NOT NULL CHECK (value_type IN ('text', 'date', 'number')),
+    value_text TEXT,
+    value_date DATE,
+    value_number NUMERIC(14, 2),
+    extracted_value TEXT,
+    confidence NUMERIC(4, 2),
+    source_snippet VARCHAR(500),
+    status VARCHAR(20) NOT NULL DEFAULT 'suggested' CHECK (status IN ('suggested', 'confirmed', 'rejected')),
+    confirmed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(extraction_id, field_key)
+);
+
+CREATE INDEX idx_document_extraction_fields_property ON document_extraction_fields(property_id, field_key);
+CREATE INDEX idx_document_extraction_fields_date ON document_extraction_fields(field_key, value_date) WHERE value_date IS NOT NULL;
 
 -- ============================================================
 -- Support Tickets (support & feedback)
@@ -793,6 +1335,8 @@ CREATE TABLE notifications (
     type VARCHAR(50) NOT NULL DEFAULT 'resource_sent',
     resource_id INTEGER REFERENCES resources(id) ON DELETE CASCADE,
     invitation_id UUID REFERENCES invitations(id) ON DELETE SET NULL,
+    maintenance_event_id INTEGER REFERENCES maintenance_events(id) ON DELETE CASCADE,
+    maintenance_record_id INTEGER REFERENCES property_maintenance(id) ON DELETE CASCADE,
     title VARCHAR(500),
     read_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -832,10 +1376,13 @@ CREATE TABLE communications (
     recipient_mode VARCHAR(50),
     recipient_ids JSONB DEFAULT '[]',
     delivery_channel VARCHAR(20) DEFAULT 'in_app' CHECK (delivery_channel IN ('email', 'in_app', 'both')),
-    status VARCHAR(20) DEFAULT 'draft',
+    status VARCHAR(20) DEFAULT 'draft',  -- draft, scheduled, sending, sent, partially_sent, failed
     scheduled_at TIMESTAMPTZ,
     sent_at TIMESTAMPTZ,
     recipient_count INTEGER DEFAULT 0,
+    retry_count INTEGER NOT NULL DEFAULT 0,
+    failure_reason TEXT,
+    claimed_at TIMESTAMPTZ,
     created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -844,6 +1391,7 @@ CREATE TABLE communications (
 CREATE INDEX idx_communications_account ON communications(account_id);
 CREATE INDEX idx_communications_status ON communications(status);
 CREATE INDEX idx_communications_scheduled ON communications(scheduled_at) WHERE status = 'scheduled';
+CREATE INDEX idx_communications_sending ON communications(claimed_at) WHERE status = 'sending';
 CREATE INDEX idx_communications_created_by ON communications(created_by);
 
 CREATE TABLE comm_attachments (
@@ -865,6 +1413,7 @@ CREATE TABLE comm_recipients (
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     channel VARCHAR(20) NOT NULL DEFAULT 'in_app',
     status VARCHAR(20) DEFAULT 'pending',
+    error_message TEXT,
     delivered_at TIMESTAMPTZ,
     read_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW()
@@ -904,9 +1453,16 @@ CREATE TABLE inspection_analysis_jobs (
     s3_key VARCHAR(512) NOT NULL,
     file_name VARCHAR(255),
     mime_type VARCHAR(100),
-    status VARCHAR(30) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    status VARCHAR(30) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'cancelled')),
     progress VARCHAR(100),
     error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),   -- not claimed before this time (retry backoff)
+    locked_by VARCHAR(255),                         -- worker currently processing the job
+    locked_at TIMESTAMPTZ,
+    heartbeat_at TIMESTAMPTZ,                       -- refreshed while processing; stale => worker died
+    finished_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -914,6 +1470,7 @@ CREATE TABLE inspection_analysis_jobs (
 CREATE INDEX idx_inspection_analysis_jobs_property ON inspection_analysis_jobs(property_id);
 CREATE INDEX idx_inspection_analysis_jobs_status ON inspection_analysis_jobs(status);
 CREATE INDEX idx_inspection_analysis_jobs_created ON inspection_analysis_jobs(created_at DESC);
+CREATE INDEX idx_inspection_analysis_jobs_claim ON inspection_analysis_jobs(run_after) WHERE status = 'queued';
 
 CREATE TABLE inspection_analysis_results (
     id SERIAL PRIMARY KEY,
@@ -928,6 +1485,8 @@ CREATE TABLE inspection_analysis_results (
     maintenance_suggestions JSONB DEFAULT '[]',
     summary TEXT,
     citations JSONB DEFAULT '[]',
+    extractor VARCHAR(50),              -- text extractor used (pdf, image_ocr, docx, text)
+    page_map JSONB DEFAULT '[]',        -- [{ page, method: text|ocr, chars }]; empty when not paginated
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -1039,14 +1598,38 @@ CREATE INDEX idx_ai_conversations_user_property_updated ON ai_conversations(user
 CREATE TABLE ai_messages (
     id SERIAL PRIMARY KEY,
     conversation_id UUID NOT NULL REFERENCES ai_conversations(id) ON DELETE CASCADE,
-    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system', 'tool')),
     content TEXT NOT NULL,
     ui_directives JSONB,
+    tool_calls JSONB,              -- assistant turn that requested tools: [{ id, name, arguments }]
+    tool_call_id VARCHAR(100),     -- role 'tool': the call this result answers
+    tool_name VARCHAR(100),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_ai_messages_conversation ON ai_messages(conversation_id);
 
+-- ============================================================
+-- AI Tool Calls awaiting confirmation (write tools from chat)
+-- ============================================================
+
+CREATE TABLE ai_tool_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID REFERENCES ai_conversations(id) ON DELETE CASCADE,
+    property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tool_name VARCHAR(100) NOT NULL,
+    arguments JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(30) NOT NULL DEFAULT 'pending_confirmation'
+        CHECK (status IN ('pending_confirmation', 'executing', 'executed', 'rejected', 'failed')),
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_ai_tool_calls_user_status ON ai_tool_calls(user_id, status);
+
 -- ============================================================
 -- AI Action Drafts (scheduling proposals from chat)
 -- ============================================================
@@ -19,6 +19,7 @@ DROP TABLE IF EXISTS plan_limits CASCADE;
 DROP TABLE IF EXISTS plan_prices CASCADE;
 DROP TABLE IF EXISTS stripe_webhook_events CASCADE;
 DROP TABLE IF EXISTS support_tickets CASCADE;
+DROP TABLE IF EXISTS ai_tool_calls CASCADE;
 DROP TABLE IF EXISTS ai_action_drafts CASCADE;
 DROP TABLE IF EXISTS ai_messages CASCADE;
 DROP TABLE IF EXISTS ai_conversations CASCADE;
@@ -31,6 +32,11 @@ DROP TABLE IF EXISTS saved_professionals CASCADE;
 DROP TABLE IF EXISTS professional_photos CASCADE;
 DROP TABLE IF EXISTS professionals CASCADE;
 DROP TABLE IF EXISTS professional_categories CASCADE;
+DROP TABLE IF EXISTS calendar_feed_tokens CASCADE;
+DROP TABLE IF EXISTS document_extraction_fields CASCADE;
+DROP TABLE IF EXISTS document_extractions CASCADE;
+DROP TABLE IF EXISTS maintenance_event_reminders CASCADE;
+DROP TABLE IF EXISTS maintenance_event_exceptions CASCADE;
 DROP TABLE IF EXISTS maintenance_events CASCADE;
 DROP TABLE IF EXISTS usage_counters CASCADE;
 DROP TABLE IF EXISTS account_usage_events CASCADE;
@@ -41,10 +47,13 @@ DROP TABLE IF EXISTS account_subscriptions CASCADE;
 DROP TABLE IF EXISTS subscription_products CASCADE;
 DROP TABLE IF EXISTS invitations CASCADE;
 DROP TABLE IF EXISTS document_chunks CASCADE;
+DROP TABLE IF EXISTS contractor_report_uploads CASCADE;
+DROP TABLE IF EXISTS contractor_report_submissions CASCADE;
 DROP TABLE IF EXISTS property_documents CASCADE;
 DROP TABLE IF EXISTS contractor_report_tokens CASCADE;
 DROP TABLE IF EXISTS property_maintenance CASCADE;
 DROP TABLE IF EXISTS property_systems CASCADE;
+DROP TABLE IF EXISTS property_score_history CASCADE;
 DROP TABLE IF EXISTS property_users CASCADE;
 DROP TABLE IF EXISTS properties CASCADE;
 DROP TABLE IF EXISTS contact_tags CASCADE;
@@ -55,9 +64,23 @@ DROP TABLE IF EXISTS account_users CASCADE;
 DROP TABLE IF EXISTS accounts CASCADE;
 DROP TABLE IF EXISTS mfa_backup_codes CASCADE;
 DROP TABLE IF EXISTS mfa_enrollment_temp CASCADE;
+DROP TABLE IF EXISTS webauthn_credentials CASCADE;
+DROP TABLE IF EXISTS webauthn_challenges CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS email_verification_tokens CASCADE;
+DROP TABLE IF EXISTS data_export_jobs CASCADE;
+DROP TABLE IF EXISTS account_erasure_requests CASCADE;
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS api_keys CASCADE;
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_endpoints CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS account_security_policies CASCADE;
+DROP TABLE IF EXISTS account_ownership_transfers CASCADE;
+DROP TABLE IF EXISTS auth_failures CASCADE;
+DROP TABLE IF EXISTS auth_lockouts CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS resources CASCADE;
 DROP TABLE IF EXISTS user_api_usage CASCADE;
@@ -2,10 +2,40 @@
 
 const express = require("express");
 const jsonschema = require("jsonschema");
-const { ensureLoggedIn, ensureSuperAdmin, ensurePlatformAdmin, ensureAdminOrSuperAdmin } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  ensureSuperAdmin,
+  ensurePlatformAdmin,
+  ensureAdminOrSuperAdmin,
+  ensureAccountOwner,
+  ensureUserCanAccessAccountByParam,
+} = require("../middleware/auth");
+const { BadRequestError, ForbiddenError } = require("../expressError");
 const Account = require("../models/account");
+const ApiKey = require("../models/apiKey");
+const WebhookEndpoint = require("../models/webhookEndpoint");
+const WebhookDelivery = require("../models/webhookDelivery");
+const { API_KEY_SCOPES } = require("../helpers/apiKeyScopes");
+const { WEBHOOK_EVENT_TYPES, validateWebhookUrl } = require("../services/webhookService");
+const AuditLog = require("../models/auditLog");
+const AccountSecurityPolicy = require("../models/accountSecurityPolicy");
+const { auditContext, diffChanges, recordAudit, parseAuditQuery, auditLogToCsv } = require("../services/auditService");
+const {
+  requestTransfer,
+  listTransfers,
+  cancelTransfer,
+  getTransferByToken,
+  acceptTransfer,
+  declineTransfer,
+} = require("../services/ownershipTransferService");
 const accountUpdateSchema = require("../schemas/accountUpdate.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const webhookEndpointNewSchema = require("../schemas/webhookEndpointNew.json");
+const webhookEndpointUpdateSchema = require("../schemas/webhookEndpointUpdate.json");
+const accountSecurityPolicySchema = require("../schemas/accountSecurityPolicy.json");
+const accountOwnershipTransferSchema = require("../schemas/accountOwnershipTransfer.json");
+
+const DEFAULT_API_KEY_DAYS = 90;
 
 const router = express.Router();
 
@@ -29,6 +59,38 @@ router.get("/user/:userId", ensureLoggedIn, async function (req, res, next) {
   }
 });
 
+/** GET /ownership-transfers/preview - Pending transfer for an emailed link. Query: token. Recipient only. */
+router.get("/ownership-transfers/preview", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const transfer = await getTransferByToken(req.query.token, res.locals.user.id);
+    return res.json({ transfer });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /ownership-transfers/accept - Become the account's primary owner. Body: { token }. Recipient only. */
+router.post("/ownership-transfers/accept", ensureLoggedIn, async function (req, res, next) {
+  try {
+    if (res.locals.user.apiKeyId) throw new ForbiddenError("This endpoint cannot be used with an API key.");
+    const account = await acceptTransfer(auditContext(req, res), req.body?.token, res.locals.user.id);
+    return res.json({ account });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /ownership-transfers/decline - Body: { token }. Recipient only. */
+router.post("/ownership-transfers/decline", ensureLoggedIn, async function (req, res, next) {
+  try {
+    if (res.locals.user.apiKeyId) throw new ForbiddenError("This endpoint cannot be used with an API key.");
+    const result = await declineTransfer(auditContext(req, res), req.body?.token, res.locals.user.id);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** GET /:id - Get single account. */
 router.get("/:id", ensureLoggedIn, async function (req, res, next) {
   try {
@@ -52,7 +114,17 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
 /** POST /account_users - Add user to account. Body: { userId, accountId, role }. Admin/super admin only. */
 router.post("/account_users", ensureAdminOrSuperAdmin, async function (req, res, next) {
   try {
+    const previousRole = await Account.getUserRole(req.body.userId, req.body.accountId);
     const accountUser = await Account.addUserToAccount(req.body);
+    if (previousRole !== accountUser.role) {
+      await recordAudit(auditContext(req, res), {
+        action: previousRole ? "account_user.role_changed" : "account_user.added",
+        entityType: "account_user",
+        entityId: accountUser.userId,
+        accountId: accountUser.accountId,
+        changes: { role: { from: previousRole, to: accountUser.role } },
+      });
+    }
     return res.status(201).json({ accountUser });
   } catch (err) {
     return next(err);
@@ -62,17 +134,373 @@ router.post("/account_users", ensureAdminOrSuperAdmin, async function (req, res,
 /** PATCH /:id - Update account. */
 router.patch("/:id", ensureLoggedIn, async function (req, res, next) {
   try {
+    const before = await Account.get(req.params.id);
     const account = await Account.update(req.params.id, req.body);
+    const changes = diffChanges(before, account, Object.keys(req.body || {}));
+    if (changes) {
+      await recordAudit(auditContext(req, res), {
+        action: "account.updated",
+        entityType: "account",
+        entityId: account.id,
+        accountId: account.id,
+        changes,
+      });
+    }
     return res.json({ account });
   } catch (err) {
     return next(err);
   }
 });
 
+/** Require owner or admin membership of the account in params.id (for API keys and webhooks). */
+async function ensureAccountManager(req, res, next) {
+  try {
+    const role = await Account.getUserRole(res.locals.user.id, req.params.id);
+    if (role !== "owner" && role !== "admin") {
+      throw new ForbiddenError("Only account owners and admins can manage integrations.");
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** GET /:id/api-keys - List active API keys (no secrets) and the available scopes. */
+router.get("/:id/api-keys", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.listForAccount(req.params.id);
+    return res.json({ apiKeys, scopes: API_KEY_SCOPES });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/api-keys - Create a key. Body: { name, scopes, expiresInDays } (default 90 days, null = no expiry).
+ * The raw key is only returned here.
+ */
+router.post("/:id/api-keys", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const { name, scopes } = req.body;
+    const days = req.body.expiresInDays === undefined ? DEFAULT_API_KEY_DAYS : req.body.expiresInDays;
+    const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+    const apiKey = await ApiKey.create({
+      accountId: req.params.id,
+      userId: res.locals.user.id,
+      name: name.trim(),
+      scopes,
+      expiresAt,
+    });
+    await recordAudit(auditContext(req, res), {
+      action: "api_key.created",
+      entityType: "api_key",
+      entityId: apiKey.id,
+      accountId: apiKey.accountId,
+      metadata: { name: apiKey.name, keyPrefix: apiKey.keyPrefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    });
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/api-keys/:keyId/rotate - Issue a new secret; the old one stops working immediately. */
+router.post("/:id/api-keys/:keyId/rotate", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const apiKey = await ApiKey.rotate(req.params.keyId, req.params.id);
+    await recordAudit(auditContext(req, res), {
+      action: "api_key.rotated",
+      entityType: "api_key",
+      entityId: apiKey.id,
+      accountId: apiKey.accountId,
+      metadata: { keyPrefix: apiKey.keyPrefix },
+    });
+    return res.json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /:id/api-keys/:keyId - Revoke a key. */
+router.delete("/:id/api-keys/:keyId", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    await ApiKey.revoke(req.params.keyId, req.params.id);
+    await recordAudit(auditContext(req, res), {
+      action: "api_key.revoked",
+      entityType: "api_key",
+      entityId: req.params.keyId,
+      accountId: req.params.id,
+    });
+    return res.json({ revoked: req.params.keyId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** Unknown event types are rejected; an empty list subscribes to every event. */
+function validateWebhookEvents(events) {
+  if (events === undefined) return undefined;
+  const unknown = events.filter((e) => !WEBHOOK_EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw new BadRequestError(`Unknown events: ${unknown.join(", ")}. Allowed: ${WEBHOOK_EVENT_TYPES.join(", ")}`);
+  }
+  return [...new Set(events)];
+}
+
+/** GET /:id/webhooks - List webhook endpoints (no secrets) and the available events. */
+router.get("/:id/webhooks", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const webhooks = await WebhookEndpoint.listForAccount(req.params.id);
+    return res.json({ webhooks, events: WEBHOOK_EVENT_TYPES });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/webhooks - Create an endpoint. Body: { url, events, description }.
+ * The signing secret is only returned here and by rotate-secret.
+ */
+router.post("/:id/webhooks", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, webhookEndpointNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const webhook = await WebhookEndpoint.create({
+      accountId: req.params.id,
+      url: await validateWebhookUrl(req.body.url),
+      events: validateWebhookEvents(req.body.events || []),
+      description: req.body.description ?? null,
+      createdBy: res.locals.user.id,
+    });
+    await recordAudit(auditContext(req, res), {
+      action: "webhook.created",
+      entityType: "webhook",
+      entityId: webhook.id,
+      accountId: webhook.accountId,
+      metadata: { url: webhook.url, events: webhook.events },
+    });
+    return res.status(201).json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /:id/webhooks/:webhookId - Update url, events, description; enabled: true re-enables a disabled endpoint. */
+router.patch("/:id/webhooks/:webhookId", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, webhookEndpointUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const { url, events, description, enabled } = req.body;
+    const before = await WebhookEndpoint.get(req.params.webhookId, req.params.id);
+    const webhook = await WebhookEndpoint.update(req.params.webhookId, req.params.id, {
+      url: url === undefined ? undefined : await validateWebhookUrl(url),
+      events: validateWebhookEvents(events),
+      description,
+      enabled,
+    });
+    const changes = diffChanges(before, webhook, ["url", "events", "description", "disabledAt"]);
+    if (changes) {
+      await recordAudit(auditContext(req, res), {
+        action: "webhook.updated",
+        entityType: "webhook",
+        entityId: webhook.id,
+        accountId: webhook.accountId,
+        changes,
+      });
+    }
+    return res.json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/webhooks/:webhookId/rotate-secret - Issue a new signing secret (used from the next delivery on). */
+router.post("/:id/webhooks/:webhookId/rotate-secret", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const webhook = await WebhookEndpoint.rotateSecret(req.params.webhookId, req.params.id);
+    return res.json({ webhook });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /:id/webhooks/:webhookId - Delete an endpoint and its delivery log. */
+router.delete("/:id/webhooks/:webhookId", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const webhook = await WebhookEndpoint.get(req.params.webhookId, req.params.id);
+    await WebhookEndpoint.remove(webhook.id, req.params.id);
+    await recordAudit(auditContext(req, res), {
+      action: "webhook.deleted",
+      entityType: "webhook",
+      entityId: webhook.id,
+      accountId: webhook.accountId,
+      metadata: { url: webhook.url, events: webhook.events },
+    });
+    return res.json({ deleted: req.params.webhookId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/webhooks/:webhookId/deliveries - Delivery log, newest first. Query: status, limit (max 200). */
+router.get("/:id/webhooks/:webhookId/deliveries", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const webhook = await WebhookEndpoint.get(req.params.webhookId, req.params.id);
+    const deliveries = await WebhookDelivery.listForEndpoint(webhook.id, {
+      status: req.query.status,
+      limit: req.query.limit,
+    });
+    return res.json({ deliveries });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/webhooks/:webhookId/deliveries/:deliveryId/replay - Send a past event again as a new delivery. */
+router.post("/:id/webhooks/:webhookId/deliveries/:deliveryId/replay", ensureLoggedIn, ensureAccountManager, async function (req, res, next) {
+  try {
+    const webhook = await WebhookEndpoint.get(req.params.webhookId, req.params.id);
+    if (webhook.disabledAt) {
+      throw new BadRequestError("Webhook is disabled; re-enable it before replaying deliveries");
+    }
+    const delivery = await WebhookDelivery.replay(req.params.deliveryId, webhook.id);
+    return res.status(201).json({ delivery });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/security-policy - The account's security policy (defaults if never saved). Any account member. */
+router.get("/:id/security-policy", ensureLoggedIn, ensureUserCanAccessAccountByParam("id"), async function (req, res, next) {
+  try {
+    const policy = await AccountSecurityPolicy.get(req.params.id);
+    return res.json({ policy });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /:id/security-policy - Update the policy. Account owners only.
+ * Body: requireMfa, mfaGraceDays, maxSessionHours, allowedAuthMethods, passwordMinLength,
+ * passwordRequireMixedCase, passwordRequireNumber, passwordRequireSymbol (omitted keys are kept).
+ * Turning requireMfa on starts the grace period for members without MFA.
+ */
+router.put("/:id/security-policy", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, accountSecurityPolicySchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const before = await AccountSecurityPolicy.get(req.params.id);
+    const policy = await AccountSecurityPolicy.upsert(req.params.id, req.body, res.locals.user.id);
+    const changes = diffChanges(before, policy, Object.keys(req.body));
+    if (changes) {
+      await recordAudit(auditContext(req, res), {
+        action: "account.security_policy_updated",
+        entityType: "account",
+        entityId: policy.accountId,
+        accountId: policy.accountId,
+        changes,
+      });
+    }
+    return res.json({ policy });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/ownership-transfers - Recent ownership transfers for the account. Account owners only. */
+router.get("/:id/ownership-transfers", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    const transfers = await listTransfers(req.params.id);
+    return res.json({ transfers });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/ownership-transfers - Ask another user to become primary owner. Primary owner only.
+ * Body: { toEmail, previousOwnerRole? } - the current owner's role afterwards (default admin; "remove" leaves the account).
+ */
+router.post("/:id/ownership-transfers", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, accountOwnershipTransferSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const transfer = await requestTransfer(auditContext(req, res), {
+      accountId: req.params.id,
+      actingUser: res.locals.user,
+      toEmail: req.body.toEmail,
+      previousOwnerRole: req.body.previousOwnerRole,
+    });
+    return res.status(201).json({ transfer });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /:id/ownership-transfers/:transferId - Cancel a pending transfer. Account owners only. */
+router.delete("/:id/ownership-transfers/:transferId", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.transferId)) throw new BadRequestError("transferId must be a positive integer");
+    const transfer = await cancelTransfer(auditContext(req, res), {
+      accountId: req.params.id,
+      transferId: req.params.transferId,
+    });
+    return res.json({ transfer });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/audit-log - Audit entries for the account and its properties. Account owners and platform admins.
+ * Query: propertyId, action (trailing * matches a prefix), entityType, actorUserId, from, to, before (id cursor), limit.
+ */
+router.get("/:id/audit-log", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    const filters = parseAuditQuery(req.query);
+    const entries = await AuditLog.list({ ...filters, accountId: req.params.id, limit: Math.min(filters.limit || 100, 500) });
+    return res.json({ entries });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/audit-log/export - Same filters as audit-log, as CSV (up to 10,000 rows). */
+router.get("/:id/audit-log/export", ensureLoggedIn, ensureAccountOwner(), async function (req, res, next) {
+  try {
+    const filters = parseAuditQuery(req.query);
+    const entries = await AuditLog.list({ ...filters, accountId: req.params.id, limit: filters.limit || 10000 });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="account-${req.params.id}-audit-log.csv"`);
+    return res.send(auditLogToCsv(entries));
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** DELETE /:id - Remove account. */
 router.delete("/:id", ensureLoggedIn, async function (req, res, next) {
   try {
     await Account.remove(req.params.id);
+    await recordAudit(auditContext(req, res), {
+      action: "account.deleted",
+      entityType: "account",
+      entityId: req.params.id,
+      accountId: req.params.id,
+    });
     return res.json({ deleted: req.params.id });
   } catch (err) {
     return next(err);
@@ -2,7 +2,6 @@
 
 const express = require("express");
 const db = require("../db");
-const OpenAI = require("openai");
 const { ensureLoggedIn, ensurePropertyAccess } = require("../middleware/auth");
 const { BadRequestError, ForbiddenError } = require("../expressError");
 const { checkAiTokenQuota } = require("../services/tierService");
@@ -11,6 +10,8 @@ const InspectionAnalysisResult = require("../models/inspectionAnalysisResult");
 const documentRagService = require("../services/documentRagService");
 const ApiUsage = require("../models/apiUsage");
 const { getAiSummaryForProperty, getReanalysisAudit } = require("../services/ai/propertyReanalysisService");
+const { runChatWithTools, confirmToolCall, rejectToolCall } = require("../services/ai/chatToolService");
+const { getLlm } = require("../services/ai/llmProvider");
 const {
   SLIDING_WINDOW_SIZE,
   MAX_RESPONSE_TOKENS,
@@ -326,7 +327,7 @@ router.get(
       const msgRes = await db.query(
         `SELECT id, role, content, ui_directives, created_at
          FROM ai_messages
-         WHERE conversation_id = $1
+         WHERE conversation_id = $1 AND role IN ('user', 'assistant') AND tool_calls IS NULL
          ORDER BY created_at ASC`,
         [conv.id]
       );
@@ -392,223 +393,393 @@ router.delete(
   }
 );
 
-/** POST /chat — Send message, get AI response. */
-router.post(
-  "/chat",
-  ensureLoggedIn,
-  async function (req, res, next) {
-    try {
-      const { conversationId, propertyId, message, systemContext: clientSystemContext } = req.body || {};
-      const userId = res.locals.user.id;
+/**
+ * Validate a chat request and assemble everything needed for the LLM call:
+ * resolves the property and conversation, checks quota, saves the user message
+ * and builds the prompt with focused context and document excerpts.
+ */
+async function prepareChatTurn(req, res) {
+  const { conversationId, propertyId, message, systemContext: clientSystemContext } = req.body || {};
+  const userId = res.locals.user.id;
+
+  if (!propertyId || !message || typeof message !== "string") {
+    throw new BadRequestError("propertyId and message are required");
+  }
 
-      if (!propertyId || !message || typeof message !== "string") {
-        throw new BadRequestError("propertyId and message are required");
-      }
+  req.params = { propertyId };
+  await resolvePropertyId(req, res, () => {});
+  const resolvedId = req.resolvedPropertyId;
+  if (!resolvedId) throw new BadRequestError("Invalid property");
 
-      req.params = { propertyId };
-      await resolvePropertyId(req, res, () => {});
-      const resolvedId = req.resolvedPropertyId;
-      if (!resolvedId) throw new BadRequestError("Invalid property");
+  await ensurePropertyAccessForUser(resolvedId, userId, res.locals.user.role);
 
-      await ensurePropertyAccessForUser(resolvedId, userId, res.locals.user.role);
+  const quotaCheck = await checkAiTokenQuota(userId, res.locals.user?.role);
+  if (!quotaCheck.allowed) {
+    throw new ForbiddenError(
+      `AI token quota exceeded (${quotaCheck.used}/${quotaCheck.quota} this month). Upgrade your plan for more.`
+    );
+  }
 
-      const quotaCheck = await checkAiTokenQuota(userId, res.locals.user?.role);
-      if (!quotaCheck.allowed) {
-        throw new ForbiddenError(
-          `AI token quota exceeded (${quotaCheck.used}/${quotaCheck.quota} this month). Upgrade your plan for more.`
-        );
-      }
+  const llm = getLlm("chat");
+  if (!llm.configured) {
+    throw new BadRequestError(`AI chat is not configured. ${llm.missingConfig}`);
+  }
 
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        throw new BadRequestError("AI chat is not configured. Set OPENAI_API_KEY.");
-      }
+  // --- System switch detection ---
+  let systemId = clientSystemContext?.systemId ?? null;
+  let systemName = clientSystemContext?.systemName ?? null;
+  let systemCtx = clientSystemContext ?? null;
+  let contextSwitched = false;
+
+  const switchTarget = detectSystemSwitchIntent(message);
+  if (switchTarget) {
+    systemId = switchTarget;
+    systemCtx = await getSystemContextFromDb(resolvedId, systemId);
+    systemName = systemId.charAt(0).toUpperCase() + systemId.slice(1);
+    contextSwitched = true;
+  } else if (clientSystemContext?.systemId) {
+    systemCtx = clientSystemContext;
+  } else if (conversationId) {
+    const convRes = await db.query(
+      `SELECT system_id, system_context FROM ai_conversations WHERE id = $1::uuid`,
+      [conversationId]
+    );
+    if (convRes.rows.length > 0 && convRes.rows[0].system_id) {
+      systemId = convRes.rows[0].system_id;
+      systemCtx = convRes.rows[0].system_context || {};
+      systemName = systemCtx.systemName || (systemId ? systemId.charAt(0).toUpperCase() + systemId.slice(1) : null);
+    }
+  }
 
-      // --- System switch detection ---
-      let systemId = clientSystemContext?.systemId ?? null;
-      let systemName = clientSystemContext?.systemName ?? null;
-      let systemCtx = clientSystemContext ?? null;
-      let contextSwitched = false;
-
-      const switchTarget = detectSystemSwitchIntent(message);
-      if (switchTarget) {
-        systemId = switchTarget;
-        systemCtx = await getSystemContextFromDb(resolvedId, systemId);
-        systemName = systemId.charAt(0).toUpperCase() + systemId.slice(1);
-        contextSwitched = true;
-      } else if (clientSystemContext?.systemId) {
-        systemCtx = clientSystemContext;
-      } else if (conversationId) {
-        const convRes = await db.query(
-          `SELECT system_id, system_context FROM ai_conversations WHERE id = $1::uuid`,
-          [conversationId]
-        );
-        if (convRes.rows.length > 0 && convRes.rows[0].system_id) {
-          systemId = convRes.rows[0].system_id;
-          systemCtx = convRes.rows[0].system_context || {};
-          systemName = systemCtx.systemName || (systemId ? systemId.charAt(0).toUpperCase() + systemId.slice(1) : null);
-        }
-      }
+  // --- Get or create conversation ---
+  let convId = conversationId;
+  let contextSummary = null;
+  if (convId) {
+    const verify = await db.query(
+      `SELECT id, context_summary FROM ai_conversations WHERE id = $1::uuid AND user_id = $2 AND property_id = $3`,
+      [convId, userId, resolvedId]
+    );
+    if (verify.rows.length === 0) {
+      convId = null;
+    } else {
+      contextSummary = verify.rows[0].context_summary;
+    }
+  }
+  if (!convId) {
+    const conv = await getOrCreateConversation(userId, resolvedId, systemId, systemCtx);
+    convId = conv.id;
+    contextSummary = conv.contextSummary;
+  } else if (systemCtx && Object.keys(systemCtx).length > 0) {
+    await db.query(
+      `UPDATE ai_conversations SET system_id = $2, system_context = $3, updated_at = NOW() WHERE id = $1::uuid`,
+      [convId, systemId, JSON.stringify(systemCtx)]
+    );
+  }
 
-      // --- Get or create conversation ---
-      let convId = conversationId;
-      let contextSummary = null;
-      if (convId) {
-        const verify = await db.query(
-          `SELECT id, context_summary FROM ai_conversations WHERE id = $1::uuid AND user_id = $2 AND property_id = $3`,
-          [convId, userId, resolvedId]
-        );
-        if (verify.rows.length === 0) {
-          convId = null;
-        } else {
-          contextSummary = verify.rows[0].context_summary;
-        }
-      }
-      if (!convId) {
-        const conv = await getOrCreateConversation(userId, resolvedId, systemId, systemCtx);
-        convId = conv.id;
-        contextSummary = conv.contextSummary;
-      } else if (systemCtx && Object.keys(systemCtx).length > 0) {
-        await db.query(
-          `UPDATE ai_conversations SET system_id = $2, system_context = $3, updated_at = NOW() WHERE id = $1::uuid`,
-          [convId, systemId, JSON.stringify(systemCtx)]
-        );
-      }
+  // --- Sliding window: get recent messages + check if summary needed ---
+  const { messages: history, needsSummary } = await getWindowedMessages(convId);
+  await saveMessage(convId, "user", message);
 
-      // --- Sliding window: get recent messages + check if summary needed ---
-      const { messages: history, needsSummary } = await getWindowedMessages(convId);
-      await saveMessage(convId, "user", message);
+  // --- Intent detection: only inject relevant context ---
+  const intent = detectIntent(message);
+  const { context: focusedContext, analysisDate } = await buildFocusedContext(
+    resolvedId,
+    systemId ? { type: "system_specific", systems: [systemId] } : intent,
+    contextSummary
+  );
 
-      // --- Intent detection: only inject relevant context ---
-      const intent = detectIntent(message);
-      const { context: focusedContext, analysisDate } = await buildFocusedContext(
-        resolvedId,
-        systemId ? { type: "system_specific", systems: [systemId] } : intent,
-        contextSummary
-      );
+  // --- Document RAG (scoped to system when in system context, else property-wide) ---
+  const docOptions = { limit: 6 };
+  if (systemId) docOptions.systemKey = systemId;
+  const docContext = await documentRagService
+    .getDocumentContext(resolvedId, message, docOptions)
+    .catch(() => "");
+
+  let contextBlock = `Property context:\n${focusedContext}`;
+  if (docContext) contextBlock += `\n\nRelevant document excerpts:\n${docContext}`;
 
-      // --- Document RAG (scoped to system when in system context, else property-wide) ---
-      const docOptions = { limit: 6 };
-      if (systemId) docOptions.systemKey = systemId;
-      const docContext = await documentRagService
-        .getDocumentContext(resolvedId, message, docOptions)
-        .catch(() => "");
-
-      let contextBlock = `Property context:\n${focusedContext}`;
-      if (docContext) contextBlock += `\n\nRelevant document excerpts:\n${docContext}`;
-
-      // --- Build system prompt ---
-      const systemPrompt = buildSystemPrompt(systemId, systemName, systemCtx, contextSwitched);
-
-      // --- Assemble LLM messages ---
-      const llmMessages = [
-        { role: "system", content: systemPrompt },
-        ...history.map((m) => ({ role: m.role, content: m.content })),
-        { role: "user", content: `${contextBlock}\n\nUser: ${message}` },
-      ];
-
-      // --- Call OpenAI ---
-      const openai = new OpenAI({ apiKey });
-      const chatModel = process.env.AI_CHAT_MODEL || "gpt-4o-mini";
-      const completion = await openai.chat.completions.create({
-        model: chatModel,
-        messages: llmMessages,
-        temperature: CHAT_TEMPERATURE,
-        max_tokens: MAX_RESPONSE_TOKENS,
+  // --- Build system prompt ---
+  const systemPrompt = buildSystemPrompt(systemId, systemName, systemCtx, contextSwitched);
+
+  // --- Assemble LLM messages ---
+  const llmMessages = [
+    { role: "system", content: systemPrompt },
+    ...history.map((m) => ({ role: m.role, content: m.content })),
+    { role: "user", content: `${contextBlock}\n\nUser: ${message}` },
+  ];
+
+  return {
+    llm, chatModel: llm.model, userId, userRole: res.locals.user.role, message, resolvedId, convId,
+    needsSummary, analysisDate, systemId, systemName, systemCtx, contextSwitched, llmMessages,
+  };
+}
+
+/** Context the assistant's tools run in (permission checks and logging). */
+function toolContext(turn) {
+  return {
+    propertyId: turn.resolvedId,
+    userId: turn.userId,
+    userRole: turn.userRole,
+    conversationId: turn.convId,
+  };
+}
+
+/**
+ * Finish a chat turn once the full completion is available: sanitize, record
+ * token usage, build ui_directives (and an action draft), save the assistant
+ * message and schedule the conversation summary. Write tools awaiting
+ * confirmation are returned as pendingActions.
+ * @returns {Promise<Object>} the /chat response body
+ */
+function recordChatUsage({ userId, chatModel }, usage) {
+  if (usage?.prompt_tokens == null || usage?.completion_tokens == null) return;
+  ApiUsage.record({
+    userId,
+    endpoint: "ai/chat",
+    model: chatModel,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+  }).catch(() => {});
+}
+
+/**
+ * The client closed a streamed turn early: record the usage it consumed and save the
+ * text it received, so the conversation does not end on an unanswered message.
+ */
+async function finalizeAbortedTurn(turn, content, usage) {
+  recordChatUsage(turn, usage);
+  const partial = content ? sanitizeResponse(content).trim() : "";
+  await saveMessage(turn.convId, "assistant", partial || "(Response interrupted.)");
+}
+
+async function finalizeChatTurn(turn, content, usage, pendingActions = []) {
+  const {
+    userId, message, resolvedId, convId, needsSummary, analysisDate,
+    systemId, systemName, systemCtx, contextSwitched,
+  } = turn;
+
+  let assistantMessage = content || "I couldn't generate a response.";
+
+  // --- Sanitize markdown artifacts ---
+  assistantMessage = sanitizeResponse(assistantMessage);
+
+  if (contextSwitched && !assistantMessage.toLowerCase().includes("switching")) {
+    assistantMessage = `Switching to ${systemName}.\n\n${assistantMessage}`;
+  }
+
+  // --- Record token usage ---
+  recordChatUsage(turn, usage);
+
+  // --- Schedule intent detection ---
+  const lowerUserMsg = (message || "").toLowerCase();
+  const systemCondition = systemCtx?.systemCondition ?? systemCtx?.system_condition;
+  const findings = systemCtx?.inspectionFindingsForThisSystemOnly ?? systemCtx?.inspection_findings ?? [];
+  const shouldSuggestSchedule =
+    (systemCondition && ["poor", "fair"].includes(String(systemCondition).toLowerCase())) ||
+    (findings && findings.length > 0) ||
+    /\b(schedule|book|set up|arrange|yes|yeah|sure|please)\b/.test(lowerUserMsg);
+
+  const hasScheduleIntent =
+    /\b(schedule|book|set up|arrange)\b/.test(lowerUserMsg) &&
+    (/\b(maintenance|inspection|appointment|service|visit)\b/.test(lowerUserMsg) ||
+      /\b(schedule|book)\s+(a|an|the|my|this)\b/.test(lowerUserMsg) ||
+      /\b(want|would like|need|help me)\s+to\s+(schedule|book)\b/.test(lowerUserMsg)) ||
+    (/\b(yes|yeah|sure|please|ok|okay)\b/.test(lowerUserMsg) && lowerUserMsg.length < 50);
+
+  let uiDirectives = null;
+  const effectiveSystemId = systemId || "general";
+  if (hasScheduleIntent || (shouldSuggestSchedule && /\b(yes|yeah|sure|please)\b/.test(lowerUserMsg))) {
+    const analysisRes = await db.query(
+      `SELECT maintenance_suggestions FROM inspection_analysis_results r
+       JOIN inspection_analysis_jobs j ON j.id = r.job_id
+       WHERE r.property_id = $1 AND j.status = 'completed'
+       ORDER BY r.created_at DESC LIMIT 1`,
+      [resolvedId]
+    );
+    const suggestions = analysisRes.rows[0]?.maintenance_suggestions || [];
+    let tasks = suggestions
+      .filter((s) => !systemId || (s.systemType || "").toLowerCase() === effectiveSystemId)
+      .slice(0, 3)
+      .map((s) => ({
+        systemType: s.systemType || effectiveSystemId,
+        task: s.task || s.systemType || systemName || "Maintenance",
+        suggestedWhen: s.suggestedWhen,
+        priority: s.priority,
+      }));
+    if (tasks.length === 0) {
+      tasks = [{ systemType: effectiveSystemId, task: systemName || "Maintenance / inspection", suggestedWhen: "as needed", priority: "medium" }];
+    }
+    const draftRes = await db.query(
+      `INSERT INTO ai_action_drafts (property_id, user_id, status, tasks)
+       VALUES ($1, $2, 'draft', $3::jsonb)
+       RETURNING id`,
+      [resolvedId, userId, JSON.stringify(tasks)]
+    );
+    uiDirectives = {
+      type: "SCHEDULE_PROPOSAL",
+      actionDraftId: draftRes.rows[0].id,
+      tasks,
+    };
+  }
+
+  if (!uiDirectives && pendingActions.length > 0) {
+    uiDirectives = { type: "CONFIRM_ACTIONS", actions: pendingActions };
+  }
+
+  // --- Save assistant message ---
+  await saveMessage(convId, "assistant", assistantMessage, uiDirectives);
+
+  // --- Trigger async summary if needed (don't block response) ---
+  if (needsSummary) {
+    generateAndStoreSummary(convId, turn.llm).catch((err) =>
+      console.error("[ai/chat] Async summary failed:", err.message)
+    );
+  }
+
+  return {
+    conversationId: convId,
+    assistantMessage,
+    uiDirectives,
+    pendingActions: pendingActions.length > 0 ? pendingActions : undefined,
+    systemId: systemId || undefined,
+    systemName: systemName || undefined,
+    contextSwitched: contextSwitched || undefined,
+    inspectionAnalysisDate: analysisDate || undefined,
+  };
+}
+
+/** Write one Server-Sent Event. Flushes through the compression middleware. */
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.flush?.();
+}
+
+/** POST /chat — Send message, get AI response. */
+router.post(
+  "/chat",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const turn = await prepareChatTurn(req, res);
+
+      // --- Call the chat model (with tools) ---
+      const { content, usage, pendingActions } = await runChatWithTools({
+        llm: turn.llm,
+        params: {
+          messages: turn.llmMessages,
+          temperature: CHAT_TEMPERATURE,
+          max_tokens: MAX_RESPONSE_TOKENS,
+        },
+        ctx: toolContext(turn),
       });
 
-      let assistantMessage = completion.choices[0]?.message?.content || "I couldn't generate a response.";
+      const body = await finalizeChatTurn(turn, content, usage, pendingActions);
+      return res.json(body);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-      // --- Sanitize markdown artifacts ---
-      assistantMessage = sanitizeResponse(assistantMessage);
+/** POST /chat/stream — Same as POST /chat, streamed as Server-Sent Events.
+ * Events: "meta" (conversation and system context), "delta" ({ content } token text),
+ * "tool_call" ({ name, pendingConfirmation }) when the assistant uses a tool,
+ * "ui_directives" (when a schedule proposal / action draft was created), then "done"
+ * with the same body as POST /chat. assistantMessage in "done" is the final text
+ * (sanitized) and replaces the streamed deltas. On failure an "error" event is sent.
+ * If the client disconnects first, the usage so far is still recorded and the partial
+ * assistant message is saved.
+ */
+router.post(
+  "/chat/stream",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    let turn;
+    try {
+      turn = await prepareChatTurn(req, res);
+    } catch (err) {
+      return next(err);
+    }
 
-      if (contextSwitched && !assistantMessage.toLowerCase().includes("switching")) {
-        assistantMessage = `Switching to ${systemName}.\n\n${assistantMessage}`;
-      }
+    const abort = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) abort.abort();
+    });
 
-      // --- Record token usage ---
-      const usage = completion.usage;
-      if (usage?.prompt_tokens != null && usage?.completion_tokens != null) {
-        ApiUsage.record({
-          userId,
-          endpoint: "ai/chat",
-          model: chatModel,
-          promptTokens: usage.prompt_tokens,
-          completionTokens: usage.completion_tokens,
-        }).catch(() => {});
-      }
+    res.status(200);
+    res.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
 
-      // --- Schedule intent detection ---
-      const lowerUserMsg = (message || "").toLowerCase();
-      const systemCondition = systemCtx?.systemCondition ?? systemCtx?.system_condition;
-      const findings = systemCtx?.inspectionFindingsForThisSystemOnly ?? systemCtx?.inspection_findings ?? [];
-      const shouldSuggestSchedule =
-        (systemCondition && ["poor", "fair"].includes(String(systemCondition).toLowerCase())) ||
-        (findings && findings.length > 0) ||
-        /\b(schedule|book|set up|arrange|yes|yeah|sure|please)\b/.test(lowerUserMsg);
-
-      const hasScheduleIntent =
-        /\b(schedule|book|set up|arrange)\b/.test(lowerUserMsg) &&
-        (/\b(maintenance|inspection|appointment|service|visit)\b/.test(lowerUserMsg) ||
-          /\b(schedule|book)\s+(a|an|the|my|this)\b/.test(lowerUserMsg) ||
-          /\b(want|would like|need|help me)\s+to\s+(schedule|book)\b/.test(lowerUserMsg)) ||
-        (/\b(yes|yeah|sure|please|ok|okay)\b/.test(lowerUserMsg) && lowerUserMsg.length < 50);
-
-      let uiDirectives = null;
-      const effectiveSystemId = systemId || "general";
-      if (hasScheduleIntent || (shouldSuggestSchedule && /\b(yes|yeah|sure|please)\b/.test(lowerUserMsg))) {
-        const analysisRes = await db.query(
-          `SELECT maintenance_suggestions FROM inspection_analysis_results r
-           JOIN inspection_analysis_jobs j ON j.id = r.job_id
-           WHERE r.property_id = $1 AND j.status = 'completed'
-           ORDER BY r.created_at DESC LIMIT 1`,
-          [resolvedId]
-        );
-        const suggestions = analysisRes.rows[0]?.maintenance_suggestions || [];
-        let tasks = suggestions
-          .filter((s) => !systemId || (s.systemType || "").toLowerCase() === effectiveSystemId)
-          .slice(0, 3)
-          .map((s) => ({
-            systemType: s.systemType || effectiveSystemId,
-            task: s.task || s.systemType || systemName || "Maintenance",
-            suggestedWhen: s.suggestedWhen,
-            priority: s.priority,
-          }));
-        if (tasks.length === 0) {
-          tasks = [{ systemType: effectiveSystemId, task: systemName || "Maintenance / inspection", suggestedWhen: "as needed", priority: "medium" }];
-        }
-        const draftRes = await db.query(
-          `INSERT INTO ai_action_drafts (property_id, user_id, status, tasks)
-           VALUES ($1, $2, 'draft', $3::jsonb)
-           RETURNING id`,
-          [resolvedId, userId, JSON.stringify(tasks)]
-        );
-        uiDirectives = {
-          type: "SCHEDULE_PROPOSAL",
-          actionDraftId: draftRes.rows[0].id,
-          tasks,
-        };
-      }
+    try {
+      sendSseEvent(res, "meta", {
+        conversationId: turn.convId,
+        systemId: turn.systemId || undefined,
+        systemName: turn.systemName || undefined,
+        contextSwitched: turn.contextSwitched || undefined,
+      });
 
-      // --- Save assistant message ---
-      await saveMessage(convId, "assistant", assistantMessage, uiDirectives);
+      const { content, usage, pendingActions, aborted } = await runChatWithTools({
+        llm: turn.llm,
+        params: {
+          messages: turn.llmMessages,
+          temperature: CHAT_TEMPERATURE,
+          max_tokens: MAX_RESPONSE_TOKENS,
+        },
+        ctx: toolContext(turn),
+        stream: true,
+        signal: abort.signal,
+        onDelta: (text) => sendSseEvent(res, "delta", { content: text }),
+        onToolCall: ({ name, pendingAction }) =>
+          sendSseEvent(res, "tool_call", { name, pendingConfirmation: !!pendingAction }),
+      });
+      if (aborted || abort.signal.aborted) {
+        await finalizeAbortedTurn(turn, content, usage);
+        return;
+      }
 
-      // --- Trigger async summary if needed (don't block response) ---
-      if (needsSummary) {
-        generateAndStoreSummary(convId, openai, chatModel).catch((err) =>
-          console.error("[ai/chat] Async summary failed:", err.message)
-        );
+      const body = await finalizeChatTurn(turn, content, usage, pendingActions);
+      if (body.uiDirectives) sendSseEvent(res, "ui_directives", body.uiDirectives);
+      sendSseEvent(res, "done", body);
+      return res.end();
+    } catch (err) {
+      if (abort.signal.aborted) {
+        console.error("[ai/chat/stream] Failed after the client disconnected:", err.message);
+        return;
       }
+      console.error("[ai/chat/stream] Stream failed:", err.message);
+      sendSseEvent(res, "error", { message: err.message || "AI chat failed" });
+      return res.end();
+    }
+  }
+);
 
-      return res.json({
-        conversationId: convId,
-        assistantMessage,
-        uiDirectives,
-        systemId: systemId || undefined,
-        systemName: systemName || undefined,
-        contextSwitched: contextSwitched || undefined,
-        inspectionAnalysisDate: analysisDate || undefined,
-      });
+/** POST /tool-calls/:toolCallId/confirm — Run a write action the assistant proposed. */
+router.post(
+  "/tool-calls/:toolCallId/confirm",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const toolCall = await confirmToolCall(req.params.toolCallId, res.locals.user);
+      return res.json({ toolCall });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /tool-calls/:toolCallId/reject — Decline a proposed write action. */
+router.post(
+  "/tool-calls/:toolCallId/reject",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const toolCall = await rejectToolCall(req.params.toolCallId, res.locals.user);
+      return res.json({ toolCall });
     } catch (err) {
       return next(err);
     }
@@ -7,28 +7,45 @@
  *
  * Endpoints:
  * - POST /token: Authenticate with email/password, returns access + refresh tokens
+ *   (or an MFA ticket when TOTP or a passkey is set up)
+ * - POST /mfa/verify: Complete sign-in with the MFA ticket and a TOTP/backup code or passkey assertion
+ * - POST /mfa/webauthn/options: Passkey assertion options for an MFA ticket
+ * - POST /passkey/options, /passkey/verify: Passwordless sign-in with a passkey
  * - POST /register: Create user, account, contact, and default subscription
  * - POST /refresh: Exchange a valid refresh token for a new access + refresh pair
- * - POST /logout: Revoke a refresh token
- * - POST /change-password: Update password (requires current password)
+ *   (rotation; replaying an already-used refresh token revokes its session)
+ * - POST /logout: Sign out the session of a refresh token
+ * - GET /sessions: List the user's active sessions (devices)
+ * - DELETE /sessions/:sessionId: Sign out one session
+ * - POST /logout-all: Sign out everywhere (all sessions)
+ * - POST /change-password: Update password (requires current password); signs out other sessions
  * - POST /confirm: Accept invitation token and activate account with password
+ * - POST /unlock: End a sign-in lockout with the emailed unlock link
+ * - POST /verify-email/send, /verify-email: Email verification link and confirmation
+ * - POST /change-email: Change email (new address confirmed via /verify-email; old one notified)
  * - GET /google/signin, /google/signup: Start Google OAuth flow
  * - GET /google/callback/signin, /google/callback/signup: Google OAuth callbacks
+ *
+ * Account security policies (securityPolicyService) apply to every sign-in:
+ * methods an account disallows are rejected, Google sign-ins go through MFA
+ * when a policy requires it, and members who still have to set up MFA get
+ * mfaSetupRequired / mfaSetupDeadline with their tokens.
+ *
+ * /token, /mfa/verify and /reset-password count failures per email and IP in the
+ * database (authThrottleService): repeated failures get progressive delays, then
+ * a temporary lockout (429 with Retry-After).
  */
 
 const crypto = require("crypto");
 const rateLimit = require("express-rate-limit");
 const jsonschema = require("jsonschema");
-const jwt = require("jsonwebtoken");
 const User = require("../models/user");
 const express = require("express");
 const router = new express.Router();
-const { createAccessToken, createRefreshToken, getRefreshTokenExpiresAt } = require("../helpers/tokens");
 const { createMfaTicket, verifyMfaTicket } = require("../helpers/mfaTicket");
 const { buildAuthUrl, exchangeCodeForTokens, verifyIdToken } = require("../helpers/googleOAuth");
 const { ensureLoggedIn } = require("../middleware/auth");
 const {
-  SECRET_KEY,
   GOOGLE_CLIENT_ID,
   GOOGLE_REDIRECT_URI_SIGNIN,
   GOOGLE_REDIRECT_URI_SIGNUP,
@@ -39,13 +56,39 @@ const userRegisterSchema = require("../schemas/userRegister.json");
 const { BadRequestError, UnauthorizedError } = require("../expressError");
 const { acceptInvitation } = require("../services/invitationService");
 const { requestPasswordReset, resetPasswordWithToken } = require("../services/passwordResetService");
+const {
+  startSession,
+  rotateSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const { startAuthentication, finishAuthentication } = require("../services/webauthnService");
+const {
+  checkSignIn,
+  userHasMfa,
+  passwordRulesFor,
+  validatePassword,
+} = require("../services/securityPolicyService");
+const {
+  assertAttemptAllowed,
+  recordFailure,
+  recordSuccess,
+  unlockWithToken,
+} = require("../services/authThrottleService");
+const {
+  sendVerification,
+  requestEmailChange,
+  confirmEmailToken,
+} = require("../services/emailVerificationService");
 const { onUserCreated } = require("../services/resourceAutoSend");
 const Account = require("../models/account");
 const Contact = require("../models/contact");
 const Subscription = require("../models/subscription");
 const SubscriptionProduct = require("../models/subscriptionProduct");
 const PlatformEngagement = require("../models/platformEngagement");
-const RefreshToken = require("../models/refreshToken");
+const WebauthnCredential = require("../models/webauthnCredential");
 const db = require("../db");
 
 const OAUTH_STATE_COOKIE = "oauth_state";
@@ -88,17 +131,6 @@ async function createDefaultSubscription(accountId, userRole, subscriptionTier)
   }
 }
 
-async function issueTokenPair(user) {
-  const accessToken = createAccessToken(user);
-  const refreshToken = createRefreshToken(user);
-
-  const tokenHash = RefreshToken.hash(refreshToken);
-  const expiresAt = getRefreshTokenExpiresAt();
-  await RefreshToken.store({ userId: user.id, tokenHash, expiresAt });
-
-  return { accessToken, refreshToken };
-}
-
 router.post("/token", async function (req, res, next) {
   const body = req.body || {};
   const validator = jsonschema.validate(body, userAuthSchema, { required: true });
@@ -108,14 +140,28 @@ router.post("/token", async function (req, res, next) {
   }
   try {
     const { email, password } = body;
-    const user = await User.authenticate(email, password);
+    await assertAttemptAllowed({ email, ipAddress: req.ip });
+    let user;
+    try {
+      user = await User.authenticate(email, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) await recordFailure({ scope: "token", email, ipAddress: req.ip });
+      throw err;
+    }
+    const policy = await checkSignIn(user, "password");
 
-    if (user.mfaEnabled) {
+    const hasPasskeys = (await WebauthnCredential.countForUser(user.id)) > 0;
+    if (user.mfaEnabled || hasPasskeys) {
       const mfaTicket = createMfaTicket(user.id, user.email);
-      return res.json({ mfaRequired: true, mfaTicket, mfaPendingToken: mfaTicket });
+      const mfaMethods = [
+        ...(user.mfaEnabled ? ["totp", "backup_code"] : []),
+        ...(hasPasskeys ? ["webauthn"] : []),
+      ];
+      return res.json({ mfaRequired: true, mfaTicket, mfaPendingToken: mfaTicket, mfaMethods });
     }
 
-    const tokens = await issueTokenPair(user);
+    const tokens = await startSession(user, req, { policy });
+    await recordSuccess(email);
 
     try {
       await PlatformEngagement.logEvent({ userId: user.id, eventType: "login", eventData: {} });
@@ -173,7 +219,13 @@ router.post("/register", async function (req, res, next) {
       console.error("[resourceAutoSend] register:", autoErr.message);
     }
 
-    const tokens = await issueTokenPair(newUser);
+    try {
+      await sendVerification(newUser.id);
+    } catch (verifyErr) {
+      console.error("[emailVerification] register:", verifyErr.message);
+    }
+
+    const tokens = await startSession(newUser, req);
     return res.status(201).json(tokens);
   } catch (err) {
     await db.query("ROLLBACK");
@@ -186,34 +238,7 @@ router.post("/refresh", async function (req, res, next) {
     const { refreshToken } = req.body;
     if (!refreshToken) throw new BadRequestError("Refresh token is required");
 
-    let payload;
-    try {
-      payload = jwt.verify(refreshToken, SECRET_KEY);
-    } catch (err) {
-      throw new UnauthorizedError("Invalid or expired refresh token");
-    }
-
-    if (payload.type !== "refresh") {
-      throw new UnauthorizedError("Invalid token type");
-    }
-
-    const tokenHash = RefreshToken.hash(refreshToken);
-    const stored = await RefreshToken.findByHash(tokenHash);
-    if (!stored) {
-      throw new UnauthorizedError("Refresh token has been revoked or is invalid");
-    }
-
-    await RefreshToken.deleteByHash(tokenHash);
-
-    const user = await User.getById(payload.id);
-    if (!user || !user.isActive) {
-      throw new UnauthorizedError("User account is inactive or not found");
-    }
-
-    const tokens = await issueTokenPair(user);
-
-    RefreshToken.cleanupExpired().catch(() => {});
-
+    const tokens = await rotateSession(refreshToken, req);
     return res.json(tokens);
   } catch (err) {
     return next(err);
@@ -224,8 +249,7 @@ router.post("/logout", async function (req, res, next) {
   try {
     const { refreshToken } = req.body;
     if (refreshToken) {
-      const tokenHash = RefreshToken.hash(refreshToken);
-      await RefreshToken.deleteByHash(tokenHash);
+      await endSession(refreshToken);
     }
     return res.json({ success: true });
   } catch (err) {
@@ -233,6 +257,37 @@ router.post("/logout", async function (req, res, next) {
   }
 });
 
+/** GET /sessions - Active sessions; the caller's own is marked current. */
+router.get("/sessions", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { id, sid } = res.locals.user;
+    const sessions = await listSessions(id, sid);
+    return res.json({ sessions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /sessions/:sessionId - Sign out one device. */
+router.delete("/sessions/:sessionId", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await revokeSession(res.locals.user.id, req.params.sessionId);
+    return res.json({ revoked: req.params.sessionId });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /logout-all - Sign out everywhere, including this session. */
+router.post("/logout-all", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const revoked = await revokeAllSessions(res.locals.user.id);
+    return res.json({ success: true, revoked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 router.post("/change-password", ensureLoggedIn, async function (req, res, next) {
   try {
     const { currentPassword, newPassword } = req.body;
@@ -241,10 +296,9 @@ router.post("/change-password", ensureLoggedIn, async function (req, res, next)
     if (!currentPassword || !newPassword) {
       throw new BadRequestError("Current password and new password are required");
     }
-    if (newPassword.length < 4) {
-      throw new BadRequestError("New password must be at least 4 characters");
-    }
+    validatePassword(String(newPassword), await passwordRulesFor({ userId }));
     await User.changePassword(userId, currentPassword, newPassword);
+    await revokeAllSessions(userId, { exceptSessionId: res.locals.user.sid, reason: "password_changed" });
     return res.json({ success: true, message: "Password updated successfully" });
   } catch (err) {
     return next(err);
@@ -259,55 +313,80 @@ const mfaVerifyLimiter = rateLimit({
   message: { error: { message: "Too many MFA attempts. Please try again later.", status: 429 } },
 });
 
+/** MFA ticket from the Authorization header or body; returns the ticket's user id. */
+function userIdFromMfaTicket(req) {
+  const authHeader = req.headers?.authorization;
+  const ticket = authHeader?.replace(/^[Bb]earer /, "").trim() || req.body?.mfaTicket;
+  if (!ticket) throw new BadRequestError("MFA ticket is required");
+  try {
+    return verifyMfaTicket(ticket).id;
+  } catch (err) {
+    throw new UnauthorizedError("Invalid or expired MFA session. Please sign in again.");
+  }
+}
+
+/** POST /mfa/webauthn/options - Passkey assertion options for the MFA ticket's user. */
+router.post("/mfa/webauthn/options", mfaVerifyLimiter, async function (req, res, next) {
+  try {
+    const userId = userIdFromMfaTicket(req);
+    return res.json(await startAuthentication({ purpose: "mfa", userId }));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /mfa/verify - Body: { mfaTicket, codeOrBackupCode } or { mfaTicket, webauthn: { challengeId, response } }. */
 router.post("/mfa/verify", mfaVerifyLimiter, async function (req, res, next) {
   try {
-    const authHeader = req.headers?.authorization;
-    const bearerToken = authHeader?.replace(/^[Bb]earer /, "").trim();
-    const { mfaTicket, codeOrBackupCode, tokenOrBackupCode } = req.body;
-    const ticket = bearerToken || mfaTicket;
+    const { codeOrBackupCode, tokenOrBackupCode, webauthn } = req.body;
     const code = String(codeOrBackupCode || tokenOrBackupCode || "").trim();
 
-    if (!ticket || !code) {
+    if (!code && !webauthn) {
       throw new BadRequestError("MFA ticket and code are required");
     }
 
-    let userId;
-    try {
-      const payload = verifyMfaTicket(ticket);
-      userId = payload.id;
-    } catch (err) {
-      throw new UnauthorizedError("Invalid or expired MFA session. Please sign in again.");
-    }
+    const userId = userIdFromMfaTicket(req);
 
     const user = await User.getById(userId);
     if (!user || !user.isActive) {
       throw new UnauthorizedError("User not found or inactive");
     }
-
-    const MfaBackupCode = require("../models/mfaBackupCode");
-    const speakeasy = require("speakeasy");
-
-    const secret = await User.getMfaSecret(userId);
-    if (!secret) throw new UnauthorizedError("Invalid code");
+    await assertAttemptAllowed({ email: user.email, ipAddress: req.ip });
 
     let valid = false;
 
-    if (code.length === 6 && /^\d+$/.test(code)) {
-      valid = speakeasy.totp.verify({
-        secret,
-        encoding: "base32",
-        token: code,
-        window: 1,
-      });
-    }
-    if (!valid) {
-      valid = await MfaBackupCode.verifyAndConsume(userId, code);
+    if (webauthn) {
+      try {
+        await finishAuthentication({ purpose: "mfa", userId, challengeId: webauthn.challengeId, response: webauthn.response });
+        valid = true;
+      } catch (err) {
+        if (!(err instanceof UnauthorizedError)) throw err;
+      }
+    } else {
+      const MfaBackupCode = require("../models/mfaBackupCode");
+      const speakeasy = require("speakeasy");
+
+      const secret = await User.getMfaSecret(userId);
+      if (!secret) throw new UnauthorizedError("Invalid code");
+
+      if (code.length === 6 && /^\d+$/.test(code)) {
+        valid = speakeasy.totp.verify({
+          secret,
+          encoding: "base32",
+          token: code,
+          window: 1,
+        });
+      }
+      if (!valid) {
+        valid = await MfaBackupCode.verifyAndConsume(userId, code);
+      }
     }
 
     if (!valid) {
       try {
         await PlatformEngagement.logEvent({ userId, eventType: "mfa_failure", eventData: {} });
       } catch (logErr) { /* don't block */ }
+      await recordFailure({ scope: "mfa", email: user.email, ipAddress: req.ip });
       throw new UnauthorizedError("Invalid code");
     }
 
@@ -315,7 +394,8 @@ router.post("/mfa/verify", mfaVerifyLimiter, async function (req, res, next) {
       await PlatformEngagement.logEvent({ userId: user.id, eventType: "mfa_success", eventData: {} });
     } catch (logErr) { /* don't block */ }
 
-    const tokens = await issueTokenPair(user);
+    const tokens = await startSession(user, req);
+    await recordSuccess(user.email);
 
     try {
       await PlatformEngagement.logEvent({ userId: user.id, eventType: "login", eventData: {} });
@@ -327,6 +407,43 @@ router.post("/mfa/verify", mfaVerifyLimiter, async function (req, res, next) {
   }
 });
 
+/** POST /passkey/options - Passkey assertion options for passwordless sign-in. */
+router.post("/passkey/options", async function (req, res, next) {
+  try {
+    return res.json(await startAuthentication({ purpose: "login" }));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /passkey/verify - Body: { challengeId, response }. Signs in without a password (no MFA step:
+ * the passkey is a possession factor and requires user verification).
+ */
+router.post("/passkey/verify", mfaVerifyLimiter, async function (req, res, next) {
+  try {
+    const { challengeId, response } = req.body || {};
+    if (!challengeId || !response) throw new BadRequestError("challengeId and response are required");
+
+    const { userId } = await finishAuthentication({ purpose: "login", challengeId, response });
+    const user = await User.getById(userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError("User not found or inactive");
+    }
+    const policy = await checkSignIn(user, "passkey");
+
+    const tokens = await startSession(user, req, { policy });
+
+    try {
+      await PlatformEngagement.logEvent({ userId: user.id, eventType: "passkey_login", eventData: {} });
+      await PlatformEngagement.logEvent({ userId: user.id, eventType: "login", eventData: {} });
+    } catch (logErr) { /* don't block login */ }
+
+    return res.json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
 const forgotPasswordLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,
@@ -351,7 +468,57 @@ router.post("/forgot-password", forgotPasswordLimiter, async function (req, res,
 router.post("/reset-password", async function (req, res, next) {
   try {
     const { token, newPassword } = req.body;
-    const result = await resetPasswordWithToken(token, newPassword);
+    await assertAttemptAllowed({ ipAddress: req.ip });
+    let result;
+    try {
+      result = await resetPasswordWithToken(token, newPassword);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) await recordFailure({ scope: "reset_password", ipAddress: req.ip });
+      throw err;
+    }
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /verify-email/send - Email a verification link for the current address (throttled). */
+router.post("/verify-email/send", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const result = await sendVerification(res.locals.user.id);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /verify-email - Body: { token }. Confirms an address, or completes an email change. */
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const result = await confirmEmailToken(req.body?.token);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /change-email - Body: { newEmail, currentPassword }. Sends a confirmation link to the new address;
+ * the email changes once it is used and the old address is notified.
+ */
+router.post("/change-email", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const { newEmail, currentPassword } = req.body || {};
+    const result = await requestEmailChange(res.locals.user.id, { newEmail, currentPassword });
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /unlock - Body: { token }. Ends a sign-in lockout with the link from the unlock email. */
+router.post("/unlock", async function (req, res, next) {
+  try {
+    const result = await unlockWithToken(req.body?.token);
     return res.json(result);
   } catch (err) {
     return next(err);
@@ -384,11 +551,21 @@ function redirectWithError(code) {
   return `${base}${sep}error=${encodeURIComponent(code)}`;
 }
 
-function redirectWithToken(accessToken, refreshToken) {
+function redirectWithToken(accessToken, refreshToken, { mfaSetupRequired = false } = {}) {
   const origin = process.env.APP_WEB_ORIGIN || "http://localhost:5173";
   const base = AUTH_SUCCESS_REDIRECT || `${origin}/#/auth/callback`;
   const params = new URLSearchParams({ token: accessToken, provider: "google" });
   if (refreshToken) params.set("refreshToken", refreshToken);
+  if (mfaSetupRequired) params.set("mfaSetupRequired", "true");
+  const sep = base.includes("?") ? "&" : "?";
+  return `${base}${sep}${params.toString()}`;
+}
+
+/** Account policy requires MFA: the app completes sign-in with /auth/mfa/verify. */
+function redirectWithMfaTicket(mfaTicket) {
+  const origin = process.env.APP_WEB_ORIGIN || "http://localhost:5173";
+  const base = AUTH_SUCCESS_REDIRECT || `${origin}/#/auth/callback`;
+  const params = new URLSearchParams({ mfaTicket, provider: "google" });
   const sep = base.includes("?") ? "&" : "?";
   return `${base}${sep}${params.toString()}`;
 }
@@ -515,12 +692,22 @@ async function handleGoogleCallback(req, res, next, intent) {
       return res.redirect(redirectWithError("inactive"));
     }
 
-    const { accessToken, refreshToken } = await issueTokenPair(user);
+    let policy;
+    try {
+      policy = await checkSignIn(user, "google");
+    } catch (policyErr) {
+      return res.redirect(redirectWithError("method_not_allowed"));
+    }
+    if (policy.requireMfa && await userHasMfa(user)) {
+      return res.redirect(redirectWithMfaTicket(createMfaTicket(user.id, user.email)));
+    }
+
+    const { accessToken, refreshToken, mfaSetupRequired } = await startSession(user, req, { policy });
     try {
       await PlatformEngagement.logEvent({ userId: user.id, eventType: "login", eventData: { provider: "google" } });
     } catch (logErr) { /* don't block */ }
 
-    return res.redirect(redirectWithToken(accessToken, refreshToken));
+    return res.redirect(redirectWithToken(accessToken, refreshToken, { mfaSetupRequired }));
   } catch (err) {
     console.error("Google callback error:", err.message);
     return res.redirect(redirectWithError("oauth_failed"));
@@ -0,0 +1,133 @@
+"use strict";
+
+/**
+ * Calendar Feed Routes
+ *
+ * Subscribable ICS feeds of a user's maintenance calendar (Google Calendar,
+ * Outlook, Apple Calendar). Feeds are authenticated by a revocable secret
+ * token in the URL, since calendar clients cannot send Authorization headers.
+ *
+ * - GET    /           List the current user's feeds
+ * - POST   /           Create a feed (optional propertyId limits it to one property)
+ * - DELETE /:id        Revoke a feed
+ * - GET    /:token.ics Public feed (no login; token required)
+ */
+
+const express = require("express");
+const db = require("../db");
+const { ensureLoggedIn, ensurePropertyAccess } = require("../middleware/auth");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../expressError");
+const CalendarFeedToken = require("../models/calendarFeedToken");
+const MaintenanceEvent = require("../models/maintenanceEvent");
+const { buildMaintenanceCalendar } = require("../services/icsService");
+const { APP_NAME, API_BASE_URL } = require("../config");
+
+const router = express.Router();
+
+function feedUrls(req, token) {
+  const base = API_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const url = `${base.replace(/\/$/, "")}/calendar-feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+}
+
+/** Resolve body.propertyId (numeric id or property_uid) to a numeric id. */
+async function resolvePropertyIdFromBody(req, res, next) {
+  try {
+    const raw = req.body?.propertyId;
+    if (raw == null || raw === "") return next();
+    if (/^\d+$/.test(String(raw))) {
+      req.body.propertyId = parseInt(raw, 10);
+      return next();
+    }
+    if (/^[0-9A-Z]{26}$/i.test(raw)) {
+      const propRes = await db.query(`SELECT id FROM properties WHERE property_uid = $1`, [raw]);
+      if (propRes.rows.length === 0) throw new ForbiddenError("Property not found.");
+      req.body.propertyId = propRes.rows[0].id;
+      return next();
+    }
+    throw new BadRequestError("propertyId must be a property id or uid");
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/** Property access check only when the feed is limited to a property. */
+const ensureFeedPropertyAccess = ensurePropertyAccess({ fromBody: "propertyId" });
+function ensureOptionalPropertyAccess(req, res, next) {
+  if (req.body?.propertyId == null || req.body.propertyId === "") return next();
+  return ensureFeedPropertyAccess(req, res, next);
+}
+
+/** GET / - List the current user's calendar feeds (tokens are not returned). */
+router.get("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const feeds = await CalendarFeedToken.listForUser(res.locals.user.id);
+    return res.json({ feeds });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST / - Create a feed. Body: { propertyId?, label? }. The URL is only shown once. */
+router.post(
+  "/",
+  ensureLoggedIn,
+  resolvePropertyIdFromBody,
+  ensureOptionalPropertyAccess,
+  async function (req, res, next) {
+    try {
+      const { propertyId = null, label = null } = req.body || {};
+      if (label != null && (typeof label !== "string" || label.length > 100)) {
+        throw new BadRequestError("label must be a string of at most 100 characters");
+      }
+      const { token, ...feed } = await CalendarFeedToken.create({
+        userId: res.locals.user.id,
+        propertyId: propertyId || null,
+        label,
+      });
+      return res.status(201).json({ feed: { ...feed, ...feedUrls(req, token) } });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** DELETE /:id - Revoke a feed. Calendar clients stop receiving updates. */
+router.delete("/:id", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await CalendarFeedToken.revoke(req.params.id, res.locals.user.id);
+    return res.json({ revoked: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:token.ics - The feed itself. Authenticated by the token only. */
+router.get("/:token.ics", async function (req, res, next) {
+  try {
+    const feed = await CalendarFeedToken.findActiveByToken(req.params.token);
+    if (!feed) throw new NotFoundError("Calendar feed not found");
+
+    const { events, exceptions, inspections } = await MaintenanceEvent.getCalendarFeed({
+      userId: feed.userId,
+      propertyId: feed.propertyId,
+    });
+    const propertyName = feed.propertyId && events[0]
+      ? events[0].property_name || events[0].address
+      : null;
+    const ics = buildMaintenanceCalendar({
+      name: feed.label || (propertyName ? `${APP_NAME} – ${propertyName}` : `${APP_NAME} Maintenance`),
+      events,
+      exceptions,
+      inspections,
+    });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(ics);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -9,12 +9,11 @@ const {
 const Communication = require("../models/communication");
 const CommTemplate = require("../models/commTemplate");
 const CommAttachment = require("../models/commAttachment");
-const Notification = require("../models/notification");
 const {
   getRecipientOptions,
-  resolveRecipients,
   estimateRecipients,
 } = require("../services/commRecipients");
+const { deliverCommunication, deliveryOutcome } = require("../services/commDeliveryService");
 const db = require("../db");
 
 const router = express.Router();
@@ -130,7 +129,7 @@ router.get("/", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, res, next)
 router.get("/:id/view", ensureLoggedIn, async (req, res, next) => {
   try {
     const comm = await Communication.getById(req.params.id);
-    if (comm.status !== "sent") {
+    if (comm.status !== "sent" && comm.status !== "partially_sent") {
       return res.status(404).json({ error: { message: "Communication not found." } });
     }
     const recipientCheck = await db.query(
@@ -199,7 +198,7 @@ router.post("/", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, res, next)
 router.patch("/:id", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, res, next) => {
   try {
     const existing = await Communication.getById(req.params.id);
-    if (existing.status === "sent") {
+    if (["sent", "partially_sent", "sending"].includes(existing.status)) {
       return res.status(400).json({ error: { message: "Cannot edit a sent communication." } });
     }
 
@@ -238,13 +237,14 @@ router.patch("/:id", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, res, n
 router.post("/:id/send", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, res, next) => {
   try {
     const comm = await Communication.getById(req.params.id);
-    if (comm.status === "sent") {
+    if (comm.status === "sent" || comm.status === "partially_sent") {
       return res.status(400).json({ error: { message: "Already sent." } });
     }
+    if (comm.status === "sending") {
+      return res.status(400).json({ error: { message: "This communication is already being sent." } });
+    }
 
-    const userId = res.locals.user.id;
     const role = res.locals.user.role;
-
     if (role === "agent") {
       const blocked = ["all_users", "all_agents", "selected_agents", "selected_users"];
       if (blocked.includes(comm.recipientMode)) {
@@ -252,41 +252,23 @@ router.post("/:id/send", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req, re
       }
     }
 
-    const { users, count } = await resolveRecipients(
-      userId, role, comm.recipientMode, comm.recipientIds || []
-    );
-
-    await Communication.update(req.params.id, {
-      status: "sent",
-      sent_at: new Date().toISOString(),
-      recipient_count: count,
-    });
-
-    const userIds = users.map((u) => u.id).filter(Boolean);
-    for (const uid of userIds) {
-      await db.query(
-        `INSERT INTO comm_recipients (communication_id, user_id, channel, status, delivered_at)
-         VALUES ($1, $2, $3, 'delivered', NOW())`,
-        [comm.id, uid, comm.deliveryChannel === "email" ? "email" : "in_app"]
-      );
-      if (comm.deliveryChannel === "both") {
-        await db.query(
-          `INSERT INTO comm_recipients (communication_id, user_id, channel, status, delivered_at)
-           VALUES ($1, $2, 'email', 'delivered', NOW())`,
-          [comm.id, uid]
-        );
-      }
+    const claimed = await Communication.claimForSend(comm.id);
+    if (!claimed) {
+      return res.status(409).json({ error: { message: "This communication is already being sent." } });
     }
 
-    if (userIds.length > 0) {
-      await Notification.createForUsers(userIds, {
-        type: "communication_sent",
-        title: `New: ${comm.subject || "Message"}`,
-      });
+    let result;
+    try {
+      result = await deliverCommunication(claimed, res.locals.user);
+    } catch (err) {
+      await Communication.markSent(comm.id, { recipientCount: 0, status: "failed", failureReason: err.message });
+      throw err;
     }
+    const { status, failureReason } = deliveryOutcome(result);
+    await Communication.markSent(comm.id, { recipientCount: result.count, status, failureReason });
 
     const updated = await Communication.getById(req.params.id);
-    return res.json({ communication: updated, sentTo: count });
+    return res.json({ communication: updated, sentTo: result.count, failed: result.failed });
   } catch (err) {
     return next(err);
   }
@@ -299,12 +281,14 @@ router.post("/:id/schedule", ensureLoggedIn, ensureAdminOrSuperAdmin, async (req
       return res.status(400).json({ error: { message: "scheduledAt is required" } });
     }
     const comm = await Communication.getById(req.params.id);
-    if (comm.status === "sent") {
+    if (["sent", "partially_sent", "sending"].includes(comm.status)) {
       return res.status(400).json({ error: { message: "Already sent." } });
     }
     const updated = await Communication.update(req.params.id, {
       status: "scheduled",
       scheduled_at: scheduledAt,
+      retry_count: 0,
+      failure_reason: null,
     });
     return res.json({ communication: updated });
   } catch (err) {
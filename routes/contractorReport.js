@@ -6,14 +6,38 @@
  * These endpoints are accessed by contractors via a token link sent by email.
  * Authentication is done via the token itself (hashed, with expiry).
  *
- * GET  /contractor-report/:token  — Load report form data for the contractor
- * POST /contractor-report/:token  — Submit the completed report
+ * GET    /contractor-report/:token                    — Load report form data for the contractor (counted as a link open)
+ * POST   /contractor-report/:token/uploads            — Presigned upload URL for a photo or invoice
+ * DELETE /contractor-report/:token/uploads/:uploadId  — Remove an attachment before submitting
+ * POST   /contractor-report/:token                    — Submit the completed report
+ *
+ * On submit, line items are priced server-side (the total becomes the proposed
+ * cost) and an optional typed or drawn signature is recorded with time and IP.
+ * The report is held for homeowner review (services/contractorReviewService.js):
+ * the record only changes, and uploads only become property documents, once a
+ * reviewer accepts it. A report sent back reopens the link with their comments.
  */
 
 const express = require("express");
+const jsonschema = require("jsonschema");
 const ContractorReportToken = require("../models/contractorReportToken");
+const ContractorReportSubmission = require("../models/contractorReportSubmission");
 const MaintenanceRecord = require("../models/maintenanceRecord");
+const { emitPropertyEvent } = require("../services/webhookService");
+const {
+  UPLOAD_CONTENT_TYPES,
+  MAX_UPLOAD_BYTES,
+  createUpload,
+  removeUpload,
+  listUploads,
+  computeLineItems,
+  prepareSignature,
+  discardSignature,
+} = require("../services/contractorReportService");
+const { submitForReview } = require("../services/contractorReviewService");
 const { BadRequestError } = require("../expressError");
+const contractorReportUploadSchema = require("../schemas/contractorReportUpload.json");
+const contractorReportSubmitSchema = require("../schemas/contractorReportSubmit.json");
 
 const router = express.Router();
 
@@ -29,8 +53,14 @@ const SYSTEM_LABELS = {
 router.get("/:token", async function (req, res, next) {
   try {
     const tokenData = await ContractorReportToken.validateToken(req.params.token);
+    ContractorReportToken.recordOpen(tokenData.id).catch((err) =>
+      console.error("[contractorReport] Could not record link open:", err.message)
+    );
 
-    const data = tokenData.recordData || {};
+    // A report sent back for changes is prefilled with what the contractor submitted last time
+    const lastSubmission = await ContractorReportSubmission.getLatestForToken(tokenData.id);
+    const returned = lastSubmission?.status === "returned" ? lastSubmission : null;
+    const data = { ...(tokenData.recordData || {}), ...(returned?.proposed.data || {}) };
     res.json({
       tokenId: tokenData.id,
       maintenanceRecordId: tokenData.maintenanceRecordId,
@@ -50,62 +80,141 @@ router.get("/:token", async function (req, res, next) {
         contractor: data.contractor || tokenData.contractorName || "",
         contractorEmail: data.contractorEmail || tokenData.contractorEmail || "",
         contractorPhone: data.contractorPhone || "",
+        lineItems: data.lineItems || [],
       },
+      uploads: await listUploads(tokenData.id),
+      uploadLimits: { contentTypes: Object.keys(UPLOAD_CONTENT_TYPES), maxBytes: MAX_UPLOAD_BYTES },
       status: tokenData.recordStatus || "Pending Contractor",
       completedAt: tokenData.completedAt,
+      reviewComments: returned?.reviewComments ?? null,
+      returnedAt: returned?.reviewedAt ?? null,
     });
   } catch (err) {
     return next(err);
   }
 });
 
-/** POST /:token — Contractor submits their completed report */
+/** POST /:token/uploads — Register an attachment and get a presigned PUT URL.
+ * Body: { fileName, contentType, sizeBytes?, category: before_photo|after_photo|invoice|other }
+ * The file must be PUT to uploadUrl with the returned headers before the report is submitted.
+ */
+router.post("/:token/uploads", async function (req, res, next) {
+  try {
+    const tokenData = await ContractorReportToken.validateToken(req.params.token);
+    const validator = jsonschema.validate(req.body, contractorReportUploadSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const result = await createUpload(tokenData, req.body);
+    return res.status(201).json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /:token/uploads/:uploadId — Remove an attachment that has not been submitted yet */
+router.delete("/:token/uploads/:uploadId", async function (req, res, next) {
+  try {
+    const tokenData = await ContractorReportToken.validateToken(req.params.token);
+    if (!/^\d+$/.test(req.params.uploadId)) throw new BadRequestError("uploadId must be a positive integer");
+    const result = await removeUpload(tokenData, req.params.uploadId);
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:token — Contractor submits their completed report.
+ * Body: description (required), workOrderNumber, cost, materialsUsed, notes, status, completedAt,
+ * nextServiceDate, lineItems [{ type: part|labor|other, description, quantity, unitPrice, taxRate? }],
+ * signature { name, type: typed|drawn, image? (PNG data URL when drawn) }.
+ */
 router.post("/:token", async function (req, res, next) {
   try {
     const tokenData = await ContractorReportToken.validateToken(req.params.token);
 
+    const validator = jsonschema.validate(req.body, contractorReportSubmitSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
     const {
       description, workOrderNumber, cost, materialsUsed,
-      notes, status, completedAt, nextServiceDate,
+      notes, status, completedAt, nextServiceDate, lineItems, signature,
     } = req.body;
 
     if (!description || !description.trim()) {
       throw new BadRequestError("Work description is required");
     }
 
+    const pricing = lineItems?.length ? computeLineItems(lineItems) : null;
+
     const existingRecord = await MaintenanceRecord.getByRecordId(tokenData.maintenanceRecordId);
     const existingData = existingRecord.data || {};
+    const submittedAt = new Date().toISOString();
 
-    const updatedData = {
-      ...existingData,
+    const proposedData = {
       description: description?.trim() || existingData.description,
       workOrderNumber: workOrderNumber ?? existingData.workOrderNumber,
-      cost: cost ?? existingData.cost,
+      cost: pricing ? pricing.total.toFixed(2) : (cost ?? existingData.cost),
       materialsUsed: materialsUsed ?? existingData.materialsUsed,
       notes: notes ?? existingData.notes,
-      contractorSubmittedAt: new Date().toISOString(),
+      contractorSubmittedAt: submittedAt,
     };
+    if (pricing) {
+      proposedData.lineItems = pricing.lineItems;
+      proposedData.costSummary = { subtotal: pricing.subtotal, tax: pricing.tax, total: pricing.total };
+    }
 
-    const updatedRecord = await MaintenanceRecord.update(tokenData.maintenanceRecordId, {
-      property_id: existingRecord.property_id,
-      system_key: existingRecord.system_key,
-      completed_at: completedAt || existingRecord.completed_at || new Date().toISOString(),
-      next_service_date: nextServiceDate || existingRecord.next_service_date,
-      data: updatedData,
-      status: status || "Completed",
-      record_status: "contractor_completed",
+    // Stored last so a drawn signature is only uploaded once everything else checks out,
+    // and removed again if the token was claimed by another submit in the meantime.
+    const signatureData = signature
+      ? await prepareSignature(tokenData, signature, { ipAddress: req.ip, userAgent: req.get("user-agent") })
+      : null;
+    if (signatureData) {
+      proposedData.contractorSignature = {
+        name: signatureData.signerName,
+        type: signatureData.signatureType,
+        signedAt: submittedAt,
+      };
+    }
+
+    const submission = await submitForReview(tokenData, existingRecord, {
+      proposed: {
+        completed_at: completedAt || existingRecord.completed_at || submittedAt,
+        next_service_date: nextServiceDate || existingRecord.next_service_date,
+        status: status || "Completed",
+        data: proposedData,
+      },
+      signature: signatureData,
+    }).catch(async (err) => {
+      await discardSignature(signatureData);
+      throw err;
     });
+    const uploads = await listUploads(tokenData.id);
 
-    await ContractorReportToken.markCompleted(tokenData.id);
+    emitPropertyEvent(existingRecord.property_id, "contractor_report.submitted", {
+      maintenanceRecordId: existingRecord.id,
+      systemKey: existingRecord.system_key,
+      status: submission.proposed.status,
+      contractorName: tokenData.contractorName ?? null,
+      submittedAt,
+      total: pricing?.total ?? null,
+      attachmentCount: uploads.length,
+      signed: !!signatureData,
+    }).catch((err) => console.error("[webhooks] contractor_report.submitted failed:", err.message));
 
     res.json({
       success: true,
-      message: "Report submitted successfully. The homeowner will be notified.",
+      message: "Report submitted. The homeowner has been notified and will review it.",
       record: {
-        id: updatedRecord.id,
-        status: updatedRecord.status,
-        record_status: updatedRecord.record_status,
+        id: existingRecord.id,
+        record_status: "contractor_review",
       },
+      submissionId: submission.id,
+      attachments: uploads.map((u) => ({ id: u.id, name: u.fileName, category: u.category })),
     });
   } catch (err) {
     return next(err);
@@ -5,6 +5,7 @@ const multer = require("multer");
 const { ensureLoggedIn } = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
 const { uploadFile, getPresignedUrl, getPresignedUrlForImage } = require("../services/s3Service");
+const { isSupportedDocument } = require("../services/extractors");
 const { AWS_S3_BUCKET } = require("../config");
 const { ulid } = require("ulid");
 
@@ -32,9 +33,8 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    // Optional: restrict file types
-    const allowed = ["application/pdf", "image/jpeg", "image/png", "image/webp", "image/gif"];
-    if (allowed.includes(file.mimetype)) {
+    // Anything a text extractor can read (PDF, images, DOCX, TXT/HTML), by MIME type or extension
+    if (isSupportedDocument(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       cb(new BadRequestError("Invalid file type"), false);
@@ -6,38 +6,62 @@ const { ensureLoggedIn } = require("../middleware/auth");
 const { BadRequestError, ForbiddenError } = require("../expressError");
 const InspectionAnalysisJob = require("../models/inspectionAnalysisJob");
 const InspectionAnalysisResult = require("../models/inspectionAnalysisResult");
+const { enqueue } = require("../services/inspectionAnalysisQueue");
+const { checkAiTokenQuota } = require("../services/tierService");
 
 const router = express.Router();
 
+/** Load the job into req.job after checking the user can access its property. */
+async function loadJobWithAccess(req, res, next) {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) {
+      throw new BadRequestError("Invalid job ID");
+    }
+
+    const job = await InspectionAnalysisJob.get(jobId);
+
+    const userId = res.locals.user.id;
+    if (res.locals.user.role !== "super_admin" && res.locals.user.role !== "admin") {
+      const accessCheck = await db.query(
+        `SELECT 1 FROM property_users WHERE property_id = $1 AND user_id = $2`,
+        [job.property_id, userId]
+      );
+      if (accessCheck.rows.length === 0) {
+        throw new ForbiddenError("You do not have access to this property.");
+      }
+    }
+
+    req.job = job;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+function jobStatusResponse(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    errorMessage: job.error_message,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    nextAttemptAt: job.status === "queued" ? job.run_after : null,
+    finishedAt: job.finished_at,
+  };
+}
+
 /** GET /jobs/:jobId - Get job status and result. */
 router.get(
   "/jobs/:jobId",
   ensureLoggedIn,
+  loadJobWithAccess,
   async function (req, res, next) {
     try {
-      const jobId = parseInt(req.params.jobId, 10);
-      if (isNaN(jobId)) {
-        throw new BadRequestError("Invalid job ID");
-      }
-
-      const job = await InspectionAnalysisJob.get(jobId);
-
-      const userId = res.locals.user.id;
-      if (res.locals.user.role !== "super_admin" && res.locals.user.role !== "admin") {
-        const accessCheck = await db.query(
-          `SELECT 1 FROM property_users WHERE property_id = $1 AND user_id = $2`,
-          [job.property_id, userId]
-        );
-        if (accessCheck.rows.length === 0) {
-          throw new ForbiddenError("You do not have access to this property.");
-        }
-      }
-
-      const response = {
-        status: job.status,
-        progress: job.progress,
-        errorMessage: job.error_message,
-      };
+      const job = req.job;
+      const jobId = job.id;
+      const response = jobStatusResponse(job);
 
       if (job.status === "completed") {
         const result = await InspectionAnalysisResult.getByJobId(jobId);
@@ -64,4 +88,45 @@ router.get(
   }
 );
 
+/** POST /jobs/:jobId/cancel - Cancel a queued or running analysis. */
+router.post(
+  "/jobs/:jobId/cancel",
+  ensureLoggedIn,
+  loadJobWithAccess,
+  async function (req, res, next) {
+    try {
+      const job = await InspectionAnalysisJob.cancel(req.job.id);
+      return res.json(jobStatusResponse(job));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /jobs/:jobId/retry - Re-run a failed or cancelled analysis. Counts against the AI token quota. */
+router.post(
+  "/jobs/:jobId/retry",
+  ensureLoggedIn,
+  loadJobWithAccess,
+  async function (req, res, next) {
+    try {
+      const { id: userId, role: userRole } = res.locals.user;
+      if (userRole !== "super_admin" && userRole !== "admin") {
+        const quotaCheck = await checkAiTokenQuota(userId, userRole);
+        if (!quotaCheck.allowed) {
+          throw new ForbiddenError(
+            `AI token quota exceeded (${quotaCheck.used}/${quotaCheck.quota} this month). Upgrade your plan for more.`
+          );
+        }
+      }
+
+      const job = await InspectionAnalysisJob.requeue(req.job.id);
+      enqueue(job.id);
+      return res.status(202).json(jobStatusResponse(job));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 module.exports = router;
@@ -5,6 +5,8 @@ const db = require("../db");
 const { ensureLoggedIn, ensurePropertyAccess } = require("../middleware/auth");
 const { BadRequestError, ForbiddenError } = require("../expressError");
 const InspectionChecklistItem = require("../models/inspectionChecklistItem");
+const { scheduleScoreRecalc } = require("../services/hpsScoreService");
+const { emitChecklistStatusChanged } = require("../services/webhookService");
 
 const router = express.Router();
 
@@ -80,6 +82,12 @@ async function loadPropertyIdFromItem(req, res, next) {
   }
 }
 
+function emitStatusChange(req, item, userId) {
+  emitChecklistStatusChanged(req._checklistItem.status, item, { changedBy: userId }).catch((err) =>
+    console.error("[webhooks] checklist_item.status_changed failed:", err.message)
+  );
+}
+
 /** PATCH /inspection-checklist/:itemId - Update item (status, notes, linked_maintenance_id). */
 router.patch(
   "/inspection-checklist/:itemId",
@@ -100,6 +108,8 @@ router.patch(
       }
 
       const item = await InspectionChecklistItem.update(req.params.itemId, updateData);
+      scheduleScoreRecalc(item.property_id, "inspection_checklist");
+      emitStatusChange(req, item, res.locals.user.id);
       return res.json({ item });
     } catch (err) {
       return next(err);
@@ -121,6 +131,8 @@ router.post(
         maintenanceId: maintenanceId || null,
         notes: notes || null,
       });
+      scheduleScoreRecalc(item.property_id, "inspection_checklist");
+      emitStatusChange(req, item, res.locals.user.id);
       return res.json({ item });
     } catch (err) {
       return next(err);
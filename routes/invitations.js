@@ -1,7 +1,7 @@
 "use strict";
 
 const express = require("express");
-const { ensureLoggedIn, ensurePropertyOwner } = require("../middleware/auth");
+const { ensureLoggedIn, ensureEmailVerified, ensurePropertyOwner } = require("../middleware/auth");
 const { BadRequestError, ForbiddenError } = require("../expressError");
 const Invitation = require("../models/invitation");
 const { createPropertyInvitation, createAccountInvitation, acceptInvitation, acceptInvitationForLoggedInUser, resendInvitation } = require("../services/invitationService");
@@ -10,7 +10,7 @@ const { canInviteViewer, canAddTeamMember } = require("../services/tierService")
 const router = express.Router();
 
 /** POST / - Create account or property invitation. Body: type, inviteeEmail, accountId, propertyId?, intendedRole. */
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensureLoggedIn, ensureEmailVerified, async function (req, res, next) {
   try {
     const { type, inviteeEmail, accountId, propertyId, intendedRole } = req.body;
     if (!inviteeEmail || !accountId) {
@@ -93,7 +93,7 @@ router.post("/:id/revoke", ensureLoggedIn, async function (req, res, next) {
 });
 
 /** POST /:id/resend - Resend invitation email to invitee. */
-router.post("/:id/resend", ensureLoggedIn, async function (req, res, next) {
+router.post("/:id/resend", ensureLoggedIn, ensureEmailVerified, async function (req, res, next) {
   try {
     const invitationId = req.params.id?.trim?.() || req.params.id;
     const inviterUserId = res.locals.user.id;
@@ -8,9 +8,14 @@ const { BadRequestError, ForbiddenError } = require("../expressError");
 const MaintenanceEvent = require("../models/maintenanceEvent");
 const maintenanceEventNewSchema = require("../schemas/maintenanceEventNew.json");
 const maintenanceEventUpdateSchema = require("../schemas/maintenanceEventUpdate.json");
+const maintenanceEventOccurrenceUpdateSchema = require("../schemas/maintenanceEventOccurrenceUpdate.json");
 const { onEventScheduled } = require("../services/resourceAutoSend");
 const { getMaintenanceAdvice } = require("../services/maintenanceAdviceService");
 const InspectionChecklistItem = require("../models/inspectionChecklistItem");
+const MaintenanceEventReminder = require("../models/maintenanceEventReminder");
+const { isRecurring, toDateKey } = require("../helpers/recurrence");
+const { buildMaintenanceCalendar } = require("../services/icsService");
+const { scheduleScoreRecalc } = require("../services/hpsScoreService");
 
 const router = express.Router();
 
@@ -64,6 +69,12 @@ async function resolvePropertyIdForCreate(req, res, next) {
   }
 }
 
+/** API keys only see their own account's properties in the user-wide listings below. */
+function apiKeyAccountId(res) {
+  const user = res.locals.user;
+  return user?.apiKeyId ? user.accountId : undefined;
+}
+
 /** GET /calendar - List maintenance & inspection events for current user in date range. */
 router.get(
   "/calendar",
@@ -76,7 +87,7 @@ router.get(
       if (!start || !end) {
         return res.status(400).json({ error: { message: "Query params start and end (YYYY-MM-DD) are required" } });
       }
-      const events = await MaintenanceEvent.getCalendarEventsForUser(userId, start, end);
+      const events = await MaintenanceEvent.getCalendarEventsForUser(userId, start, end, { accountId: apiKeyAccountId(res) });
       return res.json({ events });
     } catch (err) {
       return next(err);
@@ -92,7 +103,7 @@ router.get(
     try {
       const userId = res.locals.user?.id;
       if (!userId) return res.status(401).json({ error: { message: "Unauthorized" } });
-      const events = await MaintenanceEvent.getUpcomingForUser(userId);
+      const events = await MaintenanceEvent.getUpcomingForUser(userId, { accountId: apiKeyAccountId(res) });
       return res.json({ events });
     } catch (err) {
       return next(err);
@@ -108,7 +119,7 @@ router.get(
     try {
       const userId = res.locals.user?.id;
       if (!userId) return res.status(401).json({ error: { message: "Unauthorized" } });
-      const data = await MaintenanceEvent.getUnifiedEventsForUser(userId);
+      const data = await MaintenanceEvent.getUnifiedEventsForUser(userId, { accountId: apiKeyAccountId(res) });
       return res.json(data);
     } catch (err) {
       return next(err);
@@ -116,6 +127,15 @@ router.get(
   },
 );
 
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireDateParam(value, name) {
+  if (!value || !DATE_RE.test(value)) {
+    throw new BadRequestError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
 async function loadPropertyIdFromEvent(req, res, next) {
   try {
     const event = await MaintenanceEvent.getById(req.params.id);
@@ -126,12 +146,21 @@ async function loadPropertyIdFromEvent(req, res, next) {
   }
 }
 
+/** Recalculate the property's score once a successful write has been sent. */
+function recalcScoreAfterWrite(req, res, next) {
+  res.on("finish", () => {
+    if (res.statusCode < 400) scheduleScoreRecalc(req.params.propertyId, "maintenance_event");
+  });
+  return next();
+}
+
 /** POST /:propertyId - Create a maintenance event. */
 router.post(
   "/:propertyId",
   ensureLoggedIn,
   resolvePropertyIdForCreate,
   ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
   async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, maintenanceEventNewSchema);
@@ -186,12 +215,200 @@ router.get(
   },
 );
 
-/** PATCH /:id - Update a maintenance event. */
+/** GET /:id/reminders - Reminder delivery history (in-app and email) for an event. */
+router.get(
+  "/:id/reminders",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  async function (req, res, next) {
+    try {
+      const reminders = await MaintenanceEventReminder.listForEvent(req.params.id);
+      return res.json({ reminders });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** GET /:id/ics - Download a single event (with its recurrence) as an .ics file. */
+router.get(
+  "/:id/ics",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  async function (req, res, next) {
+    try {
+      const { events, exceptions } = await MaintenanceEvent.getCalendarFeed({ eventId: req.params.id });
+      const ics = buildMaintenanceCalendar({
+        name: events[0]?.system_name || "Maintenance",
+        events,
+        exceptions,
+      });
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="maintenance-event-${events[0]?.id}.ics"`);
+      return res.send(ics);
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** GET /:id/occurrences - Occurrences of an event in a date range (query: start, end), including skipped ones. */
+router.get(
+  "/:id/occurrences",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  async function (req, res, next) {
+    try {
+      const start = requireDateParam(req.query.start, "start");
+      const end = requireDateParam(req.query.end, "end");
+      const occurrences = await MaintenanceEvent.getOccurrences(req.params.id, start, end);
+      return res.json({ occurrences });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** POST /:id/occurrences/:date/complete - Complete one occurrence; the series advances to its next occurrence. */
+router.post(
+  "/:id/occurrences/:date/complete",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
+  async function (req, res, next) {
+    try {
+      const date = requireDateParam(req.params.date, "date");
+      const event = await MaintenanceEvent.completeOccurrence(req.params.id, date, {
+        userId: res.locals.user.id,
+        notes: req.body?.notes,
+      });
+      return res.json({ event, nextOccurrence: toDateKey(event.next_occurrence_date) });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** POST /:id/occurrences/:date/skip - Skip one occurrence without ending the series. */
+router.post(
+  "/:id/occurrences/:date/skip",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
+  async function (req, res, next) {
+    try {
+      const date = requireDateParam(req.params.date, "date");
+      const event = await MaintenanceEvent.skipOccurrence(req.params.id, date, {
+        userId: res.locals.user.id,
+        notes: req.body?.notes,
+      });
+      return res.json({ event, nextOccurrence: toDateKey(event.next_occurrence_date) });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** POST /:id/occurrences/:date/restore - Undo a completion or skip. */
+router.post(
+  "/:id/occurrences/:date/restore",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
+  async function (req, res, next) {
+    try {
+      const date = requireDateParam(req.params.date, "date");
+      const event = await MaintenanceEvent.restoreOccurrence(req.params.id, date);
+      return res.json({ event, nextOccurrence: toDateKey(event.next_occurrence_date) });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** PATCH /:id/occurrences/:date - Edit an occurrence.
+ * scope: "this" (only this occurrence), "following" (this and later occurrences; splits the
+ * series) or "all" (the whole series).
+ */
+router.patch(
+  "/:id/occurrences/:date",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
+  async function (req, res, next) {
+    try {
+      const date = requireDateParam(req.params.date, "date");
+      const validator = jsonschema.validate(req.body, maintenanceEventOccurrenceUpdateSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map((e) => e.stack);
+        throw new BadRequestError(errs);
+      }
+      const { scope, notes, ...changes } = req.body;
+      const userId = res.locals.user.id;
+
+      if (scope === "this") {
+        const seriesOnly = Object.keys(changes).filter((k) => k.startsWith("recurrence_") || k.startsWith("alert_"));
+        if (seriesOnly.length > 0) {
+          throw new BadRequestError(`${seriesOnly.join(", ")} can only be changed for the series (scope "following" or "all")`);
+        }
+        const occurrence = await MaintenanceEvent.updateOccurrence(req.params.id, date, { ...changes, notes }, { userId });
+        return res.json({ occurrence });
+      }
+      if (scope === "following") {
+        const { event, newEvent } = await MaintenanceEvent.splitSeries(req.params.id, date, changes, { userId });
+        return res.json({ event, newEvent });
+      }
+      const event = await MaintenanceEvent.update(req.params.id, changes);
+      return res.json({ event });
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** DELETE /:id/occurrences/:date - Remove one occurrence (?scope=this, default) or it and all later ones (?scope=following). */
+router.delete(
+  "/:id/occurrences/:date",
+  ensureLoggedIn,
+  loadPropertyIdFromEvent,
+  ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
+  async function (req, res, next) {
+    try {
+      const date = requireDateParam(req.params.date, "date");
+      const scope = req.query.scope || "this";
+      if (scope === "this") {
+        const event = await MaintenanceEvent.skipOccurrence(req.params.id, date, { userId: res.locals.user.id });
+        return res.json({ event });
+      }
+      if (scope === "following") {
+        const event = await MaintenanceEvent.truncateSeries(req.params.id, date);
+        return res.json(event ? { event } : { deleted: req.params.id });
+      }
+      throw new BadRequestError('scope must be "this" or "following"');
+    } catch (err) {
+      return next(err);
+    }
+  },
+);
+
+/** PATCH /:id - Update a maintenance event.
+ * For recurring events, status "completed" completes the current occurrence and advances
+ * the series instead of ending it.
+ */
 router.patch(
   "/:id",
   ensureLoggedIn,
   loadPropertyIdFromEvent,
   ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
   async function (req, res, next) {
     try {
       const validator = jsonschema.validate(req.body, maintenanceEventUpdateSchema);
@@ -199,6 +416,21 @@ router.patch(
         const errs = validator.errors.map((e) => e.stack);
         throw new BadRequestError(errs);
       }
+      const existing = await MaintenanceEvent.getById(req.params.id);
+      if (req.body.status === "completed" && isRecurring(existing)) {
+        const { status, ...changes } = req.body;
+        let current = Object.keys(changes).length > 0
+          ? await MaintenanceEvent.update(req.params.id, changes)
+          : existing;
+        if (!current.next_occurrence_date) current = await MaintenanceEvent.refreshNextOccurrence(req.params.id);
+        if (!current.next_occurrence_date) return res.json({ event: current, nextOccurrence: null });
+        const event = await MaintenanceEvent.completeOccurrence(
+          req.params.id,
+          toDateKey(current.next_occurrence_date),
+          { userId: res.locals.user.id },
+        );
+        return res.json({ event, nextOccurrence: toDateKey(event.next_occurrence_date) });
+      }
       const event = await MaintenanceEvent.update(req.params.id, req.body);
       return res.json({ event });
     } catch (err) {
@@ -213,6 +445,7 @@ router.delete(
   ensureLoggedIn,
   loadPropertyIdFromEvent,
   ensurePropertyAccess({ param: "propertyId" }),
+  recalcScoreAfterWrite,
   async function (req, res, next) {
     try {
       await MaintenanceEvent.delete(req.params.id);
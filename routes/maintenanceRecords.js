@@ -6,15 +6,21 @@ const { ensureLoggedIn, ensurePropertyAccess } = require("../middleware/auth");
 const { BadRequestError } = require("../expressError");
 const MaintenanceRecord = require("../models/maintenanceRecord");
 const ContractorReportToken = require("../models/contractorReportToken");
+const ContractorReportSubmission = require("../models/contractorReportSubmission");
 const { triggerReanalysisOnMaintenance } = require("../services/ai/propertyReanalysisService");
 const InspectionChecklistItem = require("../models/inspectionChecklistItem");
-const { generateInvitationToken } = require("../helpers/invitationTokens");
-const { sendContractorReportEmail } = require("../services/emailService");
-const { APP_BASE_URL } = require("../config");
+const { scheduleScoreRecalc } = require("../services/hpsScoreService");
+const { emitMaintenanceCompleted, emitChecklistStatusChanged } = require("../services/webhookService");
+const { auditContext, recordAudit } = require("../services/auditService");
+const { getReview, acceptSubmission, returnSubmission } = require("../services/contractorReviewService");
+const { issueLink, reissueLink } = require("../services/contractorLinkService");
 const db = require("../db");
 const maintenanceRecordNewSchema = require("../schemas/maintenanceRecordNew.json");
 const maintenanceRecordsBatchSchema = require("../schemas/maintenanceRecordsBatch.json");
 const maintenanceRecordUpdateSchema = require("../schemas/maintenanceRecord.json");
+const contractorReportAcceptSchema = require("../schemas/contractorReportAccept.json");
+const contractorReportReturnSchema = require("../schemas/contractorReportReturn.json");
+const contractorLinkReissueSchema = require("../schemas/contractorLinkReissue.json");
 const router = express.Router();
 
 /** Set req.params.propertyId from maintenance record id so ensurePropertyAccess can run. */
@@ -22,12 +28,29 @@ async function loadPropertyIdFromRecord(req, res, next) {
   try {
     const record = await MaintenanceRecord.getByRecordId(req.params.recordId);
     req.params.propertyId = record.property_id;
+    req._maintenanceRecord = record;
     return next();
   } catch (err) {
     return next(err);
   }
 }
 
+/** Update a linked checklist item in the background, emitting a webhook event if its status changes. */
+function syncChecklistItem(itemId, apply, { userId, label }) {
+  InspectionChecklistItem.get(itemId)
+    .then(async (previous) => {
+      const item = await apply();
+      await emitChecklistStatusChanged(previous.status, item, { changedBy: userId ?? null });
+    })
+    .catch((err) => console.error(`[inspectionChecklist] ${label} failed:`, err.message));
+}
+
+function emitCompletedEvent(record, previous) {
+  emitMaintenanceCompleted(record, previous).catch((err) =>
+    console.error("[webhooks] maintenance_record.completed failed:", err.message)
+  );
+}
+
 /** POST /:PropertyId - Create multiple maintenance records (batch). Body: { maintenanceRecords: [...] }. */
 router.post("/:PropertyId", ensureLoggedIn, ensurePropertyAccess({ param: "PropertyId" }), async function (req, res, next) {
   try {
@@ -49,7 +72,9 @@ router.post("/:PropertyId", ensureLoggedIn, ensurePropertyAccess({ param: "Prope
         triggerReanalysisOnMaintenance(propId, rec).catch((err) =>
           console.error("[propertyReanalysis] Maintenance trigger failed:", err.message)
         );
+        emitCompletedEvent(rec);
       }
+      scheduleScoreRecalc(propId, "maintenance_record");
     }
     return res.status(201).json({ maintenanceRecords: created });
   } catch (err) {
@@ -72,21 +97,24 @@ router.post("/record/:PropertyId", ensureLoggedIn, ensurePropertyAccess({ param:
     });
 
     const checklistItemId = req.body.checklist_item_id || (req.body.data && req.body.data.checklist_item_id);
+    const userId = res.locals.user?.id;
     if (checklistItemId && maintenanceRecord.status === "Completed") {
-      InspectionChecklistItem.complete(checklistItemId, {
-        userId: res.locals.user?.id,
+      syncChecklistItem(checklistItemId, () => InspectionChecklistItem.complete(checklistItemId, {
+        userId,
         maintenanceId: maintenanceRecord.id,
-      }).catch((err) => console.error("[inspectionChecklist] Auto-complete failed:", err.message));
+      }), { userId, label: "Auto-complete" });
     } else if (checklistItemId) {
-      InspectionChecklistItem.update(checklistItemId, {
+      syncChecklistItem(checklistItemId, () => InspectionChecklistItem.update(checklistItemId, {
         status: "in_progress",
         linked_maintenance_id: maintenanceRecord.id,
-      }).catch((err) => console.error("[inspectionChecklist] Auto-link failed:", err.message));
+      }), { userId, label: "Auto-link" });
     }
 
+    emitCompletedEvent(maintenanceRecord);
     triggerReanalysisOnMaintenance(propertyId, maintenanceRecord).catch((err) =>
       console.error("[propertyReanalysis] Maintenance trigger failed:", err.message)
     );
+    scheduleScoreRecalc(propertyId, "maintenance_record");
     return res.status(201).json({ maintenanceRecord });
   } catch (err) {
     return next(err);
@@ -116,16 +144,19 @@ router.patch("/:recordId", ensureLoggedIn, loadPropertyIdFromRecord, ensurePrope
     const maintenance = await MaintenanceRecord.update(recordId, req.body);
 
     const checklistItemId = req.body.checklist_item_id || (req.body.data && req.body.data.checklist_item_id);
+    const userId = res.locals.user?.id;
     if (checklistItemId && maintenance.status === "Completed") {
-      InspectionChecklistItem.complete(checklistItemId, {
-        userId: res.locals.user?.id,
+      syncChecklistItem(checklistItemId, () => InspectionChecklistItem.complete(checklistItemId, {
+        userId,
         maintenanceId: maintenance.id,
-      }).catch((err) => console.error("[inspectionChecklist] Auto-complete failed:", err.message));
+      }), { userId, label: "Auto-complete" });
     }
 
+    emitCompletedEvent(maintenance, req._maintenanceRecord);
     triggerReanalysisOnMaintenance(maintenance.property_id, maintenance).catch((err) =>
       console.error("[propertyReanalysis] Maintenance trigger failed:", err.message)
     );
+    scheduleScoreRecalc(maintenance.property_id, "maintenance_record");
     return res.json({ maintenance });
   } catch (err) {
     return next(err);
@@ -151,18 +182,12 @@ router.post("/:recordId/send-to-contractor", ensureLoggedIn, loadPropertyIdFromR
     for (const t of existingTokens) {
       await ContractorReportToken.revoke(t.id);
     }
+    // A report still awaiting review is replaced by the new request
+    await ContractorReportSubmission.supersedePending(record.id);
 
-    const { token, tokenHash } = generateInvitationToken();
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
-
-    const tokenRecord = await ContractorReportToken.create({
-      maintenanceRecordId: record.id,
-      propertyId: record.property_id,
+    const tokenRecord = await issueLink(record, {
       contractorEmail,
       contractorName,
-      tokenHash,
-      expiresAt,
       createdBy: res.locals.user?.id,
     });
 
@@ -173,42 +198,43 @@ router.post("/:recordId/send-to-contractor", ensureLoggedIn, loadPropertyIdFromR
       record_status: "contractor_pending",
     });
 
-    // Build report URL and send email
-    const baseUrl = (APP_BASE_URL || process.env.APP_WEB_ORIGIN || "http://localhost:5173").replace(/\/$/, "");
-    const reportUrl = `${baseUrl}/#/contractor-report?token=${encodeURIComponent(token)}`;
+    return res.json({
+      success: true,
+      message: "Report link sent to contractor.",
+      tokenId: tokenRecord.id,
+      expiresAt: tokenRecord.expiresAt,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    // Fetch property and sender info for the email
-    const propResult = await db.query(`SELECT address, city, state FROM properties WHERE id = $1`, [record.property_id]);
-    const prop = propResult.rows[0];
-    const propertyAddress = prop ? [prop.address, prop.city, prop.state].filter(Boolean).join(", ") : null;
+/** GET /:recordId/contractor-links - Report links sent for this record, newest first, with open and reminder tracking. */
+router.get("/:recordId/contractor-links", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
+  try {
+    const links = await ContractorReportToken.getByRecordId(req.params.recordId);
+    return res.json({ links });
+  } catch (err) {
+    return next(err);
+  }
+});
 
-    const senderResult = await db.query(`SELECT name FROM users WHERE id = $1`, [res.locals.user.id]);
-    const senderName = senderResult.rows[0]?.name || null;
-
-    const SYSTEM_LABELS = {
-      roof: "Roof", gutters: "Gutters", foundation: "Foundation",
-      exterior: "Exterior", windows: "Windows", heating: "Heating",
-      ac: "Air Conditioning", waterHeating: "Water Heating",
-      electrical: "Electrical", plumbing: "Plumbing",
-      safety: "Safety", inspections: "Inspections",
-    };
-
-    try {
-      await sendContractorReportEmail({
-        to: contractorEmail,
-        reportUrl,
-        contractorName,
-        propertyAddress,
-        systemName: SYSTEM_LABELS[record.system_key] || record.system_key,
-        senderName,
-      });
-    } catch (emailErr) {
-      console.error("[maintenanceRecords] Failed to send contractor report email:", emailErr.message);
+/** POST /:recordId/contractor-links/reissue - Revoke the current link and email a new one. Body: { contractorEmail?, contractorName? }. */
+router.post("/:recordId/contractor-links/reissue", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, contractorLinkReissueSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
     }
-
+    const tokenRecord = await reissueLink(req._maintenanceRecord, {
+      createdBy: res.locals.user?.id,
+      contractorEmail: req.body.contractorEmail,
+      contractorName: req.body.contractorName,
+    });
     return res.json({
       success: true,
-      message: "Report link sent to contractor.",
+      message: "A new report link was sent to the contractor.",
       tokenId: tokenRecord.id,
       expiresAt: tokenRecord.expiresAt,
     });
@@ -217,11 +243,85 @@ router.post("/:recordId/send-to-contractor", ensureLoggedIn, loadPropertyIdFromR
   }
 });
 
+/** GET /:recordId/contractor-review - Contractor report awaiting review, with a field-by-field diff against the record. */
+router.get("/:recordId/contractor-review", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
+  try {
+    const review = await getReview(req._maintenanceRecord);
+    return res.json({ review });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:recordId/contractor-review/accept - Apply the contractor's report. Body: { edits? } to change fields before accepting. */
+router.post("/:recordId/contractor-review/accept", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, contractorReportAcceptSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const previous = req._maintenanceRecord;
+    const { record, submission, documents, skipped } = await acceptSubmission(auditContext(req, res), previous, {
+      reviewedBy: res.locals.user?.id,
+      edits: req.body.edits,
+    });
+
+    emitCompletedEvent(record, previous);
+    triggerReanalysisOnMaintenance(record.property_id, record).catch((err) =>
+      console.error("[propertyReanalysis] Maintenance trigger failed:", err.message)
+    );
+    scheduleScoreRecalc(record.property_id, "contractor_report");
+    return res.json({ maintenance: record, submission, documents, skippedAttachments: skipped });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:recordId/contractor-review/return - Send the report back to the contractor. Body: { comments }. */
+router.post("/:recordId/contractor-review/return", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, contractorReportReturnSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const senderResult = await db.query(`SELECT name FROM users WHERE id = $1`, [res.locals.user.id]);
+    const result = await returnSubmission(auditContext(req, res), req._maintenanceRecord, {
+      reviewedBy: res.locals.user.id,
+      reviewerName: senderResult.rows[0]?.name || null,
+      comments: req.body.comments,
+    });
+    return res.json({
+      success: true,
+      message: "Report sent back to the contractor.",
+      ...result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** DELETE /:recordId - Delete maintenance record. */
 router.delete("/:recordId", ensureLoggedIn, loadPropertyIdFromRecord, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
   try {
     const { recordId } = req.params;
     await MaintenanceRecord.delete(recordId);
+    const record = req._maintenanceRecord;
+    await recordAudit(auditContext(req, res), {
+      action: "maintenance_record.deleted",
+      entityType: "maintenance_record",
+      entityId: record.id,
+      propertyId: record.property_id,
+      metadata: {
+        system_key: record.system_key,
+        status: record.status,
+        record_status: record.record_status,
+        completed_at: record.completed_at,
+        data: record.data,
+      },
+    });
+    scheduleScoreRecalc(req.params.propertyId, "maintenance_record");
     return res.json({ deleted: recordId });
   } catch (err) {
     return next(err);
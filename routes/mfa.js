@@ -3,7 +3,8 @@
 /**
  * MFA Routes
  *
- * TOTP enrollment, verification, disable, and backup code management.
+ * TOTP enrollment, verification, disable, and backup code management, plus
+ * WebAuthn passkey registration and management (/mfa/webauthn/*).
  * All routes require JWT auth except login MFA verify (handled in auth.js).
  */
 
@@ -14,6 +15,8 @@ const { ensureLoggedIn } = require("../middleware/auth");
 const { BadRequestError, UnauthorizedError } = require("../expressError");
 const User = require("../models/user");
 const MfaBackupCode = require("../models/mfaBackupCode");
+const WebauthnCredential = require("../models/webauthnCredential");
+const { startRegistration, finishRegistration } = require("../services/webauthnService");
 const PlatformEngagement = require("../models/platformEngagement");
 const { encrypt, decrypt } = require("../helpers/encryption");
 const { generateBackupCodes } = require("../helpers/backupCodes");
@@ -80,7 +83,8 @@ router.get("/status", async function (req, res, next) {
     if (mfaEnabled) {
       backupCodesRemaining = await MfaBackupCode.countUnused(userId);
     }
-    return res.json({ mfaEnabled, backupCodesRemaining });
+    const passkeys = await WebauthnCredential.countForUser(userId);
+    return res.json({ mfaEnabled, backupCodesRemaining, passkeys });
   } catch (err) {
     return next(err);
   }
@@ -233,4 +237,76 @@ router.post("/backup/regenerate", async function (req, res, next) {
   }
 });
 
+/** POST /mfa/webauthn/register/options
+ * Start passkey registration. Returns { challengeId, options } for navigator.credentials.create().
+ */
+router.post("/webauthn/register/options", async function (req, res, next) {
+  try {
+    const user = await User.getById(res.locals.user?.id);
+    if (!user) throw new UnauthorizedError("Authentication required");
+    return res.json(await startRegistration(user));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /mfa/webauthn/register/verify
+ * Body: { challengeId, response, name }. Stores the passkey; it then counts as a second factor.
+ */
+router.post("/webauthn/register/verify", async function (req, res, next) {
+  try {
+    const userId = res.locals.user?.id;
+    if (!userId) throw new UnauthorizedError("Authentication required");
+    const { challengeId, response, name } = req.body || {};
+    if (!challengeId || !response) throw new BadRequestError("challengeId and response are required");
+
+    const passkey = await finishRegistration(userId, { challengeId, response, name });
+
+    try {
+      await PlatformEngagement.logEvent({ userId, eventType: "passkey_added", eventData: {} });
+    } catch (logErr) { /* don't block */ }
+
+    return res.status(201).json({ passkey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /mfa/webauthn/credentials - List the user's passkeys. */
+router.get("/webauthn/credentials", async function (req, res, next) {
+  try {
+    const passkeys = await WebauthnCredential.listForUser(res.locals.user.id);
+    return res.json({ passkeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /mfa/webauthn/credentials/:id - Rename a passkey. Body: { name }. */
+router.patch("/webauthn/credentials/:id", async function (req, res, next) {
+  try {
+    const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+    if (!name || name.length > 100) throw new BadRequestError("name is required (max 100 characters)");
+    const passkey = await WebauthnCredential.rename(req.params.id, res.locals.user.id, name);
+    return res.json({ passkey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /mfa/webauthn/credentials/:id - Remove a passkey. */
+router.delete("/webauthn/credentials/:id", async function (req, res, next) {
+  try {
+    await WebauthnCredential.remove(req.params.id, res.locals.user.id);
+
+    try {
+      await PlatformEngagement.logEvent({ userId: res.locals.user.id, eventType: "passkey_removed", eventData: {} });
+    } catch (logErr) { /* don't block */ }
+
+    return res.json({ deleted: req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
@@ -2,8 +2,8 @@
 
 const express = require("express");
 const jsonschema = require("jsonschema");
-const { ensureLoggedIn, ensureSuperAdmin, ensurePlatformAdmin, ensurePropertyAccess, ensureUserCanAccessAccountFromBody } = require("../middleware/auth");
-const { BadRequestError, ForbiddenError } = require("../expressError");
+const { ensureLoggedIn, ensureSuperAdmin, ensurePlatformAdmin, ensurePropertyAccess, ensureAccountOwner, ensureUserCanAccessAccountByParam, ensureUserCanAccessAccountFromBody } = require("../middleware/auth");
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../expressError");
 const Property = require("../models/property");
 const propertyNewSchema = require("../schemas/propertyNew.json");
 const propertyUpdateSchema = require("../schemas/propertyUpdate.json");
@@ -11,9 +11,14 @@ const { generatePassportId } = require("../helpers/properties");
 const { addPresignedUrlToItem, addPresignedUrlsToItems } = require("../helpers/presignedUrls");
 const { canCreateProperty, checkAiTokenQuota } = require("../services/tierService");
 const { onPropertyCreated } = require("../services/resourceAutoSend");
+const { emitEvent } = require("../services/webhookService");
+const AuditLog = require("../models/auditLog");
+const { auditContext, diffChanges, recordAudit, parseAuditQuery, auditLogToCsv } = require("../services/auditService");
 const InspectionAnalysisJob = require("../models/inspectionAnalysisJob");
 const InspectionAnalysisResult = require("../models/inspectionAnalysisResult");
 const { enqueue } = require("../services/inspectionAnalysisQueue");
+const { getScore, recalculateScore, scheduleScoreRecalc } = require("../services/hpsScoreService");
+const PropertyScore = require("../models/propertyScore");
 const Contact = require("../models/contact");
 const SavedProfessional = require("../models/savedProfessional");
 const Invitation = require("../models/invitation");
@@ -75,6 +80,21 @@ router.post("/", ensureLoggedIn, ensureUserCanAccessAccountFromBody(), async fun
       console.error("[resourceAutoSend] property created:", autoErr.message);
     }
 
+    await recordAudit(auditContext(req, res), {
+      action: "property.created",
+      entityType: "property",
+      entityId: property.id,
+      accountId,
+      propertyId: property.id,
+    });
+
+    emitEvent(accountId, "property.created", {
+      propertyId: property.id,
+      propertyUid: property.property_uid,
+      passportId: property.passport_id,
+      createdBy: creatorId ?? null,
+    }).catch((err) => console.error("[webhooks] property.created failed:", err.message));
+
     const propertyWithUrl = await addPresignedUrlToItem(property, "main_photo", "main_photo_url");
     if (creatorId && res.locals.user?.name) {
       propertyWithUrl.owner_user_name = res.locals.user.name;
@@ -96,10 +116,13 @@ router.get("/", ensurePlatformAdmin, async function (req, res, next) {
   }
 });
 
-/** GET /user/:userId - List properties for user. User or admin only. */
+/** GET /user/:userId - List properties for user. User or admin only; API keys only see their account's properties. */
 router.get("/user/:userId", ensureLoggedIn, ensurePropertyAccess({ scope: "user", param: "userId" }), async function (req, res, next) {
   try {
-    const properties = await Property.getPropertiesByUserId(req.params.userId);
+    const user = res.locals.user;
+    const properties = await Property.getPropertiesByUserId(req.params.userId, {
+      accountId: user.apiKeyId ? user.accountId : undefined,
+    });
     const propertiesWithUrls = await addPresignedUrlsToItems(properties, "main_photo", "main_photo_url");
     return res.json({ properties: propertiesWithUrls });
   } catch (err) {
@@ -135,8 +158,8 @@ router.get("/team/:uid", ensureLoggedIn, ensurePropertyAccess(), async function
   }
 });
 
-/** GET /agent/account/:accountId - Get agents for account. */
-router.get("/agent/account/:accountId", ensureLoggedIn, async function (req, res, next) {
+/** GET /agent/account/:accountId - Get agents for account. Requires account membership. */
+router.get("/agent/account/:accountId", ensureLoggedIn, ensureUserCanAccessAccountByParam("accountId"), async function (req, res, next) {
   try {
     const users = await Property.getAgentByAccountId(req.params.accountId);
     return res.json({ users });
@@ -260,6 +283,39 @@ router.get(
   }
 );
 
+/** GET /:propertyId/score - Home Performance Score with per-system breakdown, factor explanations and history.
+ * Query: refresh=true recomputes before returning; historyLimit (default 30).
+ */
+router.get(
+  "/:propertyId/score",
+  ensureLoggedIn,
+  resolvePropertyIdForInspection,
+  ensurePropertyAccess({ param: "propertyId" }),
+  async function (req, res, next) {
+    try {
+      const propertyId = req.params.propertyId;
+      const result = req.query.refresh === "true"
+        ? await recalculateScore(propertyId, { triggerSource: "manual" })
+        : await getScore(propertyId);
+      if (!result) throw new NotFoundError(`No property: ${propertyId}`);
+
+      const history = await PropertyScore.getHistory(propertyId, { limit: req.query.historyLimit });
+      return res.json({
+        score: {
+          score: result.score,
+          computedAt: result.computedAt,
+          triggerSource: result.triggerSource,
+          systems: result.breakdown?.systems || [],
+          factors: result.breakdown?.factors || [],
+          history,
+        },
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** GET /:propertyId/contractors - Unified contractors (contacts + saved professionals) for scheduling. Query: query (optional search). */
 router.get(
   "/:propertyId/contractors",
@@ -343,6 +399,15 @@ router.post("/:propertyId/users", ensureLoggedIn, ensurePropertyAccess({ param:
       });
       property_users.push(row);
     }
+    if (property_users.length) {
+      await recordAudit(auditContext(req, res), {
+        action: "property_team.members_added",
+        entityType: "property_team",
+        entityId: property_users[0].property_id,
+        propertyId: property_users[0].property_id,
+        changes: Object.fromEntries(property_users.map((pu) => [`user:${pu.user_id}`, { from: null, to: pu.role }])),
+      });
+    }
     return res.status(201).json({ property: { added: property_users.length, property_users } });
   } catch (err) {
     return next(err);
@@ -352,7 +417,22 @@ router.post("/:propertyId/users", ensureLoggedIn, ensurePropertyAccess({ param:
 /** PATCH /:propertyId - Update property. */
 router.patch("/:propertyId", ensureLoggedIn, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
   try {
+    const before = await Property.getById(req.params.propertyId);
     const property = await Property.updateProperty(req.params.propertyId, req.body);
+    const changes = diffChanges(before, req.body, Object.keys(req.body || {}).filter((k) => k in before));
+    if (changes) {
+      await recordAudit(auditContext(req, res), {
+        action: "property.updated",
+        entityType: "property",
+        entityId: property.id,
+        accountId: before.account_id,
+        propertyId: property.id,
+        changes,
+      });
+    }
+    if (req.body && ("year_built" in req.body || "effective_year_built" in req.body)) {
+      scheduleScoreRecalc(property.id, "property");
+    }
     const propertyWithUrl = await addPresignedUrlToItem(property, "main_photo", "main_photo_url");
     return res.json({ property: propertyWithUrl });
   } catch (err) {
@@ -363,11 +443,50 @@ router.patch("/:propertyId", ensureLoggedIn, ensurePropertyAccess({ param: "prop
 /** PATCH /:propertyId/team - Sync property team. Body: array of { id, role }. */
 router.patch("/:propertyId/team", ensureLoggedIn, ensurePropertyAccess({ param: "propertyId" }), async function (req, res, next) {
   try {
-    const property_users = await Property.updatePropertyUsers(req.params.propertyId, req.body);
+    const propertyId = req.params.propertyId;
+    const teamRoles = (rows, roleKey) => Object.fromEntries(rows.map((r) => [`user:${r.id ?? r.user_id}`, r[roleKey]]));
+    const before = teamRoles(await Property.getPropertyTeam(propertyId), "property_role");
+    const property_users = await Property.updatePropertyUsers(propertyId, req.body);
+    const changes = diffChanges(before, teamRoles(property_users, "role"));
+    if (changes) {
+      await recordAudit(auditContext(req, res), {
+        action: "property_team.changed",
+        entityType: "property_team",
+        entityId: propertyId,
+        propertyId,
+        changes,
+      });
+    }
     return res.status(201).json({ property_users });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /:propertyId/audit-log - Audit entries for the property. Account owners and platform admins.
+ * Query: action (trailing * matches a prefix), entityType, actorUserId, from, to, before (id cursor), limit.
+ */
+router.get("/:propertyId/audit-log", ensureLoggedIn, ensureAccountOwner({ param: "propertyId", fromProperty: true }), async function (req, res, next) {
+  try {
+    const filters = parseAuditQuery(req.query);
+    const entries = await AuditLog.list({ ...filters, propertyId: res.locals.propertyId, limit: Math.min(filters.limit || 100, 500) });
+    return res.json({ entries });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:propertyId/audit-log/export - Same filters as audit-log, as CSV (up to 10,000 rows). */
+router.get("/:propertyId/audit-log/export", ensureLoggedIn, ensureAccountOwner({ param: "propertyId", fromProperty: true }), async function (req, res, next) {
+  try {
+    const filters = parseAuditQuery(req.query);
+    const entries = await AuditLog.list({ ...filters, propertyId: res.locals.propertyId, limit: filters.limit || 10000 });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="property-${res.locals.propertyId}-audit-log.csv"`);
+    return res.send(auditLogToCsv(entries));
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
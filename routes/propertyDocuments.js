@@ -1,26 +1,45 @@
 "use strict";
 
 const express = require("express");
+const jsonschema = require("jsonschema");
 const router = express.Router();
 const PropertyDocument = require("../models/propertyDocuments");
+const DocumentExtraction = require("../models/documentExtraction");
 const { ensureLoggedIn, ensurePropertyAccess } = require("../middleware/auth");
-const { ForbiddenError } = require("../expressError");
+const { BadRequestError, ForbiddenError } = require("../expressError");
 const documentRagService = require("../services/documentRagService");
 const { triggerReanalysisOnDocument } = require("../services/ai/propertyReanalysisService");
 const { canUploadDocumentToSystem } = require("../services/tierService");
 const db = require("../db");
+const { auditContext, recordAudit } = require("../services/auditService");
+const { enqueueExtraction, getExtraction, confirmExtraction, retryExtraction } = require("../services/documentExtractionService");
+const propertyDocumentVersionNewSchema = require("../schemas/propertyDocumentVersionNew.json");
+const propertyDocumentExtractionConfirmSchema = require("../schemas/propertyDocumentExtractionConfirm.json");
 
 /** Set req.params.propertyId from document id so ensurePropertyAccess can run. */
 async function loadPropertyIdFromDocument(req, res, next) {
   try {
     const doc = await PropertyDocument.get(req.params.id);
     req.params.propertyId = doc.property_id;
+    req._document = doc;
     return next();
   } catch (err) {
     return next(err);
   }
 }
 
+/** Index a (now current) document for search and feed it to AI reanalysis, in the background. */
+function processCurrentDocument(propertyId, documentId) {
+  documentRagService.ingestDocument(propertyId, documentId).catch((err) => {
+    if (!err?.message?.includes("pgvector not available")) {
+      console.error("[documentRag] Ingest on upload failed:", err.message);
+    }
+  });
+  triggerReanalysisOnDocument(propertyId, documentId).catch((err) => {
+    console.error("[propertyReanalysis] Document trigger failed:", err.message);
+  });
+}
+
 /** POST / - Create document record. Body: property_id, document_name, document_date, document_key, document_type, system_key. */
 router.post("/", ensureLoggedIn, ensurePropertyAccess({ fromBody: "property_id", param: "propertyId" }), async (req, res, next) => {
   try {
@@ -49,31 +68,44 @@ router.post("/", ensureLoggedIn, ensurePropertyAccess({ fromBody: "property_id",
       document_type,
       system_key,
     });
-    documentRagService.ingestDocument(property_id, document.id).catch((err) => {
-      if (!err?.message?.includes("pgvector not available")) {
-        console.error("[documentRag] Ingest on upload failed:", err.message);
-      }
-    });
-    // Trigger AI reanalysis when new document is added (async, non-blocking)
-    triggerReanalysisOnDocument(property_id, document.id).catch((err) => {
-      console.error("[propertyReanalysis] Document trigger failed:", err.message);
-    });
+    // Index for search and trigger AI reanalysis (async, non-blocking)
+    processCurrentDocument(property_id, document.id);
+    await enqueueExtraction(document);
     return res.status(201).json({ document });
   } catch (err) {
     return next(err);
   }
 });
 
-/** GET /property/:propertyId - List documents for property. */
+/** GET /property/:propertyId - List documents for property (current versions; ?includeSuperseded=true for all). */
 router.get("/property/:propertyId", ensureLoggedIn, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
   try {
-    const documents = await PropertyDocument.getByPropertyId(req.params.propertyId);
+    const documents = await PropertyDocument.getByPropertyId(req.params.propertyId, {
+      includeSuperseded: req.query.includeSuperseded === "true",
+    });
     return res.json({ documents });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /property/:propertyId/extracted-fields - Fields extracted from the property's current documents.
+ * Query: field?, status? (suggested|confirmed|rejected), documentClass?, systemKey?
+ */
+router.get("/property/:propertyId/extracted-fields", ensureLoggedIn, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const fields = await DocumentExtraction.listFieldsForProperty(req.params.propertyId, {
+      fieldKey: req.query.field || undefined,
+      status: req.query.status || undefined,
+      documentClass: req.query.documentClass || undefined,
+      systemKey: req.query.systemKey || undefined,
+    });
+    return res.json({ fields });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** GET /:id - Get single document. */
 router.get("/:id", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
   try {
@@ -84,10 +116,109 @@ router.get("/:id", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAcc
   }
 });
 
-/** DELETE /:id - Remove document record. */
+/** GET /:id/versions - All versions of the document, newest first. */
+router.get("/:id/versions", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const versions = await PropertyDocument.getVersions(req.params.id);
+    return res.json({ versions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/versions - Upload a new version. Body: document_key, document_date, document_name?, document_type?, version_note?.
+ * The new version becomes current; the previous one stays retrievable but is dropped from search and AI reanalysis.
+ */
+router.post("/:id/versions", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const validator = jsonschema.validate(req.body, propertyDocumentVersionNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const { document, previous } = await PropertyDocument.createVersion(req.params.id, req.body);
+
+    documentRagService.removeDocumentChunks(previous.id).catch((err) =>
+      console.error("[documentRag] Could not drop chunks of superseded document:", err.message)
+    );
+    processCurrentDocument(document.property_id, document.id);
+    await enqueueExtraction(document);
+
+    await recordAudit(auditContext(req, res), {
+      action: "property_document.version_added",
+      entityType: "property_document",
+      entityId: document.id,
+      propertyId: document.property_id,
+      changes: {
+        document_key: { from: previous.document_key, to: document.document_key },
+        version_number: { from: previous.version_number, to: document.version_number },
+      },
+      metadata: { supersededDocumentId: previous.id, version_note: document.version_note },
+    });
+    return res.status(201).json({ document, previous });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /:id/extraction - Document class and extracted fields (extraction is null until the document is queued). */
+router.get("/:id/extraction", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const extraction = await getExtraction(req._document.id);
+    return res.json({ extraction });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/extraction/confirm - Confirm or correct extracted fields. Body: fields? { key: value }, rejected? [key], documentClass?.
+ * Confirmed equipment fields are written to the system's data; a confirmed future warranty expiry schedules a maintenance event.
+ */
+router.post("/:id/extraction/confirm", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const validator = jsonschema.validate(req.body, propertyDocumentExtractionConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map((e) => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const result = await confirmExtraction(auditContext(req, res), req._document, {
+      fields: req.body.fields,
+      rejected: req.body.rejected,
+      documentClass: req.body.documentClass,
+      userId: res.locals.user.id,
+    });
+    return res.json(result);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /:id/extraction/retry - Queue the document for extraction again (confirmed and rejected fields are kept). */
+router.post("/:id/extraction/retry", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
+  try {
+    const extraction = await retryExtraction(req._document);
+    return res.status(202).json({ extraction });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /:id - Remove document record. Deleting the current version makes the previous version current again. */
 router.delete("/:id", ensureLoggedIn, loadPropertyIdFromDocument, ensurePropertyAccess({ param: "propertyId" }), async (req, res, next) => {
   try {
     const result = await PropertyDocument.remove(req.params.id);
+    const { id, property_id, document_name, document_type, document_key, system_key, document_date, version_number } = req._document;
+    if (result.restored) processCurrentDocument(property_id, result.restored.id);
+    await recordAudit(auditContext(req, res), {
+      action: "property_document.deleted",
+      entityType: "property_document",
+      entityId: id,
+      propertyId: property_id,
+      metadata: {
+        document_name, document_type, document_key, system_key, document_date, version_number,
+        restoredDocumentId: result.restored?.id ?? null,
+      },
+    });
     return res.json(result);
   } catch (err) {
     return next(err);
@@ -8,6 +8,7 @@ const System = require("../models/system");
 const InspectionAnalysisResult = require("../models/inspectionAnalysisResult");
 const { enrichSystemsWithAiCondition } = require("../helpers/aiConditionFromAnalysis");
 const { getAiSummaryForProperty } = require("../services/ai/propertyReanalysisService");
+const { scheduleScoreRecalc } = require("../services/hpsScoreService");
 const systemNewSchema = require("../schemas/systemNew.json");
 const systemUpdateSchema = require("../schemas/systemUpdate.json");
 
@@ -22,6 +23,7 @@ router.post("/:propertyId", ensureLoggedIn, ensurePropertyAccess({ param: "prope
       throw new BadRequestError(errs);
     }
     const system = await System.create(req.body);
+    scheduleScoreRecalc(system.property_id, "system");
     return res.status(201).json({ system });
   } catch (err) {
     return next(err);
@@ -76,6 +78,7 @@ router.patch("/:propertyId", ensureLoggedIn, ensurePropertyAccess({ param: "prop
       system_key,
       ...body,
     });
+    scheduleScoreRecalc(system.property_id, "system");
     return res.json({ system });
 
   } catch (err) {
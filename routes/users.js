@@ -11,10 +11,20 @@
  * - GET /account/:accountId: Users in account (platform admin)
  * - GET /agent/:agentId: Users sharing accounts with agent (platform admin)
  * - GET /user-accounts: Current user's account IDs
+ * - GET /lockouts: Sign-in lockouts in effect (platform admin)
+ * - POST /lockouts/:lockoutId/unlock: Lift a sign-in lockout (platform admin)
+ * - POST /me/data-exports: Request a copy of the current user's data
+ * - GET /me/data-exports: Current user's data exports
+ * - GET /me/data-exports/:exportId/download: Download link for a completed export
+ * - GET /me/erasure: Scheduled deletion of the current user's account, if any
+ * - POST /me/erasure: Schedule deletion of the current user's account and data
+ * - DELETE /me/erasure: Cancel a scheduled deletion
  * - GET /:email: Single user by email (self or platform admin)
  * - PATCH /:id: Update user profile (self or platform admin)
  * - DELETE /:id: Remove user (super admin)
  * - POST /activate/:userId: Activate user (super admin)
+ * - POST /deactivate/:userId: Deactivate user, revoking their sessions and pending
+ *   email verification links (super admin)
  */
 
 const express = require("express");
@@ -26,7 +36,13 @@ const {
 } = require("../middleware/auth");
 const { BadRequestError, ForbiddenError } = require("../expressError");
 const User = require("../models/user");
+const EmailVerificationToken = require("../models/emailVerificationToken");
+const { revokeAllSessions } = require("../services/sessionService");
+const { listLockouts, adminUnlock } = require("../services/authThrottleService");
+const { requestExport, listExports, getExportDownloadUrl } = require("../services/dataExportService");
+const { requestErasure, cancelErasure, getErasureStatus } = require("../services/accountErasureService");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const accountErasureRequestSchema = require("../schemas/accountErasureRequest.json");
 const { addPresignedUrlToItem, addPresignedUrlsToItems } = require("../helpers/presignedUrls");
 
 const router = express.Router();
@@ -99,6 +115,90 @@ router.get("/user-accounts", ensureLoggedIn, async function (req, res, next) {
   }
 });
 
+/** GET /lockouts - Sign-in lockouts in effect after repeated failed attempts. Query: limit. */
+router.get("/lockouts", ensureLoggedIn, ensurePlatformAdmin, async function (req, res, next) {
+  try {
+    const lockouts = await listLockouts({ limit: req.query.limit });
+    return res.json({ lockouts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /lockouts/:lockoutId/unlock - Lift a lockout and clear the email's failed attempts. */
+router.post("/lockouts/:lockoutId/unlock", ensureLoggedIn, ensurePlatformAdmin, async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.lockoutId)) throw new BadRequestError("lockoutId must be a positive integer");
+    const lockout = await adminUnlock(req.params.lockoutId, res.locals.user.id);
+    return res.json({ lockout });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /me/data-exports - Queue an archive of the current user's data (built in the background). */
+router.post("/me/data-exports", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const dataExport = await requestExport(res.locals.user.id);
+    return res.status(202).json({ dataExport });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.get("/me/data-exports", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const dataExports = await listExports(res.locals.user.id);
+    return res.json({ dataExports });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /me/data-exports/:exportId/download - Short-lived download URL for a completed export. */
+router.get("/me/data-exports/:exportId/download", ensureLoggedIn, async function (req, res, next) {
+  try {
+    if (!/^\d+$/.test(req.params.exportId)) throw new BadRequestError("exportId must be a positive integer");
+    const download = await getExportDownloadUrl(res.locals.user.id, req.params.exportId);
+    return res.json(download);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.get("/me/erasure", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const erasure = await getErasureStatus(res.locals.user.id);
+    return res.json({ erasure });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /me/erasure - Schedule account deletion after the cooling-off period. Body: { currentPassword, reason? } */
+router.post("/me/erasure", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, accountErasureRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+    const erasure = await requestErasure(res.locals.user.id, req.body);
+    return res.status(202).json({ erasure });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete("/me/erasure", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const erasure = await cancelErasure(res.locals.user.id);
+    return res.json({ erasure });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 router.get("/:email", ensureLoggedIn, async function (req, res, next) {
   try {
     const role = res.locals.user.role;
@@ -156,4 +256,16 @@ router.post("/activate/:userId", ensureSuperAdmin, async function (req, res, nex
   }
 });
 
+router.post("/deactivate/:userId", ensureSuperAdmin, async function (req, res, next) {
+  try {
+    const { userId } = req.params;
+    const result = await User.deactivateUser(userId);
+    await EmailVerificationToken.invalidatePending(result.id);
+    await revokeAllSessions(result.id, { reason: "deactivated" });
+    return res.json({ result });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
@@ -3,7 +3,11 @@
  *
  * Starts the Express app. Initializes i18next for translations, mounts the app,
  * and runs startup tasks: ensure super admin exists, create default account if
- * needed, seed subscription products. Listens on PORT (default 3000).
+ * needed, seed subscription products. Listens on PORT (default 3000) and
+ * starts background workers (maintenance event reminders, scheduled communications,
+ * inspection analysis queue, outbound webhook deliveries, personal data exports
+ * and account erasures, contractor report link expiry and reminders, document
+ * field extraction).
  */
 const express = require('express');
 const i18next = require('i18next');
@@ -19,6 +23,13 @@ const Account = require('./models/account');
 const SubscriptionProduct = require('./models/subscriptionProduct');
 const { ensureStripePlans } = require('./services/planSeedService');
 const { ensureProfessionalCategories } = require('./services/professionalCategorySeedService');
+const { startReminderDispatcher } = require('./services/maintenanceReminderService');
+const { startCommScheduler } = require('./services/commDeliveryService');
+const { startInspectionQueue } = require('./services/inspectionAnalysisQueue');
+const { startWebhookDispatcher } = require('./services/webhookService');
+const { startPrivacyWorker } = require('./services/privacyWorker');
+const { startContractorLinkWorker } = require('./services/contractorLinkService');
+const { startDocumentExtractionWorker } = require('./services/documentExtractionService');
 const fs = require('fs');
 
 const app = require('./app.js');
@@ -98,6 +109,14 @@ async function startServer() {
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Backend running on port ${PORT}`);
     });
+
+    startReminderDispatcher();
+    startCommScheduler();
+    startInspectionQueue();
+    startWebhookDispatcher();
+    startPrivacyWorker();
+    startContractorLinkWorker();
+    startDocumentExtractionWorker();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
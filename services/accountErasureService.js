@@ -0,0 +1,288 @@
+"use strict";
+
+/**
+ * Account Erasure Service
+ *
+ * Self-service account deletion (GDPR / CCPA erasure requests):
+ * - requestErasure schedules deletion after ERASURE_COOLING_OFF_DAYS; the
+ *   user can cancel until then. Users who are the only owner of an account
+ *   with other members (or other people on its properties) must transfer
+ *   ownership first, and accounts with a live Stripe subscription must cancel
+ *   it first.
+ * - eraseUser runs in one transaction: accounts the user owns alone are
+ *   deleted with their properties; co-owned accounts pass to another owner;
+ *   the user's memberships, sessions, tokens, MFA, passkeys, API keys, AI
+ *   conversations, notifications, reviews and support tickets are deleted;
+ *   the users row is kept (shared records such as maintenance events still
+ *   reference it) but anonymized. S3 objects for the deleted data are removed
+ *   after commit.
+ * - Audit log retention: entries are kept so other members' history stays
+ *   complete, but redacted (AuditLog.redactUser): the user's IP addresses and
+ *   actor id are removed, entries of the deleted accounts lose their diffs, and
+ *   the user's email, name and phone are replaced wherever a diff holds them.
+ *
+ * Env: ERASURE_COOLING_OFF_DAYS (default 14)
+ *
+ * Exports: requestErasure, cancelErasure, getErasureStatus, eraseUser, processDueErasures
+ */
+
+const db = require("../db");
+const User = require("../models/user");
+const AuditLog = require("../models/auditLog");
+const AccountErasureRequest = require("../models/accountErasureRequest");
+const DataExportJob = require("../models/dataExportJob");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { isSafeS3Key } = require("../helpers/presignedUrls");
+const { deleteFile } = require("./s3Service");
+const { sendAccountErasureScheduledEmail } = require("./emailService");
+const { APP_WEB_ORIGIN, APP_BASE_URL } = require("../config");
+
+const COOLING_OFF_DAYS = parseInt(process.env.ERASURE_COOLING_OFF_DAYS, 10) || 14;
+
+/** Accounts the user owns, with other members, other people on their properties, and another owner if any. */
+async function ownedAccounts(userId) {
+  const result = await db.query(
+    `SELECT a.id, a.name,
+            (SELECT COUNT(*) FROM account_users au WHERE au.account_id = a.id AND au.user_id <> $1)::int AS "otherMembers",
+            (SELECT COUNT(*) FROM property_users pu JOIN properties p ON p.id = pu.property_id
+             WHERE p.account_id = a.id AND pu.user_id <> $1)::int AS "otherPropertyUsers",
+            (SELECT user_id FROM account_users au
+             WHERE au.account_id = a.id AND au.role = 'owner' AND au.user_id <> $1
+             ORDER BY au.created_at LIMIT 1) AS "otherOwnerId",
+            EXISTS (SELECT 1 FROM account_subscriptions s
+                    WHERE s.account_id = a.id AND s.stripe_subscription_id IS NOT NULL
+                      AND s.status IN ('active', 'trialing', 'past_due') AND NOT s.cancel_at_period_end) AS "hasLiveSubscription"
+     FROM accounts a
+     WHERE a.owner_user_id = $1
+        OR a.id IN (SELECT account_id FROM account_users WHERE user_id = $1 AND role = 'owner')`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/** Accounts erasure will delete (owned alone) and hand over (co-owned); throws if any would be left without an owner. */
+async function assertErasable(userId) {
+  const accounts = await ownedAccounts(userId);
+  const isShared = (a) => a.otherMembers > 0 || a.otherPropertyUsers > 0;
+  const shared = accounts.filter((a) => isShared(a) && !a.otherOwnerId);
+  if (shared.length) {
+    throw new BadRequestError(
+      `Transfer ownership of ${shared.map((a) => `"${a.name}"`).join(", ")} before deleting your account`
+    );
+  }
+  const solo = accounts.filter((a) => !isShared(a));
+  const billed = solo.filter((a) => a.hasLiveSubscription);
+  if (billed.length) {
+    throw new BadRequestError(
+      `Cancel the subscription for ${billed.map((a) => `"${a.name}"`).join(", ")} before deleting your account`
+    );
+  }
+  return { solo, coOwned: accounts.filter(isShared) };
+}
+
+/**
+ * Schedule deletion of the user's account and personal data.
+ * @param {number} userId
+ * @param {Object} opts - { currentPassword (required for accounts that have one), reason? }
+ */
+async function requestErasure(userId, { currentPassword, reason = null } = {}) {
+  const user = await User.getById(userId);
+  if (!user) throw new UnauthorizedError("User not found");
+
+  const passwordOk = await User.verifyPassword(user.id, currentPassword);
+  if (passwordOk === false) throw new UnauthorizedError("Current password is incorrect");
+
+  if (await AccountErasureRequest.findOpen(user.id)) {
+    throw new BadRequestError("Account deletion is already scheduled");
+  }
+  await assertErasable(user.id);
+
+  const scheduledFor = new Date(Date.now() + COOLING_OFF_DAYS * 24 * 60 * 60 * 1000);
+  const request = await AccountErasureRequest.create({ userId: user.id, reason, scheduledFor });
+
+  const baseUrl = APP_BASE_URL || APP_WEB_ORIGIN || "http://localhost:5173";
+  try {
+    await sendAccountErasureScheduledEmail({
+      to: user.email,
+      userName: user.name,
+      scheduledFor,
+      cancelUrl: `${baseUrl}/#/settings/privacy`,
+    });
+  } catch (err) {
+    console.error("[accountErasure] Failed to send confirmation email:", err.message);
+  }
+  return request;
+}
+
+async function cancelErasure(userId) {
+  const request = await AccountErasureRequest.cancel(userId);
+  if (!request) throw new BadRequestError("There is no pending account deletion to cancel");
+  return request;
+}
+
+async function getErasureStatus(userId) {
+  return AccountErasureRequest.findOpen(userId);
+}
+
+async function keysFor(sql, params) {
+  const result = await db.query(sql, params);
+  return result.rows.map((r) => r.key);
+}
+
+/** S3 keys that belong to data erasure will delete. */
+async function collectS3Keys(userId, accountIds) {
+  const keys = [
+    ...(await keysFor(`SELECT image AS key FROM users WHERE id = $1`, [userId])),
+    ...(await keysFor(`SELECT main_photo AS key FROM properties WHERE account_id = ANY($1::int[])`, [accountIds])),
+    ...(await keysFor(
+      `SELECT d.document_key AS key FROM property_documents d JOIN properties p ON p.id = d.property_id
+       WHERE p.account_id = ANY($1::int[])`,
+      [accountIds]
+    )),
+    ...(await keysFor(
+      `SELECT j.s3_key AS key FROM inspection_analysis_jobs j JOIN properties p ON p.id = j.property_id
+       WHERE p.account_id = ANY($1::int[])`,
+      [accountIds]
+    )),
+    ...(await DataExportJob.archiveKeysForUser(userId)),
+  ];
+  return [...new Set(keys.filter((k) => k && isSafeS3Key(k) && !/^https?:/i.test(k)))];
+}
+
+const USER_TABLES = [
+  "user_sessions",
+  "refresh_tokens",
+  "password_reset_tokens",
+  "email_verification_tokens",
+  "mfa_backup_codes",
+  "mfa_enrollment_temp",
+  "webauthn_credentials",
+  "webauthn_challenges",
+  "api_keys",
+  "calendar_feed_tokens",
+  "notifications",
+  "maintenance_event_reminders",
+  "comm_recipients",
+  "platform_engagement_events",
+  "saved_professionals",
+  "professional_reviews",
+  "ai_action_drafts",
+  "ai_tool_calls",
+  "ai_conversations",
+  "data_export_jobs",
+  "property_users",
+  "account_users",
+];
+
+/**
+ * Delete or anonymize everything stored about a user. Fails (nothing changes)
+ * if the user has since become the only owner of a shared account.
+ * @returns {Promise<Object>} summary: { accountsDeleted, propertiesDeleted, rowsDeleted, s3KeysDeleted, s3KeysFailed }
+ */
+async function eraseUser(userId) {
+  const user = await User.getById(userId);
+  if (!user) throw new BadRequestError(`No user with id: ${userId}`);
+
+  const { solo, coOwned } = await assertErasable(userId);
+  const accountIds = solo.map((a) => a.id);
+  const s3Keys = await collectS3Keys(userId, accountIds);
+  const summary = { accountsDeleted: accountIds.length, propertiesDeleted: 0, rowsDeleted: {} };
+
+  await db.query("BEGIN");
+  try {
+    if (accountIds.length) {
+      await db.query(
+        `DELETE FROM invitations
+         WHERE account_id = ANY($1::int[])
+            OR property_id IN (SELECT id FROM properties WHERE account_id = ANY($1::int[]))`,
+        [accountIds]
+      );
+      await db.query(`UPDATE professionals SET account_id = NULL WHERE account_id = ANY($1::int[])`, [accountIds]);
+      const properties = await db.query(`DELETE FROM properties WHERE account_id = ANY($1::int[])`, [accountIds]);
+      summary.propertiesDeleted = properties.rowCount;
+      await db.query(
+        `DELETE FROM contacts c
+         WHERE c.id IN (SELECT contact_id FROM account_contacts WHERE account_id = ANY($1::int[]))
+           AND NOT EXISTS (SELECT 1 FROM account_contacts ac
+                           WHERE ac.contact_id = c.id AND ac.account_id <> ALL($1::int[]))`,
+        [accountIds]
+      );
+      await db.query(`DELETE FROM accounts WHERE id = ANY($1::int[])`, [accountIds]);
+    }
+
+    for (const account of coOwned) {
+      await db.query(
+        `UPDATE accounts SET owner_user_id = $2, updated_at = NOW() WHERE id = $1 AND owner_user_id = $3`,
+        [account.id, account.otherOwnerId, userId]
+      );
+    }
+
+    for (const table of USER_TABLES) {
+      const result = await db.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+      if (result.rowCount) summary.rowsDeleted[table] = result.rowCount;
+    }
+    const tickets = await db.query(`DELETE FROM support_tickets WHERE created_by = $1`, [userId]);
+    if (tickets.rowCount) summary.rowsDeleted.support_tickets = tickets.rowCount;
+    await db.query(`DELETE FROM invitations WHERE LOWER(invitee_email) = LOWER($1) AND status = 'pending'`, [user.email]);
+    await db.query(`DELETE FROM auth_failures WHERE email = LOWER($1)`, [user.email]);
+    await db.query(`DELETE FROM auth_lockouts WHERE email = LOWER($1) OR user_id = $2`, [user.email, userId]);
+
+    await AuditLog.redactUser(userId, { values: [user.email, user.name, user.phone], accountIds });
+
+    await db.query(
+      `UPDATE users
+       SET email = $2, name = 'Deleted user', phone = NULL, image = NULL, avatar_url = NULL,
+           password_hash = NULL, google_sub = NULL, email_verified = NULL,
+           mfa_enabled = false, mfa_secret_encrypted = NULL, mfa_enrolled_at = NULL,
+           is_active = false, erased_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [userId, `erased-${userId}@erased.invalid`]
+    );
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+
+  let failed = 0;
+  for (const key of s3Keys) {
+    try {
+      await deleteFile(key);
+    } catch (err) {
+      failed++;
+      console.error(`[accountErasure] Could not delete S3 object ${key}:`, err.message);
+    }
+  }
+  summary.s3KeysDeleted = s3Keys.length - failed;
+  summary.s3KeysFailed = failed;
+  return summary;
+}
+
+/**
+ * Run erasures whose cooling-off period has ended.
+ * @returns {Promise<number>} requests processed
+ */
+async function processDueErasures() {
+  let processed = 0;
+  let request;
+  while ((request = await AccountErasureRequest.claimDue())) {
+    processed++;
+    try {
+      const summary = await eraseUser(request.userId);
+      await AccountErasureRequest.markCompleted(request.id, summary);
+      console.log(`[accountErasure] Erased user ${request.userId}`);
+    } catch (err) {
+      await AccountErasureRequest.markFailed(request.id, err.message);
+      console.error(`[accountErasure] Erasure ${request.id} failed:`, err.message);
+    }
+  }
+  return processed;
+}
+
+module.exports = {
+  requestErasure,
+  cancelErasure,
+  getErasureStatus,
+  eraseUser,
+  processDueErasures,
+};
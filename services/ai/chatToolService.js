@@ -0,0 +1,494 @@
+"use strict";
+
+/**
+ * AI Chat Tool Service
+ *
+ * Registry of tools the property assistant can call (OpenAI function calling)
+ * and the completion loop that runs them.
+ *
+ * - Read tools run immediately: maintenance history, document search (RAG),
+ *   open inspection checklist items, professional search.
+ * - Write tools never run from the model's turn. They are stored in ai_tool_calls
+ *   as pending_confirmation and returned to the client; confirmToolCall executes
+ *   them once the user agrees. Confirm and reject claim the row with a conditional
+ *   status update, so a call is resolved at most once (409 otherwise).
+ * - Every call is permission-checked with ensurePropertyAccess for the
+ *   conversation's property (write tools also require an owner/editor role).
+ * - Every request and result is logged to ai_messages (tool_calls / role 'tool').
+ *
+ * Exports: TOOLS, getToolDefinitions, runChatWithTools, confirmToolCall, rejectToolCall
+ */
+
+const jsonschema = require("jsonschema");
+const db = require("../../db");
+const { ensurePropertyAccess } = require("../../middleware/auth");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../../expressError");
+const MaintenanceRecord = require("../../models/maintenanceRecord");
+const InspectionChecklistItem = require("../../models/inspectionChecklistItem");
+const Professional = require("../../models/professional");
+const documentRagService = require("../documentRagService");
+const { scheduleScoreRecalc } = require("../hpsScoreService");
+const { estimateTokens } = require("./llmProvider");
+
+const MAX_TOOL_ROUNDS = 4;
+const MAX_RESULT_CHARS = 6000;
+
+const ensureToolPropertyAccess = ensurePropertyAccess({ param: "propertyId" });
+
+const TOOLS = {
+  get_maintenance_history: {
+    access: "read",
+    description: "List past maintenance records for the property, newest first. Optionally filter by system.",
+    parameters: {
+      type: "object",
+      properties: {
+        systemKey: { type: "string", description: "System key, e.g. roof, heating, plumbing" },
+        limit: { type: "integer", minimum: 1, maximum: 25 },
+      },
+      additionalProperties: false,
+    },
+    async execute({ systemKey, limit = 10 }, ctx) {
+      const records = await MaintenanceRecord.getByPropertyId(ctx.propertyId);
+      return records
+        .filter((r) => !systemKey || r.system_key === systemKey)
+        .sort((a, b) => new Date(b.completed_at || 0) - new Date(a.completed_at || 0))
+        .slice(0, limit)
+        .map((r) => ({
+          id: r.id,
+          systemKey: r.system_key,
+          completedAt: r.completed_at,
+          nextServiceDate: r.next_service_date,
+          status: r.status,
+          description: r.data?.description || null,
+          contractor: r.data?.contractor || null,
+          cost: r.data?.cost || null,
+        }));
+    },
+  },
+
+  search_documents: {
+    access: "read",
+    description: "Semantic search over the property's uploaded documents (inspection reports, manuals, warranties).",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", minLength: 2 },
+        systemKey: { type: "string" },
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+    async execute({ query, systemKey }, ctx) {
+      const chunks = await documentRagService.searchChunks(ctx.propertyId, query, { systemKey, limit: 5 });
+      return chunks.map((c) => ({
+        document: c.document_name || c.document_key?.split("/").pop() || "document",
+        page: c.page_number || null,
+        systemKey: c.system_key,
+        excerpt: c.content,
+      }));
+    },
+  },
+
+  list_open_checklist_items: {
+    access: "read",
+    description: "List open inspection checklist items (findings still to address), most urgent first.",
+    parameters: {
+      type: "object",
+      properties: {
+        systemKey: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    async execute({ systemKey }, ctx) {
+      const items = await InspectionChecklistItem.getByPropertyId(ctx.propertyId, { systemKey });
+      return items
+        .filter((i) => ["pending", "in_progress"].includes(i.status))
+        .slice(0, 20)
+        .map((i) => ({
+          id: i.id,
+          systemKey: i.system_key,
+          title: i.title,
+          severity: i.severity,
+          priority: i.priority,
+          status: i.status,
+          suggestedWhen: i.suggested_when,
+        }));
+    },
+  },
+
+  find_professionals: {
+    access: "read",
+    description: "Find active professionals in the directory by category/trade (e.g. roofing, HVAC) and location.",
+    parameters: {
+      type: "object",
+      properties: {
+        category: { type: "string", description: "Trade or category name" },
+        city: { type: "string" },
+        state: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    async execute({ category, city, state }, ctx) {
+      const pros = await Professional.getAll({ search: category, city, state, user_id: ctx.userId });
+      return pros.slice(0, 5).map((p) => ({
+        id: p.id,
+        name: p.company_name || [p.first_name, p.last_name].filter(Boolean).join(" ") || p.contact_name,
+        category: p.subcategory_name || p.category_name,
+        city: p.city,
+        state: p.state,
+        rating: p.rating,
+        reviewCount: p.review_count,
+        saved: p.saved,
+      }));
+    },
+  },
+
+  create_maintenance_record_draft: {
+    access: "write",
+    description: "Propose a draft maintenance record for work done or planned. The user must confirm before it is saved.",
+    parameters: {
+      type: "object",
+      properties: {
+        systemKey: { type: "string" },
+        description: { type: "string", minLength: 3, maxLength: 2000 },
+        completedAt: { type: "string", format: "date", description: "YYYY-MM-DD, if the work is done" },
+        cost: { type: "number", minimum: 0 },
+        contractor: { type: "string" },
+      },
+      required: ["systemKey", "description"],
+      additionalProperties: false,
+    },
+    summarize: (args) => `Create a draft ${args.systemKey} maintenance record: "${args.description}"`,
+    async execute({ systemKey, description, completedAt, cost, contractor }, ctx) {
+      const record = await MaintenanceRecord.create({
+        property_id: ctx.propertyId,
+        system_key: systemKey,
+        completed_at: completedAt || null,
+        data: {
+          description,
+          ...(cost != null && { cost }),
+          ...(contractor && { contractor }),
+          source: "ai_assistant",
+        },
+        status: completedAt ? "Completed" : "pending",
+        record_status: "draft",
+      });
+      scheduleScoreRecalc(ctx.propertyId, "maintenance_record");
+      return { maintenanceRecordId: record.id, systemKey: record.system_key, recordStatus: record.record_status };
+    },
+  },
+};
+
+/** Tool definitions in the OpenAI chat.completions format. */
+function getToolDefinitions() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    type: "function",
+    function: { name, description: tool.description, parameters: tool.parameters },
+  }));
+}
+
+/** Run ensurePropertyAccess for the tool's property; write tools also need owner/editor. */
+async function checkToolPermission(tool, ctx) {
+  await new Promise((resolve, reject) => {
+    ensureToolPropertyAccess(
+      { params: { propertyId: String(ctx.propertyId) }, body: {} },
+      { locals: { user: { id: ctx.userId, role: ctx.userRole } } },
+      (err) => (err ? reject(err) : resolve()),
+    );
+  });
+
+  if (tool.access === "write" && ctx.userRole !== "super_admin" && ctx.userRole !== "admin") {
+    const roleRes = await db.query(
+      `SELECT role FROM property_users WHERE property_id = $1 AND user_id = $2`,
+      [ctx.propertyId, ctx.userId]
+    );
+    if (!["owner", "editor"].includes(roleRes.rows[0]?.role)) {
+      throw new ForbiddenError("Viewers cannot make changes to this property.");
+    }
+  }
+}
+
+async function logToolMessage(conversationId, fields) {
+  const { role, content = "", toolCalls = null, toolCallId = null, toolName = null } = fields;
+  await db.query(
+    `INSERT INTO ai_messages (conversation_id, role, content, tool_calls, tool_call_id, tool_name)
+     VALUES ($1, $2, $3, $4::jsonb, $5, $6)`,
+    [conversationId, role, content, toolCalls ? JSON.stringify(toolCalls) : null, toolCallId, toolName]
+  );
+}
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    const args = JSON.parse(raw);
+    return args && typeof args === "object" && !Array.isArray(args) ? args : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run one tool call from the model. Read tools execute; write tools are stored for confirmation.
+ * Failures are returned to the model as { error } rather than thrown.
+ * @returns {Promise<{ result: Object, pendingAction: Object|null }>}
+ */
+async function executeToolCall(call, ctx) {
+  const name = call.function?.name;
+  const tool = TOOLS[name];
+  if (!tool) return { result: { error: `Unknown tool: ${name}` }, pendingAction: null };
+
+  const args = parseArguments(call.function.arguments);
+  if (!args) return { result: { error: "Arguments must be a JSON object" }, pendingAction: null };
+  const validator = jsonschema.validate(args, tool.parameters);
+  if (!validator.valid) {
+    return { result: { error: validator.errors.map((e) => e.stack).join("; ") }, pendingAction: null };
+  }
+
+  try {
+    await checkToolPermission(tool, ctx);
+
+    if (tool.access === "write") {
+      const insert = await db.query(
+        `INSERT INTO ai_tool_calls (conversation_id, property_id, user_id, tool_name, arguments)
+         VALUES ($1::uuid, $2, $3, $4, $5::jsonb)
+         RETURNING id`,
+        [ctx.conversationId, ctx.propertyId, ctx.userId, name, JSON.stringify(args)]
+      );
+      const pendingAction = {
+        toolCallId: insert.rows[0].id,
+        tool: name,
+        arguments: args,
+        summary: tool.summarize ? tool.summarize(args) : name,
+      };
+      return {
+        result: {
+          status: "pending_confirmation",
+          message: "Shown to the user for confirmation. It is not saved until they confirm.",
+        },
+        pendingAction,
+      };
+    }
+
+    return { result: { data: await tool.execute(args, ctx) }, pendingAction: null };
+  } catch (err) {
+    return { result: { error: err.message || "Tool failed" }, pendingAction: null };
+  }
+}
+
+function addUsage(total, usage) {
+  if (usage?.prompt_tokens == null || usage?.completion_tokens == null) return total;
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + usage.prompt_tokens,
+    completion_tokens: (total?.completion_tokens || 0) + usage.completion_tokens,
+  };
+}
+
+/** Estimated usage for a round that ended without the provider's usage figures. */
+function estimateUsage(messages, content) {
+  return {
+    prompt_tokens: estimateTokens(messages.map((m) => m.content || "").join("\n")),
+    completion_tokens: estimateTokens(content),
+  };
+}
+
+/**
+ * Collect a streamed completion into { content, toolCalls, usage, aborted }, forwarding text
+ * deltas. When the signal aborts mid-stream, what arrived so far is returned with aborted set.
+ */
+async function collectStream(stream, onDelta, signal) {
+  let content = "";
+  let usage = null;
+  const toolCalls = [];
+  try {
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        onDelta?.(delta.content);
+      }
+      for (const tc of delta?.tool_calls || []) {
+        const slot = toolCalls[tc.index] || (toolCalls[tc.index] = { id: "", type: "function", function: { name: "", arguments: "" } });
+        if (tc.id) slot.id = tc.id;
+        if (tc.function?.name) slot.function.name += tc.function.name;
+        if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+    return { content, toolCalls: [], usage, aborted: true };
+  }
+  return { content, toolCalls: toolCalls.filter(Boolean), usage, aborted: false };
+}
+
+/**
+ * Chat completion with tool calling. Tool rounds repeat until the model answers
+ * in text (at most MAX_TOOL_ROUNDS; the last round disables tools).
+ * @param {Object} opts
+ * @param {Object} opts.llm - provider from getLlm("chat")
+ * @param {Object} opts.params - chat.completions params (messages, temperature, max_tokens)
+ * @param {Object} opts.ctx - { propertyId, userId, userRole, conversationId }
+ * @param {boolean} [opts.stream] - stream the text with onDelta
+ * @param {Function} [opts.onDelta] - (text) => void
+ * @param {Function} [opts.onToolCall] - ({ name, arguments, result, pendingAction }) => void
+ * @param {AbortSignal} [opts.signal] - on abort, resolves with the text streamed so far,
+ *   aborted: true and usage (the provider's, or estimated when its final chunk never came)
+ * @returns {Promise<{ content: string, usage: Object|null, pendingActions: Object[], aborted?: boolean }>}
+ */
+async function runChatWithTools({ llm, params, ctx, stream = false, onDelta, onToolCall, signal }) {
+  const messages = [...params.messages];
+  const tools = getToolDefinitions();
+  const pendingActions = [];
+  let usage = null;
+
+  for (let round = 0; ; round++) {
+    const request = {
+      ...params,
+      messages,
+      tools,
+      tool_choice: round < MAX_TOOL_ROUNDS ? "auto" : "none",
+      ...(stream && { stream: true, stream_options: { include_usage: true } }),
+    };
+    let response;
+    try {
+      response = await llm.chat(request, { signal });
+    } catch (err) {
+      if (!signal?.aborted) throw err;
+      return { content: "", usage: addUsage(usage, estimateUsage(messages, "")), pendingActions, aborted: true };
+    }
+
+    let turn;
+    if (stream) {
+      turn = await collectStream(response, onDelta, signal);
+    } else {
+      const message = response.choices[0]?.message || {};
+      turn = { content: message.content || "", toolCalls: message.tool_calls || [], usage: response.usage };
+    }
+    if (turn.aborted) {
+      usage = addUsage(usage, turn.usage || estimateUsage(messages, turn.content));
+      return { content: turn.content, usage, pendingActions, aborted: true };
+    }
+    usage = addUsage(usage, turn.usage);
+
+    if (turn.toolCalls.length === 0) {
+      return { content: turn.content, usage, pendingActions };
+    }
+
+    messages.push({ role: "assistant", content: turn.content || null, tool_calls: turn.toolCalls });
+    await logToolMessage(ctx.conversationId, {
+      role: "assistant",
+      content: turn.content || "",
+      toolCalls: turn.toolCalls.map((tc) => ({ id: tc.id, name: tc.function.name, arguments: tc.function.arguments })),
+    });
+
+    for (const call of turn.toolCalls) {
+      const { result, pendingAction } = await executeToolCall(call, ctx);
+      if (pendingAction) pendingActions.push(pendingAction);
+      const content = JSON.stringify(result).slice(0, MAX_RESULT_CHARS);
+      messages.push({ role: "tool", tool_call_id: call.id, content });
+      await logToolMessage(ctx.conversationId, {
+        role: "tool",
+        content,
+        toolCallId: call.id,
+        toolName: call.function.name,
+      });
+      onToolCall?.({ name: call.function.name, arguments: parseArguments(call.function.arguments), result, pendingAction });
+    }
+  }
+}
+
+async function getPendingToolCall(id, userId) {
+  const res = await db.query(`SELECT * FROM ai_tool_calls WHERE id = $1::uuid`, [id]);
+  const call = res.rows[0];
+  if (!call) throw new NotFoundError("Action not found.");
+  if (call.user_id !== userId) throw new ForbiddenError("Not your action.");
+  if (call.status !== "pending_confirmation") {
+    throw new ConflictError(`Action is already ${call.status}.`);
+  }
+  return call;
+}
+
+/**
+ * Move a pending call to `status`. Only one concurrent confirm/reject wins; the
+ * others get a ConflictError.
+ */
+async function claimToolCall(id, userId, status) {
+  const res = await db.query(
+    `UPDATE ai_tool_calls SET status = $3
+     WHERE id = $1::uuid AND user_id = $2 AND status = 'pending_confirmation'
+     RETURNING *`,
+    [id, userId, status]
+  );
+  if (!res.rows[0]) throw new ConflictError("Action has already been resolved.");
+  return res.rows[0];
+}
+
+/**
+ * Execute a write tool the user confirmed. Permissions are checked again at
+ * confirmation time.
+ * @param {string} id - ai_tool_calls id
+ * @param {{ id: number, role: string }} user
+ */
+async function confirmToolCall(id, user) {
+  const pending = await getPendingToolCall(id, user.id);
+  const tool = TOOLS[pending.tool_name];
+  const ctx = { propertyId: pending.property_id, userId: user.id, userRole: user.role, conversationId: pending.conversation_id };
+  await checkToolPermission(tool, ctx);
+  const call = await claimToolCall(id, user.id, "executing");
+
+  let status = "executed";
+  let result = null;
+  let error = null;
+  try {
+    result = await tool.execute(call.arguments, ctx);
+  } catch (err) {
+    status = "failed";
+    error = err.message || "Action failed";
+  }
+
+  const updated = await db.query(
+    `UPDATE ai_tool_calls
+     SET status = $2, result = $3::jsonb, error = $4, resolved_at = NOW()
+     WHERE id = $1::uuid
+     RETURNING id, tool_name, arguments, status, result, error, resolved_at`,
+    [id, status, result ? JSON.stringify(result) : null, error]
+  );
+  if (call.conversation_id) {
+    await logToolMessage(call.conversation_id, {
+      role: "tool",
+      content: JSON.stringify(error ? { confirmed: true, error } : { confirmed: true, data: result }),
+      toolCallId: id,
+      toolName: call.tool_name,
+    });
+  }
+  return updated.rows[0];
+}
+
+/** Decline a pending write tool call. */
+async function rejectToolCall(id, user) {
+  await getPendingToolCall(id, user.id);
+  const call = await claimToolCall(id, user.id, "rejected");
+  const updated = await db.query(
+    `UPDATE ai_tool_calls SET resolved_at = NOW()
+     WHERE id = $1::uuid
+     RETURNING id, tool_name, arguments, status, result, error, resolved_at`,
+    [id]
+  );
+  if (call.conversation_id) {
+    await logToolMessage(call.conversation_id, {
+      role: "tool",
+      content: JSON.stringify({ confirmed: false }),
+      toolCallId: id,
+      toolName: call.tool_name,
+    });
+  }
+  return updated.rows[0];
+}
+
+module.exports = {
+  TOOLS,
+  getToolDefinitions,
+  runChatWithTools,
+  confirmToolCall,
+  rejectToolCall,
+};
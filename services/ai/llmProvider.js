@@ -0,0 +1,278 @@
+"use strict";
+
+/**
+ * LLM Provider Layer
+ *
+ * Single place that decides which model serves each AI feature. Services call
+ * getLlm(feature) instead of constructing their own OpenAI client.
+ *
+ * Providers:
+ * - openai: api.openai.com (OPENAI_API_KEY)
+ * - openai_compatible: any server exposing the OpenAI API (vLLM, Ollama, LM Studio,
+ *   LocalAI, ...) at LLM_BASE_URL
+ * - fake: deterministic and offline, for tests and local development without a model
+ *
+ * Every provider has the same shape:
+ *   chat(params, { signal })  chat.completions.create params (tools and stream supported);
+ *                             the feature's model is used unless params.model is set
+ *   completeJson(params)      JSON-mode chat; resolves { data, content, usage }, data is
+ *                             null when the model returned nothing
+ *   embed(texts)              one embedding vector per text
+ *   configured / missingConfig  whether it can be called, and what to set if not
+ *
+ * Env: LLM_PROVIDER (default openai), LLM_BASE_URL, LLM_API_KEY, LLM_MODEL,
+ *      LLM_EMBEDDING_MODEL, and per feature LLM_<FEATURE>_PROVIDER / _MODEL /
+ *      _BASE_URL / _API_KEY (FEATURE: CHAT, INSPECTION_ANALYSIS, REANALYSIS,
+ *      MAINTENANCE_ADVICE, DOCUMENT_EXTRACTION, EMBEDDINGS). AI_CHAT_MODEL, AI_REANALYSIS_MODEL and
+ *      AI_MAINTENANCE_ADVICE_MODEL are still honored.
+ *
+ * Exports: FEATURES, getLlm, setLlm, resetLlms, createOpenAiProvider, createFakeProvider,
+ *          estimateTokens
+ */
+
+const crypto = require("crypto");
+const OpenAI = require("openai");
+
+/** Default model per feature, as used before providers were configurable. */
+const FEATURES = {
+  chat: { model: "gpt-4o-mini", legacyModelEnv: "AI_CHAT_MODEL" },
+  inspection_analysis: { model: "gpt-4o" },
+  reanalysis: { model: "gpt-4o-mini", legacyModelEnv: "AI_REANALYSIS_MODEL" },
+  maintenance_advice: { model: "gpt-4o-mini", legacyModelEnv: "AI_MAINTENANCE_ADVICE_MODEL" },
+  document_extraction: { model: "gpt-4o-mini" },
+  embeddings: { model: "text-embedding-3-small", embeddings: true },
+};
+
+/** Must match document_chunks.embedding (vector(1536)). */
+const EMBEDDING_DIMENSIONS = 1536;
+const EMBED_BATCH_SIZE = 256;
+
+const PROVIDERS = ["openai", "openai_compatible", "fake"];
+
+const overrides = new Map();
+const cache = new Map();
+
+/** Parse a JSON completion, tolerating the code fences some self-hosted models add. */
+function parseJsonContent(content) {
+  const text = String(content).trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  return JSON.parse(text);
+}
+
+/** Add completeJson on top of a provider's chat(). */
+function withJsonMode(provider) {
+  provider.completeJson = async function completeJson(params, options) {
+    const completion = await provider.chat(
+      { ...params, response_format: { type: "json_object" } },
+      options
+    );
+    const content = completion.choices?.[0]?.message?.content || "";
+    return {
+      data: content.trim() ? parseJsonContent(content) : null,
+      content,
+      usage: completion.usage || null,
+    };
+  };
+  return provider;
+}
+
+function notConfigured(name, missingConfig) {
+  return new Error(`AI provider "${name}" is not configured. ${missingConfig}`);
+}
+
+/**
+ * Adapter for OpenAI and OpenAI-compatible servers.
+ * @param {Object} opts
+ * @param {string} [opts.name] - "openai" or "openai_compatible"
+ * @param {string} [opts.apiKey] - optional for self-hosted servers
+ * @param {string} [opts.baseURL] - required for openai_compatible
+ * @param {string} opts.model
+ */
+function createOpenAiProvider({ name = "openai", apiKey, baseURL, model }) {
+  const configured = name === "openai_compatible" ? !!baseURL : !!apiKey;
+  const missingConfig = name === "openai_compatible" ? "Set LLM_BASE_URL." : "Set OPENAI_API_KEY.";
+  const client = configured
+    ? new OpenAI({ apiKey: apiKey || "not-needed", ...(baseURL && { baseURL }) })
+    : null;
+
+  return withJsonMode({
+    name,
+    model,
+    configured,
+    missingConfig,
+
+    async chat(params, { signal } = {}) {
+      if (!client) throw notConfigured(name, missingConfig);
+      return client.chat.completions.create({ model, ...params }, signal ? { signal } : undefined);
+    },
+
+    async embed(texts) {
+      if (!client) throw notConfigured(name, missingConfig);
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+        const res = await client.embeddings.create({ model, input: texts.slice(i, i + EMBED_BATCH_SIZE) });
+        const ordered = [...res.data].sort((a, b) => a.index - b.index);
+        for (const item of ordered) vectors.push(item.embedding);
+      }
+      return vectors;
+    },
+  });
+}
+
+/** Rough token count (~4 characters per token) for when a provider reports no usage. */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/** Deterministic embedding: hashed bag of words, L2-normalized, so similar texts stay close. */
+function fakeEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  for (const word of words) {
+    const hash = crypto.createHash("md5").update(word).digest();
+    vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+
+async function* fakeStream(message, usage, includeUsage) {
+  const base = { id: "fake-completion", object: "chat.completion.chunk" };
+  for (const piece of (message.content || "").match(/\S+\s*/g) || []) {
+    yield { ...base, choices: [{ index: 0, delta: { content: piece } }] };
+  }
+  if (message.tool_calls?.length) {
+    yield {
+      ...base,
+      choices: [{ index: 0, delta: { tool_calls: message.tool_calls.map((tc, index) => ({ index, ...tc })) } }],
+    };
+  }
+  yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: message.tool_calls?.length ? "tool_calls" : "stop" }] };
+  if (includeUsage) yield { ...base, choices: [], usage };
+}
+
+/**
+ * Offline provider with canned, deterministic output. Every chat request is
+ * recorded in provider.calls.
+ * @param {Object} [opts]
+ * @param {string|Function} [opts.reply] - text reply, or (params) => string | { content, tool_calls }
+ * @param {Object|Function} [opts.json] - JSON-mode reply, or (params) => Object (default {})
+ * @param {string} [opts.model]
+ * @param {number} [opts.dimensions] - embedding size
+ */
+function createFakeProvider({ reply, json, model = "fake", dimensions = EMBEDDING_DIMENSIONS } = {}) {
+  const calls = [];
+
+  function respond(params) {
+    if (params.response_format?.type === "json_object") {
+      const data = typeof json === "function" ? json(params) : json;
+      return { role: "assistant", content: JSON.stringify(data ?? {}) };
+    }
+    if (reply !== undefined) {
+      const out = typeof reply === "function" ? reply(params) : reply;
+      return typeof out === "string" ? { role: "assistant", content: out } : { role: "assistant", ...out };
+    }
+    const lastUser = [...(params.messages || [])].reverse().find((m) => m.role === "user");
+    const question = String(lastUser?.content || "").split("\n").pop().slice(0, 200);
+    return { role: "assistant", content: `This is a placeholder reply from the offline AI provider. You asked: ${question}` };
+  }
+
+  return withJsonMode({
+    name: "fake",
+    model,
+    configured: true,
+    missingConfig: "",
+    calls,
+
+    async chat(params) {
+      calls.push(params);
+      const message = respond(params);
+      const promptTokens = estimateTokens((params.messages || []).map((m) => m.content).join("\n"));
+      const completionTokens = estimateTokens(message.content);
+      const usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      };
+      if (params.stream) return fakeStream(message, usage, !!params.stream_options?.include_usage);
+      return {
+        id: "fake-completion",
+        object: "chat.completion",
+        model: params.model || model,
+        choices: [{ index: 0, message, finish_reason: message.tool_calls?.length ? "tool_calls" : "stop" }],
+        usage,
+      };
+    },
+
+    async embed(texts) {
+      return texts.map((text) => fakeEmbedding(text, dimensions));
+    },
+  });
+}
+
+function featureEnv(feature, key) {
+  return process.env[`LLM_${feature.toUpperCase()}_${key}`] || null;
+}
+
+function resolveModel(feature, def, providerName) {
+  return featureEnv(feature, "MODEL")
+    || (def.legacyModelEnv && process.env[def.legacyModelEnv])
+    || (def.embeddings ? process.env.LLM_EMBEDDING_MODEL : process.env.LLM_MODEL)
+    || (providerName === "fake" ? "fake" : def.model);
+}
+
+function createFromEnv(feature) {
+  const def = FEATURES[feature];
+  const name = featureEnv(feature, "PROVIDER") || process.env.LLM_PROVIDER || "openai";
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown LLM provider "${name}" for ${feature}. Use one of: ${PROVIDERS.join(", ")}`);
+  }
+  const model = resolveModel(feature, def, name);
+  if (name === "fake") return createFakeProvider({ model });
+  if (name === "openai_compatible") {
+    return createOpenAiProvider({
+      name,
+      model,
+      baseURL: featureEnv(feature, "BASE_URL") || process.env.LLM_BASE_URL,
+      apiKey: featureEnv(feature, "API_KEY") || process.env.LLM_API_KEY,
+    });
+  }
+  return createOpenAiProvider({
+    name,
+    model,
+    apiKey: featureEnv(feature, "API_KEY") || process.env.OPENAI_API_KEY,
+  });
+}
+
+/**
+ * Provider for a feature, built from env on first use.
+ * @param {string} feature - key of FEATURES
+ */
+function getLlm(feature) {
+  if (!FEATURES[feature]) throw new Error(`Unknown LLM feature: ${feature}`);
+  if (overrides.has(feature)) return overrides.get(feature);
+  if (!cache.has(feature)) cache.set(feature, createFromEnv(feature));
+  return cache.get(feature);
+}
+
+/** Use a specific provider for a feature (tests, scripts). Pass null to clear. */
+function setLlm(feature, provider) {
+  if (!FEATURES[feature]) throw new Error(`Unknown LLM feature: ${feature}`);
+  if (provider) overrides.set(feature, provider);
+  else overrides.delete(feature);
+}
+
+/** Drop overrides and cached providers so the next getLlm re-reads env. */
+function resetLlms() {
+  overrides.clear();
+  cache.clear();
+}
+
+module.exports = {
+  FEATURES,
+  getLlm,
+  setLlm,
+  resetLlms,
+  createOpenAiProvider,
+  createFakeProvider,
+  estimateTokens,
+};
@@ -8,13 +8,13 @@
  * Merges incrementally—does not reprocess entire property history.
  */
 
-const OpenAI = require("openai");
 const db = require("../../db");
 const { normalizeSystemType } = require("../systemTypes");
+const { scheduleScoreRecalc } = require("../hpsScoreService");
+const { getLlm } = require("./llmProvider");
 
 const CONFIDENCE_THRESHOLD_AUTO = 0.85;
 const CONFIDENCE_THRESHOLD_REVIEW = 0.5;
-const REANALYSIS_MODEL = process.env.AI_REANALYSIS_MODEL || "gpt-4o-mini";
 
 // -----------------------------------------------------------------
 // Response schema validation
@@ -71,7 +71,8 @@ function normalizeSystemEntry(s) {
  */
 async function extractDocumentStructuredContent(propertyId, documentId) {
   const docRes = await db.query(
-    `SELECT id, document_name, document_date, document_type, system_key
+    `SELECT id, document_name, document_date, document_type, system_key, version_group_id, version_number, is_current,
+            version_note
      FROM property_documents
      WHERE id = $1 AND property_id = $2`,
     [documentId, propertyId]
@@ -86,8 +87,29 @@ async function extractDocumentStructuredContent(propertyId, documentId) {
     date: doc.document_date,
     systemReferenced: doc.system_key,
     documentName: doc.document_name,
+    isCurrentVersion: doc.is_current,
   };
 
+  // A new version replaces what the AI learned from the earlier one
+  if (doc.version_number > 1) {
+    const prevRes = await db.query(
+      `SELECT id, document_name, document_date
+       FROM property_documents
+       WHERE version_group_id = $1 AND version_number < $2
+       ORDER BY version_number DESC LIMIT 1`,
+      [doc.version_group_id, doc.version_number]
+    );
+    base.version = doc.version_number;
+    if (doc.version_note) base.versionNote = doc.version_note;
+    if (prevRes.rows[0]) {
+      base.supersedes = {
+        documentId: prevRes.rows[0].id,
+        documentName: prevRes.rows[0].document_name,
+        date: prevRes.rows[0].document_date,
+      };
+    }
+  }
+
   // Optional: first chunk excerpt for condition/cost/contractor hints
   const chunkRes = await db.query(
     `SELECT content FROM document_chunks WHERE document_id = $1 ORDER BY chunk_index ASC LIMIT 1`,
@@ -243,6 +265,7 @@ RULES:
 - For riskFlags: merge existing with new; include severity and system when relevant.
 - summaryDelta: 1-2 sentences explaining what changed from the previous analysis.
 - Preserve existing analysis when new content does not contradict it.
+- When a document has "supersedes", it is a newer version of that document: where they differ, the new version wins and findings that came only from the superseded version should be dropped or revised.
 
 EXISTING AI SUMMARY:
 ${previousJson}
@@ -261,28 +284,21 @@ Return JSON only (no markdown):
 }
 
 async function callReanalysisAi(previousState, newContent) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY not configured");
+  const llm = getLlm("reanalysis");
+  if (!llm.configured) {
+    throw new Error(`AI reanalysis is not configured. ${llm.missingConfig}`);
   }
 
-  const openai = new OpenAI({ apiKey });
   const prompt = buildReanalysisPrompt(previousState, newContent);
 
-  const completion = await openai.chat.completions.create({
-    model: REANALYSIS_MODEL,
+  const { data: parsed } = await llm.completeJson({
     messages: [
       { role: "system", content: "You output only valid JSON. No markdown, no code blocks, no extra text." },
       { role: "user", content: prompt },
     ],
     temperature: 0.2,
-    response_format: { type: "json_object" },
   });
-
-  const content = completion.choices[0]?.message?.content;
-  if (!content) throw new Error("Empty AI response");
-
-  const parsed = JSON.parse(content);
+  if (!parsed) throw new Error("Empty AI response");
   if (!validateAiResponse(parsed)) throw new Error("Invalid AI response schema");
 
   return parsed;
@@ -330,6 +346,7 @@ function applyConfidenceLogic(parsed) {
 async function triggerReanalysisOnDocument(propertyId, documentId) {
   const extracted = await extractDocumentStructuredContent(propertyId, documentId);
   if (!extracted) return { skipped: true, reason: "Document not found" };
+  if (!extracted.isCurrentVersion) return { skipped: true, reason: "Superseded version" };
 
   return runReanalysis(propertyId, [extracted], "document", documentId);
 }
@@ -395,6 +412,7 @@ async function runReanalysis(propertyId, newContentItems, triggerSource, trigger
   };
 
   await saveAiSummary(propertyId, stateToSave, triggerSource, triggerId, previousForAudit);
+  scheduleScoreRecalc(propertyId, "ai_reanalysis");
 
   return {
     success: true,
@@ -1,12 +1,13 @@
 "use strict";
 
 const db = require("../db");
-const OpenAI = require("openai");
 
 const SLIDING_WINDOW_SIZE = 8;
 const SUMMARY_TRIGGER_COUNT = 16;
 const MAX_RESPONSE_TOKENS = 800;
 const CHAT_TEMPERATURE = 0.35;
+/** Conversation turns only; tool requests/results in ai_messages are an audit log, not history. */
+const CHAT_MESSAGE_FILTER = "role IN ('user', 'assistant') AND tool_calls IS NULL";
 
 // -----------------------------------------------------------------
 // Keyword-based system detection for inspection text
@@ -182,14 +183,14 @@ async function buildFocusedContext(propertyId, intent, existingSummary) {
 
 async function getWindowedMessages(conversationId) {
   const countRes = await db.query(
-    `SELECT COUNT(*) AS cnt FROM ai_messages WHERE conversation_id = $1`,
+    `SELECT COUNT(*) AS cnt FROM ai_messages WHERE conversation_id = $1 AND ${CHAT_MESSAGE_FILTER}`,
     [conversationId]
   );
   const total = parseInt(countRes.rows[0].cnt, 10);
 
   const recent = await db.query(
     `SELECT role, content FROM ai_messages
-     WHERE conversation_id = $1
+     WHERE conversation_id = $1 AND ${CHAT_MESSAGE_FILTER}
      ORDER BY created_at DESC LIMIT $2`,
     [conversationId, SLIDING_WINDOW_SIZE]
   );
@@ -198,10 +199,11 @@ async function getWindowedMessages(conversationId) {
   return { messages, total, needsSummary: total > SUMMARY_TRIGGER_COUNT };
 }
 
-async function generateAndStoreSummary(conversationId, openai, model) {
+/** Fold older messages into the conversation's context_summary. llm: provider from getLlm("chat"). */
+async function generateAndStoreSummary(conversationId, llm) {
   const oldMessages = await db.query(
     `SELECT role, content FROM ai_messages
-     WHERE conversation_id = $1
+     WHERE conversation_id = $1 AND ${CHAT_MESSAGE_FILTER}
      ORDER BY created_at ASC
      LIMIT $2`,
     [conversationId, SUMMARY_TRIGGER_COUNT - SLIDING_WINDOW_SIZE]
@@ -219,8 +221,7 @@ async function generateAndStoreSummary(conversationId, openai, model) {
     : toSummarize;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model,
+    const completion = await llm.chat({
       messages: [
         {
           role: "system",
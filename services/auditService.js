@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * Audit Service
+ *
+ * Records who changed what (audit_log) and serves the per-account and
+ * per-property views. Routes build the actor context from the request with
+ * auditContext and call recordAudit after the change succeeds; a failed audit
+ * write is logged and never fails the request.
+ *
+ * Actions are "<entity>.<verb>", e.g. property.updated, property_team.changed,
+ * account_user.role_changed, property_document.deleted, maintenance_record.deleted.
+ * changes is a field-level diff: { field: { from, to } }.
+ *
+ * Exports: auditContext, diffChanges, recordAudit, parseAuditQuery, auditLogToCsv
+ */
+
+const AuditLog = require("../models/auditLog");
+const { BadRequestError } = require("../expressError");
+
+/** Actor and request details for an audit entry. */
+function auditContext(req, res) {
+  const user = res.locals.user || {};
+  return {
+    actorUserId: user.id ?? null,
+    actorApiKeyId: user.apiKeyId ?? null,
+    ipAddress: req.ip || null,
+    requestId: req.id || null,
+  };
+}
+
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value)))) {
+    return String(Number(value));
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Field-level diff of two records, limited to fields (default: keys of both).
+ * Values are compared loosely (5 vs "5.00" is no change). Returns null when nothing changed.
+ */
+function diffChanges(before, after, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+  for (const key of keys) {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (comparable(from) !== comparable(to)) changes[key] = { from, to };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Append an audit entry.
+ * @param {Object} context - from auditContext(req, res), or { actorUserId } outside a request
+ * @param {Object} entry - { action, entityType, entityId, accountId, propertyId, changes, metadata }
+ */
+async function recordAudit(context, entry) {
+  try {
+    await AuditLog.record({ ...context, ...entry });
+  } catch (err) {
+    console.error(`[audit] Failed to record ${entry.action}:`, err.message);
+  }
+}
+
+function parseTimestamp(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new BadRequestError(`${name} must be a date or timestamp`);
+  return date.toISOString();
+}
+
+function parseId(value, name) {
+  if (value === undefined || value === "") return undefined;
+  if (!/^\d+$/.test(String(value))) throw new BadRequestError(`${name} must be a positive integer`);
+  return Number(value);
+}
+
+/** Filters for AuditLog.list from a query string: propertyId, action, entityType, actorUserId, from, to, before, limit. */
+function parseAuditQuery(query = {}) {
+  return {
+    propertyId: parseId(query.propertyId, "propertyId"),
+    action: query.action || undefined,
+    entityType: query.entityType || undefined,
+    actorUserId: parseId(query.actorUserId, "actorUserId"),
+    from: parseTimestamp(query.from, "from"),
+    to: parseTimestamp(query.to, "to"),
+    before: parseId(query.before, "before"),
+    limit: parseId(query.limit, "limit"),
+  };
+}
+
+const CSV_COLUMNS = [
+  ["createdAt", "created_at"],
+  ["action", "action"],
+  ["entityType", "entity_type"],
+  ["entityId", "entity_id"],
+  ["accountId", "account_id"],
+  ["propertyId", "property_id"],
+  ["actorUserId", "actor_user_id"],
+  ["actorName", "actor_name"],
+  ["actorEmail", "actor_email"],
+  ["actorApiKeyId", "actor_api_key_id"],
+  ["ipAddress", "ip_address"],
+  ["requestId", "request_id"],
+  ["changes", "changes"],
+  ["metadata", "metadata"],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditLogToCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([, header]) => header).join(",")];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(entry[key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  auditContext,
+  diffChanges,
+  recordAudit,
+  parseAuditQuery,
+  auditLogToCsv,
+};
@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Auth Throttle Service
+ *
+ * Persistent brute-force protection for /auth/token, /auth/mfa/verify and
+ * /auth/reset-password, on top of the in-memory per-IP rate limiters in app.js.
+ *
+ * - Failures are counted per email (AuthFailure) whether or not the email is
+ *   registered, so responses do not reveal which accounts exist.
+ * - After AUTH_DELAY_AFTER failures each further attempt must wait longer
+ *   (1s, 2s, 4s, ... up to a minute); early attempts get 429 with Retry-After.
+ * - AUTH_LOCKOUT_THRESHOLD failures lock the email for AUTH_LOCKOUT_MINUTES,
+ *   doubling for repeat lockouts within a day (max 24h). Registered users get
+ *   an unlock link by email; platform admins can list and lift lockouts.
+ * - An IP with AUTH_IP_MAX_FAILURES failures in 15 minutes is refused until
+ *   the window passes, covering attempts spread across many emails.
+ *
+ * Env: AUTH_FAILURE_WINDOW_MINUTES (default 60), AUTH_DELAY_AFTER (default 3),
+ *      AUTH_LOCKOUT_THRESHOLD (default 10), AUTH_LOCKOUT_MINUTES (default 15),
+ *      AUTH_IP_MAX_FAILURES (default 50)
+ *
+ * Exports: assertAttemptAllowed, recordFailure, recordSuccess, unlockWithToken,
+ *          adminUnlock, listLockouts
+ */
+
+const crypto = require("crypto");
+const AuthFailure = require("../models/authFailure");
+const AuthLockout = require("../models/authLockout");
+const User = require("../models/user");
+const { BadRequestError, TooManyRequestsError } = require("../expressError");
+const { sendAccountUnlockEmail } = require("./emailService");
+const { APP_WEB_ORIGIN, APP_BASE_URL } = require("../config");
+
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.AUTH_FAILURE_WINDOW_MINUTES, 10) || 60;
+const DELAY_AFTER = parseInt(process.env.AUTH_DELAY_AFTER, 10) || 3;
+const LOCKOUT_THRESHOLD = parseInt(process.env.AUTH_LOCKOUT_THRESHOLD, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.AUTH_IP_MAX_FAILURES, 10) || 50;
+const IP_WINDOW_MINUTES = 15;
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+const LOCKED_MESSAGE = "This account is temporarily locked after too many failed attempts. "
+  + "Try again later or use the unlock link we emailed you.";
+
+function normalizeEmail(email) {
+  return typeof email === "string" && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+/** Wait required after count failures: none below DELAY_AFTER, then doubling from 1s. */
+function delaySeconds(count) {
+  if (count < DELAY_AFTER) return 0;
+  return Math.min(2 ** (count - DELAY_AFTER), MAX_DELAY_SECONDS);
+}
+
+/** Failures count from the later of the window start and the email's last lockout. */
+async function failureWindow(email) {
+  const windowStart = new Date(Date.now() - FAILURE_WINDOW_MINUTES * MINUTE_MS);
+  const lockouts = await AuthLockout.recentForEmail(email, new Date(Date.now() - MAX_LOCKOUT_MINUTES * MINUTE_MS));
+  const lastLockout = lockouts.lastCreatedAt ? new Date(lockouts.lastCreatedAt) : null;
+  return {
+    since: lastLockout && lastLockout > windowStart ? lastLockout : windowStart,
+    recentLockouts: lockouts.count,
+  };
+}
+
+/**
+ * Refuse an attempt from a blocked IP, for a locked email, or before the progressive delay has passed.
+ * @param {Object} opts - { email, ipAddress } (either may be omitted)
+ * @throws {TooManyRequestsError} with retryAfter in seconds
+ */
+async function assertAttemptAllowed({ email = null, ipAddress = null }) {
+  if (ipAddress) {
+    const ip = await AuthFailure.statsForIp(ipAddress, new Date(Date.now() - IP_WINDOW_MINUTES * MINUTE_MS));
+    if (ip.count >= IP_MAX_FAILURES) {
+      const retryAt = new Date(new Date(ip.firstAt).getTime() + IP_WINDOW_MINUTES * MINUTE_MS);
+      throw new TooManyRequestsError("Too many failed attempts from your network. Please try again later.", secondsUntil(retryAt));
+    }
+  }
+
+  const key = normalizeEmail(email);
+  if (!key) return;
+
+  const lockout = await AuthLockout.findActive(key);
+  if (lockout) throw new TooManyRequestsError(LOCKED_MESSAGE, secondsUntil(lockout.lockedUntil));
+
+  const { since } = await failureWindow(key);
+  const stats = await AuthFailure.statsForEmail(key, since);
+  const delay = delaySeconds(stats.count);
+  if (delay && stats.lastAt) {
+    const retryAt = new Date(new Date(stats.lastAt).getTime() + delay * 1000);
+    if (retryAt > new Date()) {
+      throw new TooManyRequestsError("Too many failed attempts. Please wait before trying again.", secondsUntil(retryAt));
+    }
+  }
+}
+
+async function lockEmail(email, { failedAttempts, recentLockouts, ipAddress }) {
+  if (await AuthLockout.findActive(email)) return null;
+
+  const minutes = Math.min(LOCKOUT_MINUTES * 2 ** recentLockouts, MAX_LOCKOUT_MINUTES);
+  const user = await User.findByEmailOrNull(email);
+  const unlockToken = user ? crypto.randomBytes(32).toString("hex") : null;
+  const lockout = await AuthLockout.create({
+    email,
+    userId: user?.id ?? null,
+    failedAttempts,
+    lockedUntil: new Date(Date.now() + minutes * MINUTE_MS),
+    unlockTokenHash: unlockToken ? crypto.createHash("sha256").update(unlockToken).digest("hex") : null,
+    lastIpAddress: ipAddress,
+  });
+  console.warn(`[authThrottle] Locked sign-in for ${email} for ${minutes} minutes after ${failedAttempts} failures`);
+
+  if (user) {
+    const baseUrl = APP_BASE_URL || APP_WEB_ORIGIN || "http://localhost:5173";
+    const unlockUrl = `${baseUrl}/#/unlock-account?token=${unlockToken}`;
+    try {
+      await sendAccountUnlockEmail({ to: user.email, unlockUrl, userName: user.name, lockedMinutes: minutes });
+    } catch (err) {
+      console.error("[authThrottle] Failed to send unlock email:", err.message);
+      if (process.env.NODE_ENV !== "production") {
+        console.log("\n--- Account unlock link (dev, email not sent) ---");
+        console.log(unlockUrl);
+        console.log("---\n");
+      }
+    }
+  }
+  return lockout;
+}
+
+/**
+ * Count a failed attempt; locks the email once it reaches the threshold.
+ * @param {Object} opts - { scope: "token" | "mfa" | "reset_password", email, ipAddress }
+ */
+async function recordFailure({ scope, email = null, ipAddress = null }) {
+  const key = normalizeEmail(email);
+  await AuthFailure.record({ scope, email: key, ipAddress });
+  if (!key) return;
+
+  const { since, recentLockouts } = await failureWindow(key);
+  const { count } = await AuthFailure.statsForEmail(key, since);
+  if (count >= LOCKOUT_THRESHOLD) {
+    await lockEmail(key, { failedAttempts: count, recentLockouts, ipAddress });
+  }
+}
+
+/** Completed sign-in: forget the email's failures. */
+async function recordSuccess(email) {
+  const key = normalizeEmail(email);
+  if (key) await AuthFailure.clearForEmail(key);
+  AuthFailure.cleanupOlderThan().catch(() => {});
+}
+
+/** End a lockout with the link from the unlock email. */
+async function unlockWithToken(rawToken) {
+  if (!rawToken || typeof rawToken !== "string") throw new BadRequestError("Unlock token is required");
+  const tokenHash = crypto.createHash("sha256").update(rawToken.trim()).digest("hex");
+  const lockout = await AuthLockout.unlockByTokenHash(tokenHash);
+  if (!lockout) throw new BadRequestError("This unlock link is invalid or has expired.");
+  await AuthFailure.clearForEmail(lockout.email);
+  return { success: true, message: "Your account is unlocked. You can sign in again." };
+}
+
+/** Platform admin lifts a lockout. */
+async function adminUnlock(lockoutId, adminUserId) {
+  const lockout = await AuthLockout.unlock(lockoutId, { unlockedBy: adminUserId });
+  await AuthFailure.clearForEmail(lockout.email);
+  return lockout;
+}
+
+async function listLockouts(opts) {
+  return AuthLockout.listActive(opts);
+}
+
+module.exports = {
+  assertAttemptAllowed,
+  recordFailure,
+  recordSuccess,
+  unlockWithToken,
+  adminUnlock,
+  listLockouts,
+};
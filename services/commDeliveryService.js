@@ -0,0 +1,245 @@
+"use strict";
+
+/**
+ * Communication Delivery Service
+ *
+ * Delivers communications to their audience and runs the scheduler that
+ * picks up scheduled sends.
+ *
+ * - deliverCommunication: expands the audience via commRecipients, writes
+ *   comm_recipients rows, and delivers per delivery_channel (in_app → Notification,
+ *   email → emailService). Already-delivered recipient rows are skipped, so a
+ *   retried send never notifies anyone twice.
+ * - processDueCommunications: claims due rows (status scheduled, scheduled_at <= NOW())
+ *   with FOR UPDATE SKIP LOCKED, delivers them, and transitions them to 'sent'
+ *   ('partially_sent' when some deliveries failed), or back to 'scheduled' with
+ *   backoff / 'failed' with a reason once retries run out.
+ * - deliveryOutcome: the final status and failure reason for a delivery result.
+ *
+ * Env: COMM_SCHEDULER_INTERVAL_MS (default 60s), COMM_SEND_MAX_RETRIES (default 3)
+ *
+ * Exports: deliverCommunication, deliveryOutcome, processDueCommunications, startCommScheduler,
+ *          stopCommScheduler
+ */
+
+const db = require("../db");
+const Communication = require("../models/communication");
+const CommTemplate = require("../models/commTemplate");
+const Notification = require("../models/notification");
+const User = require("../models/user");
+const { resolveRecipients } = require("./commRecipients");
+const { sendCommunicationEmail } = require("./emailService");
+const { getPresignedUrlForImage } = require("./s3Service");
+const { logEmailUsage } = require("./usageService");
+const { isSafeS3Key } = require("../helpers/presignedUrls");
+const { APP_BASE_URL } = require("../config");
+
+const INTERVAL_MS = parseInt(process.env.COMM_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_RETRIES = parseInt(process.env.COMM_SEND_MAX_RETRIES, 10) || 3;
+const BATCH_SIZE = 10;
+/** Email image links must outlive the 5 min default; 7 days is the SigV4 maximum. */
+const EMAIL_IMAGE_URL_EXPIRY = 7 * 24 * 60 * 60;
+
+const AGENT_BLOCKED_MODES = ["all_users", "all_agents", "selected_agents", "selected_users"];
+
+function channelsFor(deliveryChannel) {
+  if (deliveryChannel === "both") return ["in_app", "email"];
+  if (deliveryChannel === "email") return ["email"];
+  return ["in_app"];
+}
+
+/** Existing recipient row for (communication, user, channel), if any. */
+async function findRecipientRow(communicationId, userId, channel) {
+  const result = await db.query(
+    `SELECT id, status FROM comm_recipients
+     WHERE communication_id = $1 AND user_id = $2 AND channel = $3
+     ORDER BY id LIMIT 1`,
+    [communicationId, userId, channel]
+  );
+  return result.rows[0] || null;
+}
+
+async function recordRecipient(existing, communicationId, userId, channel, { status, error }) {
+  if (existing) {
+    await db.query(
+      `UPDATE comm_recipients
+       SET status = $2, error_message = $3,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+       WHERE id = $1`,
+      [existing.id, status, error || null]
+    );
+    return;
+  }
+  await db.query(
+    `INSERT INTO comm_recipients (communication_id, user_id, channel, status, error_message, delivered_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $4 = 'delivered' THEN NOW() ELSE NULL END)`,
+    [communicationId, userId, channel, status, error || null]
+  );
+}
+
+async function buildEmailContext(comm) {
+  let template = null;
+  try {
+    template = comm.templateId
+      ? await CommTemplate.getById(comm.templateId)
+      : (comm.accountId ? await CommTemplate.getOrCreateDefault(comm.accountId) : null);
+  } catch (err) {
+    template = null;
+  }
+  let imageUrl = null;
+  if (isSafeS3Key(comm.imageKey)) {
+    imageUrl = await getPresignedUrlForImage(comm.imageKey.trim(), EMAIL_IMAGE_URL_EXPIRY).catch(() => null);
+  }
+  return { template, imageUrl };
+}
+
+/**
+ * Deliver a communication to its audience on behalf of a sender.
+ * @param {Object} comm - Communication row (camelCase, as returned by the model)
+ * @param {{ id: number, role: string }} sender - User whose permissions scope the audience
+ * @returns {Promise<{ count: number, delivered: number, failed: number, failures: string[] }>}
+ */
+async function deliverCommunication(comm, sender) {
+  if (sender.role === "agent" && AGENT_BLOCKED_MODES.includes(comm.recipientMode)) {
+    throw new Error("Agents can only send to homeowners.");
+  }
+
+  const { users, count } = await resolveRecipients(
+    sender.id, sender.role, comm.recipientMode, comm.recipientIds || []
+  );
+  const channels = channelsFor(comm.deliveryChannel);
+  const title = `New: ${comm.subject || "Message"}`;
+  const emailContext = channels.includes("email") ? await buildEmailContext(comm) : null;
+
+  let delivered = 0;
+  let failed = 0;
+  const failures = [];
+
+  for (const user of users) {
+    if (!user?.id) continue;
+    for (const channel of channels) {
+      const existing = await findRecipientRow(comm.id, user.id, channel);
+      if (existing && existing.status !== "failed" && existing.status !== "pending") continue;
+
+      try {
+        if (channel === "in_app") {
+          await Notification.create({ userId: user.id, type: "communication_sent", title });
+        } else {
+          if (!user.email) throw new Error("Recipient has no email address");
+          await sendCommunicationEmail({
+            to: user.email,
+            userName: user.name,
+            subject: comm.subject,
+            body: comm.content?.body,
+            template: emailContext.template,
+            imageUrl: emailContext.imageUrl,
+            appUrl: APP_BASE_URL,
+          });
+          if (comm.accountId) {
+            logEmailUsage({ accountId: comm.accountId, userId: user.id, emailType: "communication" })
+              .catch((err) => console.error("[commDelivery] Usage log failed:", err.message));
+          }
+        }
+        await recordRecipient(existing, comm.id, user.id, channel, { status: "delivered" });
+        delivered++;
+      } catch (err) {
+        await recordRecipient(existing, comm.id, user.id, channel, { status: "failed", error: err.message });
+        failed++;
+        failures.push(`${channel} → user ${user.id}: ${err.message}`);
+      }
+    }
+  }
+
+  return { count, delivered, failed, failures };
+}
+
+/**
+ * Final status for a delivery result: 'sent', 'partially_sent' or 'failed' (nothing delivered).
+ * @returns {{ status: string, failureReason: string|null }}
+ */
+function deliveryOutcome({ delivered, failed, failures }) {
+  if (failed === 0) return { status: "sent", failureReason: null };
+  const failureReason = `${failed} deliveries failed. First error: ${failures[0]}`;
+  return { status: delivered === 0 ? "failed" : "partially_sent", failureReason };
+}
+
+/** Deliver one claimed communication and record the outcome. */
+async function sendClaimed(comm) {
+  try {
+    const sender = comm.createdBy ? await User.getById(comm.createdBy) : null;
+    if (!sender) throw new Error("Communication has no sender (creator was removed)");
+
+    const result = await deliverCommunication(comm, sender);
+    const { status, failureReason } = deliveryOutcome(result);
+    if (status === "failed") throw new Error(`All ${failureReason}`);
+    await Communication.markSent(comm.id, { recipientCount: result.count, status, failureReason });
+    return true;
+  } catch (err) {
+    const updated = await Communication.markAttemptFailed(comm.id, {
+      reason: err.message,
+      maxRetries: MAX_RETRIES,
+    });
+    console.error(
+      `[commDelivery] Send failed for communication ${comm.id} (attempt ${updated.retryCount}, now ${updated.status}):`,
+      err.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Claim and deliver every communication that is due. Safe to run on several
+ * instances at once.
+ * @returns {{ claimed: number, sent: number }}
+ */
+async function processDueCommunications() {
+  let claimed = 0;
+  let sent = 0;
+  for (;;) {
+    const batch = await Communication.claimDueScheduled({ limit: BATCH_SIZE });
+    if (batch.length === 0) break;
+    claimed += batch.length;
+    for (const comm of batch) {
+      if (await sendClaimed(comm)) sent++;
+    }
+    if (batch.length < BATCH_SIZE) break;
+  }
+  return { claimed, sent };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { claimed, sent } = await processDueCommunications();
+    if (claimed > 0) console.log(`[commDelivery] Processed ${claimed} scheduled communication(s), ${sent} sent`);
+  } catch (err) {
+    console.error("[commDelivery] Scheduler tick failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the periodic scheduler (idempotent). Runs one pass immediately. */
+function startCommScheduler() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopCommScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  deliverCommunication,
+  deliveryOutcome,
+  processDueCommunications,
+  startCommScheduler,
+  stopCommScheduler,
+};
@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * Contractor Link Service
+ *
+ * Lifecycle of contractor report links (contractor_report_tokens):
+ * - issueLink creates a token (valid 7 days) and emails the link. The raw
+ *   token is kept encrypted so reminders can resend the same link.
+ * - reissueLink revokes the record's current link (or replaces an expired
+ *   one) and sends a new one; pending uploads move to the new link.
+ * - A background worker marks tokens past expires_at as expired and emails
+ *   the contractor reminders before expiry, CONTRACTOR_REPORT_REMINDER_HOURS
+ *   before it (one reminder per threshold; a threshold missed while the
+ *   server was down is folded into the next reminder).
+ * - Opens of the report form are counted per token (see routes/contractorReport.js).
+ *
+ * Env: CONTRACTOR_LINK_WORKER_INTERVAL_MS (default 15 min),
+ *      CONTRACTOR_REPORT_REMINDER_HOURS (hours before expiry, comma-separated, default "72,24")
+ *
+ * Exports: LINK_VALID_DAYS, reportUrl, issueLink, reissueLink, sendDueReminders,
+ *          runContractorLinkTasks, startContractorLinkWorker, stopContractorLinkWorker
+ */
+
+const db = require("../db");
+const MaintenanceRecord = require("../models/maintenanceRecord");
+const ContractorReportToken = require("../models/contractorReportToken");
+const ContractorReportUpload = require("../models/contractorReportUpload");
+const { generateInvitationToken } = require("../helpers/invitationTokens");
+const { encrypt, decrypt } = require("../helpers/encryption");
+const { sendContractorReportEmail, sendContractorReportReminderEmail } = require("./emailService");
+const { BadRequestError } = require("../expressError");
+const { APP_BASE_URL } = require("../config");
+
+const LINK_VALID_DAYS = 7;
+const INTERVAL_MS = parseInt(process.env.CONTRACTOR_LINK_WORKER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const REMINDER_HOURS = (process.env.CONTRACTOR_REPORT_REMINDER_HOURS || "72,24")
+  .split(",")
+  .map((h) => parseInt(h, 10))
+  .filter((h) => h > 0)
+  .sort((a, b) => b - a);
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+function reportUrl(token) {
+  const baseUrl = (APP_BASE_URL || process.env.APP_WEB_ORIGIN || "http://localhost:5173").replace(/\/$/, "");
+  return `${baseUrl}/#/contractor-report?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Create a report link for a maintenance record and email it to the contractor.
+ * @param {Object} record - maintenance record
+ * @param {Object} opts - { contractorEmail, contractorName?, createdBy, reissuedFromId? }
+ * @returns {Promise<Object>} the token row (no secret)
+ */
+async function issueLink(record, { contractorEmail, contractorName, createdBy, reissuedFromId = null }) {
+  const { token, tokenHash } = generateInvitationToken();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + LINK_VALID_DAYS);
+
+  const tokenRecord = await ContractorReportToken.create({
+    maintenanceRecordId: record.id,
+    propertyId: record.property_id,
+    contractorEmail,
+    contractorName,
+    tokenHash,
+    tokenEncrypted: encrypt(token),
+    expiresAt,
+    createdBy,
+    reissuedFromId,
+  });
+
+  const propResult = await db.query(`SELECT address, city, state FROM properties WHERE id = $1`, [record.property_id]);
+  const prop = propResult.rows[0];
+  const propertyAddress = prop ? [prop.address, prop.city, prop.state].filter(Boolean).join(", ") : null;
+
+  const senderResult = await db.query(`SELECT name FROM users WHERE id = $1`, [createdBy]);
+  const senderName = senderResult.rows[0]?.name || null;
+
+  try {
+    await sendContractorReportEmail({
+      to: contractorEmail,
+      reportUrl: reportUrl(token),
+      contractorName,
+      propertyAddress,
+      systemName: SYSTEM_LABELS[record.system_key] || record.system_key,
+      senderName,
+    });
+  } catch (emailErr) {
+    console.error("[contractorLink] Failed to send contractor report email:", emailErr.message);
+  }
+  return tokenRecord;
+}
+
+/**
+ * Replace the record's latest link with a new one (same contractor unless overridden).
+ * @param {Object} record - maintenance record
+ * @param {Object} opts - { createdBy, contractorEmail?, contractorName? }
+ */
+async function reissueLink(record, { createdBy, contractorEmail, contractorName }) {
+  const [current] = await ContractorReportToken.getByRecordId(record.id);
+  if (!current) throw new BadRequestError("No contractor link has been sent for this record yet.");
+  if (current.status === "completed") {
+    throw new BadRequestError("The contractor already submitted this report. Review it or send it back instead.");
+  }
+  if (current.status === "pending") await ContractorReportToken.revoke(current.id);
+
+  const tokenRecord = await issueLink(record, {
+    contractorEmail: contractorEmail || current.contractorEmail,
+    contractorName: contractorName || current.contractorName,
+    createdBy,
+    reissuedFromId: current.id,
+  });
+  await ContractorReportUpload.moveToToken(current.id, tokenRecord.id);
+
+  if (record.record_status !== "contractor_pending") {
+    await MaintenanceRecord.update(record.id, { ...record, record_status: "contractor_pending" });
+  }
+  return tokenRecord;
+}
+
+/** Reminders owed to a token: the number of thresholds already passed. */
+function remindersDue(expiresAt, now = Date.now()) {
+  const hoursLeft = (new Date(expiresAt).getTime() - now) / (60 * 60 * 1000);
+  return REMINDER_HOURS.filter((h) => hoursLeft <= h).length;
+}
+
+/**
+ * Email contractors whose links are close to expiring.
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendDueReminders() {
+  if (!REMINDER_HOURS.length) return 0;
+  const tokens = await ContractorReportToken.listDueForReminder({
+    withinHours: REMINDER_HOURS[0],
+    maxReminders: REMINDER_HOURS.length,
+  });
+
+  let sent = 0;
+  for (const token of tokens) {
+    const due = remindersDue(token.expiresAt);
+    if (due <= token.reminderCount) continue;
+    if (!(await ContractorReportToken.claimReminder(token.id, { previousCount: token.reminderCount, count: due }))) continue;
+    try {
+      await sendContractorReportReminderEmail({
+        to: token.contractorEmail,
+        reportUrl: reportUrl(decrypt(token.tokenEncrypted)),
+        contractorName: token.contractorName,
+        propertyAddress: [token.propertyAddress, token.propertyCity, token.propertyState].filter(Boolean).join(", ") || null,
+        systemName: SYSTEM_LABELS[token.systemKey] || token.systemKey,
+        expiresAt: token.expiresAt,
+      });
+      sent++;
+    } catch (err) {
+      console.error(`[contractorLink] Reminder for token ${token.id} failed:`, err.message);
+    }
+  }
+  return sent;
+}
+
+async function runContractorLinkTasks() {
+  const expired = await ContractorReportToken.expirePending();
+  const reminders = await sendDueReminders();
+  return { expired, reminders };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { expired, reminders } = await runContractorLinkTasks();
+    if (expired || reminders) console.log(`[contractorLink] Expired ${expired} link(s), sent ${reminders} reminder(s)`);
+  } catch (err) {
+    console.error("[contractorLink] Worker pass failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the worker (idempotent). Runs one pass immediately. */
+function startContractorLinkWorker() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopContractorLinkWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  LINK_VALID_DAYS,
+  reportUrl,
+  issueLink,
+  reissueLink,
+  sendDueReminders,
+  runContractorLinkTasks,
+  startContractorLinkWorker,
+  stopContractorLinkWorker,
+};
@@ -0,0 +1,247 @@
+"use strict";
+
+/**
+ * Contractor Report Service
+ *
+ * Attachments, line items and sign-off for the public contractor report link
+ * (routes/contractorReport.js):
+ * - createUpload issues a presigned S3 PUT scoped to the report's token; the
+ *   contractor uploads directly to S3 (photos and invoices, up to 15MB each).
+ * - computeLineItems prices parts/labor lines (quantity x unit price plus tax
+ *   per line) in cents and returns the line, subtotal, tax and total amounts.
+ * - prepareSignature validates a typed or drawn (PNG data URL) signature and
+ *   stores drawn ones in S3; the token records signer, time, IP and user agent.
+ *   discardSignature removes the stored image when the submission is rejected.
+ * - attachUploads checks each upload exists in S3 and saves it as a property
+ *   document linked to the maintenance record and its system; invoices and
+ *   other files are queued for field extraction (documentExtractionService).
+ *
+ * Exports: UPLOAD_CONTENT_TYPES, MAX_UPLOAD_BYTES, createUpload, removeUpload, listUploads,
+ *          computeLineItems, prepareSignature, discardSignature, attachUploads
+ */
+
+const path = require("path");
+const { ulid } = require("ulid");
+const ContractorReportUpload = require("../models/contractorReportUpload");
+const PropertyDocument = require("../models/propertyDocuments");
+const documentRagService = require("./documentRagService");
+const { enqueueExtraction } = require("./documentExtractionService");
+const { BadRequestError } = require("../expressError");
+const { AWS_S3_BUCKET } = require("../config");
+const { uploadFile, deleteFile, getPresignedUploadUrl, getFileMetadata } = require("./s3Service");
+
+const UPLOAD_CONTENT_TYPES = {
+  "application/pdf": "pdf",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+};
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_UPLOADS_PER_REPORT = 30;
+const UPLOAD_URL_SECONDS = 15 * 60;
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+
+const DOCUMENT_TYPE_BY_CATEGORY = {
+  before_photo: "photo",
+  after_photo: "photo",
+  invoice: "invoice",
+  other: "other",
+};
+
+function keyPrefix(tokenData) {
+  return `contractor-reports/${tokenData.propertyId}/${tokenData.maintenanceRecordId}`;
+}
+
+function cleanFileName(name) {
+  const base = path.basename(String(name || "")).replace(/[\u0000-\u001f]/g, "").trim();
+  return base.slice(-255) || "attachment";
+}
+
+/**
+ * Register an attachment and return a presigned PUT URL for it.
+ * @param {Object} tokenData - from ContractorReportToken.validateToken
+ * @param {Object} opts - { fileName, contentType, sizeBytes?, category }
+ * @returns {Promise<{ upload, uploadUrl, method, headers, expiresIn }>}
+ */
+async function createUpload(tokenData, { fileName, contentType, sizeBytes, category }) {
+  if (!AWS_S3_BUCKET) throw new BadRequestError("File uploads are not configured on this server.");
+  const ext = UPLOAD_CONTENT_TYPES[contentType];
+  if (!ext) throw new BadRequestError("Only PDF, JPEG, PNG, WebP and HEIC files can be attached");
+  if (sizeBytes != null && sizeBytes > MAX_UPLOAD_BYTES) {
+    throw new BadRequestError(`Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`);
+  }
+  if ((await ContractorReportUpload.countForToken(tokenData.id)) >= MAX_UPLOADS_PER_REPORT) {
+    throw new BadRequestError(`A report can have at most ${MAX_UPLOADS_PER_REPORT} attachments`);
+  }
+
+  const s3Key = `${keyPrefix(tokenData)}/${ulid()}.${ext}`;
+  const upload = await ContractorReportUpload.create({
+    tokenId: tokenData.id,
+    maintenanceRecordId: tokenData.maintenanceRecordId,
+    propertyId: tokenData.propertyId,
+    category,
+    fileName: cleanFileName(fileName),
+    contentType,
+    s3Key,
+    sizeBytes,
+  });
+  const uploadUrl = await getPresignedUploadUrl(s3Key, contentType, UPLOAD_URL_SECONDS);
+  return {
+    upload: publicUpload(upload),
+    uploadUrl,
+    method: "PUT",
+    headers: { "Content-Type": contentType },
+    expiresIn: UPLOAD_URL_SECONDS,
+  };
+}
+
+/** Upload fields safe to show on the public form (no S3 key). */
+function publicUpload(upload) {
+  const { id, category, fileName, contentType, sizeBytes, status, createdAt } = upload;
+  return { id, category, fileName, contentType, sizeBytes, status, createdAt };
+}
+
+async function listUploads(tokenId) {
+  const uploads = await ContractorReportUpload.listForToken(tokenId);
+  return uploads.map(publicUpload);
+}
+
+async function removeUpload(tokenData, uploadId) {
+  const upload = await ContractorReportUpload.remove(uploadId, tokenData.id);
+  await deleteFile(upload.s3Key).catch((err) =>
+    console.error(`[contractorReport] Could not delete upload ${upload.id}:`, err.message)
+  );
+  return { deleted: upload.id };
+}
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+/**
+ * Price line items. Amounts are rounded per line so the lines always add up to the totals.
+ * @param {Array<{ type, description, quantity, unitPrice, taxRate? }>} items
+ * @returns {{ lineItems: Array, subtotal: number, tax: number, total: number }}
+ */
+function computeLineItems(items) {
+  let subtotalCents = 0;
+  let taxCents = 0;
+  const lineItems = items.map((item) => {
+    const amountCents = Math.round(Number(item.quantity) * toCents(item.unitPrice));
+    const lineTaxCents = Math.round((amountCents * Number(item.taxRate || 0)) / 100);
+    subtotalCents += amountCents;
+    taxCents += lineTaxCents;
+    return {
+      type: item.type,
+      description: item.description.trim(),
+      quantity: Number(item.quantity),
+      unitPrice: toCents(item.unitPrice) / 100,
+      taxRate: Number(item.taxRate || 0),
+      amount: amountCents / 100,
+      tax: lineTaxCents / 100,
+      total: (amountCents + lineTaxCents) / 100,
+    };
+  });
+  return {
+    lineItems,
+    subtotal: subtotalCents / 100,
+    tax: taxCents / 100,
+    total: (subtotalCents + taxCents) / 100,
+  };
+}
+
+/**
+ * Validate a signature and store a drawn one in S3.
+ * @param {Object} tokenData
+ * @param {Object} signature - { name, type: 'typed'|'drawn', image? (PNG data URL, drawn only) }
+ * @param {Object} request - { ipAddress, userAgent }
+ * @returns {Promise<Object>} for ContractorReportToken.markCompleted
+ */
+async function prepareSignature(tokenData, signature, { ipAddress, userAgent }) {
+  const signerName = String(signature.name || "").trim();
+  if (!signerName) throw new BadRequestError("Signature name is required");
+
+  let signatureKey = null;
+  if (signature.type === "drawn") {
+    const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(signature.image || "");
+    if (!match) throw new BadRequestError("A drawn signature must be a PNG data URL");
+    const buffer = Buffer.from(match[1], "base64");
+    if (!buffer.length || buffer.length > MAX_SIGNATURE_BYTES) throw new BadRequestError("Signature image is too large");
+    if (!AWS_S3_BUCKET) throw new BadRequestError("File uploads are not configured on this server.");
+    signatureKey = `${keyPrefix(tokenData)}/signature-${ulid()}.png`;
+    await uploadFile(buffer, signatureKey, "image/png");
+  }
+
+  return {
+    signerName: signerName.slice(0, 255),
+    signatureType: signature.type,
+    signatureKey,
+    ipAddress: ipAddress || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+  };
+}
+
+/** Delete a drawn signature stored by prepareSignature whose submission did not go through. */
+async function discardSignature(signatureData) {
+  if (!signatureData?.signatureKey) return;
+  await deleteFile(signatureData.signatureKey).catch((err) =>
+    console.error(`[contractorReport] Could not delete signature ${signatureData.signatureKey}:`, err.message)
+  );
+}
+
+/**
+ * Save the token's uploaded files as property documents linked to the record.
+ * Uploads that never reached S3 are skipped; oversized ones are deleted.
+ * @returns {Promise<{ documents: Array, skipped: Array<{ id, fileName, reason }> }>}
+ */
+async function attachUploads(tokenData, record, { documentDate }) {
+  const uploads = await ContractorReportUpload.listForToken(tokenData.id, { status: "pending" });
+  const documents = [];
+  const skipped = [];
+
+  for (const upload of uploads) {
+    const meta = await getFileMetadata(upload.s3Key);
+    if (!meta) {
+      skipped.push({ id: upload.id, fileName: upload.fileName, reason: "not_uploaded" });
+      continue;
+    }
+    if (meta.size > MAX_UPLOAD_BYTES) {
+      await removeUpload(tokenData, upload.id);
+      skipped.push({ id: upload.id, fileName: upload.fileName, reason: "too_large" });
+      continue;
+    }
+
+    const document = await PropertyDocument.create({
+      property_id: record.property_id,
+      maintenance_record_id: record.id,
+      document_name: upload.fileName,
+      document_date: documentDate,
+      document_key: upload.s3Key,
+      document_type: DOCUMENT_TYPE_BY_CATEGORY[upload.category] || "other",
+      system_key: record.system_key,
+    });
+    await ContractorReportUpload.markAttached(upload.id, { propertyDocumentId: document.id, sizeBytes: meta.size });
+    documents.push(document);
+
+    documentRagService.ingestDocument(record.property_id, document.id).catch((err) => {
+      if (!err?.message?.includes("pgvector not available")) {
+        console.error("[documentRag] Ingest of contractor upload failed:", err.message);
+      }
+    });
+    if (document.document_type !== "photo") await enqueueExtraction(document);
+  }
+  return { documents, skipped };
+}
+
+module.exports = {
+  UPLOAD_CONTENT_TYPES,
+  MAX_UPLOAD_BYTES,
+  createUpload,
+  removeUpload,
+  listUploads,
+  computeLineItems,
+  prepareSignature,
+  discardSignature,
+  attachUploads,
+};
@@ -0,0 +1,294 @@
+"use strict";
+
+/**
+ * Contractor Review Service
+ *
+ * Homeowner review of reports submitted through a contractor link:
+ * - submitForReview stores the contractor's fields as a proposed revision,
+ *   sets record_status 'contractor_review' (the record's data is untouched)
+ *   and notifies the property's owners and editors in-app and by email.
+ * - getReview returns the pending submission with a field-by-field diff
+ *   against the current record and the files waiting to be attached.
+ * - acceptSubmission applies the proposal (plus any reviewer edits), marks the
+ *   record contractor_completed and attaches the uploaded files.
+ * - returnSubmission sends the report back with comments: the token is
+ *   re-opened under a new link (7 days) and emailed to the contractor.
+ *
+ * Exports: submitForReview, getReview, acceptSubmission, returnSubmission
+ */
+
+const db = require("../db");
+const MaintenanceRecord = require("../models/maintenanceRecord");
+const ContractorReportToken = require("../models/contractorReportToken");
+const ContractorReportSubmission = require("../models/contractorReportSubmission");
+const Notification = require("../models/notification");
+const { attachUploads, listUploads } = require("./contractorReportService");
+const { diffChanges, recordAudit } = require("./auditService");
+const { sendContractorReportReviewEmail, sendContractorReportReturnedEmail } = require("./emailService");
+const { reportUrl, LINK_VALID_DAYS } = require("./contractorLinkService");
+const { generateInvitationToken } = require("../helpers/invitationTokens");
+const { encrypt } = require("../helpers/encryption");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { APP_BASE_URL } = require("../config");
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+/** Fields of record.data a contractor proposes; the first five can also be edited by the reviewer. */
+const EDITABLE_DATA_FIELDS = ["description", "workOrderNumber", "cost", "materialsUsed", "notes"];
+const DATA_FIELDS = [...EDITABLE_DATA_FIELDS, "lineItems", "costSummary", "contractorSignature"];
+const REVIEW_FIELDS = ["completedAt", "nextServiceDate", "status", ...DATA_FIELDS];
+
+function baseUrl() {
+  return (APP_BASE_URL || process.env.APP_WEB_ORIGIN || "http://localhost:5173").replace(/\/$/, "");
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/** Flat view of the reviewable fields of a record (or a proposal shaped like one). */
+function reviewView({ completed_at, next_service_date, status, data }) {
+  const view = {
+    completedAt: toIso(completed_at),
+    nextServiceDate: toIso(next_service_date),
+    status: status ?? null,
+  };
+  for (const field of DATA_FIELDS) view[field] = data?.[field] ?? null;
+  return view;
+}
+
+/** The record as it will be saved: current data, then the proposal, then reviewer edits. */
+function applyProposal(record, proposed, edits = {}) {
+  const data = { ...(record.data || {}), ...(proposed.data || {}) };
+  for (const field of EDITABLE_DATA_FIELDS) {
+    if (edits[field] !== undefined) data[field] = edits[field];
+  }
+  return {
+    property_id: record.property_id,
+    system_key: record.system_key,
+    completed_at: edits.completedAt !== undefined ? edits.completedAt : proposed.completed_at,
+    next_service_date: edits.nextServiceDate !== undefined ? edits.nextServiceDate : proposed.next_service_date,
+    status: edits.status ?? proposed.status,
+    data,
+  };
+}
+
+async function getPropertyInfo(propertyId) {
+  const result = await db.query(
+    `SELECT property_uid AS "propertyUid", property_name AS "propertyName", address, city, state
+     FROM properties WHERE id = $1`,
+    [propertyId]
+  );
+  const row = result.rows[0] || {};
+  return { ...row, label: [row.address, row.city, row.state].filter(Boolean).join(", ") || row.propertyName || null };
+}
+
+/** In-app and email notice to the property's owners and editors. Failures are logged, never thrown. */
+async function notifyReviewers(record, tokenData) {
+  const property = await getPropertyInfo(record.property_id);
+  const systemName = SYSTEM_LABELS[record.system_key] || record.system_key;
+  const contractorName = tokenData.contractorName || tokenData.contractorEmail;
+  const reviewUrl = `${baseUrl()}/#/properties/${property.propertyUid}?maintenanceRecord=${record.id}`;
+  const recipients = await db.query(
+    `SELECT u.id, u.name, u.email
+     FROM property_users pu
+     JOIN users u ON u.id = pu.user_id
+     WHERE pu.property_id = $1 AND pu.role IN ('owner', 'editor') AND u.is_active = true`,
+    [record.property_id]
+  );
+
+  for (const user of recipients.rows) {
+    await Notification.create({
+      userId: user.id,
+      type: "contractor_report_review",
+      maintenanceRecordId: record.id,
+      title: `Review ${contractorName}'s ${systemName} report${property.label ? ` – ${property.label}` : ""}`,
+    }).catch((err) => console.error(`[contractorReview] Notification for user ${user.id} failed:`, err.message));
+    try {
+      await sendContractorReportReviewEmail({
+        to: user.email,
+        userName: user.name,
+        contractorName: tokenData.contractorName,
+        propertyAddress: property.label,
+        systemName,
+        reviewUrl,
+      });
+    } catch (err) {
+      console.error(`[contractorReview] Review email to user ${user.id} failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * Hold a contractor's report for review and close their link.
+ * @param {Object} tokenData - from ContractorReportToken.validateToken
+ * @param {Object} record - the maintenance record as it is now
+ * @param {Object} opts - { proposed: { completed_at, next_service_date, status, data }, signature? }
+ */
+async function submitForReview(tokenData, record, { proposed, signature = null }) {
+  let submission;
+  await db.query("BEGIN");
+  try {
+    // Claim the link first: a repeated submit stops here instead of superseding the first one.
+    await ContractorReportToken.markCompleted(tokenData.id, signature).catch((err) => {
+      throw err instanceof NotFoundError ? new BadRequestError("This report has already been submitted") : err;
+    });
+    submission = await ContractorReportSubmission.create({
+      tokenId: tokenData.id,
+      maintenanceRecordId: record.id,
+      propertyId: record.property_id,
+      proposed,
+    });
+    await MaintenanceRecord.update(record.id, { ...record, record_status: "contractor_review" });
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+
+  notifyReviewers(record, tokenData).catch((err) =>
+    console.error("[contractorReview] Notifying reviewers failed:", err.message)
+  );
+  return submission;
+}
+
+async function getPendingOrThrow(recordId) {
+  const submission = await ContractorReportSubmission.getPendingForRecord(recordId);
+  if (!submission) throw new NotFoundError("No contractor report is waiting for review on this record");
+  return submission;
+}
+
+/** Pending submission, its field-by-field diff ({ field: { from, to } }) and attachments, plus past submissions. */
+async function getReview(record) {
+  const submission = await getPendingOrThrow(record.id);
+  const current = reviewView(record);
+  const proposed = reviewView(applyProposal(record, submission.proposed));
+  return {
+    submission,
+    current,
+    proposed,
+    changes: diffChanges(current, proposed, REVIEW_FIELDS) || {},
+    uploads: await listUploads(submission.tokenId),
+    history: (await ContractorReportSubmission.listForRecord(record.id)).filter((s) => s.id !== submission.id),
+  };
+}
+
+/**
+ * Apply the pending submission to the record, with optional reviewer edits.
+ * @param {Object} context - audit context
+ * @param {Object} record - the maintenance record as it is now
+ * @param {Object} opts - { reviewedBy, edits? (description, workOrderNumber, cost, materialsUsed, notes, status, completedAt, nextServiceDate) }
+ * @returns {Promise<{ record, submission, documents, skipped }>}
+ */
+async function acceptSubmission(context, record, { reviewedBy, edits = null }) {
+  const submission = await getPendingOrThrow(record.id);
+  const next = applyProposal(record, submission.proposed, edits || {});
+
+  let updated;
+  let reviewed;
+  await db.query("BEGIN");
+  try {
+    reviewed = await ContractorReportSubmission.review(submission.id, { status: "accepted", reviewedBy, edits });
+    if (!reviewed) throw new BadRequestError("This report has already been reviewed");
+    updated = await MaintenanceRecord.update(record.id, { ...next, record_status: "contractor_completed" });
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+
+  const documentDate = new Date(updated.completed_at || Date.now()).toISOString().slice(0, 10);
+  const { documents, skipped } = await attachUploads(
+    { id: submission.tokenId, propertyId: record.property_id, maintenanceRecordId: record.id },
+    updated,
+    { documentDate }
+  );
+
+  await recordAudit(context, {
+    action: "maintenance_record.contractor_report_accepted",
+    entityType: "maintenance_record",
+    entityId: record.id,
+    propertyId: record.property_id,
+    changes: diffChanges(reviewView(record), reviewView(updated), REVIEW_FIELDS),
+    metadata: {
+      submissionId: submission.id,
+      editedFields: edits ? Object.keys(edits) : [],
+      attachmentCount: documents.length,
+    },
+  });
+  return { record: updated, submission: reviewed, documents, skipped };
+}
+
+/**
+ * Send the pending submission back to the contractor with comments.
+ * @param {Object} context - audit context
+ * @param {Object} record - the maintenance record as it is now
+ * @param {Object} opts - { reviewedBy, reviewerName?, comments }
+ * @returns {Promise<{ submission, expiresAt }>}
+ */
+async function returnSubmission(context, record, { reviewedBy, reviewerName = null, comments }) {
+  const text = String(comments || "").trim();
+  if (!text) throw new BadRequestError("Comments are required when sending a report back");
+  const submission = await getPendingOrThrow(record.id);
+
+  const { token, tokenHash } = generateInvitationToken();
+  const expiresAt = new Date(Date.now() + LINK_VALID_DAYS * 24 * 60 * 60 * 1000);
+
+  let reviewed;
+  let tokenRecord;
+  await db.query("BEGIN");
+  try {
+    reviewed = await ContractorReportSubmission.review(submission.id, { status: "returned", reviewedBy, comments: text });
+    if (!reviewed) throw new BadRequestError("This report has already been reviewed");
+    tokenRecord = await ContractorReportToken.reopen(submission.tokenId, { tokenHash, tokenEncrypted: encrypt(token), expiresAt });
+    await MaintenanceRecord.update(record.id, { ...record, record_status: "contractor_pending" });
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+
+  const property = await getPropertyInfo(record.property_id);
+  const url = reportUrl(token);
+  try {
+    await sendContractorReportReturnedEmail({
+      to: tokenRecord.contractorEmail,
+      reportUrl: url,
+      contractorName: tokenRecord.contractorName,
+      propertyAddress: property.label,
+      systemName: SYSTEM_LABELS[record.system_key] || record.system_key,
+      reviewerName,
+      comments: text,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("[contractorReview] Failed to send returned-report email:", err.message);
+    if (process.env.NODE_ENV !== "production") {
+      console.log("\n--- Contractor report link (dev, email not sent) ---");
+      console.log(url);
+      console.log("---\n");
+    }
+  }
+
+  await recordAudit(context, {
+    action: "maintenance_record.contractor_report_returned",
+    entityType: "maintenance_record",
+    entityId: record.id,
+    propertyId: record.property_id,
+    metadata: { submissionId: submission.id, tokenId: submission.tokenId, comments: text },
+  });
+  return { submission: reviewed, expiresAt };
+}
+
+module.exports = {
+  submitForReview,
+  getReview,
+  acceptSubmission,
+  returnSubmission,
+};
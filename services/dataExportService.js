@@ -0,0 +1,299 @@
+"use strict";
+
+/**
+ * Data Export Service
+ *
+ * Builds a user's personal data export (GDPR / CCPA access requests): a ZIP
+ * with one JSON file per area (profile, accounts, properties, systems,
+ * maintenance records, maintenance events, documents, inspection reports, AI
+ * conversations, notifications), the user's S3 files under files/, and a
+ * manifest.json listing every file and any that could not be read.
+ *
+ * Properties are those the user is a member of (property_users). The archive
+ * is written to a temp file, uploaded to S3 under exports/, and kept for
+ * DATA_EXPORT_RETENTION_DAYS; downloads use short-lived presigned URLs.
+ *
+ * Env: DATA_EXPORT_RETENTION_DAYS (default 7)
+ *
+ * Exports: requestExport, listExports, getExportDownloadUrl, processNextExport,
+ *          expireOldExports, collectPersonalData, exportFileKeys
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const archiver = require("archiver");
+const db = require("../db");
+const DataExportJob = require("../models/dataExportJob");
+const Notification = require("../models/notification");
+const { BadRequestError } = require("../expressError");
+const { isSafeS3Key } = require("../helpers/presignedUrls");
+const { uploadFileFromPath, deleteFile, getPresignedUrl, getFileStream } = require("./s3Service");
+const { sendDataExportReadyEmail } = require("./emailService");
+const { APP_WEB_ORIGIN, APP_BASE_URL } = require("../config");
+
+const RETENTION_DAYS = parseInt(process.env.DATA_EXPORT_RETENTION_DAYS, 10) || 7;
+const MAX_ATTEMPTS = 3;
+const DOWNLOAD_URL_SECONDS = 15 * 60;
+
+async function rows(sql, params) {
+  return (await db.query(sql, params)).rows;
+}
+
+/**
+ * Everything stored about a user, as plain objects keyed by export file name.
+ * @returns {Promise<Object>} { profile, accounts, properties, systems, maintenance_records,
+ *   maintenance_events, documents, inspection_reports, ai_conversations, notifications }
+ */
+async function collectPersonalData(userId) {
+  const [profile] = await rows(
+    `SELECT id, email, name, phone, role, image, auth_provider, avatar_url, email_verified,
+            mfa_enabled, mfa_enrolled_at, subscription_tier, onboarding_completed, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const accounts = await rows(
+    `SELECT a.id, a.name, a.url, au.role, a.created_at
+     FROM account_users au JOIN accounts a ON a.id = au.account_id
+     WHERE au.user_id = $1 ORDER BY a.id`,
+    [userId]
+  );
+  const properties = await rows(
+    `SELECT p.*, pu.role AS member_role
+     FROM property_users pu JOIN properties p ON p.id = pu.property_id
+     WHERE pu.user_id = $1 ORDER BY p.id`,
+    [userId]
+  );
+  const propertyIds = properties.map((p) => p.id);
+
+  const byProperty = (table, order = "id") => rows(
+    `SELECT * FROM ${table} WHERE property_id = ANY($1::int[]) ORDER BY property_id, ${order}`,
+    [propertyIds]
+  );
+
+  return {
+    profile,
+    accounts,
+    properties,
+    systems: await byProperty("property_systems"),
+    maintenance_records: await byProperty("property_maintenance"),
+    maintenance_events: await rows(
+      `SELECT e.*, COALESCE(
+         (SELECT json_agg(x ORDER BY x.occurrence_date) FROM maintenance_event_exceptions x WHERE x.event_id = e.id),
+         '[]') AS exceptions
+       FROM maintenance_events e
+       WHERE e.property_id = ANY($1::int[])
+       ORDER BY e.property_id, e.id`,
+      [propertyIds]
+    ),
+    documents: await byProperty("property_documents"),
+    inspection_reports: await rows(
+      `SELECT j.id, j.property_id, j.user_id, j.s3_key, j.file_name, j.mime_type, j.status, j.created_at,
+              to_jsonb(r) - 'job_id' - 'property_id' AS result
+       FROM inspection_analysis_jobs j
+       LEFT JOIN inspection_analysis_results r ON r.job_id = j.id
+       WHERE j.property_id = ANY($1::int[])
+       ORDER BY j.property_id, j.id`,
+      [propertyIds]
+    ),
+    ai_conversations: await rows(
+      `SELECT c.id, c.property_id, c.system_id, c.context_summary, c.created_at, c.updated_at,
+              COALESCE(
+                (SELECT json_agg(json_build_object('role', m.role, 'content', m.content, 'created_at', m.created_at)
+                                 ORDER BY m.id)
+                 FROM ai_messages m WHERE m.conversation_id = c.id AND m.role IN ('user', 'assistant')),
+                '[]') AS messages
+       FROM ai_conversations c
+       WHERE c.user_id = $1
+       ORDER BY c.created_at`,
+      [userId]
+    ),
+    notifications: await rows(
+      `SELECT id, type, title, read_at, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+  };
+}
+
+function safeName(name) {
+  return String(name || "file").replace(/[^\w.-]+/g, "_").slice(-120);
+}
+
+/** S3 objects that belong in the export: [{ key, name }] with archive paths under files/. */
+function exportFileKeys(data) {
+  const files = [];
+  const seen = new Set();
+  const add = (key, name) => {
+    if (!isSafeS3Key(key) || /^https?:/i.test(key) || seen.has(key)) return;
+    seen.add(key);
+    files.push({ key, name: `files/${name}` });
+  };
+
+  if (data.profile?.image) add(data.profile.image, `profile/${safeName(path.basename(data.profile.image))}`);
+  for (const p of data.properties) {
+    if (p.main_photo) add(p.main_photo, `properties/${p.id}/${safeName(path.basename(p.main_photo))}`);
+  }
+  for (const d of data.documents) {
+    add(d.document_key, `properties/${d.property_id}/documents/${d.id}-${safeName(path.basename(d.document_key))}`);
+  }
+  for (const j of data.inspection_reports) {
+    add(j.s3_key, `properties/${j.property_id}/inspection-reports/${j.id}-${safeName(j.file_name || path.basename(j.s3_key))}`);
+  }
+  return files;
+}
+
+/**
+ * Append one entry and wait until the archive has consumed it, so only one S3 stream is open at a time.
+ * Rejects as soon as `failed` does (a source stream, the archive or the output errored).
+ */
+async function appendEntry(archive, source, name, failed) {
+  const added = once(archive, "entry");
+  archive.append(source, { name });
+  await Promise.race([added, failed]);
+}
+
+/** Write the archive for a user to filePath. Returns the number of S3 files included. */
+async function writeArchive(userId, filePath) {
+  const data = await collectPersonalData(userId);
+  const files = exportFileKeys(data);
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  // Every error (S3 source, archive, output) settles `failed`; each await races against it,
+  // so a stream that breaks mid-archive fails the export instead of crashing the process.
+  let fail;
+  const failed = new Promise((resolve, reject) => { fail = reject; });
+  failed.catch(() => {});
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+  finished.catch(fail);
+  archive.pipe(output);
+
+  const sources = [];
+  try {
+    for (const [name, value] of Object.entries(data)) {
+      await appendEntry(archive, JSON.stringify(value ?? null, null, 2), `${name}.json`, failed);
+    }
+
+    const manifest = { userId, generatedAt: new Date().toISOString(), files: [], missing: [] };
+    for (const file of files) {
+      let stream;
+      try {
+        stream = await getFileStream(file.key);
+      } catch (err) {
+        manifest.missing.push({ path: file.name, error: err.name || err.message });
+        continue;
+      }
+      sources.push(stream);
+      stream.on("error", (err) => fail(new Error(`Reading ${file.key} failed: ${err.message}`)));
+      await appendEntry(archive, stream, file.name, failed);
+      manifest.files.push(file.name);
+    }
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), "manifest.json", failed);
+
+    await Promise.race([archive.finalize(), failed]);
+    await Promise.race([finished, failed]);
+    return manifest.files.length;
+  } catch (err) {
+    archive.abort();
+    output.destroy();
+    for (const stream of sources) stream.destroy?.();
+    throw err;
+  }
+}
+
+async function notifyReady(userId, expiresAt) {
+  const [user] = await rows(`SELECT email, name FROM users WHERE id = $1`, [userId]);
+  if (!user) return;
+  const baseUrl = APP_BASE_URL || APP_WEB_ORIGIN || "http://localhost:5173";
+  try {
+    await sendDataExportReadyEmail({
+      to: user.email,
+      downloadPageUrl: `${baseUrl}/#/settings/privacy`,
+      userName: user.name,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("[dataExport] Failed to send export-ready email:", err.message);
+  }
+}
+
+/** Queue an export. One export can be in progress per user. */
+async function requestExport(userId) {
+  if (await DataExportJob.findOpen(userId)) {
+    throw new BadRequestError("A data export is already in progress");
+  }
+  return DataExportJob.create(userId);
+}
+
+async function listExports(userId) {
+  return DataExportJob.listForUser(userId);
+}
+
+/** Presigned download URL for a completed export (valid 15 minutes). */
+async function getExportDownloadUrl(userId, exportId) {
+  const job = await DataExportJob.get(exportId, userId);
+  if (job.status !== "completed" || !job.s3Key) {
+    throw new BadRequestError(job.status === "expired" ? "This export has expired" : "This export is not ready yet");
+  }
+  return { url: await getPresignedUrl(job.s3Key, DOWNLOAD_URL_SECONDS), expiresIn: DOWNLOAD_URL_SECONDS };
+}
+
+/**
+ * Claim and build one queued export.
+ * @returns {Promise<boolean>} true if a job was processed
+ */
+async function processNextExport() {
+  const job = await DataExportJob.claimNext();
+  if (!job) return false;
+
+  const filePath = path.join(os.tmpdir(), `homeops-export-${job.id}-${crypto.randomBytes(4).toString("hex")}.zip`);
+  try {
+    const fileCount = await writeArchive(job.userId, filePath);
+    const key = `exports/users/${job.userId}/${job.id}-${crypto.randomBytes(8).toString("hex")}.zip`;
+    const { size } = await uploadFileFromPath(filePath, key, "application/zip");
+    const expiresAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await DataExportJob.markCompleted(job.id, { s3Key: key, sizeBytes: size, fileCount, expiresAt });
+    await Notification.create({
+      userId: job.userId,
+      type: "data_export_ready",
+      title: "Your data export is ready to download",
+    }).catch(() => {});
+    await notifyReady(job.userId, expiresAt);
+  } catch (err) {
+    const status = await DataExportJob.markFailed(job.id, { error: err.message, maxAttempts: MAX_ATTEMPTS });
+    console.error(`[dataExport] Export ${job.id} failed (now ${status}):`, err.message);
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+  return true;
+}
+
+/** Delete archives past their retention window. */
+async function expireOldExports() {
+  const jobs = await DataExportJob.listExpired();
+  for (const job of jobs) {
+    try {
+      if (job.s3Key) await deleteFile(job.s3Key);
+      await DataExportJob.markExpired(job.id);
+    } catch (err) {
+      console.error(`[dataExport] Could not expire export ${job.id}:`, err.message);
+    }
+  }
+  return jobs.length;
+}
+
+module.exports = {
+  requestExport,
+  listExports,
+  getExportDownloadUrl,
+  processNextExport,
+  expireOldExports,
+  collectPersonalData,
+  exportFileKeys,
+};
@@ -0,0 +1,433 @@
+"use strict";
+
+/**
+ * Document Extraction Service
+ *
+ * Reads structured metadata out of property documents:
+ * - enqueueExtraction queues a document when it is uploaded (or re-versioned).
+ * - A background worker downloads the file, extracts its text and asks the
+ *   document_extraction model to classify it (warranty, invoice, permit, ...)
+ *   and return typed fields (FIELD_DEFINITIONS). Values are normalized (dates
+ *   to YYYY-MM-DD, amounts to numbers) and stored as suggestions. Unsupported
+ *   or unreadable files are skipped; errors are retried with backoff.
+ * - confirmExtraction records the user's confirmations, corrections and
+ *   rejections. Confirmed equipment fields (install date, brand, model and
+ *   serial numbers, installer, warranty) are written to the document's system
+ *   in property_systems.data, and a confirmed future warranty expiry becomes a
+ *   maintenance event (updated, not duplicated, when re-confirmed; cancelled when
+ *   the expiry is rejected or moved into the past).
+ *
+ * Env: DOCUMENT_EXTRACTION_POLL_MS (default 30s), DOCUMENT_EXTRACTION_MAX_ATTEMPTS (default 3)
+ *
+ * Exports: FIELD_DEFINITIONS, DOCUMENT_CLASSES, normalizeValue, enqueueExtraction, extractDocument,
+ *          processExtractionQueue, getExtraction, confirmExtraction, retryExtraction,
+ *          startDocumentExtractionWorker, stopDocumentExtractionWorker
+ */
+
+const db = require("../db");
+const DocumentExtraction = require("../models/documentExtraction");
+const PropertyDocument = require("../models/propertyDocuments");
+const System = require("../models/system");
+const MaintenanceEvent = require("../models/maintenanceEvent");
+const { getFile } = require("./s3Service");
+const { extractText, isSupportedDocument } = require("./extractors");
+const { getLlm } = require("./ai/llmProvider");
+const { recordAudit } = require("./auditService");
+const { BadRequestError } = require("../expressError");
+
+const POLL_MS = parseInt(process.env.DOCUMENT_EXTRACTION_POLL_MS, 10) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.DOCUMENT_EXTRACTION_MAX_ATTEMPTS, 10) || 3;
+const BACKOFF_MINUTES = 5;
+const BATCH_SIZE = 5;
+const MIN_TEXT_CHARS = 30;
+/** Warranty terms, invoice totals and permit numbers sit near the start; long manuals are cut. */
+const MAX_TEXT_CHARS = 15000;
+
+const DOCUMENT_CLASSES = ["warranty", "invoice", "receipt", "permit", "manual", "inspection_report", "other"];
+
+/** Fields the model may return. `system` fields are copied to property_systems.data once confirmed. */
+const FIELD_DEFINITIONS = {
+  installDate: { type: "date", label: "Install date", system: true },
+  installer: { type: "text", label: "Installer", system: true },
+  brand: { type: "text", label: "Brand", system: true },
+  modelNumber: { type: "text", label: "Model number", system: true },
+  serialNumber: { type: "text", label: "Serial number", system: true },
+  warrantyExpiration: { type: "date", label: "Warranty expiration", system: true },
+  warrantyProvider: { type: "text", label: "Warranty provider", system: true },
+  invoiceNumber: { type: "text", label: "Invoice number" },
+  invoiceDate: { type: "date", label: "Invoice date" },
+  invoiceTotal: { type: "number", label: "Invoice total" },
+  vendor: { type: "text", label: "Vendor" },
+  permitNumber: { type: "text", label: "Permit number" },
+  permitType: { type: "text", label: "Permit type" },
+  permitIssuedDate: { type: "date", label: "Permit issue date" },
+};
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+function fieldDefinition(key) {
+  return Object.hasOwn(FIELD_DEFINITIONS, key) ? FIELD_DEFINITIONS[key] : null;
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function clampConfidence(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, Math.round(n * 100) / 100)) : null;
+}
+
+/**
+ * Normalize a raw value for a field type.
+ * @returns {{ valueText, valueDate, valueNumber } | null} null when the value is empty or unreadable
+ */
+function normalizeValue(type, raw) {
+  if (raw == null) return null;
+  if (type === "date") {
+    const text = String(raw).trim();
+    const iso = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(`${text} UTC`);
+    if (Number.isNaN(iso.getTime())) return null;
+    const year = iso.getUTCFullYear();
+    if (year < 1900 || year > 2200) return null;
+    const key = toDateKey(iso);
+    return { valueText: key, valueDate: key, valueNumber: null };
+  }
+  if (type === "number") {
+    const n = typeof raw === "number" ? raw : parseFloat(String(raw).replace(/[^0-9.-]/g, ""));
+    if (!Number.isFinite(n)) return null;
+    const rounded = Math.round(n * 100) / 100;
+    return { valueText: String(rounded), valueDate: null, valueNumber: rounded };
+  }
+  const text = String(raw).trim().slice(0, 255);
+  return text ? { valueText: text, valueDate: null, valueNumber: null } : null;
+}
+
+function buildExtractionPrompt(document, text) {
+  const fieldList = Object.entries(FIELD_DEFINITIONS)
+    .map(([key, def]) => `- ${key} (${def.type}): ${def.label}`)
+    .join("\n");
+  return `Classify this home document and extract the fields it states.
+
+Document name: ${document.document_name}
+Filed under system: ${SYSTEM_LABELS[document.system_key] || document.system_key}
+
+Document classes: ${DOCUMENT_CLASSES.join(", ")}
+
+Fields:
+${fieldList}
+
+Rules:
+- Only include fields the document states explicitly; never guess or infer.
+- Dates as YYYY-MM-DD. If a warranty gives only a term (e.g. "10 years from installation") and the start date is stated, compute the expiration date.
+- invoiceTotal is the final amount due, as a number without currency symbols.
+- sourceSnippet: the short passage (max 200 characters) the value was read from.
+- confidence: 0-1.
+
+DOCUMENT TEXT:
+${text}
+
+Return JSON only (no markdown):
+{
+  "documentClass": "warranty",
+  "classConfidence": 0.9,
+  "summary": "One sentence describing the document",
+  "fields": [{"key": "warrantyExpiration", "value": "2031-06-01", "confidence": 0.85, "sourceSnippet": "..."}]
+}`;
+}
+
+/** Validate and normalize the model's answer; unknown classes become 'other' and unusable fields are dropped. */
+function parseExtraction(data) {
+  const documentClass = DOCUMENT_CLASSES.includes(data.documentClass) ? data.documentClass : "other";
+  const fields = [];
+  const seen = new Set();
+  for (const item of Array.isArray(data.fields) ? data.fields : []) {
+    const def = fieldDefinition(item?.key);
+    if (!def || seen.has(item.key)) continue;
+    const value = normalizeValue(def.type, item.value);
+    if (!value) continue;
+    seen.add(item.key);
+    fields.push({
+      fieldKey: item.key,
+      valueType: def.type,
+      ...value,
+      confidence: clampConfidence(item.confidence),
+      sourceSnippet: item.sourceSnippet ? String(item.sourceSnippet).slice(0, 500) : null,
+    });
+  }
+  return {
+    documentClass,
+    classConfidence: clampConfidence(data.classConfidence),
+    summary: data.summary ? String(data.summary).slice(0, 1000) : null,
+    fields,
+  };
+}
+
+/** Queue a document for extraction. Never throws; failures are logged. */
+async function enqueueExtraction(document) {
+  try {
+    return await DocumentExtraction.enqueue(document.id, document.property_id);
+  } catch (err) {
+    console.error(`[documentExtraction] Could not queue document ${document.id}:`, err.message);
+    return null;
+  }
+}
+
+/** Run one claimed extraction: read the file, ask the model, store the result. Throws on retryable errors. */
+async function extractDocument(extraction) {
+  const document = await PropertyDocument.get(extraction.documentId);
+  if (!isSupportedDocument(document.document_key)) {
+    await DocumentExtraction.markSkipped(extraction.id, "Unsupported file type");
+    return { skipped: true };
+  }
+
+  const buffer = await getFile(document.document_key);
+  const { text } = await extractText(buffer, { fileName: document.document_key });
+  if (!text || text.trim().length < MIN_TEXT_CHARS) {
+    await DocumentExtraction.markSkipped(extraction.id, "Could not extract enough text");
+    return { skipped: true };
+  }
+
+  const llm = getLlm("document_extraction");
+  const { data } = await llm.completeJson({
+    messages: [
+      { role: "system", content: "You output only valid JSON. No markdown, no code blocks, no extra text." },
+      { role: "user", content: buildExtractionPrompt(document, text.trim().slice(0, MAX_TEXT_CHARS)) },
+    ],
+    temperature: 0,
+  });
+  if (!data) throw new Error("Empty AI response");
+
+  const result = parseExtraction(data);
+  await DocumentExtraction.saveResult(extraction.id, { ...result, model: llm.model });
+  return { skipped: false, documentClass: result.documentClass, fieldCount: result.fields.length };
+}
+
+/**
+ * Claim and run due extractions. Does nothing while the model is not configured,
+ * so queued documents wait instead of failing.
+ * @returns {Promise<number>} extractions processed
+ */
+async function processExtractionQueue() {
+  if (!getLlm("document_extraction").configured) return 0;
+  const claimed = await DocumentExtraction.claimDue({ limit: BATCH_SIZE });
+  for (const extraction of claimed) {
+    try {
+      await extractDocument(extraction);
+    } catch (err) {
+      const updated = await DocumentExtraction.markAttemptFailed(extraction.id, {
+        reason: err.message,
+        maxAttempts: MAX_ATTEMPTS,
+        backoffMinutes: BACKOFF_MINUTES,
+      }).catch(() => null);
+      console.error(
+        `[documentExtraction] Document ${extraction.documentId} failed (attempt ${extraction.attempts}/${MAX_ATTEMPTS}, now ${updated?.status ?? "unknown"}):`,
+        err.message
+      );
+    }
+  }
+  return claimed.length;
+}
+
+/** Extraction for a document with its fields, or null if it was never queued. */
+async function getExtraction(documentId) {
+  const extraction = await DocumentExtraction.getByDocumentId(documentId);
+  if (!extraction) return null;
+  return { ...extraction, fields: await DocumentExtraction.listFields(extraction.id) };
+}
+
+/** Re-queue a document (e.g. after a failure or once the model is configured). */
+async function retryExtraction(document) {
+  const existing = await DocumentExtraction.getByDocumentId(document.id);
+  if (existing?.status === "processing") throw new BadRequestError("This document is being processed");
+  return DocumentExtraction.enqueue(document.id, document.property_id);
+}
+
+/** Merge confirmed equipment fields into the document's system. Returns the system, or null if the property has none for that key. */
+async function applyToSystem(document, confirmed) {
+  const values = {};
+  for (const field of confirmed) {
+    if (fieldDefinition(field.fieldKey)?.system) values[field.fieldKey] = field.value;
+  }
+  if (!Object.keys(values).length) return null;
+
+  const systems = await System.get(document.property_id);
+  const system = systems.find((s) => s.system_key === document.system_key);
+  if (!system) return null;
+  return System.update({
+    property_id: document.property_id,
+    system_key: document.system_key,
+    data: { ...(system.data || {}), ...values },
+    next_service_date: system.next_service_date,
+    included: system.included,
+  });
+}
+
+/**
+ * Create or move the maintenance event for a confirmed warranty expiry. When the expiry is
+ * rejected or corrected to a past date, the document's existing event is cancelled so it
+ * stops sending reminders (re-confirming a future date schedules it again).
+ */
+async function syncWarrantyEvent(extraction, document, confirmed, userId) {
+  const expiry = confirmed.find((f) => f.fieldKey === "warrantyExpiration");
+  if (!expiry?.valueDate || expiry.valueDate < toDateKey(new Date())) {
+    if (!extraction.warrantyEventId) return null;
+    return MaintenanceEvent.update(extraction.warrantyEventId, { status: "cancelled" });
+  }
+
+  const systemName = SYSTEM_LABELS[document.system_key] || document.system_key;
+  const provider = confirmed.find((f) => f.fieldKey === "warrantyProvider")?.value;
+  const messageBody = `${systemName} warranty${provider ? ` from ${provider}` : ""} expires on ${expiry.valueDate} `
+    + `(from "${document.document_name}"). Book any covered repairs or inspections before then.`;
+
+  if (extraction.warrantyEventId) {
+    const event = await MaintenanceEvent.getById(extraction.warrantyEventId);
+    return MaintenanceEvent.update(event.id, {
+      scheduled_date: expiry.valueDate,
+      message_body: messageBody,
+      ...(event.status === "cancelled" && { status: "scheduled" }),
+    });
+  }
+  return MaintenanceEvent.create({
+    property_id: document.property_id,
+    system_key: document.system_key,
+    system_name: `${systemName} warranty expires`,
+    scheduled_date: expiry.valueDate,
+    alert_timing: "2w",
+    email_reminder: true,
+    message_enabled: true,
+    message_body: messageBody,
+    created_by: userId,
+  });
+}
+
+/**
+ * Record a user's review of a document's extracted fields and apply the confirmed ones.
+ * @param {Object} context - audit context
+ * @param {Object} document - property document
+ * @param {Object} opts - { fields?: { [fieldKey]: value } (confirm, correcting if the value differs),
+ *                          rejected?: fieldKey[], documentClass?, userId }
+ * @returns {Promise<{ extraction, system, warrantyEvent }>}
+ */
+async function confirmExtraction(context, document, { fields = {}, rejected = [], documentClass, userId }) {
+  const extraction = await DocumentExtraction.getByDocumentId(document.id);
+  if (!extraction || extraction.status !== "completed") {
+    throw new BadRequestError("This document has no completed extraction to review");
+  }
+  const overlap = rejected.filter((key) => fields[key] !== undefined);
+  if (overlap.length) throw new BadRequestError(`Fields cannot be both confirmed and rejected: ${overlap.join(", ")}`);
+
+  const updates = [];
+  for (const [fieldKey, raw] of Object.entries(fields)) {
+    const def = fieldDefinition(fieldKey);
+    if (!def) throw new BadRequestError(`Unknown field: ${fieldKey}`);
+    const value = normalizeValue(def.type, raw);
+    if (!value) throw new BadRequestError(`Invalid ${def.label.toLowerCase()}: ${raw}`);
+    updates.push({ fieldKey, valueType: def.type, ...value, status: "confirmed" });
+  }
+  for (const fieldKey of rejected) {
+    const def = fieldDefinition(fieldKey);
+    if (!def) throw new BadRequestError(`Unknown field: ${fieldKey}`);
+    updates.push({ fieldKey, valueType: def.type, status: "rejected" });
+  }
+
+  const before = await DocumentExtraction.listFields(extraction.id);
+  await db.query("BEGIN");
+  try {
+    for (const update of updates) {
+      await DocumentExtraction.setField(extraction, { ...update, userId });
+    }
+    if (documentClass && documentClass !== extraction.documentClass) {
+      await DocumentExtraction.setDocumentClass(extraction.id, documentClass);
+    }
+    await db.query("COMMIT");
+  } catch (err) {
+    await db.query("ROLLBACK");
+    throw err;
+  }
+  const after = await DocumentExtraction.listFields(extraction.id);
+  const confirmed = after.filter((f) => f.status === "confirmed");
+
+  // Superseded versions keep their fields but no longer drive the system or its warranty event.
+  let system = null;
+  let warrantyEvent = null;
+  if (document.is_current) {
+    system = await applyToSystem(document, confirmed);
+    warrantyEvent = await syncWarrantyEvent(extraction, document, confirmed, userId);
+  }
+  const reviewed = await DocumentExtraction.markReviewed(extraction.id, { userId, warrantyEventId: warrantyEvent?.id });
+
+  const changes = {};
+  for (const field of after) {
+    const prev = before.find((f) => f.fieldKey === field.fieldKey);
+    if (prev && prev.value === field.value && prev.status === field.status) continue;
+    changes[field.fieldKey] = {
+      from: prev ? { value: prev.value, status: prev.status } : null,
+      to: { value: field.value, status: field.status },
+    };
+  }
+  await recordAudit(context, {
+    action: "property_document.extraction_confirmed",
+    entityType: "property_document",
+    entityId: document.id,
+    propertyId: document.property_id,
+    changes: Object.keys(changes).length ? changes : null,
+    metadata: {
+      extractionId: extraction.id,
+      documentClass: reviewed.documentClass,
+      systemUpdated: !!system,
+      warrantyEventId: warrantyEvent?.id ?? null,
+    },
+  });
+
+  return { extraction: { ...reviewed, fields: after }, system, warrantyEvent };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const processed = await processExtractionQueue();
+    if (processed) console.log(`[documentExtraction] Processed ${processed} document(s)`);
+  } catch (err) {
+    console.error("[documentExtraction] Worker pass failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the worker (idempotent). Runs one pass immediately. */
+function startDocumentExtractionWorker() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopDocumentExtractionWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  FIELD_DEFINITIONS,
+  DOCUMENT_CLASSES,
+  normalizeValue,
+  enqueueExtraction,
+  extractDocument,
+  processExtractionQueue,
+  getExtraction,
+  confirmExtraction,
+  retryExtraction,
+  startDocumentExtractionWorker,
+  stopDocumentExtractionWorker,
+};
@@ -3,21 +3,25 @@
 /**
  * Document RAG Service
  *
- * Ingests property documents (PDFs) into vector store for semantic search.
+ * Ingests property documents (PDF, scanned PDF/images via OCR, DOCX, TXT/HTML)
+ * into vector store for semantic search. Chunks are split per page and keep their
+ * page number so excerpts can be cited by page.
  * Used by AI chat to answer questions about document content.
+ *
+ * Only the current version of a document is indexed and searched; chunks of a
+ * superseded version are dropped when a new version is uploaded.
  */
 
-const { PDFParse } = require("pdf-parse");
 const { RecursiveCharacterTextSplitter } = require("@langchain/textsplitters");
-const { OpenAIEmbeddings } = require("@langchain/openai");
 const pgvector = require("pgvector/pg");
 const db = require("../db");
 const { getFile } = require("./s3Service");
 const PropertyDocument = require("../models/propertyDocuments");
+const { extractText, isSupportedDocument } = require("./extractors");
+const { getLlm } = require("./ai/llmProvider");
 
 const CHUNK_SIZE = 800;
 const CHUNK_OVERLAP = 150;
-const EMBEDDING_MODEL = "text-embedding-3-small";
 const TOP_K = 8;
 
 let pgvectorReady = null;
@@ -34,17 +38,6 @@ async function ensurePgVectorTypes() {
   }
 }
 
-async function extractTextFromPdf(buffer) {
-  const parser = new PDFParse({ data: buffer });
-  const result = await parser.getText();
-  return result.text || "";
-}
-
-function isPdfDocument(documentKey) {
-  const key = (documentKey || "").toLowerCase();
-  return key.endsWith(".pdf");
-}
-
 /**
  * Ingest a single document: download, extract text, chunk, embed, store.
  */
@@ -55,13 +48,16 @@ async function ingestDocument(propertyId, documentId) {
   if (doc.property_id !== propertyId) {
     throw new Error("Document does not belong to property");
   }
-  if (!isPdfDocument(doc.document_key)) {
-    return { skipped: true, reason: "Not a PDF" };
+  if (!doc.is_current) {
+    return { skipped: true, reason: "Superseded version" };
+  }
+  if (!isSupportedDocument(doc.document_key)) {
+    return { skipped: true, reason: "Unsupported file type" };
   }
 
   const buffer = await getFile(doc.document_key);
-  const text = await extractTextFromPdf(buffer);
-  if (!text || text.trim().length < 50) {
+  const extraction = await extractText(buffer, { fileName: doc.document_key });
+  if (!extraction.text || extraction.text.trim().length < 50) {
     return { skipped: true, reason: "Could not extract enough text" };
   }
 
@@ -69,19 +65,22 @@ async function ingestDocument(propertyId, documentId) {
     chunkSize: CHUNK_SIZE,
     chunkOverlap: CHUNK_OVERLAP,
   });
-  const chunks = await splitter.splitText(text);
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY not configured");
+  const chunks = [];
+  const chunkPages = [];
+  for (const page of extraction.pages) {
+    if (!page.text || !page.text.trim()) continue;
+    for (const chunk of await splitter.splitText(page.text)) {
+      chunks.push(chunk);
+      chunkPages.push(extraction.paginated ? page.page : null);
+    }
   }
 
-  const embeddingsModel = new OpenAIEmbeddings({
-    openAIApiKey: apiKey,
-    model: EMBEDDING_MODEL,
-  });
+  const llm = getLlm("embeddings");
+  if (!llm.configured) {
+    throw new Error(`Embeddings are not configured. ${llm.missingConfig}`);
+  }
 
-  const vectors = await embeddingsModel.embedDocuments(chunks);
+  const vectors = await llm.embed(chunks);
 
   await db.query(
     `DELETE FROM document_chunks WHERE document_id = $1`,
@@ -91,8 +90,9 @@ async function ingestDocument(propertyId, documentId) {
   for (let i = 0; i < chunks.length; i++) {
     const embeddingSql = pgvector.toSql(vectors[i]);
     await db.query(
-      `INSERT INTO document_chunks (property_id, document_id, document_key, system_key, document_type, chunk_index, content, embedding)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      `INSERT INTO document_chunks (property_id, document_id, document_key, system_key, document_type, chunk_index, content,
+                                    page_number, extractor, embedding)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
       [
         propertyId,
         documentId,
@@ -101,23 +101,33 @@ async function ingestDocument(propertyId, documentId) {
         doc.document_type || "other",
         i,
         chunks[i],
+        chunkPages[i],
+        extraction.extractor,
         embeddingSql,
       ]
     );
   }
 
-  return { chunks: chunks.length };
+  return { chunks: chunks.length, extractor: extraction.extractor };
 }
 
 /**
- * Ingest all PDF documents for a property.
+ * Drop a document's chunks (e.g. when it is superseded by a new version).
+ */
+async function removeDocumentChunks(documentId) {
+  const result = await db.query(`DELETE FROM document_chunks WHERE document_id = $1`, [documentId]);
+  return result.rowCount;
+}
+
+/**
+ * Ingest all supported documents for a property (current versions).
  */
 async function ingestPropertyDocuments(propertyId) {
   await ensurePgVectorTypes();
   const docs = await PropertyDocument.getByPropertyId(propertyId);
   const results = [];
   for (const doc of docs) {
-    if (!isPdfDocument(doc.document_key)) continue;
+    if (!isSupportedDocument(doc.document_key)) continue;
     try {
       const r = await ingestDocument(propertyId, doc.id);
       results.push({ documentId: doc.id, ...r });
@@ -142,24 +152,20 @@ async function searchChunks(propertyId, query, options = {}) {
   }
 
   const { systemKey, limit = TOP_K } = options;
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+  const llm = getLlm("embeddings");
+  if (!llm.configured) {
     return [];
   }
 
-  const embeddingsModel = new OpenAIEmbeddings({
-    openAIApiKey: apiKey,
-    model: EMBEDDING_MODEL,
-  });
-  const [queryEmbedding] = await embeddingsModel.embedDocuments([query]);
+  const [queryEmbedding] = await llm.embed([query]);
   const embeddingSql = pgvector.toSql(queryEmbedding);
 
   let sql = `
-    SELECT c.content, c.system_key, c.document_type, c.document_key,
+    SELECT c.content, c.system_key, c.document_type, c.document_key, c.page_number,
            p.document_name, p.document_date
     FROM document_chunks c
     JOIN property_documents p ON p.id = c.document_id
-    WHERE c.property_id = $1 AND c.embedding IS NOT NULL
+    WHERE c.property_id = $1 AND c.embedding IS NOT NULL AND p.is_current
   `;
   const params = [propertyId];
   let paramIdx = 1;
@@ -192,6 +198,7 @@ async function getDocumentContext(propertyId, query, options = {}) {
     if (c.document_date) meta.push(c.document_date);
     if (c.document_type) meta.push(c.document_type);
     if (c.system_key) meta.push(c.system_key);
+    if (c.page_number) meta.push(`page ${c.page_number}`);
     const source = ` (from ${meta.join(", ")})`;
     return `[Excerpt ${i + 1}${source}]\n${c.content}`;
   });
@@ -201,6 +208,7 @@ async function getDocumentContext(propertyId, query, options = {}) {
 module.exports = {
   ingestDocument,
   ingestPropertyDocuments,
+  removeDocumentChunks,
   searchChunks,
   getDocumentContext,
 };
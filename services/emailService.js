@@ -83,6 +83,166 @@ async function sendPasswordResetEmail({ to, resetUrl, userName }) {
   });
 }
 
+/**
+ * Ask a user to confirm an email address.
+ * @param {Object} opts - { to, verifyUrl, userName?, isChange } (isChange: confirming a new address)
+ */
+async function sendEmailVerificationEmail({ to, verifyUrl, userName, isChange = false }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const intro = isChange
+    ? `You asked to change the email address on your ${appName} account to this one. Confirm it to complete the change:`
+    : `Please confirm this is the email address for your ${appName} account:`;
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Confirm your email address</h2>
+      <p>Hi${userName ? ` ${userName}` : ""},</p>
+      <p>${intro}</p>
+      <p style="margin: 24px 0;">
+        <a href="${verifyUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Confirm Email</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This link expires in 24 hours. If you didn't request this, you can safely ignore this email.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: isChange ? `Confirm your new ${appName} email address` : `Confirm your ${appName} email address`,
+    html,
+  });
+}
+
+/** Tell the previous address that the account's email was changed. */
+async function sendEmailChangedNotice({ to, newEmail, userName }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Your email address was changed</h2>
+      <p>Hi${userName ? ` ${userName}` : ""},</p>
+      <p>The email address on your ${appName} account was changed to <strong>${newEmail}</strong>. You will no longer receive account emails at this address.</p>
+      <p style="color: #6b7280; font-size: 14px;">If you didn't make this change, contact support right away.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: `Your ${appName} email address was changed`,
+    html,
+  });
+}
+
+/** Tell a user their sign-in is locked after repeated failures, with a link to unlock it. */
+async function sendAccountUnlockEmail({ to, unlockUrl, userName, lockedMinutes }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Sign-in temporarily locked</h2>
+      <p>Hi${userName ? ` ${userName}` : ""},</p>
+      <p>We locked sign-in to your ${appName} account for ${lockedMinutes} minutes after several failed attempts. If that was you, click the button below to unlock it now:</p>
+      <p style="margin: 24px 0;">
+        <a href="${unlockUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Unlock Account</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">If it wasn't you, someone may be guessing your password. Consider resetting it and turning on two-factor authentication.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: `Your ${appName} sign-in was locked`,
+    html,
+  });
+}
+
+/** Ask a user to accept ownership of an account. */
+async function sendOwnershipTransferEmail({ to, acceptUrl, recipientName, fromName, accountName, expiresAt }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Accept account ownership</h2>
+      <p>Hi${recipientName ? ` ${escapeHtml(recipientName)}` : ""},</p>
+      <p>${escapeHtml(fromName || "The account owner")} wants to make you the owner of the ${appName} account <strong>${escapeHtml(accountName)}</strong>. As owner you will manage its members, security settings and billing.</p>
+      <p style="margin: 24px 0;">
+        <a href="${acceptUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Review Transfer</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This link expires on ${new Date(expiresAt).toDateString()}. If you weren't expecting this, you can ignore this email or decline the transfer.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: `You've been asked to take over ${accountName} on ${appName}`,
+    html,
+  });
+}
+
+/** Tell a user their personal data export can be downloaded. */
+async function sendDataExportReadyEmail({ to, downloadPageUrl, userName, expiresAt }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Your data export is ready</h2>
+      <p>Hi${userName ? ` ${userName}` : ""},</p>
+      <p>The copy of your ${appName} data you requested is ready. Sign in and download it from your privacy settings before ${new Date(expiresAt).toDateString()}.</p>
+      <p style="margin: 24px 0;">
+        <a href="${downloadPageUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Export</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">If you didn't request this export, change your password and contact support.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: `Your ${appName} data export is ready`,
+    html,
+  });
+}
+
+/** Confirm an account deletion request and when it will run. */
+async function sendAccountErasureScheduledEmail({ to, userName, scheduledFor, cancelUrl }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION)");
+  }
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 480px; margin: 0 auto;">
+      <h2 style="color: #456564;">Your account is scheduled for deletion</h2>
+      <p>Hi${userName ? ` ${userName}` : ""},</p>
+      <p>We received a request to delete your ${appName} account and personal data. It will be permanently deleted on <strong>${new Date(scheduledFor).toDateString()}</strong>.</p>
+      <p>Changed your mind? Sign in and cancel the request before then:</p>
+      <p style="margin: 24px 0;">
+        <a href="${cancelUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Keep My Account</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">If you didn't request this, cancel it and change your password right away.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({
+    to,
+    subject: `Your ${appName} account is scheduled for deletion`,
+    html,
+  });
+}
+
 /**
  * Send invitation email with confirmation link.
  * @param {Object} opts - { to, inviteUrl, inviterName?, inviteeName?, type: 'account'|'property', propertyAddress? }
@@ -153,8 +313,202 @@ async function sendContractorReportEmail({ to, reportUrl, contractorName, proper
   return sendViaSes({ to, subject, html });
 }
 
+/**
+ * Remind a contractor that their report link is about to expire.
+ * @param {Object} opts - { to, reportUrl, contractorName?, propertyAddress?, systemName?, expiresAt }
+ */
+async function sendContractorReportReminderEmail({ to, reportUrl, contractorName, propertyAddress, systemName, expiresAt }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials");
+  }
+
+  const greeting = contractorName ? `Hi ${escapeHtml(contractorName)},` : "Hi,";
+  const propertyText = propertyAddress ? ` for <strong>${escapeHtml(propertyAddress)}</strong>` : "";
+  const systemText = systemName ? ` <strong>${escapeHtml(systemName)}</strong>` : "";
+
+  const subject = `${appName}: Reminder – maintenance report due${propertyAddress ? ` – ${propertyAddress}` : ""}`;
+  const html = `
+    <div style="font-family: sans-serif; max-width: 520px; margin: 0 auto;">
+      <h2 style="color: #456564;">Maintenance Report Reminder</h2>
+      <p>${greeting}</p>
+      <p>The homeowner is still waiting for your${systemText} maintenance report${propertyText}.</p>
+      <p style="margin: 24px 0;">
+        <a href="${reportUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Fill Out Report</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This link expires on ${new Date(expiresAt).toDateString()}. If you have questions, please contact the homeowner directly.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({ to, subject, html });
+}
+
+/**
+ * Tell someone on the property that a contractor report is waiting for their review.
+ * @param {Object} opts - { to, userName?, contractorName?, propertyAddress?, systemName?, reviewUrl }
+ */
+async function sendContractorReportReviewEmail({ to, userName, contractorName, propertyAddress, systemName, reviewUrl }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials");
+  }
+
+  const greeting = userName ? `Hi ${escapeHtml(userName)},` : "Hi,";
+  const contractor = contractorName ? escapeHtml(contractorName) : "Your contractor";
+  const propertyText = propertyAddress ? ` for <strong>${escapeHtml(propertyAddress)}</strong>` : "";
+  const systemText = systemName ? ` <strong>${escapeHtml(systemName)}</strong>` : "";
+
+  const subject = `${appName}: Contractor report ready for review${propertyAddress ? ` – ${propertyAddress}` : ""}`;
+  const html = `
+    <div style="font-family: sans-serif; max-width: 520px; margin: 0 auto;">
+      <h2 style="color: #456564;">Contractor Report Ready for Review</h2>
+      <p>${greeting}</p>
+      <p>${contractor} submitted their${systemText} maintenance report${propertyText}. Nothing has been changed on your records yet.</p>
+      <p>Review the changes and accept them, edit them, or send the report back with comments:</p>
+      <p style="margin: 24px 0;">
+        <a href="${reviewUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Review Report</a>
+      </p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({ to, subject, html });
+}
+
+/**
+ * Send a contractor their report back with the reviewer's comments and a new link.
+ * @param {Object} opts - { to, reportUrl, contractorName?, propertyAddress?, systemName?, reviewerName?, comments, expiresAt }
+ */
+async function sendContractorReportReturnedEmail({
+  to, reportUrl, contractorName, propertyAddress, systemName, reviewerName, comments, expiresAt,
+}) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials");
+  }
+
+  const greeting = contractorName ? `Hi ${escapeHtml(contractorName)},` : "Hi,";
+  const reviewer = reviewerName ? escapeHtml(reviewerName) : "The homeowner";
+  const propertyText = propertyAddress ? ` for <strong>${escapeHtml(propertyAddress)}</strong>` : "";
+  const systemText = systemName ? ` <strong>${escapeHtml(systemName)}</strong>` : "";
+
+  const subject = `${appName}: Changes requested on your report${propertyAddress ? ` – ${propertyAddress}` : ""}`;
+  const html = `
+    <div style="font-family: sans-serif; max-width: 520px; margin: 0 auto;">
+      <h2 style="color: #456564;">Changes Requested</h2>
+      <p>${greeting}</p>
+      <p>${reviewer} reviewed your${systemText} maintenance report${propertyText} and asked for changes:</p>
+      <p style="background-color: #f9fafb; padding: 12px 16px; border-radius: 6px; white-space: pre-line;">${escapeHtml(comments)}</p>
+      <p style="margin: 24px 0;">
+        <a href="${reportUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Update Report</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This link replaces the one you were sent before and expires on ${new Date(expiresAt).toDateString()}.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({ to, subject, html });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Send a reminder for an upcoming maintenance event.
+ * @param {Object} opts - { to, userName?, systemName, scheduledDate, scheduledTime?, propertyAddress?, contractorName?, message?, appUrl? }
+ */
+async function sendMaintenanceReminderEmail({
+  to, userName, systemName, scheduledDate, scheduledTime, propertyAddress, contractorName, message, appUrl,
+}) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials");
+  }
+
+  const greeting = userName ? `Hi ${userName},` : "Hi,";
+  const when = scheduledTime ? `${scheduledDate} at ${String(scheduledTime).slice(0, 5)}` : scheduledDate;
+  const propertyText = propertyAddress ? ` at <strong>${propertyAddress}</strong>` : "";
+  const contractorText = contractorName ? `<p>Contractor: <strong>${contractorName}</strong></p>` : "";
+  const messageText = message
+    ? `<p style="background-color: #f9fafb; padding: 12px 16px; border-radius: 6px; white-space: pre-line;">${escapeHtml(message)}</p>`
+    : "";
+  const buttonText = appUrl
+    ? `<p style="margin: 24px 0;">
+        <a href="${appUrl}" style="background-color: #456564; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Open ${appName}</a>
+      </p>`
+    : "";
+
+  const subject = `${appName}: Reminder – ${systemName} maintenance on ${scheduledDate}`;
+  const html = `
+    <div style="font-family: sans-serif; max-width: 520px; margin: 0 auto;">
+      <h2 style="color: #456564;">Upcoming Maintenance</h2>
+      <p>${greeting}</p>
+      <p><strong>${systemName}</strong> maintenance is scheduled for <strong>${when}</strong>${propertyText}.</p>
+      ${contractorText}
+      ${messageText}
+      ${buttonText}
+      <p style="color: #6b7280; font-size: 14px;">You are receiving this because email reminders are enabled for this event.</p>
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({ to, subject, html });
+}
+
+/**
+ * Send a communication (broadcast message) to one recipient, styled with the account's comm template.
+ * @param {Object} opts - { to, subject, body, userName?, template?: { primaryColor, secondaryColor, footerText }, imageUrl?, appUrl? }
+ */
+async function sendCommunicationEmail({ to, subject, body, userName, template, imageUrl, appUrl }) {
+  if (!isSesConfigured()) {
+    throw new Error("SES not configured. Set SES_FROM_EMAIL and AWS credentials");
+  }
+
+  const primaryColor = template?.primaryColor || "#456564";
+  const secondaryColor = template?.secondaryColor || "#f9fafb";
+  const greeting = userName ? `<p>Hi ${userName},</p>` : "";
+  const imageText = imageUrl
+    ? `<p><img src="${imageUrl}" alt="" style="max-width: 100%; border-radius: 6px;" /></p>`
+    : "";
+  const buttonText = appUrl
+    ? `<p style="margin: 24px 0;">
+        <a href="${appUrl}" style="background-color: ${primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Open ${appName}</a>
+      </p>`
+    : "";
+  const footerText = template?.footerText
+    ? `<p style="color: #6b7280; font-size: 12px;">${escapeHtml(template.footerText)}</p>`
+    : "";
+
+  const html = `
+    <div style="font-family: sans-serif; max-width: 560px; margin: 0 auto;">
+      <h2 style="color: ${primaryColor};">${escapeHtml(subject)}</h2>
+      ${greeting}
+      ${imageText}
+      <div style="background-color: ${secondaryColor}; padding: 16px; border-radius: 6px; white-space: pre-line;">${body || ""}</div>
+      ${buttonText}
+      ${footerText}
+      <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">— The ${appName} Team</p>
+    </div>
+  `;
+
+  return sendViaSes({ to, subject, html });
+}
+
 module.exports = {
   sendPasswordResetEmail,
+  sendAccountUnlockEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangedNotice,
+  sendOwnershipTransferEmail,
+  sendDataExportReadyEmail,
+  sendAccountErasureScheduledEmail,
   sendInvitationEmail,
   sendContractorReportEmail,
+  sendContractorReportReminderEmail,
+  sendContractorReportReviewEmail,
+  sendContractorReportReturnedEmail,
+  sendMaintenanceReminderEmail,
+  sendCommunicationEmail,
 };
@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Email Verification Service
+ *
+ * Confirms that users control their email address, and changes addresses
+ * safely:
+ * - sendVerification emails a single-use link (24h) for the current address;
+ *   resends are throttled (one a minute, ten a day per user, shared with
+ *   change requests).
+ * - requestEmailChange sends the link to the new address; the account keeps
+ *   its current email until that link is used, then the old address is told
+ *   about the change.
+ * - Registration sends a verification link; accepting an emailed invitation
+ *   also counts as verification.
+ *
+ * Exports: sendVerification, requestEmailChange, confirmEmailToken
+ */
+
+const EmailVerificationToken = require("../models/emailVerificationToken");
+const User = require("../models/user");
+const { BadRequestError, TooManyRequestsError, UnauthorizedError } = require("../expressError");
+const { sendEmailVerificationEmail, sendEmailChangedNotice } = require("./emailService");
+const { APP_WEB_ORIGIN, APP_BASE_URL } = require("../config");
+
+const TOKEN_EXPIRY_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_PER_DAY = 10;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function assertCanSend(userId) {
+  const stats = await EmailVerificationToken.recentStats(userId, new Date(Date.now() - 24 * 60 * 60 * 1000));
+  if (stats.count >= MAX_PER_DAY) {
+    throw new TooManyRequestsError("Too many verification emails today. Please try again tomorrow.", 60 * 60);
+  }
+  if (stats.lastAt) {
+    const wait = Math.ceil((new Date(stats.lastAt).getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+    if (wait > 0) {
+      throw new TooManyRequestsError("A verification email was just sent. Please wait before requesting another.", wait);
+    }
+  }
+}
+
+async function issueAndSend(user, { email, purpose }) {
+  await EmailVerificationToken.invalidatePending(user.id, purpose);
+  const expiresAt = new Date(Date.now() + TOKEN_EXPIRY_HOURS * 60 * 60 * 1000);
+  const { token } = await EmailVerificationToken.create({ userId: user.id, email, purpose, expiresAt });
+
+  const baseUrl = APP_BASE_URL || APP_WEB_ORIGIN || "http://localhost:5173";
+  const verifyUrl = `${baseUrl}/#/verify-email?token=${token}`;
+  try {
+    await sendEmailVerificationEmail({ to: email, verifyUrl, userName: user.name, isChange: purpose === "change" });
+  } catch (err) {
+    console.error("[emailVerificationService] Failed to send email:", err.message);
+    if (process.env.NODE_ENV !== "production") {
+      console.log("\n--- Email verification link (dev, email not sent) ---");
+      console.log(verifyUrl);
+      console.log("---\n");
+    }
+  }
+}
+
+/**
+ * Email a verification link for the user's current address.
+ * @returns {Promise<{ success: boolean, alreadyVerified?: boolean }>}
+ */
+async function sendVerification(userId) {
+  const user = await User.getById(userId);
+  if (!user) throw new UnauthorizedError("User not found");
+  if (user.emailVerified) return { success: true, alreadyVerified: true };
+  await assertCanSend(user.id);
+  await issueAndSend(user, { email: user.email, purpose: "verify" });
+  return { success: true };
+}
+
+/**
+ * Start an email change: the new address must be confirmed before it is used.
+ * @param {number} userId
+ * @param {Object} opts - { newEmail, currentPassword } (password required for accounts that have one)
+ */
+async function requestEmailChange(userId, { newEmail, currentPassword }) {
+  const email = typeof newEmail === "string" ? newEmail.trim().toLowerCase() : "";
+  if (!EMAIL_RE.test(email)) throw new BadRequestError("A valid newEmail is required");
+
+  const user = await User.getById(userId);
+  if (!user) throw new UnauthorizedError("User not found");
+  if (email === user.email.toLowerCase()) throw new BadRequestError("That is already your email address");
+
+  const passwordOk = await User.verifyPassword(user.id, currentPassword);
+  if (passwordOk === false) throw new UnauthorizedError("Current password is incorrect");
+
+  if (await User.findByEmailOrNull(email)) throw new BadRequestError("That email address is already in use");
+
+  await assertCanSend(user.id);
+  await issueAndSend(user, { email, purpose: "change" });
+  return { success: true, message: `We sent a confirmation link to ${email}.` };
+}
+
+/**
+ * Use a link from sendVerification or requestEmailChange.
+ * @returns {Promise<{ success: boolean, email: string, emailChanged: boolean }>}
+ */
+async function confirmEmailToken(rawToken) {
+  if (!rawToken || typeof rawToken !== "string") throw new BadRequestError("Verification token is required");
+  const record = await EmailVerificationToken.findValid(rawToken.trim());
+  if (!record || !(await EmailVerificationToken.markUsed(record.id))) {
+    throw new UnauthorizedError("This verification link is invalid or has expired. Please request a new one.");
+  }
+
+  const user = await User.getById(record.userId);
+  if (!user) throw new UnauthorizedError("User not found");
+
+  if (record.purpose === "verify") {
+    if (user.email.toLowerCase() !== record.email.toLowerCase()) {
+      throw new UnauthorizedError("This verification link is for a previous email address.");
+    }
+    await User.markEmailVerified(user.id);
+    return { success: true, email: user.email, emailChanged: false };
+  }
+
+  const previousEmail = user.email;
+  const updated = await User.changeEmail(user.id, record.email);
+  try {
+    await sendEmailChangedNotice({ to: previousEmail, newEmail: updated.email, userName: user.name });
+  } catch (err) {
+    console.error("[emailVerificationService] Failed to notify previous address:", err.message);
+  }
+  return { success: true, email: updated.email, emailChanged: true };
+}
+
+module.exports = {
+  sendVerification,
+  requestEmailChange,
+  confirmEmailToken,
+};
@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Word (.docx) extractor using mammoth. DOCX has no fixed pagination (pages
+ * depend on the renderer), so the result is not paginated.
+ */
+
+const mammoth = require("mammoth");
+
+module.exports = {
+  name: "docx",
+  mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  extensions: ["docx"],
+
+  async extract(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return {
+      paginated: false,
+      pages: [{ page: 1, text: result.value || "", method: "docx" }],
+    };
+  },
+};
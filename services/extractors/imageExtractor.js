@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Image extractor (photos or scans of report pages) via local OCR.
+ * A single image is page 1.
+ */
+
+const { recognizeImages } = require("./ocr");
+
+module.exports = {
+  name: "image_ocr",
+  mimeTypes: ["image/jpeg", "image/jpg", "image/png", "image/webp", "image/bmp", "image/tiff", "image/gif"],
+  extensions: ["jpg", "jpeg", "png", "webp", "bmp", "tif", "tiff", "gif"],
+
+  async extract(buffer) {
+    const [text] = await recognizeImages([buffer]);
+    return {
+      paginated: true,
+      pages: [{ page: 1, text, method: "ocr" }],
+    };
+  },
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+/**
+ * Document Text Extraction
+ *
+ * Pluggable extractors shared by inspection analysis and document RAG. Each
+ * extractor declares the MIME types and file extensions it handles and returns
+ * per-page text:
+ *
+ *   { name, mimeTypes, extensions, extract(buffer, options) => { paginated, pages: [{ page, text, method }] } }
+ *
+ * Built in: pdf (text layer, OCR for scanned pages), image_ocr, docx, text (TXT/HTML).
+ * Additional extractors can be added with registerExtractor.
+ *
+ * Exports: extractText, findExtractor, isSupportedDocument, registerExtractor, joinPages, pageMapOf
+ */
+
+const extractors = [
+  require("./pdfExtractor"),
+  require("./imageExtractor"),
+  require("./docxExtractor"),
+  require("./textExtractor"),
+];
+
+function extensionOf(fileName) {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || "");
+  return match ? match[1].toLowerCase() : null;
+}
+
+/** Add an extractor. It takes precedence over built-ins for the same type. */
+function registerExtractor(extractor) {
+  if (!extractor?.name || typeof extractor.extract !== "function") {
+    throw new Error("Extractor needs a name and an extract function");
+  }
+  extractors.unshift(extractor);
+}
+
+/** Pick an extractor by MIME type, falling back to the file extension. */
+function findExtractor({ mimeType, fileName } = {}) {
+  const mime = (mimeType || "").toLowerCase().split(";")[0].trim();
+  if (mime && mime !== "application/octet-stream") {
+    const byMime = extractors.find((e) => e.mimeTypes.includes(mime));
+    if (byMime) return byMime;
+  }
+  const ext = extensionOf(fileName);
+  return (ext && extractors.find((e) => e.extensions.includes(ext))) || null;
+}
+
+function isSupportedDocument(fileName, mimeType) {
+  return findExtractor({ mimeType, fileName }) != null;
+}
+
+/** Join paginated text with "-- N of M --" page markers (pdf-parse's format) so the AI can cite pages. */
+function joinPages(pages, paginated) {
+  if (!paginated) return pages.map((p) => p.text).join("\n\n");
+  return pages.map((p) => `${p.text}\n-- ${p.page} of ${pages.length} --\n`).join("\n");
+}
+
+/** Compact per-page record of how the text was obtained. */
+function pageMapOf(result) {
+  if (!result.paginated) return [];
+  return result.pages.map((p) => ({ page: p.page, method: p.method, chars: p.text.trim().length }));
+}
+
+/**
+ * Extract text from a document buffer.
+ * @param {Buffer} buffer
+ * @param {Object} options - { mimeType, fileName, ocr = true }
+ * @returns {Promise<{ text: string, pages: Object[], paginated: boolean, extractor: string|null }>}
+ *   extractor is null (and text empty) when the type is not supported
+ */
+async function extractText(buffer, options = {}) {
+  const extractor = findExtractor(options);
+  if (!extractor) return { text: "", pages: [], paginated: false, extractor: null };
+
+  const { paginated, pages } = await extractor.extract(buffer, options);
+  return { text: joinPages(pages, paginated), pages, paginated, extractor: extractor.name };
+}
+
+module.exports = {
+  extractText,
+  findExtractor,
+  isSupportedDocument,
+  registerExtractor,
+  joinPages,
+  pageMapOf,
+};
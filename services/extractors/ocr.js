@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Local OCR with tesseract.js. Used for photos of report pages and for PDF
+ * pages that have no text layer.
+ *
+ * Language data is read from disk, never downloaded: OCR_LANG_PATH when set,
+ * otherwise the @tesseract.js-data/<lang> package (English ships with the app).
+ * Recognition fails with a clear error when the traineddata cannot be found.
+ *
+ * Env: OCR_LANG (default "eng"; "eng+spa" for several), OCR_LANG_PATH (optional;
+ *      directory holding <lang>.traineddata.gz or <lang>.traineddata)
+ *
+ * Exports: recognizeImages
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createWorker } = require("tesseract.js");
+
+const OCR_LANG = process.env.OCR_LANG || "eng";
+
+/** LSTM-only (OEM 1) models; the @tesseract.js-data packages keep them in this folder. */
+const LSTM_DATA_DIR = "4.0.0_best_int";
+
+function hasData(dir, lang, gzip) {
+  return fs.existsSync(path.join(dir, `${lang}.traineddata${gzip ? ".gz" : ""}`));
+}
+
+/**
+ * Where to load traineddata from for the configured languages.
+ * @returns {{ langPath: string, gzip: boolean }}
+ */
+function resolveLangData(langs) {
+  const configured = process.env.OCR_LANG_PATH;
+  const candidates = [];
+  if (configured) {
+    candidates.push(configured);
+  } else if (langs.length === 1) {
+    try {
+      const pkg = require.resolve(`@tesseract.js-data/${langs[0]}/package.json`);
+      candidates.push(path.join(path.dirname(pkg), LSTM_DATA_DIR));
+    } catch {
+      // not installed; reported below
+    }
+  }
+
+  for (const dir of candidates) {
+    for (const gzip of [true, false]) {
+      if (langs.every((lang) => hasData(dir, lang, gzip))) return { langPath: dir, gzip };
+    }
+  }
+
+  const where = configured
+    ? `OCR_LANG_PATH (${configured})`
+    : langs.length === 1
+      ? `the @tesseract.js-data/${langs[0]} package`
+      : "OCR_LANG_PATH (required when OCR_LANG names several languages)";
+  throw new Error(`OCR language data for "${langs.join("+")}" was not found in ${where}. Install it or point OCR_LANG_PATH at a directory with the traineddata files.`);
+}
+
+/**
+ * OCR a list of images with a single worker.
+ * @param {Array<Buffer|Uint8Array>} images
+ * @returns {Promise<string[]>} text per image, in order
+ */
+async function recognizeImages(images) {
+  if (images.length === 0) return [];
+  const { langPath, gzip } = resolveLangData(OCR_LANG.split("+"));
+  const worker = await createWorker(OCR_LANG, 1, { langPath, gzip, cacheMethod: "none" });
+  try {
+    const texts = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(Buffer.from(image));
+      texts.push(data.text || "");
+    }
+    return texts;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+module.exports = { recognizeImages };
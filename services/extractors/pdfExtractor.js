@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * PDF extractor. Uses the text layer; pages with (almost) no text, as in
+ * scanned reports, are rendered and run through OCR.
+ *
+ * Env: OCR_MAX_PAGES (default 40) caps how many pages of one PDF are OCR'd
+ */
+
+const { PDFParse } = require("pdf-parse");
+const { recognizeImages } = require("./ocr");
+
+/** Pages with fewer characters than this are treated as scanned. */
+const MIN_PAGE_TEXT = 20;
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 40;
+const OCR_RENDER_SCALE = 2;
+
+module.exports = {
+  name: "pdf",
+  mimeTypes: ["application/pdf"],
+  extensions: ["pdf"],
+
+  async extract(buffer, { ocr = true } = {}) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText();
+      const pages = result.pages.map((p) => ({ page: p.num, text: p.text || "", method: "text" }));
+
+      const scanned = pages.filter((p) => p.text.trim().length < MIN_PAGE_TEXT).slice(0, OCR_MAX_PAGES);
+      if (ocr && scanned.length > 0) {
+        const shots = await parser.getScreenshot({
+          partial: scanned.map((p) => p.page),
+          scale: OCR_RENDER_SCALE,
+          imageBuffer: true,
+          imageDataUrl: false,
+        });
+        const texts = await recognizeImages(shots.pages.map((s) => s.data));
+        shots.pages.forEach((shot, i) => {
+          const page = pages.find((p) => p.page === shot.pageNumber);
+          if (page && texts[i]) {
+            page.text = texts[i];
+            page.method = "ocr";
+          }
+        });
+      }
+
+      return { paginated: true, pages };
+    } finally {
+      await parser.destroy();
+    }
+  },
+};
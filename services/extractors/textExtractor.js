@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Plain text and HTML extractor. HTML is reduced to text: scripts/styles are
+ * dropped, block elements become line breaks and common entities are decoded.
+ * Not paginated.
+ */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return n >= 0 && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|table)>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n\s*\n+/g, "\n\n")
+    .trim();
+}
+
+function isHtml(mimeType, fileName) {
+  return mimeType === "text/html" || /\.html?$/i.test(fileName || "");
+}
+
+module.exports = {
+  name: "text",
+  mimeTypes: ["text/plain", "text/html", "text/markdown", "text/csv"],
+  extensions: ["txt", "text", "md", "csv", "html", "htm"],
+
+  async extract(buffer, { mimeType, fileName } = {}) {
+    const raw = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    const text = isHtml(mimeType, fileName) ? htmlToText(raw) : raw;
+    return {
+      paginated: false,
+      pages: [{ page: 1, text, method: isHtml(mimeType, fileName) ? "html" : "text" }],
+    };
+  },
+};
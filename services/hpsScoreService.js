@@ -0,0 +1,380 @@
+"use strict";
+
+/**
+ * Home Performance Score (HPS) Service
+ *
+ * Computes properties.hps_score (0-100) from:
+ * - System age: years since install (property_systems.data) vs. expected lifespan;
+ *   falls back to the home's (effective) year built
+ * - Open inspection_checklist_items, weighted by severity
+ * - Overdue maintenance_events (next open occurrence in the past)
+ * - Recent property_maintenance records (credit for work done in the last year)
+ * - AI risk_flags from property_ai_summary_state
+ *
+ * Each system starts at 100 and every factor adds or removes points with an
+ * explanation. The property score is the weighted average of system scores,
+ * minus risk flags that are not tied to a system. Results are stored with a
+ * per-system breakdown via PropertyScore.
+ *
+ * scheduleScoreRecalc is called after writes that affect the inputs; it
+ * coalesces bursts of writes per property into one recalculation.
+ *
+ * Exports: computeScore, recalculateScore, scheduleScoreRecalc, getScore, getSystemAge
+ */
+
+const db = require("../db");
+const PropertyScore = require("../models/propertyScore");
+const { isExcludedSystem, normalizeSystemType } = require("./systemTypes");
+
+const RECALC_DELAY_MS = 2000;
+
+/** Expected service life in years. */
+const SYSTEM_LIFESPANS = {
+  roof: 25, gutters: 25, foundation: 80, exterior: 30, windows: 25,
+  heating: 18, ac: 15, waterHeating: 10, electrical: 40, plumbing: 40,
+  safety: 10, inspections: null,
+};
+const DEFAULT_LIFESPAN = 25;
+
+/** Relative weight of each system in the property score. */
+const SYSTEM_WEIGHTS = {
+  roof: 1.5, foundation: 1.5, electrical: 1.25, plumbing: 1.25,
+  heating: 1.25, ac: 1, waterHeating: 1, exterior: 1, windows: 1,
+  gutters: 0.75, safety: 1, inspections: 0.5,
+};
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+const CHECKLIST_PENALTIES = { urgent: 20, critical: 20, high: 12, medium: 6, low: 2 };
+const RISK_PENALTIES = { urgent: 12, critical: 12, high: 10, medium: 5, low: 2 };
+
+const CAPS = {
+  age: 40,
+  checklist: 45,
+  overdue: 25,
+  risk: 20,
+  recentMaintenance: 10,
+  propertyRisk: 10,
+};
+
+/** Keys in property_systems.data that may hold an install date or year. */
+const INSTALL_DATE_KEYS = [
+  "installDate", "installationDate", "installedDate", "install_date", "installed_at",
+  "replacedDate", "lastReplaced", "replacementDate",
+];
+const INSTALL_YEAR_KEYS = ["yearInstalled", "installYear", "year_installed", "installedYear", "year"];
+const AGE_KEYS = ["age", "ageYears", "age_years", "systemAge"];
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function systemLabel(systemKey) {
+  return SYSTEM_LABELS[systemKey] || systemKey;
+}
+
+function normalizeLevel(value) {
+  return String(value || "").toLowerCase().trim();
+}
+
+/**
+ * Age of a system in years, from its data or the home's year built.
+ * @returns {{ years: number, source: string } | null}
+ */
+function getSystemAge(data, property, now = new Date()) {
+  const d = data || {};
+  const currentYear = now.getFullYear();
+
+  for (const key of INSTALL_DATE_KEYS) {
+    if (!d[key]) continue;
+    const date = new Date(d[key]);
+    if (!Number.isNaN(date.getTime()) && date <= now) {
+      return { years: round1((now - date) / (365.25 * 24 * 60 * 60 * 1000)), source: key };
+    }
+  }
+  for (const key of INSTALL_YEAR_KEYS) {
+    const year = parseInt(d[key], 10);
+    if (year > 1800 && year <= currentYear) return { years: currentYear - year, source: key };
+  }
+  for (const key of AGE_KEYS) {
+    const age = parseFloat(d[key]);
+    if (Number.isFinite(age) && age >= 0 && age < 200) return { years: age, source: key };
+  }
+
+  const built = parseInt(property?.effective_year_built, 10) || parseInt(property?.year_built, 10);
+  if (built > 1800 && built <= currentYear) {
+    return { years: currentYear - built, source: "year_built" };
+  }
+  return null;
+}
+
+function ageFactor(systemKey, age) {
+  const lifespan = SYSTEM_LIFESPANS[systemKey] === undefined ? DEFAULT_LIFESPAN : SYSTEM_LIFESPANS[systemKey];
+  if (!age || !lifespan) return null;
+
+  const ratio = age.years / lifespan;
+  let impact = 0;
+  if (ratio > 1) impact = 25 + Math.min(15, (ratio - 1) * 30);
+  else if (ratio > 0.5) impact = (ratio - 0.5) * 50;
+  impact = Math.round(clamp(impact, 0, CAPS.age));
+
+  const estimated = age.source === "year_built" ? " (estimated from the home's year built)" : "";
+  return {
+    type: "age",
+    impact: -impact,
+    label: `${age.years} years old of an expected ~${lifespan}${estimated}`,
+    detail: { ageYears: age.years, lifespanYears: lifespan, source: age.source },
+  };
+}
+
+function checklistFactor(items) {
+  if (!items.length) return null;
+  let impact = 0;
+  const counts = {};
+  for (const item of items) {
+    const level = normalizeLevel(item.severity || item.priority) || "medium";
+    const weight = item.status === "deferred" ? 0.5 : 1;
+    impact += (CHECKLIST_PENALTIES[level] ?? CHECKLIST_PENALTIES.medium) * weight;
+    counts[level] = (counts[level] || 0) + 1;
+  }
+  impact = Math.round(Math.min(impact, CAPS.checklist));
+  const summary = Object.entries(counts).map(([level, n]) => `${n} ${level}`).join(", ");
+  return {
+    type: "inspection_findings",
+    impact: -impact,
+    label: `${items.length} open inspection finding${items.length === 1 ? "" : "s"} (${summary})`,
+    detail: { items: items.map((i) => ({ id: i.id, title: i.title, severity: i.severity || i.priority, status: i.status })) },
+  };
+}
+
+function overdueFactor(events) {
+  if (!events.length) return null;
+  let impact = 0;
+  for (const e of events) impact += 8 + Math.min(7, Math.floor(e.days_overdue / 30));
+  impact = Math.round(Math.min(impact, CAPS.overdue));
+  const worst = Math.max(...events.map((e) => e.days_overdue));
+  return {
+    type: "overdue_maintenance",
+    impact: -impact,
+    label: `${events.length} overdue maintenance event${events.length === 1 ? "" : "s"} (up to ${worst} days late)`,
+    detail: { events: events.map((e) => ({ id: e.id, dueDate: e.due_date, daysOverdue: e.days_overdue })) },
+  };
+}
+
+function recentMaintenanceFactor(records) {
+  if (!records.length) return null;
+  const impact = Math.min(records.length * 5, CAPS.recentMaintenance);
+  return {
+    type: "recent_maintenance",
+    impact,
+    label: `${records.length} maintenance record${records.length === 1 ? "" : "s"} completed in the last 12 months`,
+    detail: { records: records.map((r) => ({ id: r.id, completedAt: r.completed_at })) },
+  };
+}
+
+function riskFactor(flags, cap) {
+  if (!flags.length) return null;
+  let impact = 0;
+  for (const f of flags) impact += RISK_PENALTIES[normalizeLevel(f.severity)] ?? RISK_PENALTIES.medium;
+  impact = Math.round(Math.min(impact, cap));
+  return {
+    type: "risk_flags",
+    impact: -impact,
+    label: `${flags.length} AI-identified risk${flags.length === 1 ? "" : "s"}`,
+    detail: { flags: flags.map((f) => ({ message: f.message, severity: f.severity })) },
+  };
+}
+
+/** Map a free-form system reference onto one of the property's system keys. */
+function resolveSystemKey(raw, knownKeys) {
+  if (!raw) return null;
+  if (knownKeys.has(raw)) return raw;
+  const normalized = normalizeSystemType(String(raw));
+  if (normalized && knownKeys.has(normalized)) return normalized;
+  const lower = String(normalized || raw).toLowerCase();
+  for (const key of knownKeys) {
+    if (key.toLowerCase() === lower) return key;
+  }
+  return normalized || null;
+}
+
+/**
+ * Compute the score from already-loaded inputs. Pure; no DB access.
+ * @param {Object} inputs - { property, systems, checklistItems, overdueEvents, recentRecords, riskFlags }
+ * @returns {{ score: number|null, systems: Object[], factors: Object[] }}
+ */
+function computeScore(inputs, now = new Date()) {
+  const { property, systems = [], checklistItems = [], overdueEvents = [], recentRecords = [], riskFlags = [] } = inputs;
+
+  const bySystem = new Map();
+  const ensure = (key) => {
+    if (!bySystem.has(key)) bySystem.set(key, { data: {}, checklist: [], overdue: [], records: [], risks: [] });
+    return bySystem.get(key);
+  };
+
+  for (const s of systems) {
+    if (s.included === false || isExcludedSystem(s.system_key)) continue;
+    ensure(s.system_key).data = s.data || {};
+  }
+  const knownKeys = new Set(bySystem.keys());
+  const attach = (raw, field, row, { knownOnly = false } = {}) => {
+    const key = resolveSystemKey(raw, knownKeys);
+    if (!key || isExcludedSystem(key)) return false;
+    if (knownOnly && !knownKeys.has(key)) return false;
+    ensure(key)[field].push(row);
+    return true;
+  };
+
+  for (const item of checklistItems) attach(item.system_key, "checklist", item);
+  for (const event of overdueEvents) attach(event.system_key, "overdue", event);
+  for (const record of recentRecords) attach(record.system_key, "records", record);
+  const propertyRisks = [];
+  for (const flag of riskFlags) {
+    if (!flag || typeof flag !== "object") continue;
+    if (!attach(flag.system || flag.systemType, "risks", flag, { knownOnly: true })) propertyRisks.push(flag);
+  }
+
+  const systemScores = [];
+  for (const [systemKey, input] of bySystem) {
+    const factors = [
+      ageFactor(systemKey, getSystemAge(input.data, property, now)),
+      checklistFactor(input.checklist),
+      overdueFactor(input.overdue),
+      riskFactor(input.risks, CAPS.risk),
+      recentMaintenanceFactor(input.records),
+    ].filter(Boolean);
+    const score = clamp(Math.round(100 + factors.reduce((sum, f) => sum + f.impact, 0)), 0, 100);
+    systemScores.push({
+      systemKey,
+      name: systemLabel(systemKey),
+      score,
+      weight: SYSTEM_WEIGHTS[systemKey] ?? 1,
+      factors,
+    });
+  }
+  systemScores.sort((a, b) => a.score - b.score || a.systemKey.localeCompare(b.systemKey));
+
+  const propertyFactors = [riskFactor(propertyRisks, CAPS.propertyRisk)].filter(Boolean);
+  if (systemScores.length === 0) {
+    return { score: null, systems: [], factors: propertyFactors };
+  }
+
+  const totalWeight = systemScores.reduce((sum, s) => sum + s.weight, 0);
+  const weighted = systemScores.reduce((sum, s) => sum + s.score * s.weight, 0) / totalWeight;
+  const score = clamp(Math.round(weighted + propertyFactors.reduce((sum, f) => sum + f.impact, 0)), 0, 100);
+  return { score, systems: systemScores, factors: propertyFactors };
+}
+
+async function loadScoreInputs(propertyId) {
+  const [propertyRes, systemsRes, checklistRes, overdueRes, recordsRes, aiRes] = await Promise.all([
+    db.query(
+      `SELECT id, year_built, effective_year_built FROM properties WHERE id = $1`,
+      [propertyId]
+    ),
+    db.query(
+      `SELECT system_key, data, included FROM property_systems WHERE property_id = $1`,
+      [propertyId]
+    ),
+    db.query(
+      `SELECT id, system_key, title, severity, priority, status
+       FROM inspection_checklist_items
+       WHERE property_id = $1 AND status IN ('pending', 'in_progress', 'deferred')`,
+      [propertyId]
+    ),
+    db.query(
+      `SELECT id, system_key,
+              to_char(COALESCE(next_occurrence_date, scheduled_date), 'YYYY-MM-DD') AS due_date,
+              (CURRENT_DATE - COALESCE(next_occurrence_date, scheduled_date))::int AS days_overdue
+       FROM maintenance_events
+       WHERE property_id = $1
+         AND status = 'scheduled'
+         AND COALESCE(next_occurrence_date, scheduled_date) < CURRENT_DATE`,
+      [propertyId]
+    ),
+    db.query(
+      `SELECT id, system_key, completed_at
+       FROM property_maintenance
+       WHERE property_id = $1
+         AND completed_at IS NOT NULL
+         AND completed_at <= NOW()
+         AND completed_at >= NOW() - INTERVAL '12 months'`,
+      [propertyId]
+    ),
+    db.query(
+      `SELECT risk_flags FROM property_ai_summary_state WHERE property_id = $1`,
+      [propertyId]
+    ),
+  ]);
+
+  return {
+    property: propertyRes.rows[0] || null,
+    systems: systemsRes.rows,
+    checklistItems: checklistRes.rows,
+    overdueEvents: overdueRes.rows,
+    recentRecords: recordsRes.rows,
+    riskFlags: Array.isArray(aiRes.rows[0]?.risk_flags) ? aiRes.rows[0].risk_flags : [],
+  };
+}
+
+/**
+ * Recompute and store the score for a property.
+ * @returns {Promise<{ score: number|null, breakdown: Object, computedAt: Date }|null>} null if the property is gone
+ */
+async function recalculateScore(propertyId, { triggerSource = "manual" } = {}) {
+  const inputs = await loadScoreInputs(propertyId);
+  if (!inputs.property) return null;
+
+  const { score, systems, factors } = computeScore(inputs);
+  const breakdown = { systems, factors };
+  const saved = await PropertyScore.save(propertyId, { score, breakdown, triggerSource });
+  return { score, breakdown, computedAt: saved.computedAt, triggerSource: saved.triggerSource };
+}
+
+const pending = new Map();
+
+/** Recalculate shortly after a write; repeated calls for the same property are coalesced. */
+function scheduleScoreRecalc(propertyId, triggerSource) {
+  const id = parseInt(propertyId, 10);
+  if (!id) return;
+  if (pending.has(id)) clearTimeout(pending.get(id));
+  const timer = setTimeout(() => {
+    pending.delete(id);
+    recalculateScore(id, { triggerSource }).catch((err) =>
+      console.error(`[hpsScore] Recalculation failed for property ${id}:`, err.message)
+    );
+  }, RECALC_DELAY_MS);
+  timer.unref?.();
+  pending.set(id, timer);
+}
+
+/** Latest stored score for a property, computing it on first request. */
+async function getScore(propertyId) {
+  const latest = await PropertyScore.getLatest(propertyId);
+  if (latest) {
+    return {
+      score: latest.score,
+      breakdown: latest.breakdown,
+      computedAt: latest.computedAt,
+      triggerSource: latest.triggerSource,
+    };
+  }
+  return recalculateScore(propertyId, { triggerSource: "initial" });
+}
+
+module.exports = {
+  computeScore,
+  recalculateScore,
+  scheduleScoreRecalc,
+  getScore,
+  getSystemAge,
+};
@@ -0,0 +1,396 @@
+"use strict";
+
+/**
+ * ICS Service
+ *
+ * Builds iCalendar (RFC 5545) documents for maintenance calendars, used by the
+ * subscribable calendar feeds and single-event .ics downloads.
+ *
+ * - Recurring events are emitted once with an RRULE (+ UNTIL from recurrence_end_date);
+ *   skipped occurrences become EXDATEs and modified ones RECURRENCE-ID overrides.
+ * - Events with a time use DTSTART;TZID=<event timezone>; events without one are all-day.
+ *   Each zone referenced gets a VTIMEZONE built from its current-year offsets (yearly
+ *   RRULE observances), so local-time recurrences keep their wall-clock time across DST.
+ * - A VALARM is derived from alert_timing / alert_custom_days.
+ * - Inspection due dates (property_systems.next_service_date) are all-day events.
+ *
+ * Exports: buildMaintenanceCalendar, buildRRule
+ */
+
+const { APP_NAME, APP_BASE_URL } = require("../config");
+const { getRecurrenceRule } = require("../helpers/recurrence");
+
+const ALERT_LEAD_DAYS = { "1d": 1, "3d": 3, "1w": 7, "2w": 14 };
+const DEFAULT_DURATION = "PT1H";
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+const UID_DOMAIN = (() => {
+  try {
+    return new URL(APP_BASE_URL).hostname || "homeops";
+  } catch (err) {
+    return "homeops";
+  }
+})();
+
+/** Escape a TEXT value (RFC 5545 §3.3.11). */
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets without splitting multi-byte characters. */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  let limit = 75;
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = "";
+      limit = 74; // continuation lines start with a space
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatDate(dateKey) {
+  return dateKey.replace(/-/g, "");
+}
+
+function formatLocalDateTime(dateKey, time) {
+  const [h = "00", m = "00", s = "00"] = String(time).split(":");
+  return `${formatDate(dateKey)}T${h.padStart(2, "0")}${m.padStart(2, "0")}${s.slice(0, 2).padStart(2, "0")}`;
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/** Offset (ms) of a timezone from UTC at a given instant. */
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - timestamp;
+}
+
+/** UTC instant of a wall-clock date/time in a timezone. */
+function zonedToUtc(dateKey, time, timeZone) {
+  const [y, mo, d] = dateKey.split("-").map(Number);
+  const [h = 0, mi = 0, s = 0] = String(time).split(":").map((v) => parseInt(v, 10) || 0);
+  const wallClock = Date.UTC(y, mo - 1, d, h, mi, s);
+  const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+  return new Date(wallClock - timeZoneOffset(guess, timeZone));
+}
+
+function formatOffset(ms) {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  const sign = ms < 0 ? "-" : "+";
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, "0")}${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/** UTC instants (to the minute) at which a timezone's offset changes during a year. */
+function offsetTransitions(timeZone, year) {
+  const DAY = 86400000;
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let prev = Date.UTC(year, 0, 1);
+  let prevOffset = timeZoneOffset(prev, timeZone);
+  for (let t = prev + DAY; t <= end; t += DAY) {
+    const offset = timeZoneOffset(t, timeZone);
+    if (offset !== prevOffset) {
+      let lo = prev;
+      let hi = t;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+        if (timeZoneOffset(mid, timeZone) === prevOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ at: hi, from: prevOffset, to: offset });
+    }
+    prev = t;
+    prevOffset = offset;
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE lines for a zone, using its rules for the given year as yearly observances
+ * (nth / last weekday of the month) anchored in 1970.
+ */
+function buildVTimezone(timeZone, year) {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const transitions = offsetTransitions(timeZone, year);
+  if (transitions.length === 0) {
+    const offset = formatOffset(timeZoneOffset(Date.UTC(year, 0, 1), timeZone));
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      "END:STANDARD",
+    );
+  }
+  for (const { at, from, to } of transitions) {
+    // Observance DTSTART is the wall-clock time of the change in the prior offset.
+    const local = new Date(at + from);
+    const month = local.getUTCMonth();
+    const day = local.getUTCDate();
+    const weekday = local.getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+
+    let anchorDay;
+    if (nth === -1) {
+      const last = new Date(Date.UTC(1970, month + 1, 0));
+      anchorDay = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+    } else {
+      const first = new Date(Date.UTC(1970, month, 1)).getUTCDay();
+      anchorDay = 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+    }
+    const anchorDate = `1970-${String(month + 1).padStart(2, "0")}-${String(anchorDay).padStart(2, "0")}`;
+    const time = local.toISOString().slice(11, 19);
+    const kind = to > from ? "DAYLIGHT" : "STANDARD";
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocalDateTime(anchorDate, time)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${nth}${["SU", "MO", "TU", "WE", "TH", "FR", "SA"][weekday]}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`,
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * RRULE value for an event, or null for one-time events.
+ * Month-based rules ending on days 29-31 use BYSETPOS so short months fall on their
+ * last day, matching how the app expands occurrences (Jan 31 → Apr 30).
+ * @param {Object} event - scheduled_date / recurrence_* as YYYY-MM-DD strings
+ * @param {string} [until] - formatted UNTIL value
+ */
+function buildRRule(event, until = null) {
+  const rule = getRecurrenceRule(event);
+  if (!rule) return null;
+
+  let value;
+  if (rule.unit === "months") {
+    const yearly = rule.value % 12 === 0;
+    value = yearly ? `FREQ=YEARLY;INTERVAL=${rule.value / 12}` : `FREQ=MONTHLY;INTERVAL=${rule.value}`;
+    const day = parseInt(event.scheduled_date.slice(8, 10), 10);
+    if (day > 28) {
+      const days = [];
+      for (let d = 28; d <= day; d++) days.push(d);
+      if (yearly) value += `;BYMONTH=${parseInt(event.scheduled_date.slice(5, 7), 10)}`;
+      value += `;BYMONTHDAY=${days.join(",")};BYSETPOS=-1`;
+    }
+  } else if (rule.unit === "weeks") {
+    value = `FREQ=WEEKLY;INTERVAL=${rule.value}`;
+  } else {
+    value = `FREQ=DAILY;INTERVAL=${rule.value}`;
+  }
+  return until ? `${value};UNTIL=${until}` : value;
+}
+
+function leadDays(event) {
+  if (event.alert_timing === "custom") {
+    const days = parseInt(event.alert_custom_days, 10);
+    return days > 0 ? days : ALERT_LEAD_DAYS["3d"];
+  }
+  return ALERT_LEAD_DAYS[event.alert_timing] ?? ALERT_LEAD_DAYS["3d"];
+}
+
+function propertyLabel(row) {
+  return row.property_name || [row.address, row.city, row.state].filter(Boolean).join(", ");
+}
+
+/** DTSTART-style property for a date (and optional time) of an event. */
+function dateProperty(name, dateKey, time, timeZone) {
+  if (!time) return `${name};VALUE=DATE:${formatDate(dateKey)}`;
+  if (timeZone) return `${name};TZID=${timeZone}:${formatLocalDateTime(dateKey, time)}`;
+  return `${name}:${formatLocalDateTime(dateKey, time)}`;
+}
+
+function buildVEvent(fields) {
+  const {
+    uid, stamp, dateKey, time, timeZone, summary, description, location,
+    rrule, exdates = [], recurrenceId, seriesTime, alarmDays, status,
+  } = fields;
+
+  const lines = ["BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${stamp}`];
+  lines.push(dateProperty("DTSTART", dateKey, time, timeZone));
+  lines.push(time ? `DURATION:${DEFAULT_DURATION}` : "DURATION:P1D");
+  if (recurrenceId) lines.push(dateProperty("RECURRENCE-ID", recurrenceId, seriesTime, timeZone));
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  for (const exdate of exdates) lines.push(dateProperty("EXDATE", exdate, time, timeZone));
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (status) lines.push(`STATUS:${status}`);
+  if (alarmDays) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `TRIGGER:-P${alarmDays}D`,
+      `DESCRIPTION:${escapeText(summary)}`,
+      "END:VALARM",
+    );
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function maintenanceFields(event, overrides = {}) {
+  const merged = { ...event, ...overrides };
+  const systemName = merged.system_name || SYSTEM_LABELS[merged.system_key] || merged.system_key;
+  const property = propertyLabel(event);
+  const description = [
+    `System: ${systemName}`,
+    merged.contractor_name ? `Contractor: ${merged.contractor_name}` : null,
+    property ? `Property: ${property}` : null,
+    merged.message_enabled && merged.message_body ? `\n${merged.message_body}` : null,
+  ].filter(Boolean).join("\n");
+
+  return {
+    summary: `${systemName} maintenance${merged.contractor_name ? ` – ${merged.contractor_name}` : ""}`,
+    description,
+    location: [event.address, event.city, event.state].filter(Boolean).join(", ") || null,
+  };
+}
+
+/** VEVENT lines for one maintenance event: the series plus one override per modified occurrence. */
+function buildMaintenanceEventLines(event, exceptions) {
+  const timeZone = event.scheduled_time && isValidTimeZone(event.timezone) ? event.timezone : null;
+  const time = event.scheduled_time || null;
+  const stamp = formatUtc(event.updated_at || new Date());
+  const uid = `maintenance-event-${event.id}@${UID_DOMAIN}`;
+  const recurring = Boolean(getRecurrenceRule(event));
+
+  let until = null;
+  if (recurring && event.recurrence_end_date) {
+    if (!time) until = formatDate(event.recurrence_end_date);
+    else if (timeZone) until = formatUtc(zonedToUtc(event.recurrence_end_date, time, timeZone));
+    else until = formatLocalDateTime(event.recurrence_end_date, time);
+  }
+
+  const skipped = exceptions.filter((x) => x.status === "skipped").map((x) => x.occurrence_date);
+  const lines = buildVEvent({
+    uid, stamp, dateKey: event.scheduled_date, time, timeZone,
+    ...maintenanceFields(event),
+    rrule: recurring ? buildRRule(event, until) : null,
+    exdates: recurring ? skipped : [],
+    alarmDays: leadDays(event),
+    status: event.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+  });
+  if (!recurring) return lines;
+
+  for (const x of exceptions) {
+    const hasOverrides = x.override_date || x.override_time || Object.keys(x.overrides || {}).length > 0;
+    if (x.status === "skipped" || !hasOverrides) continue;
+    const overrideTime = x.override_time || time;
+    lines.push(...buildVEvent({
+      uid, stamp: formatUtc(x.updated_at || event.updated_at || new Date()),
+      dateKey: x.override_date || x.occurrence_date,
+      time: overrideTime,
+      seriesTime: time,
+      timeZone: overrideTime ? timeZone : null,
+      recurrenceId: x.occurrence_date,
+      ...maintenanceFields(event, x.overrides),
+      alarmDays: leadDays(event),
+      status: "CONFIRMED",
+    }));
+  }
+  return lines;
+}
+
+function buildInspectionLines(row, stamp) {
+  const systemName = SYSTEM_LABELS[row.system_key] || row.system_key;
+  const property = propertyLabel(row);
+  return buildVEvent({
+    uid: `inspection-${row.property_id}-${row.system_key}@${UID_DOMAIN}`,
+    stamp,
+    dateKey: row.next_service_date,
+    summary: `${systemName} inspection due`,
+    description: [`System: ${systemName}`, property ? `Property: ${property}` : null].filter(Boolean).join("\n"),
+    location: [row.address, row.city, row.state].filter(Boolean).join(", ") || null,
+  });
+}
+
+/**
+ * Build a VCALENDAR document.
+ * @param {Object} params
+ * @param {string} params.name - Calendar display name (X-WR-CALNAME)
+ * @param {Object[]} params.events - maintenance_events rows (dates as YYYY-MM-DD, plus property fields)
+ * @param {Object[]} [params.exceptions] - maintenance_event_exceptions rows for those events
+ * @param {Object[]} [params.inspections] - property_systems rows with next_service_date
+ * @returns {string}
+ */
+function buildMaintenanceCalendar({ name, events, exceptions = [], inspections = [] }) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${escapeText(APP_NAME)}//Maintenance Calendar//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  const timeZones = new Set(
+    events.filter((e) => e.scheduled_time && isValidTimeZone(e.timezone)).map((e) => e.timezone),
+  );
+  const year = new Date().getUTCFullYear();
+  for (const timeZone of timeZones) lines.push(...buildVTimezone(timeZone, year));
+
+  const exceptionsByEvent = new Map();
+  for (const x of exceptions) {
+    if (!exceptionsByEvent.has(x.event_id)) exceptionsByEvent.set(x.event_id, []);
+    exceptionsByEvent.get(x.event_id).push(x);
+  }
+  for (const event of events) {
+    lines.push(...buildMaintenanceEventLines(event, exceptionsByEvent.get(event.id) || []));
+  }
+
+  const maintenanceKeys = new Set(events.map((e) => `${e.property_id}-${e.system_key}-${e.scheduled_date}`));
+  for (const row of inspections) {
+    if (maintenanceKeys.has(`${row.property_id}-${row.system_key}-${row.next_service_date}`)) continue;
+    lines.push(...buildInspectionLines(row, stamp));
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  buildMaintenanceCalendar,
+  buildRRule,
+};
@@ -1,34 +1,128 @@
 "use strict";
 
 /**
- * Lightweight in-process queue for inspection analysis jobs.
- * Suitable for dev/single-instance. Can be upgraded to BullMQ/Redis later.
+ * Inspection Analysis Queue
+ *
+ * Postgres-backed queue for inspection_analysis_jobs. Jobs are rows, so queued
+ * work survives restarts and deploys, and any number of instances can run the
+ * worker: claiming uses FOR UPDATE SKIP LOCKED so each job runs once.
+ *
+ * - Concurrency: each instance runs at most INSPECTION_QUEUE_CONCURRENCY jobs at a time
+ * - Retries: errors thrown by runAnalysis re-queue the job with exponential backoff
+ *   until max_attempts is reached, then the job is failed
+ * - Heartbeats: a running job refreshes heartbeat_at; 'processing' jobs whose
+ *   heartbeat is older than INSPECTION_JOB_STALE_SECONDS (worker crashed) are
+ *   re-queued or failed
+ * - Cancellation: see InspectionAnalysisJob.cancel; runAnalysis stops at its next checkpoint
+ *
+ * Env: INSPECTION_QUEUE_CONCURRENCY (default 2), INSPECTION_QUEUE_POLL_MS (default 10s),
+ *      INSPECTION_JOB_STALE_SECONDS (default 300)
+ *
+ * Exports: enqueue, processQueue, startInspectionQueue, stopInspectionQueue
  */
 
+const os = require("os");
+const InspectionAnalysisJob = require("../models/inspectionAnalysisJob");
 const { runAnalysis } = require("./inspectionAnalysisService");
 
-const queue = [];
-let processing = false;
+const CONCURRENCY = parseInt(process.env.INSPECTION_QUEUE_CONCURRENCY, 10) || 2;
+const POLL_MS = parseInt(process.env.INSPECTION_QUEUE_POLL_MS, 10) || 10 * 1000;
+const STALE_SECONDS = parseInt(process.env.INSPECTION_JOB_STALE_SECONDS, 10) || 300;
+const HEARTBEAT_MS = Math.max(5000, Math.floor((STALE_SECONDS * 1000) / 5));
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const active = new Set();
+
+/** Run one claimed job, keeping its heartbeat fresh until it finishes. */
+async function runClaimed(job) {
+  const heartbeat = setInterval(() => {
+    InspectionAnalysisJob.heartbeat(job.id, WORKER_ID).catch((err) =>
+      console.error(`[inspectionAnalysisQueue] Heartbeat failed for job ${job.id}:`, err.message)
+    );
+  }, HEARTBEAT_MS);
+  heartbeat.unref?.();
 
-async function processNext() {
-  if (processing || queue.length === 0) return;
-  processing = true;
-  const jobId = queue.shift();
   try {
-    await runAnalysis(jobId);
+    await runAnalysis(job.id);
   } catch (err) {
-    console.error("[inspectionAnalysisQueue] Job failed:", jobId, err);
+    const updated = await InspectionAnalysisJob.markAttemptFailed(job.id, { reason: err.message })
+      .catch((markErr) => {
+        console.error(`[inspectionAnalysisQueue] Could not record failure for job ${job.id}:`, markErr.message);
+        return null;
+      });
+    console.error(
+      `[inspectionAnalysisQueue] Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}, now ${updated?.status ?? "unknown"}):`,
+      err.message
+    );
   } finally {
-    processing = false;
-    if (queue.length > 0) {
-      setImmediate(processNext);
-    }
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Recover stale jobs and claim as many due jobs as there are free slots.
+ * Claimed jobs run in the background; returns once they are started.
+ * @returns {Promise<{ recovered: number, claimed: number }>}
+ */
+async function processQueue() {
+  const recovered = await InspectionAnalysisJob.recoverStale({ staleSeconds: STALE_SECONDS });
+  for (const job of recovered) {
+    console.warn(`[inspectionAnalysisQueue] Job ${job.id} stopped responding; now ${job.status}`);
+  }
+
+  const free = CONCURRENCY - active.size;
+  if (free <= 0) return { recovered: recovered.length, claimed: 0 };
+
+  const jobs = await InspectionAnalysisJob.claimNext({ limit: free, workerId: WORKER_ID });
+  for (const job of jobs) {
+    const run = runClaimed(job).finally(() => {
+      active.delete(run);
+      setImmediate(tick);
+    });
+    active.add(run);
   }
+  return { recovered: recovered.length, claimed: jobs.length };
 }
 
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await processQueue();
+  } catch (err) {
+    console.error("[inspectionAnalysisQueue] Poll failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Notify the worker that a job was queued so it starts without waiting for the next poll.
+ * The job row itself is the queue entry; this is only a wake-up.
+ */
 function enqueue(jobId) {
-  queue.push(jobId);
-  setImmediate(processNext);
+  setImmediate(tick);
+}
+
+/** Start polling for queued jobs (idempotent). Runs one pass immediately. */
+function startInspectionQueue() {
+  if (timer) return;
+  timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopInspectionQueue() {
+  if (timer) clearInterval(timer);
+  timer = null;
 }
 
-module.exports = { enqueue };
+module.exports = {
+  enqueue,
+  processQueue,
+  startInspectionQueue,
+  stopInspectionQueue,
+};
@@ -3,12 +3,16 @@
 /**
  * Inspection Report Analysis Service
  *
- * Downloads PDF from S3, extracts text, calls OpenAI for structured analysis,
+ * Downloads the report from S3, extracts text (PDF, scanned PDF/photo via OCR,
+ * DOCX, TXT/HTML; see extractors), calls the configured LLM for structured analysis,
  * normalizes to canonical system list.
+ *
+ * runAnalysis is driven by inspectionAnalysisQueue. Permanent failures (unreadable
+ * report, missing configuration) mark the job failed here; failures that may be
+ * transient (storage, AI provider, database) are thrown so the queue can retry.
+ * Cancellation is checked between the expensive steps.
  */
 
-const { PDFParse } = require("pdf-parse");
-const OpenAI = require("openai");
 const db = require("../db");
 const { getFile } = require("./s3Service");
 const InspectionAnalysisJob = require("../models/inspectionAnalysisJob");
@@ -18,23 +22,26 @@ const { AWS_S3_BUCKET } = require("../config");
 const { detectSystemsFromText } = require("./aiChatService");
 const { triggerReanalysisOnInspection } = require("./ai/propertyReanalysisService");
 const { CANONICAL_SYSTEMS, isExcludedSystem, normalizeSystemType } = require("./systemTypes");
+const { scheduleScoreRecalc } = require("./hpsScoreService");
+const { extractText, findExtractor, pageMapOf } = require("./extractors");
+const { getLlm } = require("./ai/llmProvider");
+const { emitPropertyEvent } = require("./webhookService");
 
-async function extractTextFromPdf(buffer) {
-  const parser = new PDFParse({ data: buffer });
-  const result = await parser.getText();
-  return result.text;
-}
-
-async function extractTextFromBuffer(buffer, mimeType) {
-  if (mimeType === "application/pdf" || !mimeType) {
-    try {
-      return await extractTextFromPdf(buffer);
-    } catch (err) {
-      console.error("[inspectionAnalysis] PDF parse error:", err.message);
-      return "";
-    }
+/**
+ * Extract report text. Jobs without a recognizable type are treated as PDFs, as before.
+ * A supported file that cannot be read (corrupt PDF/DOCX, missing OCR data) comes back
+ * with `error` set; `extractor` is null only for unsupported types.
+ */
+async function extractReportText(buffer, job) {
+  const fileName = job.file_name || job.s3_key;
+  const mimeType = job.mime_type || (findExtractor({ fileName }) ? null : "application/pdf");
+  try {
+    return await extractText(buffer, { mimeType, fileName });
+  } catch (err) {
+    console.error("[inspectionAnalysis] Text extraction error:", err.message);
+    const extractor = findExtractor({ mimeType, fileName });
+    return { text: "", pages: [], paginated: false, extractor: extractor?.name ?? null, error: err.message };
   }
-  return "";
 }
 
 const CANONICAL_SYSTEMS_LIST = CANONICAL_SYSTEMS.join(", ");
@@ -195,7 +202,7 @@ function extractSystemSection(fullText, systemType, sectionHint) {
  * Run multi-pass analysis: inventory pass then per-system extraction.
  * Falls back to single-pass for short reports.
  */
-async function runMultiPassAnalysis(openai, textToUse, propertyContext, keywordDetections, progressCb) {
+async function runMultiPassAnalysis(llm, textToUse, propertyContext, keywordDetections, progressCb) {
   const preDetectedSystems = keywordDetections.map((d) => d.system);
   const preDetectionHint = preDetectedSystems.length > 0
     ? `\nA keyword scan found references to: ${preDetectedSystems.join(", ")}. Include them if appropriate.\n`
@@ -204,18 +211,14 @@ async function runMultiPassAnalysis(openai, textToUse, propertyContext, keywordD
 
   /* ── Pass 1: System Inventory ── */
   await progressCb("Analyzing report — identifying systems...");
-  const inventoryCompletion = await openai.chat.completions.create({
-    model: "gpt-4o",
+  const { data: inventory } = await llm.completeJson({
     messages: [
       { role: "system", content: "You output only valid JSON. No markdown, no code blocks, no extra text." },
       { role: "user", content: ctxPrefix + INVENTORY_PROMPT + preDetectionHint + textToUse },
     ],
     temperature: 0.15,
-    response_format: { type: "json_object" },
   });
-  const inventoryContent = inventoryCompletion.choices[0]?.message?.content;
-  if (!inventoryContent) throw new Error("Empty response from AI inventory pass");
-  const inventory = JSON.parse(inventoryContent);
+  if (!inventory) throw new Error("Empty response from AI inventory pass");
 
   const inventorySystems = (inventory.systems || [])
     .map((s) => ({
@@ -262,18 +265,15 @@ async function runMultiPassAnalysis(openai, textToUse, propertyContext, keywordD
         const trimmed = sectionText.length > maxSectionChars ? sectionText.slice(0, maxSectionChars) : sectionText;
         const prompt = PER_SYSTEM_PROMPT.replace(/\{SYSTEM_TYPE\}/g, sys.systemType);
 
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4o",
+        const { data } = await llm.completeJson({
           messages: [
             { role: "system", content: "You output only valid JSON. No markdown, no code blocks, no extra text." },
             { role: "user", content: prompt + trimmed },
           ],
           temperature: 0.15,
-          response_format: { type: "json_object" },
         });
-        const content = completion.choices[0]?.message?.content;
-        if (!content) return null;
-        return { systemType: sys.systemType, data: JSON.parse(content) };
+        if (!data) return null;
+        return { systemType: sys.systemType, data };
       })
     );
 
@@ -336,14 +336,13 @@ async function runMultiPassAnalysis(openai, textToUse, propertyContext, keywordD
 /**
  * Run legacy single-pass analysis for short reports.
  */
-async function runSinglePassAnalysis(openai, textToUse, propertyContext, keywordDetections) {
+async function runSinglePassAnalysis(llm, textToUse, propertyContext, keywordDetections) {
   const preDetectedSystems = keywordDetections.map((d) => d.system);
   const preDetectionHint = preDetectedSystems.length > 0
     ? `\n\nA keyword scan found references to: ${preDetectedSystems.join(", ")}. Consider which canonical or custom systems these relate to and include them in systemsDetected and suggestedSystemsToAdd where appropriate.\n\n`
     : "";
 
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o",
+  const { data } = await llm.completeJson({
     messages: [
       { role: "system", content: "You output only valid JSON. No markdown, no code blocks, no extra text." },
       {
@@ -352,12 +351,9 @@ async function runSinglePassAnalysis(openai, textToUse, propertyContext, keyword
       },
     ],
     temperature: 0.2,
-    response_format: { type: "json_object" },
   });
-
-  const content = completion.choices[0]?.message?.content;
-  if (!content) throw new Error("Empty response from AI");
-  return JSON.parse(content);
+  if (!data) throw new Error("Empty response from AI");
+  return data;
 }
 
 async function runAnalysis(jobId) {
@@ -366,50 +362,71 @@ async function runAnalysis(jobId) {
     return;
   }
 
+  // A previous attempt saved the result but stopped before marking the job done
+  if (await InspectionAnalysisResult.getByJobId(jobId)) {
+    await InspectionAnalysisJob.updateStatus(jobId, { status: "completed", progress: "Done" });
+    return;
+  }
+
   await InspectionAnalysisJob.updateStatus(jobId, { status: "processing", progress: "Downloading report..." });
 
+  if (!AWS_S3_BUCKET) {
+    await InspectionAnalysisJob.updateStatus(jobId, {
+      status: "failed",
+      error_message: "Report storage is not configured",
+    });
+    return;
+  }
+
   let buffer;
   try {
-    if (!AWS_S3_BUCKET) {
-      throw new Error("S3 bucket not configured");
-    }
     buffer = await getFile(job.s3_key);
   } catch (err) {
     console.error("[inspectionAnalysis] S3 download error:", err);
-    await InspectionAnalysisJob.updateStatus(jobId, {
-      status: "failed",
-      error_message: "Failed to download report from storage",
-    });
-    return;
+    throw new Error("Failed to download report from storage");
   }
 
   await InspectionAnalysisJob.updateStatus(jobId, { progress: "Extracting text..." });
 
-  let text = await extractTextFromBuffer(buffer, job.mime_type);
+  const extraction = await extractReportText(buffer, job);
+  const text = extraction.text;
 
+  if (!extraction.extractor) {
+    await InspectionAnalysisJob.updateStatus(jobId, {
+      status: "failed",
+      error_message: "Unsupported file type. Upload a PDF, image, Word (.docx), or text report.",
+    });
+    return;
+  }
+  if (extraction.error) {
+    await InspectionAnalysisJob.updateStatus(jobId, {
+      status: "failed",
+      error_message: `Could not read the report: ${extraction.error}`,
+    });
+    return;
+  }
   if (!text || text.trim().length < 100) {
     await InspectionAnalysisJob.updateStatus(jobId, {
       status: "failed",
-      error_message: "Could not extract enough text from the report. The file may be scanned or corrupted.",
+      error_message: "Could not extract enough text from the report. The file may be unreadable or corrupted.",
     });
     return;
   }
 
   const keywordDetections = detectSystemsFromText(text);
 
+  if (await InspectionAnalysisJob.isCancelled(jobId)) return;
   await InspectionAnalysisJob.updateStatus(jobId, { progress: "Analyzing with AI..." });
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+  const llm = getLlm("inspection_analysis");
+  if (!llm.configured) {
     await InspectionAnalysisJob.updateStatus(jobId, {
       status: "failed",
-      error_message: "AI analysis is not configured. Set OPENAI_API_KEY.",
+      error_message: `AI analysis is not configured. ${llm.missingConfig}`,
     });
     return;
   }
 
-  const openai = new OpenAI({ apiKey });
-
   const maxChars = 100000;
   const textToUse = text.length > maxChars ? text.slice(0, maxChars) : text;
 
@@ -422,7 +439,7 @@ async function runAnalysis(jobId) {
     if (useMultiPass) {
       console.log(`[inspectionAnalysis] Using multi-pass analysis (${textToUse.length} chars)`);
       parsed = await runMultiPassAnalysis(
-        openai,
+        llm,
         textToUse,
         propertyContext,
         keywordDetections,
@@ -430,17 +447,15 @@ async function runAnalysis(jobId) {
       );
     } else {
       console.log(`[inspectionAnalysis] Using single-pass analysis (${textToUse.length} chars)`);
-      parsed = await runSinglePassAnalysis(openai, textToUse, propertyContext, keywordDetections);
+      parsed = await runSinglePassAnalysis(llm, textToUse, propertyContext, keywordDetections);
     }
   } catch (err) {
-    console.error("[inspectionAnalysis] OpenAI error:", err);
-    await InspectionAnalysisJob.updateStatus(jobId, {
-      status: "failed",
-      error_message: err.message || "AI analysis failed",
-    });
-    return;
+    console.error("[inspectionAnalysis] LLM error:", err);
+    throw new Error(err.message || "AI analysis failed");
   }
 
+  if (await InspectionAnalysisJob.isCancelled(jobId)) return;
+
   const condition = parsed.condition || {};
   const conditionRating = (condition.rating || "unknown").toLowerCase();
   const validCondition = ["excellent", "good", "fair", "poor"].includes(conditionRating)
@@ -545,7 +560,12 @@ async function runAnalysis(jobId) {
       suggested_systems_to_add: suggestedSystemsToAdd,
       maintenance_suggestions: maintenanceSuggestions,
       summary: parsed.summary || null,
-      citations: parsed.citations || [],
+      // Page numbers are meaningless for unpaginated formats (DOCX, TXT)
+      citations: extraction.paginated
+        ? parsed.citations || []
+        : (parsed.citations || []).map((c) => ({ ...c, page: null })),
+      extractor: extraction.extractor,
+      page_map: pageMapOf(extraction),
     });
 
     // Auto-generate checklist items from the analysis
@@ -553,18 +573,23 @@ async function runAnalysis(jobId) {
     await InspectionChecklistItem.generateFromAnalysis(result).catch((err) =>
       console.error("[inspectionAnalysis] Checklist generation failed:", err.message)
     );
+    scheduleScoreRecalc(job.property_id, "inspection_analysis");
 
     await InspectionAnalysisJob.updateStatus(jobId, { status: "completed", progress: "Done" });
 
     triggerReanalysisOnInspection(job.property_id, result).catch((err) =>
       console.error("[propertyReanalysis] Inspection trigger failed:", err.message)
     );
+    emitPropertyEvent(job.property_id, "inspection_analysis.completed", {
+      jobId,
+      analysisResultId: result.id,
+      conditionRating: validCondition,
+      needsAttentionCount: needsAttention.length,
+      summary: result.summary ?? null,
+    }).catch((err) => console.error("[webhooks] inspection_analysis.completed failed:", err.message));
   } catch (err) {
     console.error("[inspectionAnalysis] Save result error:", err);
-    await InspectionAnalysisJob.updateStatus(jobId, {
-      status: "failed",
-      error_message: "Failed to save analysis result",
-    });
+    throw new Error("Failed to save analysis result");
   }
 }
 
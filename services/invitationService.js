@@ -27,6 +27,9 @@ const { onUserCreated } = require("./resourceAutoSend");
 const Notification = require("../models/notification");
 const { sendInvitationEmail } = require("./emailService");
 const { APP_BASE_URL } = require("../config");
+const { emitEvent } = require("./webhookService");
+const { recordAudit } = require("./auditService");
+const { passwordRulesFor, validatePassword } = require("./securityPolicyService");
 
 const VALID_ACCOUNT_ROLES = new Set(["owner", "admin", "member", "view_only"]);
 
@@ -186,6 +189,7 @@ async function acceptInvitation({ rawToken, password, name, invitation: preFetch
       if (existingUser.rows.length > 0) {
         user = existingUser.rows[0];
         if (!user.is_active && password) {
+          validatePassword(password, await passwordRulesFor({ userId: user.id, accountId: invitation.accountId }));
           const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
           await db.query(
             `UPDATE users SET password_hash = $1, is_active = true WHERE id = $2`,
@@ -235,6 +239,7 @@ async function acceptInvitation({ rawToken, password, name, invitation: preFetch
         if (!password || !name) {
         throw new BadRequestError("Name and password are required for new users");
       }
+      validatePassword(password, await passwordRulesFor({ accountId: invitation.accountId }));
       const newUser = await User.register({
         name,
         email: invitation.inviteeEmail,
@@ -281,6 +286,7 @@ async function acceptInvitation({ rawToken, password, name, invitation: preFetch
     }
 
     const accepted = await Invitation.accept(invitation.id, user.id);
+    let addedAccountRole = null;
 
     if (accepted.type === 'property' && accepted.propertyId) {
       await Property.addUserToProperty({
@@ -299,6 +305,7 @@ async function acceptInvitation({ rawToken, password, name, invitation: preFetch
           accountId: accepted.accountId,
           role: accountRole,
         });
+        addedAccountRole = accountRole;
       }
 
       const existingContact = await Contact.getByEmailAndAccount(
@@ -314,7 +321,41 @@ async function acceptInvitation({ rawToken, password, name, invitation: preFetch
       }
     }
 
+    // The invitation link went to this address, so using it verifies the email
+    if (rawToken) await User.markEmailVerified(user.id);
+
     await db.query("COMMIT");
+
+    if (accepted.type === 'property' && accepted.propertyId) {
+      await recordAudit({ actorUserId: user.id }, {
+        action: "property_team.members_added",
+        entityType: "property_team",
+        entityId: accepted.propertyId,
+        propertyId: accepted.propertyId,
+        changes: { [`user:${user.id}`]: { from: null, to: accepted.intendedRole || 'editor' } },
+        metadata: { invitationId: accepted.id },
+      });
+    }
+    if (addedAccountRole) {
+      await recordAudit({ actorUserId: user.id }, {
+        action: "account_user.added",
+        entityType: "account_user",
+        entityId: user.id,
+        accountId: accepted.accountId,
+        changes: { role: { from: null, to: addedAccountRole } },
+        metadata: { invitationId: accepted.id },
+      });
+    }
+
+    emitEvent(accepted.accountId, "invitation.accepted", {
+      invitationId: accepted.id,
+      type: accepted.type,
+      propertyId: accepted.propertyId ?? null,
+      role: accepted.intendedRole ?? null,
+      userId: user.id,
+      email: invitation.inviteeEmail,
+    }).catch((err) => console.error("[webhooks] invitation.accepted failed:", err.message));
+
     return { user, invitation: accepted };
   } catch (err) {
     await db.query("ROLLBACK");
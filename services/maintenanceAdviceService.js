@@ -7,13 +7,11 @@
  * system info) and returns actionable suggestions like "Replace X" or "Maintain Y".
  */
 
-const OpenAI = require("openai");
 const db = require("../db");
 const InspectionAnalysisResult = require("../models/inspectionAnalysisResult");
 const { getAiSummaryForProperty } = require("./ai/propertyReanalysisService");
 const { normalizeSystemType } = require("./systemTypes");
-
-const MODEL = process.env.AI_MAINTENANCE_ADVICE_MODEL || "gpt-4o-mini";
+const { getLlm } = require("./ai/llmProvider");
 
 function matchesSystem(systemKey, rawType) {
   if (!systemKey || !rawType) return false;
@@ -142,14 +140,12 @@ Provide a JSON response with exactly these keys:
 
 Output ONLY valid JSON, no markdown.`;
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+  const llm = getLlm("maintenance_advice");
+  if (!llm.configured) {
     return getFallbackAdvice(systemName, systemContext);
   }
 
-  const openai = new OpenAI({ apiKey });
-  const completion = await openai.chat.completions.create({
-    model: MODEL,
+  const completion = await llm.chat({
     messages: [
       {
         role: "user",
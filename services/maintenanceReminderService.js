@@ -0,0 +1,234 @@
+"use strict";
+
+/**
+ * Maintenance Reminder Service
+ *
+ * Background dispatcher for maintenance_events reminders. On each tick it
+ * loads scheduled occurrences (recurring series expanded, skipped/completed
+ * occurrences excluded) whose alert window may be open, checks the exact
+ * lead time (alert_timing / alert_custom_days) against the current time in
+ * the event's timezone, and delivers to every member of the property:
+ * - in-app: a Notification row (type maintenance_reminder)
+ * - email: via emailService when email_reminder is enabled
+ *
+ * Each delivery is claimed in maintenance_event_reminders before sending, so
+ * reminders are never duplicated across ticks or server instances. Failed
+ * deliveries, and claims left pending by a crashed dispatcher, are retried on
+ * later ticks up to a fixed number of attempts.
+ *
+ * Env: MAINTENANCE_REMINDER_INTERVAL_MS (default 15 min),
+ *      MAINTENANCE_REMINDER_SEND_HOUR (local hour reminders go out, default 8),
+ *      MAINTENANCE_REMINDER_DEFAULT_TZ (used when an event has no timezone, default UTC)
+ *
+ * Exports: dispatchDueReminders, startReminderDispatcher, stopReminderDispatcher,
+ *          getLeadDays, isReminderDue
+ */
+
+const db = require("../db");
+const MaintenanceEvent = require("../models/maintenanceEvent");
+const MaintenanceEventReminder = require("../models/maintenanceEventReminder");
+const Notification = require("../models/notification");
+const { sendMaintenanceReminderEmail } = require("./emailService");
+const { logEmailUsage } = require("./usageService");
+const { APP_BASE_URL } = require("../config");
+
+const INTERVAL_MS = parseInt(process.env.MAINTENANCE_REMINDER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const SEND_HOUR = Number.isInteger(parseInt(process.env.MAINTENANCE_REMINDER_SEND_HOUR, 10))
+  ? parseInt(process.env.MAINTENANCE_REMINDER_SEND_HOUR, 10)
+  : 8;
+const DEFAULT_TZ = process.env.MAINTENANCE_REMINDER_DEFAULT_TZ || "UTC";
+
+const ALERT_LEAD_DAYS = { "1d": 1, "3d": 3, "1w": 7, "2w": 14 };
+
+const SYSTEM_LABELS = {
+  roof: "Roof", gutters: "Gutters", foundation: "Foundation",
+  exterior: "Exterior", windows: "Windows", heating: "Heating",
+  ac: "Air Conditioning", waterHeating: "Water Heating",
+  electrical: "Electrical", plumbing: "Plumbing",
+  safety: "Safety", inspections: "Inspections",
+};
+
+/** Days before the occurrence that the reminder should go out. */
+function getLeadDays(event) {
+  if (event.alert_timing === "custom") {
+    const days = parseInt(event.alert_custom_days, 10);
+    return days > 0 ? days : ALERT_LEAD_DAYS["3d"];
+  }
+  return ALERT_LEAD_DAYS[event.alert_timing] ?? ALERT_LEAD_DAYS["3d"];
+}
+
+function localFormatter(timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", hourCycle: "h23",
+  });
+}
+
+/** Current local date (YYYY-MM-DD) and hour in a timezone. Falls back to DEFAULT_TZ on invalid zones. */
+function getLocalNow(timezone, now = new Date()) {
+  let formatter;
+  try {
+    formatter = localFormatter(timezone || DEFAULT_TZ);
+  } catch (err) {
+    formatter = localFormatter(DEFAULT_TZ);
+  }
+  const parts = formatter.formatToParts(now);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    hour: parseInt(get("hour"), 10),
+  };
+}
+
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** True when the reminder for this occurrence should be sent now.
+ * Due from SEND_HOUR local time on (occurrence - lead days) until the occurrence date itself,
+ * so a reminder missed during downtime still goes out late rather than never.
+ */
+function isReminderDue(event, occurrenceDate, now = new Date()) {
+  const local = getLocalNow(event.timezone, now);
+  const reminderDate = addDays(occurrenceDate, -getLeadDays(event));
+  if (local.date > occurrenceDate) return false;
+  if (local.date > reminderDate) return true;
+  return local.date === reminderDate && local.hour >= SEND_HOUR;
+}
+
+async function getPropertyRecipients(propertyId) {
+  const result = await db.query(
+    `SELECT u.id, u.name, u.email
+     FROM property_users pu
+     JOIN users u ON u.id = pu.user_id
+     WHERE pu.property_id = $1 AND u.is_active = true`,
+    [propertyId]
+  );
+  return result.rows;
+}
+
+function buildTitle(event, systemName, occurrenceDate) {
+  const property = event.property_name || event.address;
+  return `Reminder: ${systemName} maintenance on ${occurrenceDate}${property ? ` – ${property}` : ""}`;
+}
+
+async function deliverInApp(event, occurrenceDate, effectiveDate, user, systemName) {
+  const claim = await MaintenanceEventReminder.claim({
+    eventId: event.id, occurrenceDate, userId: user.id, channel: "in_app",
+  });
+  if (!claim) return false;
+  try {
+    const notification = await Notification.create({
+      userId: user.id,
+      type: "maintenance_reminder",
+      maintenanceEventId: event.id,
+      title: buildTitle(event, systemName, effectiveDate),
+    });
+    await MaintenanceEventReminder.markSent(claim.id, { notificationId: notification.id });
+    return true;
+  } catch (err) {
+    await MaintenanceEventReminder.markFailed(claim.id, err.message);
+    console.error(`[maintenanceReminder] In-app reminder failed for event ${event.id} → user ${user.id}:`, err.message);
+    return false;
+  }
+}
+
+async function deliverEmail(event, occurrenceDate, effectiveDate, user, systemName) {
+  if (!user.email) return false;
+  const claim = await MaintenanceEventReminder.claim({
+    eventId: event.id, occurrenceDate, userId: user.id, channel: "email",
+  });
+  if (!claim) return false;
+  try {
+    await sendMaintenanceReminderEmail({
+      to: user.email,
+      userName: user.name,
+      systemName,
+      scheduledDate: effectiveDate,
+      scheduledTime: event.scheduled_time,
+      propertyAddress: [event.address, event.city, event.state].filter(Boolean).join(", ") || event.property_name,
+      contractorName: event.contractor_name,
+      message: event.message_enabled ? event.message_body : null,
+      appUrl: APP_BASE_URL,
+    });
+    await MaintenanceEventReminder.markSent(claim.id);
+    logEmailUsage({
+      accountId: event.account_id,
+      userId: user.id,
+      emailType: "maintenance_reminder",
+    }).catch((err) => console.error("[maintenanceReminder] Usage log failed:", err.message));
+    return true;
+  } catch (err) {
+    await MaintenanceEventReminder.markFailed(claim.id, err.message);
+    console.error(`[maintenanceReminder] Email reminder failed for event ${event.id} → user ${user.id}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Send every reminder that is due now. Safe to call concurrently from
+ * several instances: each delivery is claimed before it is sent.
+ * @returns {{ events: number, sent: number }}
+ */
+async function dispatchDueReminders(now = new Date()) {
+  const candidates = await MaintenanceEvent.getReminderCandidates();
+  let events = 0;
+  let sent = 0;
+
+  for (const event of candidates) {
+    // Deliveries are keyed by the occurrence's original date; timing follows its effective date
+    const occurrenceDate = event.occurrence_date;
+    const effectiveDate = event.scheduled_date;
+    if (!isReminderDue(event, effectiveDate, now)) continue;
+    events++;
+
+    const systemName = event.system_name || SYSTEM_LABELS[event.system_key] || event.system_key;
+    const recipients = await getPropertyRecipients(event.property_id);
+    for (const user of recipients) {
+      if (await deliverInApp(event, occurrenceDate, effectiveDate, user, systemName)) sent++;
+      if (event.email_reminder && await deliverEmail(event, occurrenceDate, effectiveDate, user, systemName)) sent++;
+    }
+  }
+
+  return { events, sent };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { events, sent } = await dispatchDueReminders();
+    if (sent > 0) console.log(`[maintenanceReminder] Sent ${sent} reminder(s) for ${events} event(s)`);
+  } catch (err) {
+    console.error("[maintenanceReminder] Dispatch failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the periodic dispatcher (idempotent). Runs one pass immediately. */
+function startReminderDispatcher() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopReminderDispatcher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  dispatchDueReminders,
+  startReminderDispatcher,
+  stopReminderDispatcher,
+  getLeadDays,
+  isReminderDue,
+};
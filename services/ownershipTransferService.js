@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * Ownership Transfer Service
+ *
+ * Hands an account from its primary owner (accounts.owner_user_id) to another
+ * registered user:
+ * - requestTransfer emails the recipient a link (valid 7 days); a new request
+ *   replaces the account's pending one.
+ * - acceptTransfer (by the signed-in recipient) makes them primary owner with
+ *   role 'owner', sets the previous owner's role as chosen in the request
+ *   ('owner' keeps them as co-owner, 'remove' drops them), and updates the
+ *   Stripe customer's email and name.
+ * - Every step is recorded in the audit log.
+ *
+ * Exports: requestTransfer, listTransfers, cancelTransfer, getTransferByToken,
+ *          acceptTransfer, declineTransfer
+ */
+
+const Account = require("../models/account");
+const AccountOwnershipTransfer = require("../models/accountOwnershipTransfer");
+const User = require("../models/user");
+const { BadRequestError, ForbiddenError, UnauthorizedError } = require("../expressError");
+const { recordAudit } = require("./auditService");
+const { sendOwnershipTransferEmail } = require("./emailService");
+const { updateStripeCustomerContact } = require("./stripeService");
+const { APP_WEB_ORIGIN, APP_BASE_URL } = require("../config");
+
+const TRANSFER_EXPIRY_DAYS = 7;
+
+/**
+ * Start a transfer. Only the primary owner (or a platform admin acting for them) can transfer.
+ * @param {Object} context - audit context (auditContext(req, res))
+ * @param {Object} opts - { accountId, actingUser, toEmail, previousOwnerRole }
+ */
+async function requestTransfer(context, { accountId, actingUser, toEmail, previousOwnerRole = "admin" }) {
+  const account = await Account.get(accountId);
+  const isPlatformAdmin = (actingUser.role === "super_admin" || actingUser.role === "admin") && !actingUser.apiKeyId;
+  if (account.ownerUserId !== actingUser.id && !isPlatformAdmin) {
+    throw new ForbiddenError("Only the account's primary owner can transfer ownership.");
+  }
+
+  const recipient = await User.findByEmailOrNull(String(toEmail || "").trim().toLowerCase());
+  if (!recipient || !recipient.isActive) {
+    throw new BadRequestError("The new owner must have an active account. Invite them first.");
+  }
+  if (recipient.id === account.ownerUserId) throw new BadRequestError("That user already owns this account");
+
+  await AccountOwnershipTransfer.cancelPending(account.id);
+  const expiresAt = new Date(Date.now() + TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  const { token, ...transfer } = await AccountOwnershipTransfer.create({
+    accountId: account.id,
+    fromUserId: account.ownerUserId,
+    toUserId: recipient.id,
+    previousOwnerRole,
+    expiresAt,
+  });
+
+  const fromUser = await User.getById(account.ownerUserId);
+  const baseUrl = APP_BASE_URL || APP_WEB_ORIGIN || "http://localhost:5173";
+  const acceptUrl = `${baseUrl}/#/accept-ownership?token=${token}`;
+  try {
+    await sendOwnershipTransferEmail({
+      to: recipient.email,
+      acceptUrl,
+      recipientName: recipient.name,
+      fromName: fromUser?.name,
+      accountName: account.name,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("[ownershipTransfer] Failed to send email:", err.message);
+    if (process.env.NODE_ENV !== "production") {
+      console.log("\n--- Ownership transfer link (dev, email not sent) ---");
+      console.log(acceptUrl);
+      console.log("---\n");
+    }
+  }
+
+  await recordAudit(context, {
+    action: "account.ownership_transfer_requested",
+    entityType: "account",
+    entityId: account.id,
+    accountId: account.id,
+    metadata: { transferId: transfer.id, toUserId: recipient.id, previousOwnerRole },
+  });
+  return { ...transfer, toUserEmail: recipient.email, toUserName: recipient.name };
+}
+
+async function listTransfers(accountId) {
+  return AccountOwnershipTransfer.listForAccount(accountId);
+}
+
+async function cancelTransfer(context, { accountId, transferId }) {
+  const transfer = await AccountOwnershipTransfer.cancel(transferId, accountId);
+  await recordAudit(context, {
+    action: "account.ownership_transfer_cancelled",
+    entityType: "account",
+    entityId: transfer.accountId,
+    accountId: transfer.accountId,
+    metadata: { transferId: transfer.id },
+  });
+  return transfer;
+}
+
+/** The pending transfer for an emailed link, for the signed-in recipient. */
+async function getTransferByToken(rawToken, userId) {
+  if (!rawToken || typeof rawToken !== "string") throw new BadRequestError("Transfer token is required");
+  const transfer = await AccountOwnershipTransfer.findPendingByToken(rawToken.trim());
+  if (!transfer) throw new UnauthorizedError("This transfer link is invalid or has expired.");
+  if (transfer.toUserId !== userId) throw new ForbiddenError("This ownership transfer is for a different user.");
+  return transfer;
+}
+
+/** Recipient accepts: ownership moves in one transaction, then billing contact and audit follow. */
+async function acceptTransfer(context, rawToken, userId) {
+  const transfer = await getTransferByToken(rawToken, userId);
+  // Fails if the primary owner changed in the meantime (including a second accept of this link)
+  const account = await Account.transferOwnership({
+    accountId: transfer.accountId,
+    fromUserId: transfer.fromUserId,
+    toUserId: transfer.toUserId,
+    previousOwnerRole: transfer.previousOwnerRole,
+  });
+  await AccountOwnershipTransfer.respond(transfer.id, "accepted");
+
+  try {
+    await updateStripeCustomerContact(account.id, { email: transfer.toUserEmail, name: transfer.toUserName });
+  } catch (err) {
+    console.error(`[ownershipTransfer] Could not update Stripe customer for account ${account.id}:`, err.message);
+  }
+
+  await recordAudit(context, {
+    action: "account.ownership_transferred",
+    entityType: "account",
+    entityId: account.id,
+    accountId: account.id,
+    changes: { ownerUserId: { from: transfer.fromUserId, to: transfer.toUserId } },
+    metadata: { transferId: transfer.id, previousOwnerRole: transfer.previousOwnerRole },
+  });
+  return account;
+}
+
+async function declineTransfer(context, rawToken, userId) {
+  const transfer = await getTransferByToken(rawToken, userId);
+  if (!(await AccountOwnershipTransfer.respond(transfer.id, "declined"))) {
+    throw new UnauthorizedError("This transfer link is invalid or has expired.");
+  }
+  await recordAudit(context, {
+    action: "account.ownership_transfer_declined",
+    entityType: "account",
+    entityId: transfer.accountId,
+    accountId: transfer.accountId,
+    metadata: { transferId: transfer.id },
+  });
+  return { success: true };
+}
+
+module.exports = {
+  requestTransfer,
+  listTransfers,
+  cancelTransfer,
+  getTransferByToken,
+  acceptTransfer,
+  declineTransfer,
+};
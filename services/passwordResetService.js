@@ -13,6 +13,8 @@ const db = require("../db");
 const User = require("../models/user");
 const { BadRequestError, UnauthorizedError } = require("../expressError");
 const { sendPasswordResetEmail } = require("./emailService");
+const { revokeAllSessions } = require("./sessionService");
+const { passwordRulesFor, validatePassword } = require("./securityPolicyService");
 const { BCRYPT_WORK_FACTOR } = require("../config");
 const bcrypt = require("bcrypt");
 
@@ -77,8 +79,8 @@ async function resetPasswordWithToken(token, newPassword) {
   if (!token || typeof token !== "string" || !token.trim()) {
     throw new BadRequestError("Reset token is required");
   }
-  if (!newPassword || newPassword.length < 4) {
-    throw new BadRequestError("New password must be at least 4 characters");
+  if (!newPassword || typeof newPassword !== "string") {
+    throw new BadRequestError("New password is required");
   }
 
   const tokenHash = crypto.createHash("sha256").update(token.trim()).digest("hex");
@@ -103,6 +105,7 @@ async function resetPasswordWithToken(token, newPassword) {
     throw new UnauthorizedError("This reset link has expired. Please request a new one.");
   }
 
+  validatePassword(newPassword, await passwordRulesFor({ userId: row.user_id }));
   const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_WORK_FACTOR);
 
   await db.query("BEGIN");
@@ -121,6 +124,8 @@ async function resetPasswordWithToken(token, newPassword) {
     throw err;
   }
 
+  await revokeAllSessions(row.user_id, { reason: "password_reset" });
+
   return { success: true, message: "Password has been reset successfully. You can now sign in." };
 }
 
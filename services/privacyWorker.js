@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * Privacy Worker
+ *
+ * Background loop for personal data requests: builds queued data exports,
+ * deletes export archives past their download window, and runs account
+ * erasures whose cooling-off period has ended.
+ *
+ * Env: PRIVACY_WORKER_INTERVAL_MS (default 60s)
+ *
+ * Exports: runPrivacyTasks, startPrivacyWorker, stopPrivacyWorker
+ */
+
+const { processNextExport, expireOldExports } = require("./dataExportService");
+const { processDueErasures } = require("./accountErasureService");
+
+const INTERVAL_MS = parseInt(process.env.PRIVACY_WORKER_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_EXPORTS_PER_TICK = 5;
+
+async function runPrivacyTasks() {
+  let exports = 0;
+  while (exports < MAX_EXPORTS_PER_TICK && (await processNextExport())) exports++;
+  const expired = await expireOldExports();
+  const erased = await processDueErasures();
+  return { exports, expired, erased };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    await runPrivacyTasks();
+  } catch (err) {
+    console.error("[privacy] Worker pass failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the worker (idempotent). Runs one pass immediately. */
+function startPrivacyWorker() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopPrivacyWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runPrivacyTasks,
+  startPrivacyWorker,
+  stopPrivacyWorker,
+};
@@ -6,11 +6,14 @@
  * AWS S3 operations for file storage. Uploads files, deletes by key,
  * and generates presigned GET URLs for secure document preview.
  *
- * Exports: uploadFile, deleteFile, getPresignedUrl
+ * Exports: uploadFile, uploadFileFromPath, deleteFile, getPresignedUrl,
+ *          getPresignedUrlForImage, getPresignedUploadUrl, getFileMetadata,
+ *          getFile, getFileStream
  */
 
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const fs = require("fs");
 const { AWS_REGION, AWS_S3_BUCKET } = require("../config");
 
 const s3Client = new S3Client({
@@ -42,6 +45,26 @@ async function uploadFile(fileBuffer, key, contentType) {
   return { key, url };
 }
 
+/**
+ * Upload a local file to S3 without reading it into memory.
+ * @param {string} filePath - Path of the file on disk
+ * @param {string} key - S3 object key
+ * @param {string} contentType - MIME type
+ * @returns {Promise<{ key: string, size: number }>}
+ */
+async function uploadFileFromPath(filePath, key, contentType) {
+  const { size } = await fs.promises.stat(filePath);
+  const command = new PutObjectCommand({
+    Bucket: AWS_S3_BUCKET,
+    Key: key,
+    Body: fs.createReadStream(filePath),
+    ContentLength: size,
+    ContentType: contentType,
+  });
+  await s3Client.send(command);
+  return { key, size };
+}
+
 /**
  * Delete a file from S3 by key.
  */
@@ -100,6 +123,42 @@ async function getPresignedUrlForImage(key, expiresIn = PRESIGNED_EXPIRATION) {
   return getSignedUrl(s3Client, command, { expiresIn });
 }
 
+/**
+ * Generate a presigned PUT URL so a client can upload one object directly.
+ * The upload must send the same Content-Type header.
+ * @param {string} key - S3 object key (path/filename)
+ * @param {string} contentType - MIME type the upload must use
+ * @param {number} [expiresIn=300] - URL expiration in seconds (default 5 min)
+ * @returns {Promise<string>} Presigned URL
+ */
+async function getPresignedUploadUrl(key, contentType, expiresIn = PRESIGNED_EXPIRATION) {
+  const command = new PutObjectCommand({
+    Bucket: AWS_S3_BUCKET,
+    Key: key,
+    ContentType: contentType,
+  });
+  return getSignedUrl(s3Client, command, { expiresIn });
+}
+
+/**
+ * Size and type of an object, or null if it does not exist.
+ * @param {string} key - S3 object key (path/filename)
+ * @returns {Promise<{ size: number, contentType: string }|null>}
+ */
+async function getFileMetadata(key) {
+  const command = new HeadObjectCommand({
+    Bucket: AWS_S3_BUCKET,
+    Key: key,
+  });
+  try {
+    const response = await s3Client.send(command);
+    return { size: response.ContentLength, contentType: response.ContentType };
+  } catch (err) {
+    if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) return null;
+    throw err;
+  }
+}
+
 /**
  * Download a file from S3 as a Buffer.
  * @param {string} key - S3 object key (path/filename)
@@ -118,4 +177,28 @@ async function getFile(key) {
   return Buffer.concat(chunks);
 }
 
-module.exports = { uploadFile, deleteFile, getPresignedUrl, getPresignedUrlForImage, getFile };
\ No newline at end of file
+/**
+ * Open a file in S3 as a readable stream.
+ * @param {string} key - S3 object key (path/filename)
+ * @returns {Promise<import("stream").Readable>}
+ */
+async function getFileStream(key) {
+  const command = new GetObjectCommand({
+    Bucket: AWS_S3_BUCKET,
+    Key: key,
+  });
+  const response = await s3Client.send(command);
+  return response.Body;
+}
+
+module.exports = {
+  uploadFile,
+  uploadFileFromPath,
+  deleteFile,
+  getPresignedUrl,
+  getPresignedUrlForImage,
+  getPresignedUploadUrl,
+  getFileMetadata,
+  getFile,
+  getFileStream,
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * Security Policy Service
+ *
+ * Applies account security policies (AccountSecurityPolicy) to sign-in,
+ * sessions and passwords. A user in several accounts gets the strictest
+ * combination: MFA required if any account requires it (earliest grace
+ * deadline wins), the shortest session limit, only the sign-in methods every
+ * account allows, and the strongest password rules.
+ *
+ * Members who must use MFA but have not set it up still sign in; their access
+ * token carries mfaSetupDue and, once that deadline passes, ensureLoggedIn only
+ * lets them reach /auth and /mfa until they enroll and refresh their tokens.
+ *
+ * Exports: AUTH_METHODS, getEffectivePolicy, checkSignIn, userHasMfa,
+ *          sessionRestrictions, passwordRulesFor, validatePassword
+ */
+
+const AccountSecurityPolicy = require("../models/accountSecurityPolicy");
+const WebauthnCredential = require("../models/webauthnCredential");
+const { BadRequestError, ForbiddenError } = require("../expressError");
+
+const AUTH_METHODS = ["password", "google", "passkey"];
+const AUTH_METHOD_LABELS = { password: "email and password", google: "Google", passkey: "a passkey" };
+const DEFAULT_PASSWORD_RULES = { minLength: 4, requireMixedCase: false, requireNumber: false, requireSymbol: false };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function combinePolicies(policies) {
+  const effective = {
+    requireMfa: false,
+    mfaDeadline: null,
+    maxSessionHours: null,
+    allowedMethods: [...AUTH_METHODS],
+    password: { ...DEFAULT_PASSWORD_RULES },
+  };
+  for (const p of policies) {
+    if (p.requireMfa) {
+      effective.requireMfa = true;
+      const since = p.mfaRequiredSince ? new Date(p.mfaRequiredSince) : new Date();
+      const deadline = new Date(since.getTime() + p.mfaGraceDays * DAY_MS);
+      if (!effective.mfaDeadline || deadline < effective.mfaDeadline) effective.mfaDeadline = deadline;
+    }
+    if (p.maxSessionHours && (!effective.maxSessionHours || p.maxSessionHours < effective.maxSessionHours)) {
+      effective.maxSessionHours = p.maxSessionHours;
+    }
+    effective.allowedMethods = effective.allowedMethods.filter((m) => p.allowedAuthMethods.includes(m));
+    effective.password = {
+      minLength: Math.max(effective.password.minLength, p.passwordMinLength),
+      requireMixedCase: effective.password.requireMixedCase || p.passwordRequireMixedCase,
+      requireNumber: effective.password.requireNumber || p.passwordRequireNumber,
+      requireSymbol: effective.password.requireSymbol || p.passwordRequireSymbol,
+    };
+  }
+  return effective;
+}
+
+/** Strictest combination of the policies of every account the user belongs to. */
+async function getEffectivePolicy(userId) {
+  return combinePolicies(await AccountSecurityPolicy.listForUser(userId));
+}
+
+/**
+ * Reject a sign-in method the user's policies do not allow.
+ * @param {Object} user - { id }
+ * @param {string} method - password | google | passkey
+ * @returns {Promise<Object>} the effective policy
+ */
+async function checkSignIn(user, method) {
+  const policy = await getEffectivePolicy(user.id);
+  if (!policy.allowedMethods.includes(method)) {
+    const allowed = policy.allowedMethods.map((m) => AUTH_METHOD_LABELS[m]);
+    throw new ForbiddenError(allowed.length
+      ? `Your organization requires signing in with ${allowed.join(" or ")}.`
+      : "Your accounts' security policies do not allow any sign-in method. Contact your account owner.");
+  }
+  return policy;
+}
+
+/** TOTP or at least one passkey. */
+async function userHasMfa(user) {
+  return !!user.mfaEnabled || (await WebauthnCredential.countForUser(user.id)) > 0;
+}
+
+/**
+ * Limits for a new or refreshed session.
+ * @returns {Promise<{ maxSessionHours: number|null, mfaSetupDue: Date|null }>}
+ *   mfaSetupDue is set when MFA is required but the user has not set it up
+ */
+async function sessionRestrictions(user, policy = null) {
+  const effective = policy || await getEffectivePolicy(user.id);
+  const mfaSetupDue = effective.requireMfa && !(await userHasMfa(user)) ? effective.mfaDeadline : null;
+  return { maxSessionHours: effective.maxSessionHours, mfaSetupDue };
+}
+
+/** Password rules for a user, optionally including an account they are about to join. */
+async function passwordRulesFor({ userId = null, accountId = null } = {}) {
+  const policies = userId ? await AccountSecurityPolicy.listForUser(userId) : [];
+  if (accountId && !policies.some((p) => String(p.accountId) === String(accountId))) {
+    const joining = await AccountSecurityPolicy.find(accountId);
+    if (joining) policies.push(joining);
+  }
+  return combinePolicies(policies).password;
+}
+
+/** Throws BadRequestError listing every rule the password breaks. */
+function validatePassword(password, rules = DEFAULT_PASSWORD_RULES) {
+  const value = typeof password === "string" ? password : "";
+  const problems = [];
+  if (value.length < rules.minLength) problems.push(`at least ${rules.minLength} characters`);
+  if (rules.requireMixedCase && !(/[a-z]/.test(value) && /[A-Z]/.test(value))) problems.push("upper and lower case letters");
+  if (rules.requireNumber && !/\d/.test(value)) problems.push("a number");
+  if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(value)) problems.push("a symbol");
+  if (problems.length) throw new BadRequestError(`Password must contain ${problems.join(", ")}`);
+}
+
+module.exports = {
+  AUTH_METHODS,
+  getEffectivePolicy,
+  checkSignIn,
+  userHasMfa,
+  sessionRestrictions,
+  passwordRulesFor,
+  validatePassword,
+};
@@ -0,0 +1,183 @@
+"use strict";
+
+/**
+ * Session Service
+ *
+ * Issues and rotates token pairs for user sessions (see UserSession).
+ *
+ * - Sign-in starts a session and records the device (user agent, IP).
+ * - Refresh rotates the refresh token within its session. The old token is kept
+ *   as used; presenting it again is treated as theft and revokes the session
+ *   (the whole token family).
+ * - Revoking a session stops further refreshes. Access tokens already issued
+ *   stay valid until they expire (15 minutes).
+ * - Account security policies can cap a session's age (maxSessionHours, also
+ *   carried in the access token as sexp) and flag members who still have to set
+ *   up MFA (mfaSetupDue claim; see securityPolicyService). Both are re-evaluated
+ *   on every refresh.
+ *
+ * Exports: startSession, rotateSession, endSession, listSessions, revokeSession,
+ *          revokeAllSessions, requestMeta
+ */
+
+const jwt = require("jsonwebtoken");
+const { SECRET_KEY } = require("../config");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const { createAccessToken, createRefreshToken, getRefreshTokenExpiresAt } = require("../helpers/tokens");
+const RefreshToken = require("../models/refreshToken");
+const UserSession = require("../models/userSession");
+const User = require("../models/user");
+const { sessionRestrictions } = require("./securityPolicyService");
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Device details recorded on a session. */
+function requestMeta(req) {
+  const userAgent = req?.get?.("user-agent");
+  return {
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ipAddress: req?.ip || null,
+  };
+}
+
+/** Refresh expiry, capped at the policy's maximum session age. */
+function sessionExpiresAt(sessionStart, maxSessionHours) {
+  const expiresAt = getRefreshTokenExpiresAt();
+  if (!maxSessionHours) return { expiresAt, maxAgeAt: null };
+  const maxAgeAt = new Date(new Date(sessionStart).getTime() + maxSessionHours * 60 * 60 * 1000);
+  return { expiresAt: maxAgeAt < expiresAt ? maxAgeAt : expiresAt, maxAgeAt };
+}
+
+async function issueTokens(user, sessionId, expiresAt, { maxAgeAt = null, mfaSetupDue = null } = {}) {
+  const claims = {
+    ...(maxAgeAt && { sexp: Math.floor(maxAgeAt.getTime() / 1000) }),
+    ...(mfaSetupDue && { mfaSetupDue: mfaSetupDue.toISOString() }),
+  };
+  const accessToken = createAccessToken(user, sessionId, claims);
+  const refreshToken = createRefreshToken(user, sessionId);
+  await RefreshToken.store({
+    userId: user.id,
+    sessionId,
+    tokenHash: RefreshToken.hash(refreshToken),
+    expiresAt,
+  });
+  return {
+    accessToken,
+    refreshToken,
+    ...(mfaSetupDue && { mfaSetupRequired: true, mfaSetupDeadline: mfaSetupDue.toISOString() }),
+  };
+}
+
+/**
+ * Start a session for a successful sign-in.
+ * @param {Object} user - { id, email, role, mfaEnabled }
+ * @param {Object} [req] - request the sign-in came from
+ * @param {Object} [opts]
+ * @param {Object} [opts.policy] - effective security policy, if the caller already loaded it
+ * @returns {Promise<{ accessToken: string, refreshToken: string, mfaSetupRequired?: boolean, mfaSetupDeadline?: string }>}
+ */
+async function startSession(user, req, { policy = null } = {}) {
+  const { maxSessionHours, mfaSetupDue } = await sessionRestrictions(user, policy);
+  const { expiresAt, maxAgeAt } = sessionExpiresAt(new Date(), maxSessionHours);
+  const session = await UserSession.create({ userId: user.id, ...requestMeta(req), expiresAt });
+  return issueTokens(user, session.id, expiresAt, { maxAgeAt, mfaSetupDue });
+}
+
+/**
+ * Exchange a refresh token for a new pair in the same session.
+ * A token that was already rotated revokes its session (reuse detection).
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+async function rotateSession(rawToken, req) {
+  let payload;
+  try {
+    payload = jwt.verify(rawToken, SECRET_KEY);
+  } catch (err) {
+    throw new UnauthorizedError("Invalid or expired refresh token");
+  }
+
+  if (payload.type !== "refresh") {
+    throw new UnauthorizedError("Invalid token type");
+  }
+
+  const stored = await RefreshToken.findByHash(RefreshToken.hash(rawToken));
+  if (!stored || stored.session_revoked_at) {
+    throw new UnauthorizedError("Refresh token has been revoked or is invalid");
+  }
+
+  if (stored.used_at || !(await RefreshToken.markUsed(stored.id))) {
+    await UserSession.revoke(stored.session_id, { reason: "refresh_token_reuse" });
+    console.warn(`[sessionService] Refresh token reuse for user ${stored.user_id}; session ${stored.session_id} revoked`);
+    throw new UnauthorizedError("Refresh token has been revoked or is invalid");
+  }
+
+  const user = await User.getById(stored.user_id);
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError("User account is inactive or not found");
+  }
+
+  const { maxSessionHours, mfaSetupDue } = await sessionRestrictions(user);
+  const { expiresAt, maxAgeAt } = sessionExpiresAt(stored.session_created_at, maxSessionHours);
+  if (maxAgeAt && maxAgeAt <= new Date()) {
+    await UserSession.revoke(stored.session_id, { reason: "session_max_age" });
+    throw new UnauthorizedError("Session has expired. Please sign in again.");
+  }
+
+  await UserSession.touch(stored.session_id, { ...requestMeta(req), expiresAt });
+  const tokens = await issueTokens(user, stored.session_id, expiresAt, { maxAgeAt, mfaSetupDue });
+
+  RefreshToken.cleanupExpired().catch(() => {});
+  UserSession.cleanupExpired().catch(() => {});
+
+  return tokens;
+}
+
+/** Sign out the session a refresh token belongs to. Unknown tokens are ignored. */
+async function endSession(rawToken) {
+  const stored = await RefreshToken.findByHash(RefreshToken.hash(rawToken));
+  if (stored) await UserSession.revoke(stored.session_id, { reason: "signed_out" });
+}
+
+/**
+ * Active sessions for a user; the one making the request is flagged current.
+ * @param {number} userId
+ * @param {string} [currentSessionId] - sid of the caller's access token
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await UserSession.listActiveForUser(userId);
+  return sessions.map(({ userId: _userId, revokedAt, revokedReason, ...s }) => ({
+    ...s,
+    current: s.id === currentSessionId,
+  }));
+}
+
+/** Revoke one of the user's sessions. */
+async function revokeSession(userId, sessionId) {
+  const session = UUID_RE.test(String(sessionId))
+    ? await UserSession.revoke(sessionId, { userId, reason: "revoked_by_user" })
+    : null;
+  if (!session) throw new NotFoundError(`No active session: ${sessionId}`);
+  return session;
+}
+
+/**
+ * Sign out everywhere.
+ * @param {number} userId
+ * @param {Object} [opts]
+ * @param {string} [opts.exceptSessionId] - keep this session signed in
+ * @param {string} [opts.reason] - e.g. password_changed, password_reset
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeAllSessions(userId, { exceptSessionId = null, reason = "signed_out_everywhere" } = {}) {
+  return UserSession.revokeAllForUser(userId, { exceptId: exceptSessionId, reason });
+}
+
+module.exports = {
+  startSession,
+  rotateSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  requestMeta,
+};
@@ -46,6 +46,21 @@ async function getOrCreateStripeCustomer(accountId, email, name) {
   return { id: customer.id };
 }
 
+/** Point the account's Stripe customer at a new billing contact (e.g. after an ownership transfer). No-op without a customer. */
+async function updateStripeCustomerContact(accountId, { email, name }) {
+  if (BILLING_MOCK_MODE || !stripe) return null;
+
+  const acc = await db.query(`SELECT stripe_customer_id FROM accounts WHERE id = $1`, [accountId]);
+  const customerId = acc.rows[0]?.stripe_customer_id;
+  if (!customerId) return null;
+
+  await stripe.customers.update(customerId, {
+    email: email || undefined,
+    name: name || undefined,
+  });
+  return { id: customerId };
+}
+
 /** Create Checkout Session for subscription. Returns { url }. */
 async function createCheckoutSession({ accountId, userId, planCode, billingInterval = "month", successUrl, cancelUrl, customerEmail, customerName }) {
   if (BILLING_MOCK_MODE) {
@@ -317,6 +332,7 @@ async function listActivePrices() {
 module.exports = {
   stripe,
   getOrCreateStripeCustomer,
+  updateStripeCustomerContact,
   createCheckoutSession,
   createPortalSession,
   constructWebhookEvent,
@@ -157,7 +157,7 @@ async function canUploadDocumentToSystem(accountId, propertyId, systemKey, userR
   const max = limits.maxDocumentsPerSystem ?? 5;
 
   const countRes = await db.query(
-    `SELECT COUNT(*)::int AS count FROM property_documents WHERE property_id = $1 AND system_key = $2`,
+    `SELECT COUNT(*)::int AS count FROM property_documents WHERE property_id = $1 AND system_key = $2 AND is_current`,
     [propertyId, systemKey]
   );
   const current = countRes.rows[0]?.count || 0;
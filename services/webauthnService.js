@@ -0,0 +1,172 @@
+"use strict";
+
+/**
+ * WebAuthn Service
+ *
+ * Passkey registration and assertion ceremonies (@simplewebauthn/server).
+ * Every ceremony starts with options plus a challengeId; the client passes the
+ * challengeId back with the authenticator response and the challenge is
+ * consumed whether or not verification succeeds.
+ *
+ * Purposes:
+ * - registration: add a passkey to the signed-in user
+ * - mfa: second factor after password sign-in (credentials of the MFA ticket's user)
+ * - login: passwordless sign-in with a discoverable passkey (user verification required)
+ *
+ * Env: WEBAUTHN_RP_ID (default: APP_BASE_URL host), WEBAUTHN_ORIGINS (default: APP_BASE_URL origin)
+ *
+ * Exports: startRegistration, finishRegistration, startAuthentication, finishAuthentication
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require("@simplewebauthn/server");
+const WebauthnCredential = require("../models/webauthnCredential");
+const WebauthnChallenge = require("../models/webauthnChallenge");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { APP_NAME, APP_BASE_URL, WEBAUTHN_RP_ID, WEBAUTHN_ORIGINS } = require("../config");
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_CREDENTIALS_PER_USER = 10;
+
+function relyingParty() {
+  const origins = (WEBAUTHN_ORIGINS || new URL(APP_BASE_URL).origin)
+    .split(",").map((o) => o.trim()).filter(Boolean);
+  return { rpID: WEBAUTHN_RP_ID || new URL(origins[0]).hostname, origins };
+}
+
+/** Registration options for a signed-in user. Existing passkeys are excluded. */
+async function startRegistration(user) {
+  const existing = await WebauthnCredential.descriptorsForUser(user.id);
+  if (existing.length >= MAX_CREDENTIALS_PER_USER) {
+    throw new BadRequestError(`A maximum of ${MAX_CREDENTIALS_PER_USER} passkeys can be registered`);
+  }
+  const options = await generateRegistrationOptions({
+    rpName: APP_NAME,
+    rpID: relyingParty().rpID,
+    userID: Buffer.from(String(user.id)),
+    userName: user.email,
+    userDisplayName: user.name || user.email,
+    attestationType: "none",
+    excludeCredentials: existing,
+    authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+  });
+  const challengeId = await WebauthnChallenge.create({
+    userId: user.id,
+    purpose: "registration",
+    challenge: options.challenge,
+    ttlSeconds: CHALLENGE_TTL_SECONDS,
+  });
+  return { challengeId, options };
+}
+
+/** Verify a registration response and store the passkey. */
+async function finishRegistration(userId, { challengeId, response, name }) {
+  const expectedChallenge = await WebauthnChallenge.consume(challengeId, { purpose: "registration", userId });
+  if (!expectedChallenge) throw new BadRequestError("Passkey registration expired or not started. Please start again.");
+
+  const { rpID, origins } = relyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: false,
+    });
+  } catch (err) {
+    throw new BadRequestError(`Passkey registration failed: ${err.message}`);
+  }
+  if (!verification.verified) throw new BadRequestError("Passkey registration failed");
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  if (await WebauthnCredential.findByCredentialId(credential.id)) {
+    throw new BadRequestError("This passkey is already registered");
+  }
+  return WebauthnCredential.create({
+    userId,
+    credentialId: credential.id,
+    publicKey: credential.publicKey,
+    counter: credential.counter,
+    transports: credential.transports || response?.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: (name && String(name).trim().slice(0, 100)) || "Passkey",
+  });
+}
+
+/**
+ * Assertion options. purpose "mfa" lists the user's passkeys; "login" lets the
+ * authenticator offer any discoverable passkey for this site.
+ */
+async function startAuthentication({ purpose, userId = null }) {
+  let allowCredentials;
+  if (purpose === "mfa") {
+    allowCredentials = await WebauthnCredential.descriptorsForUser(userId);
+    if (allowCredentials.length === 0) throw new BadRequestError("No passkeys are registered for this account");
+  }
+  const options = await generateAuthenticationOptions({
+    rpID: relyingParty().rpID,
+    allowCredentials,
+    userVerification: purpose === "login" ? "required" : "preferred",
+  });
+  const challengeId = await WebauthnChallenge.create({
+    userId: purpose === "mfa" ? userId : null,
+    purpose,
+    challenge: options.challenge,
+    ttlSeconds: CHALLENGE_TTL_SECONDS,
+  });
+  return { challengeId, options };
+}
+
+/**
+ * Verify an assertion. For "mfa" the passkey must belong to userId.
+ * @returns {Promise<{ userId: number, credentialId: number }>}
+ */
+async function finishAuthentication({ purpose, userId = null, challengeId, response }) {
+  const expectedChallenge = await WebauthnChallenge.consume(challengeId, {
+    purpose,
+    userId: purpose === "mfa" ? userId : null,
+  });
+  if (!expectedChallenge) throw new UnauthorizedError("Passkey sign-in expired. Please try again.");
+
+  const credential = response?.id ? await WebauthnCredential.findByCredentialId(response.id) : null;
+  if (!credential || (purpose === "mfa" && credential.userId !== userId)) {
+    throw new UnauthorizedError("Unknown passkey");
+  }
+
+  const { rpID, origins } = relyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: new Uint8Array(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports,
+      },
+      requireUserVerification: purpose === "login",
+    });
+  } catch (err) {
+    throw new UnauthorizedError("Passkey verification failed");
+  }
+  if (!verification.verified) throw new UnauthorizedError("Passkey verification failed");
+
+  await WebauthnCredential.recordUse(credential.id, verification.authenticationInfo.newCounter);
+  return { userId: credential.userId, credentialId: credential.id };
+}
+
+module.exports = {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  finishAuthentication,
+};
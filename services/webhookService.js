@@ -0,0 +1,357 @@
+"use strict";
+
+/**
+ * Outbound Webhook Service
+ *
+ * Emits account events to subscribed webhook endpoints and runs the delivery worker.
+ *
+ * - emitEvent / emitPropertyEvent: queue one delivery per subscribed endpoint
+ *   (webhook_deliveries rows); the worker sends them. Callers fire and forget.
+ * - Each request is a POST of the event JSON ({ id, type, createdAt, accountId, data })
+ *   with headers X-HomeOps-Event, X-HomeOps-Delivery and
+ *   X-HomeOps-Signature: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` with the endpoint secret>".
+ * - Any 2xx response is a success; redirects are not followed and count as failures.
+ *   Failures retry with exponential backoff up to WEBHOOK_MAX_ATTEMPTS; an endpoint is
+ *   disabled after WEBHOOK_DISABLE_AFTER_FAILURES consecutive failed attempts (re-enable via PATCH).
+ * - Endpoints may not point at private, loopback, link-local or otherwise reserved addresses.
+ *   The host is checked when the endpoint is saved and again on every send, where the
+ *   connection is pinned to the address that passed the check (no DNS rebinding).
+ *
+ * Env: WEBHOOK_DELIVERY_INTERVAL_MS (default 30s), WEBHOOK_MAX_ATTEMPTS (default 8),
+ *      WEBHOOK_DISABLE_AFTER_FAILURES (default 20), WEBHOOK_TIMEOUT_MS (default 10s),
+ *      WEBHOOK_ALLOW_PRIVATE_TARGETS (default false; "true" permits private hosts, for local testing only)
+ *
+ * Exports: WEBHOOK_EVENT_TYPES, emitEvent, emitPropertyEvent, emitMaintenanceCompleted,
+ *          emitChecklistStatusChanged, signPayload, validateWebhookUrl, processDueDeliveries,
+ *          startWebhookDispatcher, stopWebhookDispatcher
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const WebhookEndpoint = require("../models/webhookEndpoint");
+const WebhookDelivery = require("../models/webhookDelivery");
+
+const WEBHOOK_EVENT_TYPES = [
+  "property.created",
+  "maintenance_record.completed",
+  "contractor_report.submitted",
+  "inspection_analysis.completed",
+  "invitation.accepted",
+  "checklist_item.status_changed",
+];
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const DISABLE_AFTER = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const BATCH_SIZE = 20;
+const MAX_RESPONSE_CHARS = 2000;
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "true";
+
+/**
+ * Address ranges a webhook may never reach (RFC 6890 special-purpose and multicast blocks).
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges by BlockList.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 96], ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["100::", 64],
+  ["2001::", 23], ["2001:db8::", 32], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE_TARGETS) return false;
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/** URL hostname without the brackets around IPv6 literals. */
+function hostOf(parsed) {
+  return parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+/**
+ * dns.lookup replacement for outbound webhook requests: fails if any resolved address is
+ * blocked, so the socket connects only to an address that passed the check.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a disallowed address (${blocked.address})`));
+    }
+    if (addresses.length === 0) return callback(new Error(`Webhook host ${hostname} did not resolve`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Endpoints must be https (http is accepted outside production for local testing) and must
+ * not resolve to a private or reserved address.
+ * @returns {Promise<string>} normalized url
+ */
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BadRequestError("Webhook url must be a valid URL");
+  }
+  const allowHttp = process.env.NODE_ENV !== "production";
+  if (parsed.protocol !== "https:" && !(allowHttp && parsed.protocol === "http:")) {
+    throw new BadRequestError("Webhook url must use https");
+  }
+  if (parsed.username || parsed.password) {
+    throw new BadRequestError("Webhook url must not include credentials");
+  }
+
+  const host = hostOf(parsed);
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      throw new BadRequestError(`Webhook host ${host} could not be resolved`);
+    }
+  }
+  if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+    throw new BadRequestError("Webhook url must not point to a private or reserved address");
+  }
+  return parsed.toString();
+}
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Queue an event for the account's subscribed endpoints.
+ * @param {number} accountId
+ * @param {string} type - one of WEBHOOK_EVENT_TYPES
+ * @param {Object} data - event payload
+ * @returns {Promise<number>} deliveries queued
+ */
+async function emitEvent(accountId, type, data) {
+  if (!accountId) return 0;
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    accountId,
+    data,
+  };
+  const queued = await WebhookDelivery.enqueueForEvent(accountId, event);
+  if (queued > 0) setImmediate(tick);
+  return queued;
+}
+
+/** emitEvent for the account that owns a property. data gets propertyId and propertyUid. */
+async function emitPropertyEvent(propertyId, type, data) {
+  const res = await db.query(
+    `SELECT account_id, property_uid FROM properties WHERE id = $1`,
+    [propertyId]
+  );
+  const property = res.rows[0];
+  if (!property) return 0;
+  return emitEvent(property.account_id, type, {
+    propertyId: Number(propertyId),
+    propertyUid: property.property_uid,
+    ...data,
+  });
+}
+
+/** maintenance_record.completed when a record is created as, or moves to, "Completed". */
+async function emitMaintenanceCompleted(record, previous = null) {
+  if (record.status !== "Completed" || previous?.status === "Completed") return 0;
+  return emitPropertyEvent(record.property_id, "maintenance_record.completed", {
+    maintenanceRecordId: record.id,
+    systemKey: record.system_key,
+    completedAt: record.completed_at ?? null,
+    recordStatus: record.record_status ?? null,
+  });
+}
+
+/** checklist_item.status_changed when an update changed the item's status. */
+async function emitChecklistStatusChanged(previousStatus, item, { changedBy = null } = {}) {
+  if (!item || item.status === previousStatus) return 0;
+  return emitPropertyEvent(item.property_id, "checklist_item.status_changed", {
+    checklistItemId: item.id,
+    systemKey: item.system_key,
+    title: item.title,
+    previousStatus,
+    status: item.status,
+    linkedMaintenanceId: item.linked_maintenance_id ?? null,
+    changedBy,
+  });
+}
+
+/**
+ * POST a delivery. The host is re-checked here (IP literals directly, names through
+ * safeLookup at connect time); redirects are returned as-is, never followed.
+ */
+function sendDelivery(delivery) {
+  const url = new URL(delivery.url);
+  const host = hostOf(url);
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(new Error(`Webhook host ${host} is a disallowed address`));
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "HomeOps-Webhooks/1.0",
+        "X-HomeOps-Event": delivery.event_type,
+        "X-HomeOps-Delivery": String(delivery.id),
+        "X-HomeOps-Signature": signPayload(delivery.secret, timestamp, body),
+      },
+      lookup: safeLookup,
+    }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        if (text.length < MAX_RESPONSE_CHARS) text += chunk;
+      });
+      res.on("end", () => {
+        clearTimeout(timeout);
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        resolve({ status: res.statusCode, ok, body: text.slice(0, MAX_RESPONSE_CHARS) });
+      });
+      res.on("error", (err) => {
+        clearTimeout(timeout);
+        reject(err);
+      });
+    });
+    const timeout = setTimeout(() => {
+      const err = new Error(`Timed out after ${TIMEOUT_MS}ms`);
+      err.name = "TimeoutError";
+      req.destroy(err);
+    }, TIMEOUT_MS);
+    req.on("error", (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+/** Attempt one claimed delivery and record the outcome. */
+async function attemptDelivery(delivery) {
+  if (delivery.disabled_at) {
+    await WebhookDelivery.markAttemptFailed(delivery.id, {
+      error: "Endpoint is disabled",
+      maxAttempts: MAX_ATTEMPTS,
+      final: true,
+    });
+    return false;
+  }
+
+  let outcome;
+  try {
+    outcome = await sendDelivery(delivery);
+  } catch (err) {
+    outcome = { error: err.name === "TimeoutError" ? `Timed out after ${TIMEOUT_MS}ms` : err.message };
+  }
+
+  if (outcome.ok) {
+    await WebhookDelivery.markSucceeded(delivery.id, { responseStatus: outcome.status, responseBody: outcome.body });
+    await WebhookEndpoint.recordSuccess(delivery.endpoint_id);
+    return true;
+  }
+
+  await WebhookDelivery.markAttemptFailed(delivery.id, {
+    responseStatus: outcome.status ?? null,
+    responseBody: outcome.body ?? null,
+    error: outcome.error || `Endpoint responded with ${outcome.status}`,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+  const disabled = await WebhookEndpoint.recordFailure(delivery.endpoint_id, { disableAfter: DISABLE_AFTER });
+  if (disabled) {
+    console.warn(`[webhooks] Endpoint ${delivery.endpoint_id} disabled after ${DISABLE_AFTER} consecutive failures`);
+  }
+  return false;
+}
+
+/**
+ * Claim and send due deliveries.
+ * @returns {Promise<{ claimed: number, succeeded: number }>}
+ */
+async function processDueDeliveries() {
+  const deliveries = await WebhookDelivery.claimDue({ limit: BATCH_SIZE });
+  let succeeded = 0;
+  for (const delivery of deliveries) {
+    try {
+      if (await attemptDelivery(delivery)) succeeded++;
+    } catch (err) {
+      console.error(`[webhooks] Delivery ${delivery.id} could not be recorded:`, err.message);
+    }
+  }
+  return { claimed: deliveries.length, succeeded };
+}
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { claimed } = await processDueDeliveries();
+    if (claimed === BATCH_SIZE) setImmediate(tick);
+  } catch (err) {
+    console.error("[webhooks] Dispatch failed:", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the delivery worker (idempotent). Runs one pass immediately. */
+function startWebhookDispatcher() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref?.();
+  tick();
+}
+
+function stopWebhookDispatcher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  emitEvent,
+  emitPropertyEvent,
+  emitMaintenanceCompleted,
+  emitChecklistStatusChanged,
+  signPayload,
+  validateWebhookUrl,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};